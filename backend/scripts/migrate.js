@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const config = require('../src/config');
+const LogService = require('../src/services/logService');
+
+/**
+ * Data migrations
+ *
+ * Usage:
+ *   npm run migrate -- <migration> [--dry-run] [--batch-size=N]
+ *
+ * Migrations:
+ *   log-hashes   Re-hash legacy logs with the current canonical hashing scheme
+ */
+
+const migrations = {
+  'log-hashes': async (options) => {
+    const report = await LogService.migrateLogHashes(options);
+
+    console.log(`✅ Scanned ${report.scanned} logs, re-hashed ${report.migrated} to version ${report.toVersion}`);
+    if (report.legacyMismatches.length > 0) {
+      console.log(`⚠️  ${report.legacyMismatches.length} logs did not match their legacy hash and were left unmigrated:`);
+      report.legacyMismatches.slice(0, 20).forEach(({ logId, chainIndex }) => {
+        console.log(`  - ${logId}${chainIndex !== undefined ? ` (chain index ${chainIndex})` : ''}`);
+      });
+    }
+  }
+};
+
+function parseArgs(argv) {
+  const options = { dryRun: false };
+
+  argv.forEach(arg => {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg.startsWith('--batch-size=')) {
+      options.batchSize = parseInt(arg.split('=')[1], 10);
+    }
+  });
+
+  return options;
+}
+
+async function migrate() {
+  const [name, ...args] = process.argv.slice(2);
+  const migration = migrations[name];
+
+  if (!migration) {
+    console.error(`❌ Unknown migration "${name || ''}". Available: ${Object.keys(migrations).join(', ')}`);
+    process.exit(1);
+  }
+
+  let exitCode = 0;
+
+  try {
+    await mongoose.connect(config.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const options = parseArgs(args);
+    console.log(`🔧 Running migration ${name}${options.dryRun ? ' (dry run)' : ''}...`);
+    await migration(options);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+    process.exit(exitCode);
+  }
+}
+
+// Run migration if this script is executed directly
+if (require.main === module) {
+  migrate();
+}
+
+module.exports = migrate;
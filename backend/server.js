@@ -5,8 +5,19 @@
  * Main entry point for the application
  */
 
-const { server } = require('./src/app');
+const { server, onShutdown } = require('./src/app');
 const config = require('./src/config');
+const syslogService = require('./src/services/syslogService');
+const ledgerService = require('./src/services/ledgerService');
+const archiveService = require('./src/services/archiveService');
+const exportService = require('./src/services/exportService');
+const savedSearchService = require('./src/services/savedSearchService');
+const eventTypeService = require('./src/services/eventTypeService');
+const geoIpService = require('./src/services/geoIpService');
+const aggregationService = require('./src/services/aggregationService');
+const anchorQueueService = require('./src/services/anchorQueueService');
+const detectionRuleService = require('./src/services/detectionRuleService');
+const anomalyBaselineService = require('./src/services/anomalyBaselineService');
 
 const PORT = config.PORT;
 
@@ -43,8 +54,74 @@ server.listen(PORT, () => {
   }
 
   console.log(`\n🚀 Server ready and accepting connections!`);
+
+  // Start syslog ingestion listeners alongside the HTTP server
+  if (config.SYSLOG.ENABLED) {
+    syslogService.start()
+      .then(() => console.log('📥 Syslog ingestion listeners started'))
+      .catch(error => console.error('❌ Failed to start syslog listeners:', error.message));
+  }
+
+  // Register built-in event types missing from the registry
+  eventTypeService.seedBuiltins()
+    .catch(error => console.error('❌ Failed to seed built-in event types:', error.message));
+
+  // Load stored detection rules and watch for changes made by other instances
+  detectionRuleService.start()
+    .catch(error => console.error('❌ Failed to load detection rules:', error.message));
+
+  // Rebuild anomaly detection baselines from stored logs on schedule
+  anomalyBaselineService.start();
+
+  // Open GeoIP databases for log and threat enrichment
+  if (config.GEOIP.ENABLED) {
+    geoIpService.initialize()
+      .catch(error => console.error('❌ Failed to load GeoIP databases:', error.message));
+  }
+
+  // Close event aggregation windows as they expire
+  aggregationService.start();
+
+  // Anchor queued logs in batches, resuming batches and re-queueing logs left behind by a crash
+  anchorQueueService.start();
+
+  // Periodically walk the local log hash chain for tamper evidence
+  if (config.LEDGER.VERIFY_ENABLED) {
+    ledgerService.startVerificationJob();
+  }
+
+  // Move archived logs to cold-storage segments on schedule
+  if (config.ARCHIVE.ENABLED) {
+    archiveService.startSchedule();
+  }
+
+  // Pick up background exports interrupted by a restart and remove expired ones
+  exportService.start()
+    .catch(error => console.error('❌ Failed to resume export jobs:', error.message));
+
+  // Schedule saved search threshold monitors
+  if (config.SAVED_SEARCH.MONITORS_ENABLED) {
+    savedSearchService.startMonitors()
+      .catch(error => console.error('❌ Failed to schedule saved search monitors:', error.message));
+  }
+});
+
+server.on('close', () => {
+  syslogService.stop();
+  ledgerService.stopVerificationJob();
+  archiveService.stopSchedule();
+  exportService.stop();
+  savedSearchService.stopMonitors();
+  geoIpService.close();
+  anchorQueueService.stop();
+  detectionRuleService.stop();
+  anomalyBaselineService.stop();
 });
 
+// Store open aggregates before exiting; they are also kept durably in case this never runs
+onShutdown(() => aggregationService.stop()
+  .catch(error => console.error('❌ Failed to store open aggregates:', error.message)));
+
 // Error handling for server startup
 server.on('error', (error) => {
   if (error.syscall !== 'listen') {
@@ -13,6 +13,8 @@ const config = require('./config');
 const database = require('./config/database');
 const { errorHandler, notFound } = require('./middleware/errorHandling');
 const { authenticateSocketToken } = require('./middleware/auth');
+const { requestContext } = require('./middleware/requestContext');
+const liveTailService = require('./services/liveTailService');
 
 // Import routes
 const routes = require('./routes');
@@ -47,7 +49,8 @@ app.use(cors({
   origin: config.CORS_ORIGIN,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key']
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key', 'X-Correlation-ID', 'X-Request-ID', 'X-Session-ID'],
+  exposedHeaders: ['X-Correlation-ID', 'Retry-After']
 }));
 
 // Rate limiting
@@ -76,6 +79,10 @@ if (config.NODE_ENV === 'production') {
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Correlation/session IDs for everything the request writes. Mounted after
+// body parsing so the context survives into route handlers.
+app.use(requestContext);
+
 // Static files
 app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
 app.use('/reports', express.static(path.join(__dirname, '../reports')));
@@ -101,10 +108,8 @@ io.on('connection', (socket) => {
     console.log(`User ${socket.user.email} subscribed to threats`);
   });
 
-  socket.on('subscribe_logs', () => {
-    socket.join(`logs_${socket.user.organizationId}`);
-    console.log(`User ${socket.user.email} subscribed to logs`);
-  });
+  // Filtered live log tail with pause/resume
+  liveTailService.register(socket);
 
   socket.on('disconnect', () => {
     console.log(`User disconnected: ${socket.user.email} (${socket.id})`);
@@ -130,22 +135,31 @@ if (config.NODE_ENV === 'production') {
 app.use(notFound);
 app.use(errorHandler);
 
+// Async cleanup to finish before the process exits on a graceful shutdown
+const shutdownTasks = [];
+const onShutdown = (task) => {
+  shutdownTasks.push(task);
+};
+
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  server.close(() => {
-    console.log('Process terminated');
-    process.exit(0);
-  });
-});
+const shutdown = (signal) => {
+  console.log(`${signal} received, shutting down gracefully`);
+  server.close(async () => {
+    for (const task of shutdownTasks) {
+      try {
+        await task();
+      } catch (error) {
+        console.error('Shutdown task error:', error.message);
+      }
+    }
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
-  server.close(() => {
     console.log('Process terminated');
     process.exit(0);
   });
-});
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
@@ -163,4 +177,4 @@ process.on('unhandledRejection', (err) => {
   });
 });
 
-module.exports = { app, server, io };
+module.exports = { app, server, io, onShutdown };
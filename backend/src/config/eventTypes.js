@@ -0,0 +1,54 @@
+// Built-in log event types, seeded into the event type registry on startup.
+// logType is the ChainShield LogType category used when anchoring.
+
+// ChainShield LogType categories (contract enum order)
+const LOG_TYPES = ['authentication', 'file_access', 'network', 'firewall', 'application', 'email', 'transaction'];
+
+// Event type keys: lowercase letters, digits, underscores, dots and dashes
+const EVENT_TYPE_KEY_PATTERN = /^[a-z][a-z0-9_.-]{1,63}$/;
+
+const BUILTIN_EVENT_TYPES = [
+  { key: 'user_login', logType: 'authentication' },
+  { key: 'user_logout', logType: 'authentication' },
+  { key: 'user_registration', logType: 'authentication' },
+  { key: 'user_update', logType: 'authentication' },
+  { key: 'api_access' },
+  { key: 'api_key_created' },
+  { key: 'api_key_revoked' },
+  { key: 'firewall_alert' },
+  { key: 'intrusion_attempt' },
+  { key: 'malware_detected' },
+  { key: 'data_access', logType: 'file_access' },
+  { key: 'data_modification' },
+  { key: 'data_export', logType: 'file_access' },
+  { key: 'config_change' },
+  { key: 'system_update' },
+  { key: 'backup_created' },
+  { key: 'threat_detected', logType: 'network' },
+  { key: 'threat_resolved' },
+  { key: 'threat_escalated' },
+  { key: 'report_generated' },
+  { key: 'report_downloaded' },
+  { key: 'alert_triggered' },
+  { key: 'audit_trail_access' },
+  { key: 'permission_change' },
+  { key: 'role_change' },
+  { key: 'file_upload', logType: 'file_access' },
+  { key: 'file_download', logType: 'file_access' },
+  { key: 'database_query' },
+  { key: 'authentication_failure', logType: 'authentication' },
+  { key: 'session_expired' },
+  { key: 'account_locked' }
+].map(type => ({
+  name: type.key.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
+  defaultSeverity: 'Medium',
+  logType: 'application',
+  detailsSchema: null,
+  ...type
+}));
+
+module.exports = {
+  LOG_TYPES,
+  EVENT_TYPE_KEY_PATTERN,
+  BUILTIN_EVENT_TYPES
+};
@@ -1,5 +1,19 @@
 require('dotenv').config();
 
+// Parse a comma-separated environment variable into a trimmed list
+const parseList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Parse a JSON environment variable, falling back when unset or invalid
+const parseJson = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.warn(`Ignoring invalid JSON configuration value: ${error.message}`);
+    return fallback;
+  }
+};
+
 const config = {
   // Server Configuration
   NODE_ENV: process.env.NODE_ENV || 'development',
@@ -48,6 +62,155 @@ const config = {
     PHONE_NUMBER: process.env.TWILIO_PHONE_NUMBER || '+1234567890'
   },
 
+  // Syslog Ingestion Configuration
+  SYSLOG: {
+    ENABLED: process.env.SYSLOG_ENABLED === 'true',
+    HOST: process.env.SYSLOG_HOST || '0.0.0.0',
+    MAX_MESSAGE_SIZE: parseInt(process.env.SYSLOG_MAX_MESSAGE_SIZE) || 65536,
+    UDP: {
+      ENABLED: process.env.SYSLOG_UDP_ENABLED !== 'false',
+      PORT: parseInt(process.env.SYSLOG_UDP_PORT) || 5514,
+      ALLOWED_SENDERS: parseList(process.env.SYSLOG_UDP_ALLOWED_SENDERS),
+      DEFAULT_EVENT_TYPE: process.env.SYSLOG_UDP_DEFAULT_EVENT_TYPE || 'firewall_alert',
+      DEFAULT_SOURCE: process.env.SYSLOG_UDP_DEFAULT_SOURCE || 'firewall'
+    },
+    TCP: {
+      ENABLED: process.env.SYSLOG_TCP_ENABLED !== 'false',
+      PORT: parseInt(process.env.SYSLOG_TCP_PORT) || 5514,
+      ALLOWED_SENDERS: parseList(process.env.SYSLOG_TCP_ALLOWED_SENDERS),
+      DEFAULT_EVENT_TYPE: process.env.SYSLOG_TCP_DEFAULT_EVENT_TYPE || 'firewall_alert',
+      DEFAULT_SOURCE: process.env.SYSLOG_TCP_DEFAULT_SOURCE || 'firewall'
+    }
+  },
+
+  // Local hash-chain ledger
+  LEDGER: {
+    VERIFY_ENABLED: process.env.LEDGER_VERIFY_ENABLED !== 'false',
+    VERIFY_INTERVAL_MINUTES: parseInt(process.env.LEDGER_VERIFY_INTERVAL_MINUTES) || 60
+  },
+
+  // Cold-storage archival of logs
+  ARCHIVE: {
+    ENABLED: process.env.ARCHIVE_ENABLED !== 'false',
+    SCHEDULE: process.env.ARCHIVE_SCHEDULE || '0 2 * * *', // Daily at 02:00
+    PATH: process.env.ARCHIVE_PATH || './storage/archive',
+    RETENTION_DAYS: parseInt(process.env.ARCHIVE_RETENTION_DAYS) || 365,
+    COMPLIANCE_RETENTION_DAYS: parseInt(process.env.ARCHIVE_COMPLIANCE_RETENTION_DAYS) || 2555, // 7 years
+    // Severities the default retention never archives; retention policies override this
+    SEVERITY_EXCEPTIONS: parseList(process.env.ARCHIVE_SEVERITY_EXCEPTIONS || 'Critical,High'),
+    SEGMENT_MAX_RECORDS: parseInt(process.env.ARCHIVE_SEGMENT_MAX_RECORDS) || 10000,
+    RESTORE_COLLECTION_PREFIX: process.env.ARCHIVE_RESTORE_COLLECTION_PREFIX || 'restored_logs_'
+  },
+
+  // Log export
+  EXPORT: {
+    SYNC_MAX_RECORDS: parseInt(process.env.EXPORT_SYNC_MAX_RECORDS) || 50000,
+    PATH: process.env.EXPORT_PATH || './storage/exports',
+    JOB_TTL_HOURS: parseInt(process.env.EXPORT_JOB_TTL_HOURS) || 24,
+    CLEANUP_INTERVAL_MINUTES: parseInt(process.env.EXPORT_CLEANUP_INTERVAL_MINUTES) || 60,
+    PDF_MAX_RECORDS: parseInt(process.env.EXPORT_PDF_MAX_RECORDS) || 5000
+  },
+
+  // Event deduplication/aggregation for noisy sources
+  AGGREGATION: {
+    ENABLED: process.env.AGGREGATION_ENABLED !== 'false',
+    // [{ "source": "firewall", "eventType": "firewall_alert", "fields": ["details.signature"], "windowSeconds": 60 }]
+    RULES: parseJson(process.env.AGGREGATION_RULES, []),
+    DEFAULT_WINDOW_SECONDS: parseInt(process.env.AGGREGATION_DEFAULT_WINDOW_SECONDS) || 60,
+    MAX_MEMBERS: parseInt(process.env.AGGREGATION_MAX_MEMBERS) || 10000
+  },
+
+  // PII and secret redaction at ingest
+  REDACTION: {
+    ENABLED: process.env.REDACTION_ENABLED !== 'false',
+    BUILTIN_RULES: process.env.REDACTION_BUILTIN_RULES !== 'false',
+    HASH_SECRET: process.env.REDACTION_HASH_SECRET || 'dev-redaction-secret',
+    CACHE_TTL_SECONDS: parseInt(process.env.REDACTION_CACHE_TTL_SECONDS) || 60
+  },
+
+  // Offline GeoIP/ASN enrichment (MaxMind mmdb files)
+  GEOIP: {
+    ENABLED: process.env.GEOIP_ENABLED === 'true',
+    CITY_DB_PATH: process.env.GEOIP_CITY_DB_PATH || './storage/geoip/GeoLite2-City.mmdb',
+    ASN_DB_PATH: process.env.GEOIP_ASN_DB_PATH || './storage/geoip/GeoLite2-ASN.mmdb',
+    CACHE_SIZE: parseInt(process.env.GEOIP_CACHE_SIZE) || 10000,
+    WATCH_INTERVAL_SECONDS: parseInt(process.env.GEOIP_WATCH_INTERVAL_SECONDS) || 60
+  },
+
+  // Event type registry
+  EVENT_TYPES: {
+    CACHE_TTL_SECONDS: parseInt(process.env.EVENT_TYPES_CACHE_TTL_SECONDS) || 60
+  },
+
+  // Saved searches
+  SAVED_SEARCH: {
+    MONITORS_ENABLED: process.env.SAVED_SEARCH_MONITORS_ENABLED !== 'false'
+  },
+
+  // Live log tail over Socket.IO
+  LIVE_TAIL: {
+    MAX_EVENTS_PER_SECOND: parseInt(process.env.LIVE_TAIL_MAX_EVENTS_PER_SECOND) || 50,
+    BUFFER_SIZE: parseInt(process.env.LIVE_TAIL_BUFFER_SIZE) || 1000,
+    BATCH_INTERVAL_MS: parseInt(process.env.LIVE_TAIL_BATCH_INTERVAL_MS) || 250,
+    ACK_TIMEOUT_MS: parseInt(process.env.LIVE_TAIL_ACK_TIMEOUT_MS) || 10000
+  },
+
+  // Rule and anomaly detection
+  THREAT_DETECTION: {
+    // Window for per-actor event frequency scores
+    FREQUENCY_WINDOW_SECONDS: parseInt(process.env.THREAT_FREQUENCY_WINDOW_SECONDS) || 300,
+    // How often each instance checks for detection rule changes made elsewhere
+    RULES_REFRESH_SECONDS: parseInt(process.env.DETECTION_RULES_REFRESH_SECONDS) || 30,
+    // Rule backtests: longest time range and most logs replayed per run
+    BACKTEST_MAX_DAYS: parseInt(process.env.DETECTION_BACKTEST_MAX_DAYS) || 31,
+    BACKTEST_MAX_LOGS: parseInt(process.env.DETECTION_BACKTEST_MAX_LOGS) || 100000
+  },
+
+  // Statistical baselines for anomaly detection
+  ANOMALY: {
+    ENABLED: process.env.ANOMALY_DETECTION_ENABLED !== 'false',
+    // History each baseline is built from, and how often it is rebuilt
+    LOOKBACK_DAYS: parseInt(process.env.ANOMALY_BASELINE_LOOKBACK_DAYS) || 28,
+    REFRESH_MINUTES: parseInt(process.env.ANOMALY_BASELINE_REFRESH_MINUTES) || 60,
+    // Weight of the latest hour in the EWMA rate (0-1)
+    EWMA_ALPHA: parseFloat(process.env.ANOMALY_EWMA_ALPHA) || 0.1,
+    // Standard deviations from the baseline that raise an anomaly threat
+    Z_THRESHOLD: parseFloat(process.env.ANOMALY_Z_THRESHOLD) || 3,
+    // Numeric log fields with value distributions, besides description length and details size
+    VALUE_FIELDS: parseList(process.env.ANOMALY_VALUE_FIELDS || 'details.bytes')
+  },
+
+  // Sigma rule import
+  SIGMA: {
+    // Directory of Sigma rules (*.yml) loaded on startup
+    RULES_DIR: process.env.SIGMA_RULES_DIR || '',
+    // { "SigmaField": "log.field.path" }, applied over the built-in mapping in config/sigma.js
+    FIELD_MAPPING: parseJson(process.env.SIGMA_FIELD_MAPPING, {})
+  },
+
+  // Web attack detection on ingested access logs
+  WEB_ATTACK: {
+    ENABLED: process.env.WEB_ATTACK_DETECTION_ENABLED !== 'false',
+    ERROR_STORM_THRESHOLD: parseInt(process.env.WEB_ATTACK_ERROR_STORM_THRESHOLD) || 50,
+    ERROR_STORM_WINDOW_SECONDS: parseInt(process.env.WEB_ATTACK_ERROR_STORM_WINDOW_SECONDS) || 60,
+    // Matches from one client within this window update the same threat
+    THREAT_WINDOW_SECONDS: parseInt(process.env.WEB_ATTACK_THREAT_WINDOW_SECONDS) || 900
+  },
+
+  // Durable queue of logs waiting for Merkle batch anchoring
+  ANCHOR_QUEUE: {
+    CONCURRENCY: parseInt(process.env.ANCHOR_QUEUE_CONCURRENCY) || 2,
+    BATCH_SIZE: parseInt(process.env.ANCHOR_QUEUE_BATCH_SIZE) || 100,
+    BATCH_INTERVAL_SECONDS: parseInt(process.env.ANCHOR_QUEUE_BATCH_INTERVAL_SECONDS) || 300,
+    POLL_INTERVAL_MS: parseInt(process.env.ANCHOR_QUEUE_POLL_INTERVAL_MS) || 1000,
+    LEASE_SECONDS: parseInt(process.env.ANCHOR_QUEUE_LEASE_SECONDS) || 300,
+    RETRY_DELAY_SECONDS: parseInt(process.env.ANCHOR_QUEUE_RETRY_DELAY_SECONDS) || 30,
+    // Ingest answers 429 from the high-water mark until the queue drains to the low-water mark
+    HIGH_WATER_MARK: parseInt(process.env.ANCHOR_QUEUE_HIGH_WATER_MARK) || 50000,
+    LOW_WATER_MARK: parseInt(process.env.ANCHOR_QUEUE_LOW_WATER_MARK) || 40000,
+    RETRY_AFTER_SECONDS: parseInt(process.env.ANCHOR_QUEUE_RETRY_AFTER_SECONDS) || 30
+  },
+
   // Frontend Configuration
   FRONTEND_URL: process.env.FRONTEND_URL || 'http://localhost:3000',
   CORS_ORIGIN: process.env.CORS_ORIGIN || 'http://localhost:3000',
@@ -0,0 +1,79 @@
+// Built-in mapping from Sigma taxonomy to Log fields. SIGMA_FIELD_MAPPING
+// entries override these; fields mapped nowhere are read from details.<Field>.
+
+const SIGMA_FIELD_MAPPING = {
+  // Network
+  src_ip: 'metadata.ipAddress',
+  SourceIp: 'metadata.ipAddress',
+  SourceAddress: 'metadata.ipAddress',
+  ClientIP: 'metadata.ipAddress',
+  IpAddress: 'metadata.ipAddress',
+  'c-ip': 'metadata.ipAddress',
+  dst_ip: 'details.destinationIp',
+  DestinationIp: 'details.destinationIp',
+  src_port: 'details.sourcePort',
+  SourcePort: 'details.sourcePort',
+  dst_port: 'details.destinationPort',
+  DestinationPort: 'details.destinationPort',
+
+  // Web server (access log ingest)
+  'cs-method': 'details.method',
+  'cs-uri-stem': 'details.path',
+  'cs-uri-query': 'details.query',
+  'sc-status': 'details.status',
+  'cs-bytes': 'details.bytes',
+  'cs-referrer': 'details.referrer',
+  'cs-host': 'details.host',
+  'cs-user-agent': 'metadata.userAgent',
+  'c-useragent': 'metadata.userAgent',
+  UserAgent: 'metadata.userAgent',
+
+  // Identity
+  User: 'details.username',
+  TargetUserName: 'details.username',
+  SubjectUserName: 'details.username',
+  username: 'details.username',
+  WalletAddress: 'walletAddress',
+
+  // Event
+  EventType: 'eventType',
+  event_type: 'eventType',
+  Message: 'description',
+  message: 'description',
+  Severity: 'severity',
+  Source: 'source',
+
+  // Process
+  Image: 'details.image',
+  CommandLine: 'details.commandLine',
+  ParentImage: 'details.parentImage',
+  Hostname: 'details.hostname',
+  ComputerName: 'details.hostname'
+};
+
+// Sigma logsource values and the Log conditions a rule gets from them.
+// Values not listed here leave the rule unrestricted.
+const SIGMA_LOGSOURCE_MAPPING = {
+  category: {
+    webserver: { source: 'web_app' },
+    proxy: { source: 'web_app' },
+    firewall: { source: 'firewall' },
+    antivirus: { source: 'antivirus' },
+    database: { source: 'database' },
+    authentication: { source: 'authentication_service' }
+  },
+  product: {},
+  service: {
+    sshd: { source: 'authentication_service' },
+    auth: { source: 'authentication_service' }
+  }
+};
+
+// Fields searched by Sigma keyword (list) selections
+const SIGMA_KEYWORD_FIELDS = ['description'];
+
+module.exports = {
+  SIGMA_FIELD_MAPPING,
+  SIGMA_LOGSOURCE_MAPPING,
+  SIGMA_KEYWORD_FIELDS
+};
@@ -0,0 +1,127 @@
+const ArchiveSegment = require('../models/ArchiveSegment');
+const archiveService = require('../services/archiveService');
+const BaseController = require('./baseController');
+
+/**
+ * Archive Controller
+ * Handles cold-storage archive segments and investigation restores
+ */
+class ArchiveController extends BaseController {
+  constructor() {
+    super(ArchiveSegment, 'Archive segment');
+  }
+
+  /**
+   * List archive segments
+   */
+  async getSegments(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+      const { segments, total } = await archiveService.listSegments({ page, limit });
+
+      const pagination = {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      };
+
+      return this.sendSuccess(res, {
+        segments,
+        pagination
+      }, 'Archive segments retrieved successfully');
+
+    } catch (error) {
+      console.error('Get archive segments error:', error);
+      return this.sendError(res, 'Failed to retrieve archive segments');
+    }
+  }
+
+  /**
+   * Get archive segment by ID
+   */
+  async getSegmentById(req, res) {
+    try {
+      const segment = await archiveService.getSegment(req.params.segmentId);
+
+      return this.sendSuccess(res, segment, 'Archive segment retrieved successfully');
+
+    } catch (error) {
+      if (error.message === 'Archive segment not found') {
+        return this.sendNotFound(res);
+      }
+      console.error('Get archive segment error:', error);
+      return this.sendError(res, 'Failed to retrieve archive segment');
+    }
+  }
+
+  /**
+   * Verify a segment file and manifest against the recorded hashes
+   */
+  async verifySegment(req, res) {
+    try {
+      const result = await archiveService.verifySegment(req.params.segmentId);
+
+      return this.sendSuccess(res, result, 'Archive segment verification completed');
+
+    } catch (error) {
+      if (error.message === 'Archive segment not found') {
+        return this.sendNotFound(res);
+      }
+      if (error.code === 'ENOENT') {
+        return this.sendError(res, 'Archive segment file is missing', 410);
+      }
+      console.error('Verify archive segment error:', error);
+      return this.sendError(res, 'Failed to verify archive segment');
+    }
+  }
+
+  /**
+   * Restore a segment into a separate collection for investigation
+   */
+  async restoreSegment(req, res) {
+    try {
+      const result = await archiveService.restoreSegment(req.params.segmentId, req.user._id);
+
+      return this.sendSuccess(res, result, 'Archive segment restored successfully');
+
+    } catch (error) {
+      if (error.message === 'Archive segment not found') {
+        return this.sendNotFound(res);
+      }
+      if (error.message === 'Archive segment failed integrity verification') {
+        return this.sendError(res, error.message, 409);
+      }
+      if (error.code === 'ENOENT') {
+        return this.sendError(res, 'Archive segment file is missing', 410);
+      }
+      console.error('Restore archive segment error:', error);
+      return this.sendError(res, 'Failed to restore archive segment');
+    }
+  }
+
+  /**
+   * Run archival now instead of waiting for the schedule
+   */
+  async runArchival(req, res) {
+    try {
+      const result = await archiveService.runArchival();
+
+      if (result.skipped) {
+        return this.sendError(res, 'Archival is already running', 409);
+      }
+
+      return this.sendSuccess(res, result, 'Archival completed');
+
+    } catch (error) {
+      console.error('Run archival error:', error);
+      return this.sendError(res, 'Failed to run archival');
+    }
+  }
+}
+
+module.exports = new ArchiveController();
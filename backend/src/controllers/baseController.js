@@ -6,6 +6,26 @@ class BaseController {
   constructor(model, modelName) {
     this.model = model;
     this.modelName = modelName;
+
+    // Route modules pass handlers unbound (router.get('/', controller.getAll)),
+    // so bind every controller method to the instance
+    this.bindMethods();
+  }
+
+  /**
+   * Bind prototype methods of this controller and its subclasses to the instance
+   */
+  bindMethods() {
+    let proto = Object.getPrototypeOf(this);
+
+    while (proto && proto !== Object.prototype) {
+      for (const name of Object.getOwnPropertyNames(proto)) {
+        if (name !== 'constructor' && typeof this[name] === 'function' && !Object.prototype.hasOwnProperty.call(this, name)) {
+          this[name] = this[name].bind(this);
+        }
+      }
+      proto = Object.getPrototypeOf(proto);
+    }
   }
 
   /**
@@ -0,0 +1,264 @@
+const { Log, EventType } = require('../models');
+const eventTypeService = require('../services/eventTypeService');
+const { EventTypeError } = require('../services/eventTypeService');
+const { LOG_TYPES, EVENT_TYPE_KEY_PATTERN } = require('../config/eventTypes');
+const { auditLogger } = require('../utils/logger');
+const BaseController = require('./baseController');
+const Joi = require('joi');
+
+/**
+ * Event Type Controller
+ * Handles the event type registry
+ */
+class EventTypeController extends BaseController {
+  constructor() {
+    super(EventType, 'Event type');
+  }
+
+  /**
+   * List the event types available to the user's organization
+   */
+  async getEventTypes(req, res) {
+    try {
+      const types = await eventTypeService.getTypes(req.user.organizationId);
+
+      let list = [...types.values()];
+      if (req.query.builtin !== undefined) {
+        list = list.filter(type => !!type.builtin === (req.query.builtin === 'true'));
+      }
+
+      list.sort((a, b) => a.key.localeCompare(b.key));
+
+      return this.sendSuccess(res, list, 'Event types retrieved successfully');
+
+    } catch (error) {
+      console.error('Get event types error:', error);
+      return this.sendError(res, 'Failed to retrieve event types');
+    }
+  }
+
+  /**
+   * Get event type by ID
+   */
+  async getEventTypeById(req, res) {
+    try {
+      const type = await EventType.findById(req.params.id);
+
+      if (!type || !this.canAccess(type, req.user)) {
+        return this.sendNotFound(res);
+      }
+
+      return this.sendSuccess(res, type, 'Event type retrieved successfully');
+
+    } catch (error) {
+      console.error('Get event type error:', error);
+      return this.sendError(res, 'Failed to retrieve event type');
+    }
+  }
+
+  /**
+   * Register a custom event type for the admin's organization
+   */
+  async createEventType(req, res) {
+    try {
+      const { error, value } = this.validateEventType(req.body);
+      if (error) {
+        return this.sendValidationError(res, error.details);
+      }
+
+      const invalid = value.detailsSchema && eventTypeService.checkSchema(value.detailsSchema);
+      if (invalid) {
+        return this.sendError(res, invalid, 400);
+      }
+
+      const organizationId = req.user.organizationId || null;
+      if (await eventTypeService.getEventType(value.key, organizationId)) {
+        return this.sendError(res, `Event type '${value.key}' already exists`, 409);
+      }
+
+      const type = await EventType.create({
+        ...value,
+        organizationId,
+        builtin: false,
+        createdBy: req.user._id,
+        updatedBy: req.user._id
+      });
+
+      eventTypeService.invalidateTypes();
+
+      auditLogger.info('Event type created', {
+        eventTypeId: type._id,
+        key: type.key,
+        organizationId,
+        userId: req.user._id
+      });
+
+      return this.sendSuccess(res, type, 'Event type created successfully', 201);
+
+    } catch (error) {
+      console.error('Create event type error:', error);
+      return this.sendError(res, 'Failed to create event type');
+    }
+  }
+
+  /**
+   * Update event type. Built-in types can only be changed by admins
+   * without an organization, since every organization shares them.
+   */
+  async updateEventType(req, res) {
+    try {
+      const { error, value } = this.validateEventType(req.body, true);
+      if (error) {
+        return this.sendValidationError(res, error.details);
+      }
+
+      const type = await EventType.findById(req.params.id);
+      if (!type || !this.canAccess(type, req.user)) {
+        return this.sendNotFound(res);
+      }
+
+      if (!this.canModify(type, req.user)) {
+        return this.sendError(res, 'Shared event types can only be changed by platform admins', 403);
+      }
+
+      const invalid = value.detailsSchema && eventTypeService.checkSchema(value.detailsSchema);
+      if (invalid) {
+        return this.sendError(res, invalid, 400);
+      }
+
+      type.set({ ...value, updatedBy: req.user._id });
+      await type.save();
+
+      eventTypeService.invalidateTypes();
+
+      auditLogger.info('Event type updated', {
+        eventTypeId: type._id,
+        key: type.key,
+        changes: Object.keys(value),
+        userId: req.user._id
+      });
+
+      return this.sendSuccess(res, type, 'Event type updated successfully');
+
+    } catch (error) {
+      console.error('Update event type error:', error);
+      return this.sendError(res, 'Failed to update event type');
+    }
+  }
+
+  /**
+   * Delete a custom event type that no log uses yet
+   */
+  async deleteEventType(req, res) {
+    try {
+      const type = await EventType.findById(req.params.id);
+      if (!type || !this.canAccess(type, req.user)) {
+        return this.sendNotFound(res);
+      }
+
+      if (type.builtin) {
+        return this.sendError(res, 'Built-in event types cannot be deleted; disable them instead', 400);
+      }
+
+      if (!this.canModify(type, req.user)) {
+        return this.sendError(res, 'Shared event types can only be changed by platform admins', 403);
+      }
+
+      const logFilter = { eventType: type.key };
+      if (type.organizationId) {
+        logFilter.organizationId = type.organizationId;
+      }
+
+      if (await Log.exists(logFilter)) {
+        return this.sendError(res, 'Event type is used by stored logs; disable it instead', 409);
+      }
+
+      await type.deleteOne();
+      eventTypeService.invalidateTypes();
+
+      auditLogger.info('Event type deleted', {
+        eventTypeId: type._id,
+        key: type.key,
+        userId: req.user._id
+      });
+
+      return this.sendSuccess(res, null, 'Event type deleted successfully');
+
+    } catch (error) {
+      console.error('Delete event type error:', error);
+      return this.sendError(res, 'Failed to delete event type');
+    }
+  }
+
+  /**
+   * Check sample details against an event type without storing a log
+   */
+  async validateSample(req, res) {
+    try {
+      const type = await EventType.findById(req.params.id);
+      if (!type || !this.canAccess(type, req.user)) {
+        return this.sendNotFound(res);
+      }
+
+      try {
+        await eventTypeService.validateLogData({
+          eventType: type.key,
+          organizationId: type.organizationId,
+          details: req.body.details
+        });
+      } catch (validationError) {
+        if (validationError instanceof EventTypeError) {
+          return this.sendSuccess(res, {
+            valid: false,
+            message: validationError.message,
+            errors: validationError.details
+          }, 'Sample does not match the event type');
+        }
+        throw validationError;
+      }
+
+      return this.sendSuccess(res, { valid: true, errors: [] }, 'Sample matches the event type');
+
+    } catch (error) {
+      console.error('Validate event type sample error:', error);
+      return this.sendError(res, 'Failed to validate sample');
+    }
+  }
+
+  /**
+   * Whether the user can see an event type: shared types or their organization's
+   */
+  canAccess(type, user) {
+    return !type.organizationId ||
+      (!!user.organizationId && type.organizationId.toString() === user.organizationId.toString());
+  }
+
+  /**
+   * Whether the user can change an event type: their organization's types, or
+   * shared types for admins without an organization
+   */
+  canModify(type, user) {
+    return type.organizationId ? this.canAccess(type, user) : !user.organizationId;
+  }
+
+  /**
+   * Validation schemas
+   */
+  validateEventType(data, isUpdate = false) {
+    const required = isUpdate ? 'optional' : 'required';
+
+    const schema = Joi.object({
+      key: isUpdate ? Joi.forbidden() : Joi.string().pattern(EVENT_TYPE_KEY_PATTERN).required(),
+      name: Joi.string().trim().max(100)[required](),
+      description: Joi.string().max(500).allow('').optional(),
+      enabled: Joi.boolean().optional(),
+      detailsSchema: Joi.object().allow(null).optional(),
+      defaultSeverity: Joi.string().valid('Low', 'Medium', 'High', 'Critical').optional(),
+      logType: Joi.string().valid(...LOG_TYPES).optional()
+    });
+
+    return schema.validate(data);
+  }
+}
+
+module.exports = new EventTypeController();
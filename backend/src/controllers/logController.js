@@ -1,6 +1,15 @@
 const Log = require('../models/Log');
 const logService = require('../services/logService');
 const blockchainService = require('../services/blockchainService');
+const ingestService = require('../services/ingestService');
+const ledgerService = require('../services/ledgerService');
+const exportService = require('../services/exportService');
+const anchorQueueService = require('../services/anchorQueueService');
+const config = require('../config');
+const { LogQueryLanguage, QueryParseError } = require('../utils/logQueryLanguage');
+const { TRACE_ID_PATTERN } = require('../middleware/requestContext');
+const { EventTypeError } = require('../services/eventTypeService');
+const { EVENT_TYPE_KEY_PATTERN } = require('../config/eventTypes');
 const BaseController = require('./baseController');
 const Joi = require('joi');
 
@@ -35,6 +44,11 @@ class LogController extends BaseController {
       // Create log
       const log = await logService.createLog(logData);
 
+      // Repeated events join an open aggregate, stored and anchored when its window closes
+      if (log.aggregated) {
+        return this.sendSuccess(res, log, 'Log added to an open aggregate', 202);
+      }
+
       // Anchor to blockchain if it's a high-priority event
       const highPriorityEvents = ['security_breach', 'admin_action', 'data_access', 'system_alert'];
       if (process.env.BLOCKCHAIN_ENABLED === 'true' && 
@@ -50,11 +64,140 @@ class LogController extends BaseController {
       return this.sendSuccess(res, log, 'Log created successfully', 201);
 
     } catch (error) {
+      if (error instanceof EventTypeError) {
+        return this.sendError(res, error.message, 400, error.details);
+      }
       console.error('Create log error:', error);
       return this.sendError(res, 'Failed to create log');
     }
   }
 
+  /**
+   * Ingest raw CEF or LEEF lines and report per-line results
+   */
+  async ingestCefLeef(req, res) {
+    try {
+      const { error, value } = this.validateCefLeefIngest(req.query);
+      if (error) {
+        return this.sendValidationError(res, error.details);
+      }
+
+      let lines;
+      if (typeof req.body === 'string') {
+        lines = req.body.split(/\r?\n/);
+      } else if (Array.isArray(req.body?.lines)) {
+        lines = req.body.lines.map(String);
+      } else {
+        return this.sendError(res, 'Send newline-separated text or a JSON body with a lines array', 400);
+      }
+
+      if (!lines.some(line => line.trim())) {
+        return this.sendError(res, 'No events to ingest', 400);
+      }
+
+      if (lines.length > ingestService.maxLinesPerRequest) {
+        return this.sendError(res, `A batch may contain at most ${ingestService.maxLinesPerRequest} lines`, 413);
+      }
+
+      const report = await ingestService.ingestCefLeef(lines, {
+        format: req.params.format,
+        defaultEventType: value.eventType,
+        defaultSource: value.source,
+        organizationId: req.user.organizationId,
+        userId: req.user.id
+      });
+
+      return this.sendSuccess(res, report, `Ingested ${report.accepted} of ${report.total} events`);
+
+    } catch (error) {
+      console.error('CEF/LEEF ingest error:', error);
+      return this.sendError(res, 'Failed to ingest events');
+    }
+  }
+
+  /**
+   * Ingest nginx/Apache access log lines and detect web attacks
+   */
+  async ingestAccessLog(req, res) {
+    try {
+      const body = typeof req.body === 'string' ? {} : req.body || {};
+      const { error, value } = this.validateAccessLogIngest({
+        format: body.format || req.query.format,
+        source: req.query.source
+      });
+      if (error) {
+        return this.sendValidationError(res, error.details);
+      }
+
+      let lines;
+      if (typeof req.body === 'string') {
+        lines = req.body.split(/\r?\n/);
+      } else if (Array.isArray(body.lines)) {
+        lines = body.lines.map(String);
+      } else {
+        return this.sendError(res, 'Send newline-separated text or a JSON body with a lines array', 400);
+      }
+
+      if (!lines.some(line => line.trim())) {
+        return this.sendError(res, 'No requests to ingest', 400);
+      }
+
+      if (lines.length > ingestService.maxLinesPerRequest) {
+        return this.sendError(res, `A batch may contain at most ${ingestService.maxLinesPerRequest} lines`, 413);
+      }
+
+      let report;
+      try {
+        report = await ingestService.ingestAccessLog(lines, {
+          ...value,
+          organizationId: req.user.organizationId,
+          userId: req.user.id
+        });
+      } catch (formatError) {
+        if (formatError.message === 'Access log format has no fields') {
+          return this.sendError(res, formatError.message, 400);
+        }
+        throw formatError;
+      }
+
+      return this.sendSuccess(res, report, `Ingested ${report.accepted} of ${report.total} requests`);
+
+    } catch (error) {
+      console.error('Access log ingest error:', error);
+      return this.sendError(res, 'Failed to ingest access log');
+    }
+  }
+
+  /**
+   * Stream-ingest NDJSON logs for API-key clients and report per-line errors
+   */
+  async ingestNdjson(req, res) {
+    try {
+      if (!req.is('application/x-ndjson')) {
+        return this.sendError(res, 'Content-Type must be application/x-ndjson', 415);
+      }
+
+      const report = await ingestService.ingestNdjsonStream(req, {
+        userId: req.user?._id || req.user,
+        organizationId: req.user?.organizationId
+      });
+
+      if (report.total === 0) {
+        return this.sendError(res, 'No logs to ingest', 400);
+      }
+
+      if (report.accepted === 0) {
+        return this.sendError(res, 'No logs were accepted', 422, report);
+      }
+
+      return this.sendSuccess(res, report, `Ingested ${report.accepted} of ${report.total} logs`);
+
+    } catch (error) {
+      console.error('NDJSON ingest error:', error);
+      return this.sendError(res, 'Failed to ingest logs');
+    }
+  }
+
   /**
    * Get logs with advanced filtering
    */
@@ -92,11 +235,60 @@ class LogController extends BaseController {
       }, 'Logs retrieved successfully');
 
     } catch (error) {
+      if (error instanceof QueryParseError) {
+        return this.sendError(res, 'Invalid search query', 400, error.toJSON());
+      }
       console.error('Get logs error:', error);
       return this.sendError(res, 'Failed to retrieve logs');
     }
   }
 
+  /**
+   * Validate a query language expression and return its compiled filter
+   */
+  async validateQuery(req, res) {
+    try {
+      const filter = LogQueryLanguage.compile(req.query.q);
+
+      return this.sendSuccess(res, { valid: true, filter }, 'Query is valid');
+
+    } catch (error) {
+      if (error instanceof QueryParseError) {
+        return this.sendError(res, 'Invalid search query', 400, error.toJSON());
+      }
+      console.error('Validate query error:', error);
+      return this.sendError(res, 'Failed to validate query');
+    }
+  }
+
+  /**
+   * Get the ordered timeline of logs, threats and alerts for a correlation ID
+   */
+  async getCorrelationTimeline(req, res) {
+    try {
+      const { correlationId } = req.params;
+      if (!TRACE_ID_PATTERN.test(correlationId)) {
+        return this.sendError(res, 'Invalid correlation ID', 400);
+      }
+
+      const limit = Math.min(parseInt(req.query.limit) || 1000, 5000);
+      const timeline = await logService.getCorrelationTimeline(correlationId, {
+        organizationId: req.user.role !== 'Admin' ? req.user.organizationId : undefined,
+        limit
+      });
+
+      if (timeline.entries.length === 0) {
+        return this.sendNotFound(res, 'No events found for this correlation ID');
+      }
+
+      return this.sendSuccess(res, timeline, 'Correlation timeline retrieved successfully');
+
+    } catch (error) {
+      console.error('Get correlation timeline error:', error);
+      return this.sendError(res, 'Failed to retrieve correlation timeline');
+    }
+  }
+
   /**
    * Get log by ID
    */
@@ -156,6 +348,79 @@ class LogController extends BaseController {
     }
   }
 
+  /**
+   * Verify a log's Merkle inclusion proof against its anchored batch root
+   */
+  async verifyLogProof(req, res) {
+    try {
+      const log = await Log.findById(req.params.id).select('organizationId');
+      if (!log) {
+        return this.sendNotFound(res, 'Log not found');
+      }
+
+      // Check permissions
+      if (req.user.role !== 'Admin' &&
+          String(req.user.organizationId) !== String(log.organizationId)) {
+        return this.sendError(res, 'Access denied', 403);
+      }
+
+      const result = await logService.verifyLogProof(req.params.id);
+
+      if (!result.anchored) {
+        return this.sendError(res, 'Log has not been anchored in a batch yet', 400);
+      }
+
+      const message = result.verified
+        ? 'Log inclusion proof verified'
+        : 'Log inclusion proof verification failed';
+
+      return this.sendSuccess(res, result, message);
+
+    } catch (error) {
+      if (error.message === 'Log not found') {
+        return this.sendNotFound(res, 'Log not found');
+      }
+      console.error('Verify log proof error:', error);
+      return this.sendError(res, 'Failed to verify log proof');
+    }
+  }
+
+  /**
+   * Get health of the organization's local log hash chain
+   */
+  async getChainHealth(req, res) {
+    try {
+      const organizationId = req.user.organizationId || null;
+
+      if (req.query.verify === 'true') {
+        await ledgerService.verifyChain(organizationId);
+      }
+
+      const health = await ledgerService.getChainHealth(organizationId);
+
+      return this.sendSuccess(res, health, 'Chain health retrieved successfully');
+
+    } catch (error) {
+      console.error('Get chain health error:', error);
+      return this.sendError(res, 'Failed to get chain health');
+    }
+  }
+
+  /**
+   * Get anchoring queue depth and backpressure state
+   */
+  async getAnchorQueueStats(req, res) {
+    try {
+      const stats = await anchorQueueService.getStats();
+
+      return this.sendSuccess(res, stats, 'Anchor queue statistics retrieved successfully');
+
+    } catch (error) {
+      console.error('Get anchor queue stats error:', error);
+      return this.sendError(res, 'Failed to get anchor queue statistics');
+    }
+  }
+
   /**
    * Anchor log to blockchain
    */
@@ -206,6 +471,9 @@ class LogController extends BaseController {
       return this.sendSuccess(res, stats, 'Log statistics retrieved successfully');
 
     } catch (error) {
+      if (error instanceof QueryParseError) {
+        return this.sendError(res, 'Invalid search query', 400, error.toJSON());
+      }
       console.error('Get log stats error:', error);
       return this.sendError(res, 'Failed to retrieve log statistics');
     }
@@ -218,48 +486,152 @@ class LogController extends BaseController {
     try {
       const { format = 'json', startDate, endDate } = req.query;
 
-      if (!['json', 'csv'].includes(format)) {
-        return this.sendError(res, 'Invalid format. Supported formats: json, csv', 400);
+      if (format !== 'pdf' && !exportService.formats.includes(format)) {
+        return this.sendError(res, `Invalid format. Supported formats: ${[...exportService.formats, 'pdf'].join(', ')}`, 400);
       }
 
       const filter = this.buildLogFilter(req.query, req.user);
+      const gzip = req.query.gzip === 'true';
+      const total = await Log.countDocuments(filter);
 
-      const logs = await Log.find(filter)
-        .populate('userId', 'name email')
-        .populate('organizationId', 'name')
-        .sort({ timestamp: -1 })
-        .limit(10000); // Limit for performance
+      // PDF exports are rendered in one pass and kept small enough to read
+      if (format === 'pdf') {
+        if (total > config.EXPORT.PDF_MAX_RECORDS) {
+          return this.sendError(res, `PDF exports are limited to ${config.EXPORT.PDF_MAX_RECORDS} logs; narrow the filters or use another format`, 400);
+        }
 
-      if (format === 'csv') {
-        const csv = await logService.convertLogsToCSV(logs);
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', 'attachment; filename=security_logs.csv');
-        return res.send(csv);
+        const result = await logService.exportLogs(this.getExportFilters(req.query), 'pdf', {
+          query: filter,
+          requestedBy: req.user.email,
+          anchor: req.query.anchor === 'true'
+        });
+
+        res.setHeader('Content-Type', result.mimeType);
+        res.setHeader('Content-Disposition', `attachment; filename=${result.filename}`);
+        res.setHeader('X-Export-Records', result.recordCount);
+        res.setHeader('X-Export-Content-Hash', result.contentHash);
+        if (result.anchor) {
+          res.setHeader('X-Export-Anchor-Tx', result.anchor.transactionHash);
+        }
+
+        return res.send(result.data);
+      }
+
+      // Large exports run in the background and are downloaded when ready
+      if (total > exportService.syncMaxRecords || req.query.async === 'true') {
+        const job = await exportService.createJob({
+          filter,
+          format,
+          gzip,
+          total,
+          requestedBy: req.user._id
+        });
+
+        return this.sendSuccess(res, {
+          jobId: job.jobId,
+          status: job.status,
+          total,
+          statusUrl: `/api/logs/export/jobs/${job.jobId}`,
+          downloadUrl: `/api/logs/export/jobs/${job.jobId}/download`
+        }, 'Export queued', 202);
       }
 
-      const exportData = {
+      await exportService.streamToResponse(res, {
+        filter,
+        format,
+        gzip,
+        total,
         metadata: {
           exportedAt: new Date().toISOString(),
-          totalLogs: logs.length,
+          totalLogs: total,
           exportedBy: req.user.email,
           dateRange: {
             start: startDate,
             end: endDate
           }
-        },
-        logs
-      };
-
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Content-Disposition', 'attachment; filename=security_logs.json');
-      return res.send(JSON.stringify(exportData, null, 2));
+        }
+      });
 
     } catch (error) {
+      if (error instanceof QueryParseError) {
+        return this.sendError(res, 'Invalid search query', 400, error.toJSON());
+      }
       console.error('Export logs error:', error);
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
       return this.sendError(res, 'Failed to export logs');
     }
   }
 
+  /**
+   * Get background export job status
+   */
+  async getExportJob(req, res) {
+    try {
+      const job = await exportService.getJob(req.params.jobId);
+
+      if (!job || !this.canAccessExportJob(job, req.user)) {
+        return this.sendNotFound(res, 'Export job not found');
+      }
+
+      return this.sendSuccess(res, {
+        jobId: job.jobId,
+        status: job.status,
+        format: job.format,
+        gzip: job.gzip,
+        total: job.total,
+        processed: job.processed,
+        sizeBytes: job.sizeBytes,
+        error: job.error,
+        createdAt: job.createdAt,
+        completedAt: job.completedAt,
+        expiresAt: job.expiresAt,
+        downloadUrl: job.status === 'Completed' ? `/api/logs/export/jobs/${job.jobId}/download` : null
+      }, 'Export job retrieved successfully');
+
+    } catch (error) {
+      console.error('Get export job error:', error);
+      return this.sendError(res, 'Failed to retrieve export job');
+    }
+  }
+
+  /**
+   * Download the file of a completed export job
+   */
+  async downloadExportJob(req, res) {
+    try {
+      const job = await exportService.getJob(req.params.jobId);
+
+      if (!job || !this.canAccessExportJob(job, req.user)) {
+        return this.sendNotFound(res, 'Export job not found');
+      }
+
+      if (job.status !== 'Completed') {
+        return this.sendError(res, `Export job is ${job.status.toLowerCase()}`, 409);
+      }
+
+      res.setHeader('Content-Type', exportService.getJobContentType(job));
+      res.setHeader('X-Export-Total', job.processed);
+      return res.download(exportService.resolveExportFile(job.fileName), job.fileName, (error) => {
+        if (error && !res.headersSent) {
+          this.sendError(res, 'Export file is no longer available', 410);
+        }
+      });
+
+    } catch (error) {
+      console.error('Download export job error:', error);
+      return this.sendError(res, 'Failed to download export');
+    }
+  }
+
+  /**
+   * Check whether a user may access an export job
+   */
+  canAccessExportJob(job, user) {
+    return user.role === 'Admin' || job.requestedBy.toString() === user._id.toString();
+  }
+
   /**
    * Bulk log operations
    */
@@ -308,6 +680,17 @@ class LogController extends BaseController {
     }
   }
 
+  /**
+   * Pick the filter parameters shown on an export
+   */
+  getExportFilters(query) {
+    const fields = ['organizationId', 'eventType', 'severity', 'source', 'userId', 'isAnchored', 'search', 'startDate', 'endDate', 'q'];
+
+    return Object.fromEntries(fields
+      .filter(field => query[field] !== undefined && query[field] !== '')
+      .map(field => [field, query[field]]));
+  }
+
   /**
    * Build log-specific filter
    */
@@ -384,6 +767,11 @@ class LogController extends BaseController {
       }
     }
 
+    // Query language expression
+    if (query.q) {
+      filter.$and = [...(filter.$and || []), LogQueryLanguage.compile(query.q)];
+    }
+
     return filter;
   }
 
@@ -392,13 +780,10 @@ class LogController extends BaseController {
    */
   validateLogCreation(data) {
     const schema = Joi.object({
-      eventType: Joi.string().valid(
-        'user_login', 'user_logout', 'failed_login', 'password_change',
-        'data_access', 'data_modification', 'admin_action', 'config_change',
-        'security_breach', 'malware_detection', 'suspicious_activity',
-        'system_error', 'system_alert', 'api_call', 'file_upload', 'other'
-      ).required(),
-      severity: Joi.string().valid('low', 'medium', 'high', 'critical').required(),
+      // Checked against the event type registry when the log is created
+      eventType: Joi.string().pattern(EVENT_TYPE_KEY_PATTERN).required(),
+      // Defaults to the event type's severity
+      severity: Joi.string().valid('low', 'medium', 'high', 'critical').optional(),
       message: Joi.string().required(),
       source: Joi.string().required(),
       details: Joi.object().optional(),
@@ -409,6 +794,25 @@ class LogController extends BaseController {
     return schema.validate(data);
   }
 
+  validateCefLeefIngest(query) {
+    const schema = Joi.object({
+      eventType: Joi.string().pattern(EVENT_TYPE_KEY_PATTERN).default('intrusion_attempt'),
+      source: Joi.string().valid(...Log.schema.path('source').enumValues).default('ids')
+    });
+
+    return schema.validate(query);
+  }
+
+  validateAccessLogIngest(data) {
+    const schema = Joi.object({
+      // Preset name or a custom nginx log_format / Apache LogFormat string
+      format: Joi.string().max(1000).default('combined'),
+      source: Joi.string().valid(...Log.schema.path('source').enumValues).default('web_app')
+    });
+
+    return schema.validate(data);
+  }
+
   getPopulateFields() {
     return 'userId organizationId';
   }
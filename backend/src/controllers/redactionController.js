@@ -0,0 +1,254 @@
+const RedactionRule = require('../models/RedactionRule');
+const redactionService = require('../services/redactionService');
+const PiiDetectors = require('../utils/piiDetectors');
+const { auditLogger } = require('../utils/logger');
+const BaseController = require('./baseController');
+const Joi = require('joi');
+
+/**
+ * Redaction Controller
+ * Handles ingest redaction rules and previews
+ */
+class RedactionController extends BaseController {
+  constructor() {
+    super(RedactionRule, 'Redaction rule');
+  }
+
+  /**
+   * List stored and built-in redaction rules
+   */
+  async getRules(req, res) {
+    try {
+      const filter = {};
+      if (req.query.organizationId) {
+        filter.organizationId = req.query.organizationId;
+      }
+
+      const rules = await RedactionRule.find(filter).sort({ priority: 1, createdAt: 1 });
+
+      return this.sendSuccess(res, {
+        rules,
+        builtinRules: redactionService.getBuiltinRules()
+      }, 'Redaction rules retrieved successfully');
+
+    } catch (error) {
+      console.error('Get redaction rules error:', error);
+      return this.sendError(res, 'Failed to retrieve redaction rules');
+    }
+  }
+
+  /**
+   * List built-in detectors
+   */
+  async getDetectors(req, res) {
+    return this.sendSuccess(res, PiiDetectors.list(), 'Redaction detectors retrieved successfully');
+  }
+
+  /**
+   * Create redaction rule
+   */
+  async createRule(req, res) {
+    try {
+      const { error, value } = this.validateRule(req.body);
+      if (error) {
+        return this.sendValidationError(res, error.details);
+      }
+
+      const rule = await RedactionRule.create({
+        ...value,
+        createdBy: req.user._id,
+        updatedBy: req.user._id
+      });
+
+      redactionService.invalidateRules();
+
+      auditLogger.info('Redaction rule created', {
+        ruleId: rule._id,
+        name: rule.name,
+        userId: req.user._id
+      });
+
+      return this.sendSuccess(res, rule, 'Redaction rule created successfully', 201);
+
+    } catch (error) {
+      console.error('Create redaction rule error:', error);
+      return this.sendError(res, 'Failed to create redaction rule');
+    }
+  }
+
+  /**
+   * Update redaction rule
+   */
+  async updateRule(req, res) {
+    try {
+      const { error, value } = this.validateRule(req.body, true);
+      if (error) {
+        return this.sendValidationError(res, error.details);
+      }
+
+      const rule = await RedactionRule.findById(req.params.id);
+      if (!rule) {
+        return this.sendNotFound(res);
+      }
+
+      rule.set({ ...value, updatedBy: req.user._id });
+
+      const invalid = this.checkDetector(rule);
+      if (invalid) {
+        return this.sendError(res, invalid, 400);
+      }
+
+      await rule.save();
+      redactionService.invalidateRules();
+
+      auditLogger.info('Redaction rule updated', {
+        ruleId: rule._id,
+        changes: Object.keys(value),
+        userId: req.user._id
+      });
+
+      return this.sendSuccess(res, rule, 'Redaction rule updated successfully');
+
+    } catch (error) {
+      console.error('Update redaction rule error:', error);
+      return this.sendError(res, 'Failed to update redaction rule');
+    }
+  }
+
+  /**
+   * Delete redaction rule
+   */
+  async deleteRule(req, res) {
+    try {
+      const rule = await RedactionRule.findByIdAndDelete(req.params.id);
+      if (!rule) {
+        return this.sendNotFound(res);
+      }
+
+      redactionService.invalidateRules();
+
+      auditLogger.info('Redaction rule deleted', {
+        ruleId: rule._id,
+        name: rule.name,
+        userId: req.user._id
+      });
+
+      return this.sendSuccess(res, null, 'Redaction rule deleted successfully');
+
+    } catch (error) {
+      console.error('Delete redaction rule error:', error);
+      return this.sendError(res, 'Failed to delete redaction rule');
+    }
+  }
+
+  /**
+   * Preview stored rules, or unsaved rules, on sample logs
+   */
+  async previewRules(req, res) {
+    try {
+      const schema = Joi.object({
+        samples: Joi.array().items(Joi.object({
+          description: Joi.string().allow(''),
+          details: Joi.any(),
+          metadata: Joi.object()
+        }).unknown(true)).min(1).max(50).required(),
+        organizationId: Joi.string().hex().length(24).optional(),
+        rules: Joi.array().items(Joi.object()).max(50).optional()
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return this.sendValidationError(res, error.details);
+      }
+
+      let rules;
+      if (value.rules) {
+        rules = [];
+        for (const candidate of value.rules) {
+          const result = this.validateRule(candidate);
+          if (result.error) {
+            return this.sendValidationError(res, result.error.details);
+          }
+          rules.push(result.value);
+        }
+      }
+
+      const results = await redactionService.previewRules(value.samples, {
+        organizationId: value.organizationId || req.user.organizationId,
+        rules
+      });
+
+      return this.sendSuccess(res, results, 'Redaction preview generated successfully');
+
+    } catch (error) {
+      console.error('Preview redaction rules error:', error);
+      return this.sendError(res, 'Failed to preview redaction rules');
+    }
+  }
+
+  /**
+   * Check that a rule's detector, custom pattern and fields are usable
+   * @returns {string|null} Error message, null when valid
+   */
+  checkDetector(rule) {
+    if (rule.detector === 'custom') {
+      if (!rule.pattern) {
+        return 'Custom rules require a pattern';
+      }
+      try {
+        new RegExp(rule.pattern, 'g');
+      } catch (error) {
+        return `Invalid pattern: ${error.message}`;
+      }
+    }
+
+    if (!rule.detector && (!rule.fields || rule.fields.length === 0)) {
+      return 'Rules without a detector must list fields';
+    }
+
+    const protectedField = (rule.fields || []).find(field => redactionService.isProtectedField(field));
+    if (protectedField) {
+      return `Field '${protectedField}' is validated by the log schema and cannot be redacted`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Validation schemas
+   */
+  validateRule(data, isUpdate = false) {
+    const required = isUpdate ? 'optional' : 'required';
+
+    const schema = Joi.object({
+      name: Joi.string().trim().max(100)[required](),
+      description: Joi.string().max(500).allow('').optional(),
+      organizationId: Joi.string().hex().length(24).allow(null).optional(),
+      enabled: Joi.boolean().optional(),
+      priority: Joi.number().integer().min(0).max(999).optional(),
+      fields: Joi.array().items(
+        Joi.string().pattern(/^(description|details|metadata)(\.[^.]+)*$/)
+      ).max(50).optional(),
+      detector: Joi.string().valid(...PiiDetectors.names(), 'custom').optional(),
+      pattern: Joi.string().max(500).optional(),
+      action: Joi.string().valid('mask', 'hash', 'drop')[required](),
+      mask: Joi.object({
+        keepLast: Joi.number().integer().min(0).max(8),
+        char: Joi.string().length(1)
+      }).optional()
+    });
+
+    const result = schema.validate(data);
+
+    if (!result.error && !isUpdate) {
+      const invalid = this.checkDetector(result.value);
+      if (invalid) {
+        result.error = { details: [{ message: invalid, path: ['detector'] }] };
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = new RedactionController();
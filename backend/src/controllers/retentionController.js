@@ -0,0 +1,312 @@
+const { Log, RetentionPolicy, LegalHold } = require('../models');
+const legalHoldService = require('../services/legalHoldService');
+const { LogQueryLanguage, QueryParseError } = require('../utils/logQueryLanguage');
+const { auditLogger } = require('../utils/logger');
+const BaseController = require('./baseController');
+const { EVENT_TYPE_KEY_PATTERN } = require('../config/eventTypes');
+const Joi = require('joi');
+
+/**
+ * Retention Controller
+ * Handles retention policies and legal holds
+ */
+class RetentionController extends BaseController {
+  constructor() {
+    super(RetentionPolicy, 'Retention policy');
+  }
+
+  /**
+   * List retention policies in the order they are matched
+   */
+  async getPolicies(req, res) {
+    try {
+      const filter = {};
+      if (req.query.organizationId) {
+        filter.organizationId = req.query.organizationId;
+      }
+
+      const policies = await RetentionPolicy.find(filter).sort({ priority: 1, createdAt: 1 });
+
+      return this.sendSuccess(res, policies, 'Retention policies retrieved successfully');
+
+    } catch (error) {
+      console.error('Get retention policies error:', error);
+      return this.sendError(res, 'Failed to retrieve retention policies');
+    }
+  }
+
+  /**
+   * Create retention policy
+   */
+  async createPolicy(req, res) {
+    try {
+      const { error, value } = this.validatePolicy(req.body);
+      if (error) {
+        return this.sendValidationError(res, error.details);
+      }
+
+      const policy = await RetentionPolicy.create({
+        ...value,
+        createdBy: req.user._id,
+        updatedBy: req.user._id
+      });
+
+      auditLogger.info('Retention policy created', {
+        policyId: policy._id,
+        name: policy.name,
+        archiveAfterDays: policy.archiveAfterDays,
+        deleteAfterDays: policy.deleteAfterDays,
+        userId: req.user._id
+      });
+
+      return this.sendSuccess(res, policy, 'Retention policy created successfully', 201);
+
+    } catch (error) {
+      console.error('Create retention policy error:', error);
+      return this.sendError(res, 'Failed to create retention policy');
+    }
+  }
+
+  /**
+   * Update retention policy
+   */
+  async updatePolicy(req, res) {
+    try {
+      const { error, value } = this.validatePolicy(req.body, true);
+      if (error) {
+        return this.sendValidationError(res, error.details);
+      }
+
+      const policy = await RetentionPolicy.findById(req.params.id);
+      if (!policy) {
+        return this.sendNotFound(res);
+      }
+
+      policy.set({ ...value, updatedBy: req.user._id });
+
+      const invalid = this.checkWindows(policy);
+      if (invalid) {
+        return this.sendError(res, invalid, 400);
+      }
+
+      await policy.save();
+
+      auditLogger.info('Retention policy updated', {
+        policyId: policy._id,
+        changes: Object.keys(value),
+        userId: req.user._id
+      });
+
+      return this.sendSuccess(res, policy, 'Retention policy updated successfully');
+
+    } catch (error) {
+      console.error('Update retention policy error:', error);
+      return this.sendError(res, 'Failed to update retention policy');
+    }
+  }
+
+  /**
+   * Delete retention policy
+   */
+  async deletePolicy(req, res) {
+    try {
+      const policy = await RetentionPolicy.findByIdAndDelete(req.params.id);
+      if (!policy) {
+        return this.sendNotFound(res);
+      }
+
+      auditLogger.info('Retention policy deleted', {
+        policyId: policy._id,
+        name: policy.name,
+        userId: req.user._id
+      });
+
+      return this.sendSuccess(res, null, 'Retention policy deleted successfully');
+
+    } catch (error) {
+      console.error('Delete retention policy error:', error);
+      return this.sendError(res, 'Failed to delete retention policy');
+    }
+  }
+
+  /**
+   * List legal holds
+   */
+  async getLegalHolds(req, res) {
+    try {
+      const filter = {};
+      if (req.query.status) {
+        filter.status = req.query.status;
+      }
+
+      const holds = await LegalHold.find(filter)
+        .sort({ createdAt: -1 })
+        .populate('createdBy', 'email role')
+        .populate('release.releasedBy', 'email role');
+
+      return this.sendSuccess(res, holds, 'Legal holds retrieved successfully');
+
+    } catch (error) {
+      console.error('Get legal holds error:', error);
+      return this.sendError(res, 'Failed to retrieve legal holds');
+    }
+  }
+
+  /**
+   * Get legal hold by ID
+   */
+  async getLegalHoldById(req, res) {
+    try {
+      const hold = await LegalHold.findById(req.params.id)
+        .populate('createdBy', 'email role')
+        .populate('release.releasedBy', 'email role');
+
+      if (!hold) {
+        return this.sendNotFound(res, 'Legal hold not found');
+      }
+
+      return this.sendSuccess(res, hold, 'Legal hold retrieved successfully');
+
+    } catch (error) {
+      console.error('Get legal hold error:', error);
+      return this.sendError(res, 'Failed to retrieve legal hold');
+    }
+  }
+
+  /**
+   * Place legal hold
+   */
+  async createLegalHold(req, res) {
+    try {
+      const { error, value } = this.validateLegalHold(req.body);
+      if (error) {
+        return this.sendValidationError(res, error.details);
+      }
+
+      if (value.scope.logQuery) {
+        try {
+          LogQueryLanguage.compile(value.scope.logQuery);
+        } catch (parseError) {
+          if (parseError instanceof QueryParseError) {
+            return this.sendError(res, 'Invalid search query', 400, parseError.toJSON());
+          }
+          throw parseError;
+        }
+      }
+
+      const hold = await legalHoldService.placeHold(value, req.user);
+
+      return this.sendSuccess(res, hold, 'Legal hold placed successfully', 201);
+
+    } catch (error) {
+      console.error('Create legal hold error:', error);
+      return this.sendError(res, 'Failed to place legal hold');
+    }
+  }
+
+  /**
+   * Release legal hold
+   */
+  async releaseLegalHold(req, res) {
+    try {
+      const { error, value } = Joi.object({
+        reason: Joi.string().trim().min(3).max(1000).required()
+      }).validate(req.body);
+
+      if (error) {
+        return this.sendValidationError(res, error.details);
+      }
+
+      const hold = await LegalHold.findById(req.params.id);
+      if (!hold) {
+        return this.sendNotFound(res, 'Legal hold not found');
+      }
+
+      if (hold.status !== 'active') {
+        return this.sendError(res, 'Legal hold is already released', 409);
+      }
+
+      const released = await legalHoldService.releaseHold(hold, req.user, value.reason);
+
+      return this.sendSuccess(res, released, 'Legal hold released successfully');
+
+    } catch (error) {
+      console.error('Release legal hold error:', error);
+      return this.sendError(res, 'Failed to release legal hold');
+    }
+  }
+
+  /**
+   * Check that a policy does something and deletes no earlier than it archives
+   * @returns {string|null} Error message, null when valid
+   */
+  checkWindows(policy) {
+    const { archiveAfterDays, deleteAfterDays } = policy;
+
+    if (archiveAfterDays == null && deleteAfterDays == null) {
+      return 'Policies need archiveAfterDays, deleteAfterDays or both';
+    }
+
+    if (archiveAfterDays != null && deleteAfterDays != null && deleteAfterDays < archiveAfterDays) {
+      return 'deleteAfterDays cannot be shorter than archiveAfterDays';
+    }
+
+    return null;
+  }
+
+  /**
+   * Validation schemas
+   */
+  validatePolicy(data, isUpdate = false) {
+    const required = isUpdate ? 'optional' : 'required';
+
+    const schema = Joi.object({
+      name: Joi.string().trim().max(100)[required](),
+      description: Joi.string().max(500).allow('').optional(),
+      organizationId: Joi.string().hex().length(24).allow(null).optional(),
+      enabled: Joi.boolean().optional(),
+      priority: Joi.number().integer().min(0).max(999).optional(),
+      match: Joi.object({
+        eventTypes: Joi.array().items(Joi.string().pattern(EVENT_TYPE_KEY_PATTERN)),
+        sources: Joi.array().items(Joi.string().valid(...Log.schema.path('source').enumValues)),
+        severities: Joi.array().items(Joi.string().valid('Low', 'Medium', 'High', 'Critical'))
+      }).optional(),
+      archiveAfterDays: Joi.number().integer().min(0).max(36500).allow(null).optional(),
+      deleteAfterDays: Joi.number().integer().min(0).max(36500).allow(null).optional()
+    });
+
+    const result = schema.validate(data);
+
+    if (!result.error && !isUpdate) {
+      const invalid = this.checkWindows(result.value);
+      if (invalid) {
+        result.error = { details: [{ message: invalid, path: ['deleteAfterDays'] }] };
+      }
+    }
+
+    return result;
+  }
+
+  validateLegalHold(data) {
+    const objectIds = Joi.array().items(Joi.string().hex().length(24)).max(10000);
+
+    const schema = Joi.object({
+      name: Joi.string().trim().max(100).required(),
+      reason: Joi.string().trim().max(1000).required(),
+      caseReference: Joi.string().trim().max(100).optional(),
+      organizationId: Joi.string().hex().length(24).optional(),
+      scope: Joi.object({
+        logIds: objectIds,
+        threatIds: objectIds,
+        reportIds: objectIds,
+        logQuery: Joi.string().max(2000),
+        from: Joi.date().iso(),
+        to: Joi.date().iso().min(Joi.ref('from'))
+      }).or('logIds', 'threatIds', 'reportIds', 'logQuery', 'from', 'to').required()
+    });
+
+    return schema.validate(data);
+  }
+}
+
+module.exports = new RetentionController();
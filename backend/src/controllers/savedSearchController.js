@@ -0,0 +1,308 @@
+const SavedSearch = require('../models/SavedSearch');
+const savedSearchService = require('../services/savedSearchService');
+const alertService = require('../services/alertService');
+const { LogQueryLanguage, QueryParseError } = require('../utils/logQueryLanguage');
+const BaseController = require('./baseController');
+const Joi = require('joi');
+
+/**
+ * Saved Search Controller
+ * Handles saved log searches, sharing and threshold monitors
+ */
+class SavedSearchController extends BaseController {
+  constructor() {
+    super(SavedSearch, 'Saved search');
+  }
+
+  /**
+   * List saved searches owned by or shared with the user
+   */
+  async getSavedSearches(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+      const { searches, total } = await savedSearchService.listForUser(req.user, { page, limit });
+
+      const pagination = {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      };
+
+      return this.sendSuccess(res, {
+        searches,
+        pagination
+      }, 'Saved searches retrieved successfully');
+
+    } catch (error) {
+      console.error('Get saved searches error:', error);
+      return this.sendError(res, 'Failed to retrieve saved searches');
+    }
+  }
+
+  /**
+   * Get saved search by ID
+   */
+  async getSavedSearchById(req, res) {
+    try {
+      const search = await SavedSearch.findById(req.params.id);
+
+      if (!search || !savedSearchService.canAccess(search, req.user)) {
+        return this.sendNotFound(res);
+      }
+
+      await search.populate('owner', 'name email');
+
+      return this.sendSuccess(res, search, 'Saved search retrieved successfully');
+
+    } catch (error) {
+      console.error('Get saved search error:', error);
+      return this.sendError(res, 'Failed to retrieve saved search');
+    }
+  }
+
+  /**
+   * Create saved search
+   */
+  async createSavedSearch(req, res) {
+    try {
+      const { error, value } = this.validateSavedSearch(req.body);
+      if (error) {
+        return this.sendValidationError(res, error.details);
+      }
+
+      const invalid = this.checkSearchDefinition(value);
+      if (invalid) {
+        return this.sendError(res, invalid.message, 400, invalid.details);
+      }
+
+      const definition = {
+        ...value,
+        owner: req.user._id,
+        organizationId: req.user.role !== 'Admin' ? req.user.organizationId : value.organizationId
+      };
+
+      const outsiders = await savedSearchService.findUsersOutsideOrganization(definition);
+      if (outsiders.length > 0) {
+        return this.sendError(res, 'Saved searches can only be shared with users in their organization', 400, { users: outsiders });
+      }
+
+      const search = await SavedSearch.create(definition);
+
+      savedSearchService.scheduleMonitor(search);
+
+      return this.sendSuccess(res, search, 'Saved search created successfully', 201);
+
+    } catch (error) {
+      console.error('Create saved search error:', error);
+      return this.sendError(res, 'Failed to create saved search');
+    }
+  }
+
+  /**
+   * Update saved search (owner or admin)
+   */
+  async updateSavedSearch(req, res) {
+    try {
+      const search = await SavedSearch.findById(req.params.id);
+
+      if (!search || !savedSearchService.canAccess(search, req.user)) {
+        return this.sendNotFound(res);
+      }
+
+      if (!savedSearchService.canModify(search, req.user)) {
+        return this.sendError(res, 'Access denied', 403);
+      }
+
+      const { error, value } = this.validateSavedSearch(req.body, true);
+      if (error) {
+        return this.sendValidationError(res, error.details);
+      }
+
+      const { monitor, sharing, organizationId, ...fields } = value;
+      search.set(fields);
+
+      // Only admins can move a saved search to another organization
+      if (organizationId !== undefined && req.user.role === 'Admin') {
+        search.set('organizationId', organizationId);
+      }
+
+      if (sharing) {
+        search.set('sharing', { ...search.sharing.toObject(), ...sharing });
+      }
+
+      if (monitor) {
+        const current = search.monitor.toObject();
+        search.set('monitor', {
+          ...current,
+          ...monitor,
+          condition: { ...current.condition, ...monitor.condition }
+        });
+      }
+
+      const invalid = this.checkSearchDefinition(search);
+      if (invalid) {
+        return this.sendError(res, invalid.message, 400, invalid.details);
+      }
+
+      const outsiders = await savedSearchService.findUsersOutsideOrganization(search);
+      if (outsiders.length > 0) {
+        return this.sendError(res, 'Saved searches can only be shared with users in their organization', 400, { users: outsiders });
+      }
+
+      await search.save();
+      savedSearchService.scheduleMonitor(search);
+
+      return this.sendSuccess(res, search, 'Saved search updated successfully');
+
+    } catch (error) {
+      console.error('Update saved search error:', error);
+      return this.sendError(res, 'Failed to update saved search');
+    }
+  }
+
+  /**
+   * Delete saved search (owner or admin)
+   */
+  async deleteSavedSearch(req, res) {
+    try {
+      const search = await SavedSearch.findById(req.params.id);
+
+      if (!search || !savedSearchService.canAccess(search, req.user)) {
+        return this.sendNotFound(res);
+      }
+
+      if (!savedSearchService.canModify(search, req.user)) {
+        return this.sendError(res, 'Access denied', 403);
+      }
+
+      await search.deleteOne();
+      savedSearchService.unscheduleMonitor(search._id);
+
+      return this.sendSuccess(res, null, 'Saved search deleted successfully');
+
+    } catch (error) {
+      console.error('Delete saved search error:', error);
+      return this.sendError(res, 'Failed to delete saved search');
+    }
+  }
+
+  /**
+   * Run a saved search, optionally over a from/to window
+   */
+  async getSavedSearchResults(req, res) {
+    try {
+      const search = await SavedSearch.findById(req.params.id);
+
+      if (!search || !savedSearchService.canAccess(search, req.user)) {
+        return this.sendNotFound(res);
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const from = req.query.from ? new Date(req.query.from) : undefined;
+      const to = req.query.to ? new Date(req.query.to) : undefined;
+
+      if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+        return this.sendError(res, 'from and to must be valid dates', 400);
+      }
+
+      const { logs, total } = await savedSearchService.runSearch(search, { from, to, page, limit });
+
+      const pagination = {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      };
+
+      return this.sendSuccess(res, {
+        search: { _id: search._id, name: search.name, from, to },
+        logs,
+        pagination
+      }, 'Saved search results retrieved successfully');
+
+    } catch (error) {
+      console.error('Get saved search results error:', error);
+      return this.sendError(res, 'Failed to run saved search');
+    }
+  }
+
+  /**
+   * Check the query string and monitor schedule of a search definition
+   * @returns {Object|null} Error message and details, null when valid
+   */
+  checkSearchDefinition(definition) {
+    if (definition.query) {
+      try {
+        LogQueryLanguage.compile(definition.query);
+      } catch (error) {
+        if (error instanceof QueryParseError) {
+          return { message: 'Invalid search query', details: error.toJSON() };
+        }
+        throw error;
+      }
+    }
+
+    const schedule = definition.monitor?.schedule;
+    if (schedule && !savedSearchService.isValidSchedule(schedule)) {
+      return { message: 'Invalid monitor schedule', details: { schedule } };
+    }
+
+    return null;
+  }
+
+  /**
+   * Validation schemas
+   */
+  validateSavedSearch(data, isUpdate = false) {
+    const stringOrList = Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string()));
+    const required = isUpdate ? 'optional' : 'required';
+
+    const schema = Joi.object({
+      name: Joi.string().trim().max(100)[required](),
+      description: Joi.string().max(500).allow('').optional(),
+      organizationId: Joi.string().hex().length(24).optional(),
+      filters: Joi.object({
+        eventType: stringOrList,
+        severity: stringOrList,
+        source: stringOrList,
+        userId: Joi.string().hex().length(24),
+        walletAddress: Joi.string(),
+        threatLevel: Joi.string(),
+        status: Joi.string(),
+        dateRange: Joi.object({
+          from: Joi.date().iso(),
+          to: Joi.date().iso()
+        })
+      }).optional(),
+      query: Joi.string().max(2000).allow('').optional(),
+      sharing: Joi.object({
+        visibility: Joi.string().valid('private', 'organization', 'users'),
+        users: Joi.array().items(Joi.string().hex().length(24))
+      }).optional(),
+      monitor: Joi.object({
+        enabled: Joi.boolean(),
+        schedule: Joi.string(),
+        condition: Joi.object({
+          operator: Joi.string().valid('gt', 'gte', 'lt', 'lte', 'eq'),
+          threshold: Joi.number().min(0),
+          windowMinutes: Joi.number().integer().min(1).max(10080)
+        }),
+        severity: Joi.string().valid('Low', 'Medium', 'High', 'Critical'),
+        channels: Joi.array().items(Joi.string().valid(...alertService.deliveryChannels)).min(1),
+        cooldownMinutes: Joi.number().integer().min(0)
+      }).optional()
+    });
+
+    return schema.validate(data);
+  }
+}
+
+module.exports = new SavedSearchController();
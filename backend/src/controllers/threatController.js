@@ -1,5 +1,8 @@
 const Threat = require('../models/Threat');
+const { DetectionRule, DetectionRuleVersion } = require('../models');
 const threatService = require('../services/threatDetectionService');
+const detectionRuleService = require('../services/detectionRuleService');
+const ruleBacktestService = require('../services/ruleBacktestService');
 const BaseController = require('./baseController');
 const Joi = require('joi');
 
@@ -108,6 +111,445 @@ class ThreatDetectionController extends BaseController {
     }
   }
 
+  /**
+   * Import Sigma rules into the detection engine
+   */
+  async importSigmaRules(req, res) {
+    try {
+      const text = typeof req.body === 'string' ? req.body : req.body?.yaml;
+
+      const { error } = this.validateSigmaImport({ yaml: text });
+      if (error) {
+        return this.sendValidationError(res, error.details);
+      }
+
+      let report;
+      try {
+        report = await detectionRuleService.importSigmaRules(text, req.user);
+      } catch (parseError) {
+        if (parseError.name !== 'YAMLException') throw parseError;
+        return this.sendError(res, `Invalid Sigma YAML: ${parseError.message}`, 400);
+      }
+
+      const total = report.imported.length + report.errors.length;
+      if (report.imported.length === 0) {
+        return this.sendError(res, 'No Sigma rules could be imported', 400, report.errors);
+      }
+
+      return this.sendSuccess(res, report, `Imported ${report.imported.length} of ${total} Sigma rules`);
+
+    } catch (error) {
+      if (error.message === 'Detection rule was changed by another request') {
+        return this.sendError(res, error.message, 409);
+      }
+      console.error('Import Sigma rules error:', error);
+      return this.sendError(res, 'Failed to import Sigma rules');
+    }
+  }
+
+  /**
+   * List detection rules. With organizationId, rules are shown as they
+   * apply to that organization.
+   */
+  async getDetectionRules(req, res) {
+    try {
+      const filter = {};
+      if (req.query.enabled !== undefined) {
+        filter.enabled = req.query.enabled === 'true';
+      }
+      if (req.query.builtin !== undefined) {
+        filter.builtin = req.query.builtin === 'true';
+      }
+      if (req.query.sigma !== undefined) {
+        filter.sigma = req.query.sigma === 'true' ? { $ne: null } : null;
+      }
+
+      const organizationId = req.query.organizationId;
+      if (organizationId && !this.canAccessOrganization(organizationId, req.user)) {
+        return this.sendError(res, 'Access denied', 403);
+      }
+
+      const rules = await DetectionRule.find(filter).sort({ name: 1 }).lean();
+
+      const list = organizationId
+        ? rules.map(rule => {
+          const override = rule.overrides.find(item => String(item.organizationId) === String(organizationId));
+          return {
+            ...rule,
+            enabled: override?.enabled ?? rule.enabled,
+            severity: override?.severity ?? rule.severity,
+            confidence: override?.confidence ?? rule.confidence,
+            conditions: { ...rule.conditions, ...(override?.conditions || {}) },
+            override: override || null
+          };
+        })
+        : rules;
+
+      return this.sendSuccess(res, list, 'Detection rules retrieved successfully');
+
+    } catch (error) {
+      console.error('Get detection rules error:', error);
+      return this.sendError(res, 'Failed to retrieve detection rules');
+    }
+  }
+
+  /**
+   * Get detection rule by ID
+   */
+  async getDetectionRule(req, res) {
+    try {
+      const rule = await DetectionRule.findById(req.params.ruleId)
+        .populate('createdBy', 'email firstName lastName')
+        .populate('updatedBy', 'email firstName lastName');
+
+      if (!rule) {
+        return this.sendNotFound(res, 'Detection rule not found');
+      }
+
+      return this.sendSuccess(res, rule, 'Detection rule retrieved successfully');
+
+    } catch (error) {
+      console.error('Get detection rule error:', error);
+      return this.sendError(res, 'Failed to retrieve detection rule');
+    }
+  }
+
+  /**
+   * Create a detection rule
+   */
+  async createDetectionRule(req, res) {
+    try {
+      const { error, value } = this.validateDetectionRule(req.body);
+      if (error) {
+        return this.sendValidationError(res, error.details);
+      }
+
+      const { comment, ...data } = value;
+
+      const invalid = detectionRuleService.checkConditions(data.conditions);
+      if (invalid) {
+        return this.sendError(res, invalid, 400);
+      }
+
+      if (await DetectionRule.exists({ name: data.name })) {
+        return this.sendError(res, `Detection rule '${data.name}' already exists`, 409);
+      }
+
+      const rule = await detectionRuleService.createRule({ ...data, builtin: false }, req.user, comment);
+
+      return this.sendSuccess(res, rule, 'Detection rule created successfully', 201);
+
+    } catch (error) {
+      console.error('Create detection rule error:', error);
+      return this.sendError(res, 'Failed to create detection rule');
+    }
+  }
+
+  /**
+   * Update a detection rule as a new version
+   */
+  async updateDetectionRule(req, res) {
+    try {
+      const { error, value } = this.validateDetectionRule(req.body, true);
+      if (error) {
+        return this.sendValidationError(res, error.details);
+      }
+
+      const { comment, ...changes } = value;
+      if (Object.keys(changes).length === 0) {
+        return this.sendError(res, 'No changes given', 400);
+      }
+
+      const invalid = detectionRuleService.checkConditions(changes.conditions);
+      if (invalid) {
+        return this.sendError(res, invalid, 400);
+      }
+
+      const rule = await DetectionRule.findById(req.params.ruleId);
+      if (!rule) {
+        return this.sendNotFound(res, 'Detection rule not found');
+      }
+
+      const updated = await detectionRuleService.updateRule(rule, changes, req.user, comment);
+
+      return this.sendSuccess(res, updated, 'Detection rule updated successfully');
+
+    } catch (error) {
+      if (error.message === 'Detection rule was changed by another request') {
+        return this.sendError(res, error.message, 409);
+      }
+      console.error('Update detection rule error:', error);
+      return this.sendError(res, 'Failed to update detection rule');
+    }
+  }
+
+  /**
+   * Enable a detection rule, for every organization or the given one
+   */
+  async enableDetectionRule(req, res) {
+    return this.setDetectionRuleEnabled(req, res, true);
+  }
+
+  /**
+   * Disable a detection rule, for every organization or the given one
+   */
+  async disableDetectionRule(req, res) {
+    return this.setDetectionRuleEnabled(req, res, false);
+  }
+
+  /**
+   * Set a rule's enabled state; with organizationId in the body only that
+   * organization's override changes. Without one the rule changes for every
+   * organization, which only admins may do.
+   */
+  async setDetectionRuleEnabled(req, res, enabled) {
+    try {
+      const organizationId = req.body?.organizationId;
+      if (!organizationId && req.user.role !== 'Admin') {
+        return this.sendError(res, 'Only admins can change a detection rule for every organization', 403);
+      }
+      if (organizationId && !this.canAccessOrganization(organizationId, req.user)) {
+        return this.sendError(res, 'Access denied', 403);
+      }
+
+      const rule = await DetectionRule.findById(req.params.ruleId);
+      if (!rule) {
+        return this.sendNotFound(res, 'Detection rule not found');
+      }
+
+      const updated = await detectionRuleService.setEnabled(rule, enabled, req.user, organizationId);
+
+      return this.sendSuccess(res, updated, `Detection rule ${enabled ? 'enabled' : 'disabled'} successfully`);
+
+    } catch (error) {
+      if (error.message === 'Detection rule was changed by another request') {
+        return this.sendError(res, error.message, 409);
+      }
+      console.error('Set detection rule state error:', error);
+      return this.sendError(res, 'Failed to change detection rule state');
+    }
+  }
+
+  /**
+   * Set an organization's override of a detection rule
+   */
+  async setDetectionRuleOverride(req, res) {
+    try {
+      const { error, value } = this.validateRuleOverride(req.body);
+      if (error) {
+        return this.sendValidationError(res, error.details);
+      }
+
+      const { organizationId } = req.params;
+      if (!this.canAccessOrganization(organizationId, req.user)) {
+        return this.sendError(res, 'Access denied', 403);
+      }
+
+      const rule = await DetectionRule.findById(req.params.ruleId);
+      if (!rule) {
+        return this.sendNotFound(res, 'Detection rule not found');
+      }
+
+      if (value.conditions) {
+        const invalid = detectionRuleService.checkConditions({ ...rule.conditions, ...value.conditions });
+        if (invalid) {
+          return this.sendError(res, invalid, 400);
+        }
+      }
+
+      const updated = await detectionRuleService.setOverride(rule, organizationId, value, req.user);
+
+      return this.sendSuccess(res, updated, 'Detection rule override saved successfully');
+
+    } catch (error) {
+      if (error.message === 'Detection rule was changed by another request') {
+        return this.sendError(res, error.message, 409);
+      }
+      console.error('Set detection rule override error:', error);
+      return this.sendError(res, 'Failed to save detection rule override');
+    }
+  }
+
+  /**
+   * Remove an organization's override of a detection rule
+   */
+  async removeDetectionRuleOverride(req, res) {
+    try {
+      const { organizationId } = req.params;
+      if (!this.canAccessOrganization(organizationId, req.user)) {
+        return this.sendError(res, 'Access denied', 403);
+      }
+
+      const rule = await DetectionRule.findById(req.params.ruleId);
+      if (!rule) {
+        return this.sendNotFound(res, 'Detection rule not found');
+      }
+
+      if (!rule.overrides.some(item => String(item.organizationId) === String(organizationId))) {
+        return this.sendNotFound(res, 'Detection rule override not found');
+      }
+
+      const updated = await detectionRuleService.removeOverride(rule, organizationId, req.user);
+
+      return this.sendSuccess(res, updated, 'Detection rule override removed successfully');
+
+    } catch (error) {
+      if (error.message === 'Detection rule was changed by another request') {
+        return this.sendError(res, error.message, 409);
+      }
+      console.error('Remove detection rule override error:', error);
+      return this.sendError(res, 'Failed to remove detection rule override');
+    }
+  }
+
+  /**
+   * Get a detection rule's version history
+   */
+  async getDetectionRuleVersions(req, res) {
+    try {
+      const rule = await DetectionRule.findById(req.params.ruleId).select('_id');
+      const versions = await detectionRuleService.getVersions(req.params.ruleId);
+
+      if (!rule && versions.length === 0) {
+        return this.sendNotFound(res, 'Detection rule not found');
+      }
+
+      return this.sendSuccess(res, versions, 'Detection rule versions retrieved successfully');
+
+    } catch (error) {
+      console.error('Get detection rule versions error:', error);
+      return this.sendError(res, 'Failed to retrieve detection rule versions');
+    }
+  }
+
+  /**
+   * Roll a detection rule back to an earlier version, saved as a new version
+   */
+  async rollbackDetectionRule(req, res) {
+    try {
+      const { error, value } = this.validateRuleRollback(req.body);
+      if (error) {
+        return this.sendValidationError(res, error.details);
+      }
+
+      const rule = await DetectionRule.findById(req.params.ruleId);
+      if (!rule) {
+        return this.sendNotFound(res, 'Detection rule not found');
+      }
+
+      if (value.version >= rule.version) {
+        return this.sendError(res, `Version ${value.version} is not an earlier version`, 400);
+      }
+
+      const version = await DetectionRuleVersion.findOne({ ruleId: rule._id, version: value.version });
+      if (!version || version.action === 'deleted') {
+        return this.sendNotFound(res, `Version ${value.version} not found`);
+      }
+
+      const updated = await detectionRuleService.rollback(rule, version, req.user, value.comment);
+
+      return this.sendSuccess(res, updated, `Detection rule rolled back to version ${value.version}`);
+
+    } catch (error) {
+      if (error.message === 'Detection rule was changed by another request') {
+        return this.sendError(res, error.message, 409);
+      }
+      console.error('Rollback detection rule error:', error);
+      return this.sendError(res, 'Failed to roll back detection rule');
+    }
+  }
+
+  /**
+   * Delete a detection rule; its version history is kept
+   */
+  async deleteDetectionRule(req, res) {
+    try {
+      const rule = await DetectionRule.findById(req.params.ruleId);
+      if (!rule) {
+        return this.sendNotFound(res, 'Detection rule not found');
+      }
+
+      if (rule.builtin) {
+        return this.sendError(res, 'Built-in detection rules cannot be deleted; disable them instead', 409);
+      }
+
+      await detectionRuleService.deleteRule(rule, req.user);
+
+      return this.sendSuccess(res, null, 'Detection rule deleted successfully');
+
+    } catch (error) {
+      if (error.message === 'Detection rule was changed by another request') {
+        return this.sendError(res, error.message, 409);
+      }
+      console.error('Delete detection rule error:', error);
+      return this.sendError(res, 'Failed to delete detection rule');
+    }
+  }
+
+  /**
+   * Replay stored logs through a new rule, or a stored rule with edits,
+   * without storing anything
+   */
+  async backtestDetectionRule(req, res) {
+    try {
+      const ruleId = req.params.ruleId;
+
+      const { error, value } = this.validateBacktest(req.body, Boolean(ruleId));
+      if (error) {
+        return this.sendValidationError(res, error.details);
+      }
+
+      const { comment, ...definition } = value.rule || {};
+      const { error: ruleError } = this.validateDetectionRule(definition, Boolean(ruleId));
+      if (ruleError) {
+        return this.sendValidationError(res, ruleError.details);
+      }
+
+      const invalidRange = ruleBacktestService.checkRange(value.from, value.to);
+      if (invalidRange) {
+        return this.sendError(res, invalidRange, 400);
+      }
+
+      const invalid = detectionRuleService.checkConditions(definition.conditions);
+      if (invalid) {
+        return this.sendError(res, invalid, 400);
+      }
+
+      // Users in an organization only replay their own organization's logs
+      const organizationId = value.organizationId || req.user.organizationId;
+      if (organizationId && !this.canAccessOrganization(organizationId, req.user)) {
+        return this.sendError(res, 'Access denied', 403);
+      }
+
+      // A new definition under a stored rule's name is compared with that rule
+      const current = ruleId
+        ? await DetectionRule.findById(ruleId)
+        : await DetectionRule.findOne({ name: definition.name });
+      if (ruleId && !current) {
+        return this.sendNotFound(res, 'Detection rule not found');
+      }
+
+      const rule = ruleBacktestService.buildRule(definition, current);
+      const report = await ruleBacktestService.backtest(rule, {
+        from: value.from,
+        to: value.to,
+        organizationId,
+        minThreatScore: value.minThreatScore,
+        current
+      });
+
+      return this.sendSuccess(
+        res,
+        report,
+        `Backtest found ${report.threats.total} threats in ${report.logsScanned} logs`
+      );
+
+    } catch (error) {
+      console.error('Backtest detection rule error:', error);
+      return this.sendError(res, 'Failed to backtest detection rule');
+    }
+  }
+
   /**
    * Update threat status
    */
@@ -417,6 +859,90 @@ class ThreatDetectionController extends BaseController {
     return schema.validate(data);
   }
 
+  validateSigmaImport(data) {
+    const schema = Joi.object({
+      yaml: Joi.string().max(1024 * 1024).required()
+    });
+
+    return schema.validate(data);
+  }
+
+  validateDetectionRule(data, isUpdate = false) {
+    const required = isUpdate ? 'optional' : 'required';
+
+    const schema = Joi.object({
+      name: isUpdate ? Joi.forbidden() : Joi.string().pattern(DetectionRule.NAME_PATTERN).required(),
+      title: Joi.string().trim().max(200).optional(),
+      description: Joi.string().max(1000)[required](),
+      enabled: Joi.boolean().optional(),
+      threatType: Joi.string().max(100)[required](),
+      severity: Joi.number().min(0).max(1)[required](),
+      confidence: Joi.number().min(0).max(1).optional(),
+      indicators: Joi.array().items(Joi.string()).optional(),
+      tags: Joi.array().items(Joi.string()).optional(),
+      attackPhase: Joi.string().optional(),
+      references: Joi.array().items(Joi.object({
+        type: Joi.string().required(),
+        identifier: Joi.string().required()
+      })).optional(),
+      conditions: Joi.object({
+        eventType: Joi.string().optional(),
+        source: Joi.string().optional(),
+        detection: Joi.object().optional(),
+        timeWindow: Joi.number().integer().min(1).optional(),
+        threshold: Joi.number().integer().min(1).optional(),
+        groupBy: Joi.array().items(Joi.string()).optional()
+      }).unknown(true)[required](),
+      comment: Joi.string().max(500).optional()
+    });
+
+    return schema.validate(data);
+  }
+
+  validateRuleOverride(data) {
+    const schema = Joi.object({
+      enabled: Joi.boolean().optional(),
+      severity: Joi.number().min(0).max(1).optional(),
+      confidence: Joi.number().min(0).max(1).optional(),
+      conditions: Joi.object({
+        timeWindow: Joi.number().integer().min(1).optional(),
+        threshold: Joi.number().integer().min(1).optional(),
+        groupBy: Joi.array().items(Joi.string()).optional()
+      }).optional()
+    }).min(1);
+
+    return schema.validate(data);
+  }
+
+  validateRuleRollback(data) {
+    const schema = Joi.object({
+      version: Joi.number().integer().min(1).required(),
+      comment: Joi.string().max(500).optional()
+    });
+
+    return schema.validate(data);
+  }
+
+  validateBacktest(data, isExisting = false) {
+    const schema = Joi.object({
+      rule: isExisting ? Joi.object().optional() : Joi.object().required(),
+      from: Joi.date().iso().required(),
+      to: Joi.date().iso().default(() => new Date()),
+      organizationId: Joi.string().hex().length(24).optional(),
+      minThreatScore: Joi.number().min(0).max(1).default(0.5)
+    });
+
+    return schema.validate(data);
+  }
+
+  /**
+   * Whether the user can act on an organization's rule settings and logs:
+   * their own organization, or any for users without one
+   */
+  canAccessOrganization(organizationId, user) {
+    return !user.organizationId || String(user.organizationId) === String(organizationId);
+  }
+
   getPopulateFields() {
     return 'organizationId resolvedBy';
   }
@@ -394,8 +394,37 @@ const requireThreatAccess = async (req, res, next) => {
   }
 };
 
+/**
+ * Socket.IO authentication middleware for JWT tokens.
+ * The token is read from the handshake auth payload or Authorization header.
+ */
+const authenticateSocketToken = async (socket, next) => {
+  try {
+    const authHeader = socket.handshake.headers.authorization;
+    const token = socket.handshake.auth?.token || (authHeader && authHeader.split(' ')[1]);
+
+    if (!token) {
+      return next(new Error('Access token required'));
+    }
+
+    const decoded = jwt.verify(token, config.JWT_SECRET);
+    const user = await User.findById(decoded.userId).select('-passwordHash');
+
+    if (!user || user.status !== 'Active' || user.isLocked) {
+      return next(new Error('Invalid token'));
+    }
+
+    socket.user = user;
+    next();
+  } catch (error) {
+    logger.error('Socket authentication error:', error.message);
+    next(new Error(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'));
+  }
+};
+
 module.exports = {
   authenticateToken,
+  authenticateSocketToken,
   optionalAuth,
   requireRole,
   requirePermission,
@@ -0,0 +1,26 @@
+const { logger } = require('../utils/logger');
+const anchorQueueService = require('../services/anchorQueueService');
+
+/**
+ * Refuse log ingest with 429 and Retry-After while the anchoring queue is
+ * above its high-water mark
+ */
+const ingestBackpressure = (req, res, next) => {
+  if (!anchorQueueService.isSaturated()) {
+    return next();
+  }
+
+  const { retryAfter } = anchorQueueService;
+  logger.warn(`Ingest rejected under backpressure for ${req.ip} - ${req.method} ${req.path}`);
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: 'Log ingest queue is full, please retry later',
+    retryAfter
+  });
+};
+
+module.exports = {
+  ingestBackpressure
+};
@@ -2,10 +2,14 @@ const auth = require('./auth');
 const rateLimiting = require('./rateLimiting');
 const errorHandling = require('./errorHandling');
 const security = require('./security');
+const requestContext = require('./requestContext');
+const backpressure = require('./backpressure');
 
 module.exports = {
   auth,
   rateLimiting,
   errorHandling,
-  security
+  security,
+  requestContext,
+  backpressure
 };
@@ -0,0 +1,37 @@
+const CryptoUtils = require('../utils/crypto');
+const RequestContext = require('../utils/requestContext');
+
+// Accepted trace identifier format; anything else is replaced or ignored
+const TRACE_ID_PATTERN = /^[\w.:@-]{1,128}$/;
+
+const readTraceId = (req, ...headers) => {
+  for (const header of headers) {
+    const value = req.get(header);
+    if (value && TRACE_ID_PATTERN.test(value)) {
+      return value;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Take the correlation and session IDs from inbound headers, generating a
+ * correlation ID when none is sent, and run the rest of the request in a
+ * context that records them on every log, threat and alert it writes.
+ * The correlation ID is echoed in the X-Correlation-ID response header.
+ */
+const requestContext = (req, res, next) => {
+  const correlationId = readTraceId(req, 'X-Correlation-ID', 'X-Request-ID') || CryptoUtils.generateUUID();
+  const sessionId = readTraceId(req, 'X-Session-ID');
+
+  req.correlationId = correlationId;
+  req.sessionId = sessionId;
+  res.set('X-Correlation-ID', correlationId);
+
+  RequestContext.run({ correlationId, sessionId }, next);
+};
+
+module.exports = {
+  requestContext,
+  TRACE_ID_PATTERN
+};
@@ -541,7 +541,7 @@ apiKeySchema.statics = {
         { expiresAt: { $exists: false } },
         { expiresAt: { $gt: new Date() } }
       ]
-    }).populate('userId', 'email role status');
+    }).populate('userId', 'email role status organizationId');
   },
 
   /**
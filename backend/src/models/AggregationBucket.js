@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * Aggregation Bucket Model Schema
+ * Durable copy of an open event aggregate, so events joined into it survive a
+ * restart. Removed once the aggregate is stored as a log.
+ */
+const aggregationBucketSchema = new mongoose.Schema({
+  bucketId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  fingerprint: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // First event of the window, which becomes the aggregate log
+  log: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  windowSeconds: Number,
+
+  // Content hashes of the events joined so far
+  memberHashes: [String],
+
+  firstSeen: Date,
+  lastSeen: Date,
+
+  closesAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+const AggregationBucket = mongoose.model('AggregationBucket', aggregationBucketSchema);
+
+module.exports = AggregationBucket;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const traceContextPlugin = require('./plugins/traceContext');
 
 /**
  * Alert Model Schema
@@ -229,6 +230,8 @@ const alertSchema = new mongoose.Schema({
       enum: ['Production', 'Staging', 'Development', 'Testing']
     },
     affectedSystems: [String],
+    // Context from the component that raised the alert
+    details: mongoose.Schema.Types.Mixed,
     impactAssessment: {
       users: Number,
       systems: Number,
@@ -343,8 +346,8 @@ alertSchema.index({
   partialFilterExpression: { status: 'Resolved' }
 });
 
-// Pre-save middleware to generate alertId
-alertSchema.pre('save', function(next) {
+// Generate alertId before validation, which requires it
+alertSchema.pre('validate', function(next) {
   if (this.isNew && !this.alertId) {
     const date = new Date().toISOString().split('T')[0].replace(/-/g, '');
     const random = Math.random().toString(36).substring(2, 8).toUpperCase();
@@ -737,6 +740,8 @@ alertSchema.statics = {
   }
 };
 
+alertSchema.plugin(traceContextPlugin);
+
 const Alert = mongoose.model('Alert', alertSchema);
 
 module.exports = Alert;
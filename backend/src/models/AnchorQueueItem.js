@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+/**
+ * Anchor Queue Item Model Schema
+ * Durable queue of stored logs waiting to be anchored in a Merkle batch.
+ * Items are leased while a batch is processed and removed once it is anchored.
+ */
+const anchorQueueItemSchema = new mongoose.Schema({
+  logId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Log',
+    required: true,
+    unique: true
+  },
+
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+
+  status: {
+    type: String,
+    enum: ['Queued', 'Processing', 'Failed'],
+    default: 'Queued'
+  },
+
+  // Not claimed before this time (retry backoff)
+  availableAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Lease held by the worker processing the item
+  lockedBy: String,
+  lockedUntil: Date,
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  lastError: String
+}, {
+  timestamps: true
+});
+
+// Claim order and lease recovery
+anchorQueueItemSchema.index({ status: 1, availableAt: 1, createdAt: 1 });
+anchorQueueItemSchema.index({ status: 1, lockedUntil: 1 });
+anchorQueueItemSchema.index({ lockedBy: 1 });
+
+const AnchorQueueItem = mongoose.model('AnchorQueueItem', anchorQueueItemSchema);
+
+module.exports = AnchorQueueItem;
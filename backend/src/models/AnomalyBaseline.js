@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+/**
+ * Anomaly Baseline Model Schema
+ * Expected activity for one organization, event type and source, or for one
+ * user's authentication events. Rebuilt on a schedule from stored logs by
+ * AnomalyBaselineService; anomaly scores are deviations from these values.
+ */
+const anomalyBaselineSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['event', 'user'],
+    required: true
+  },
+
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  eventType: {
+    type: String,
+    required: true
+  },
+
+  source: {
+    type: String,
+    required: true
+  },
+
+  // Set for user baselines only
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  // Complete hours of history, from the first event in the lookback period
+  hours: {
+    type: Number,
+    default: 0
+  },
+
+  // Events per hour by UTC hour of week (index = day * 24 + hour, Sunday first)
+  hourOfWeek: [{
+    _id: false,
+    mean: Number,
+    stdDev: Number,
+    samples: Number
+  }],
+
+  // Exponentially weighted events per hour, as of the last complete hour
+  ewma: {
+    rate: Number,
+    stdDev: Number,
+    alpha: Number
+  },
+
+  // Value distributions of numeric features (description_length, details_fields, configured fields)
+  values: [{
+    _id: false,
+    feature: String,
+    mean: Number,
+    stdDev: Number,
+    min: Number,
+    max: Number,
+    samples: Number
+  }],
+
+  refreshedAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+anomalyBaselineSchema.index({ organizationId: 1, eventType: 1, source: 1, userId: 1 }, { unique: true });
+anomalyBaselineSchema.index({ refreshedAt: 1 });
+
+const AnomalyBaseline = mongoose.model('AnomalyBaseline', anomalyBaselineSchema);
+
+module.exports = AnomalyBaseline;
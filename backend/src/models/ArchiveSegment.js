@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+/**
+ * Archive Segment Model Schema
+ * Describes a gzip NDJSON cold-storage segment of archived logs
+ */
+const archiveSegmentSchema = new mongoose.Schema({
+  segmentId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  // Segment file, relative to the archive directory
+  fileName: {
+    type: String,
+    required: true
+  },
+
+  manifestFileName: {
+    type: String,
+    required: true
+  },
+
+  // Time range covered by the segment
+  from: {
+    type: Date,
+    required: true,
+    index: true
+  },
+
+  to: {
+    type: Date,
+    required: true,
+    index: true
+  },
+
+  recordCount: {
+    type: Number,
+    required: true
+  },
+
+  sizeBytes: Number,
+
+  // SHA-256 over the compressed segment file
+  sha256: {
+    type: String,
+    required: true
+  },
+
+  // SHA-256 over the canonical manifest, anchored on-chain
+  manifestHash: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // Hash-chain links of the archived logs, so chains can still be verified
+  // once the logs are deleted from the live collection
+  chains: [{
+    _id: false,
+    organizationId: mongoose.Schema.Types.ObjectId,
+    links: [{
+      _id: false,
+      chainIndex: Number,
+      logHash: String,
+      previousHash: String
+    }]
+  }],
+
+  anchor: {
+    anchored: {
+      type: Boolean,
+      default: false
+    },
+    logId: String,
+    transactionHash: String,
+    blockNumber: Number,
+    anchoredAt: Date,
+    error: String
+  },
+
+  // Investigation restores into a separate collection
+  restores: [{
+    _id: false,
+    collectionName: String,
+    restoredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    restoredAt: Date,
+    recordCount: Number
+  }]
+}, {
+  timestamps: true
+});
+
+archiveSegmentSchema.index({ 'chains.organizationId': 1, 'chains.links.chainIndex': 1 });
+
+const ArchiveSegment = mongoose.model('ArchiveSegment', archiveSegmentSchema);
+
+module.exports = ArchiveSegment;
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+/**
+ * Chain Head Model Schema
+ * Last chain index appended to each organization hash chain. Kept outside the
+ * logs so removing logs from the end of a chain is still detected.
+ */
+const chainHeadSchema = new mongoose.Schema({
+  // LogService.getChainKey of the organization ('default' for logs without one)
+  chainKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+
+  chainIndex: {
+    type: Number,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+const ChainHead = mongoose.model('ChainHead', chainHeadSchema);
+
+module.exports = ChainHead;
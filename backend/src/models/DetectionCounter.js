@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * Detection Counter Model Schema
+ * Sliding-window event counter for one threshold rule and group (source IP,
+ * user, wallet, ...). Kept in Mongo so counts survive restarts and are shared
+ * by every backend instance; updates are single-document and atomic.
+ */
+const detectionCounterSchema = new mongoose.Schema({
+  ruleName: {
+    type: String,
+    required: true
+  },
+
+  // Organization and grouped field values, e.g. "<orgId>|metadata.ipAddress=203.0.113.9"
+  groupKey: {
+    type: String,
+    required: true
+  },
+
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+
+  // Matching events within the rule's time window of the newest one
+  events: [{
+    _id: false,
+    logId: mongoose.Schema.Types.ObjectId,
+    at: Date
+  }],
+
+  // Set by the update that reached the threshold; the window starts over
+  triggered: {
+    type: Boolean,
+    default: false
+  },
+
+  triggeredEvents: [{
+    _id: false,
+    logId: mongoose.Schema.Types.ObjectId,
+    at: Date
+  }],
+
+  triggeredAt: Date,
+
+  // Idle counters are removed once their window has passed
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+detectionCounterSchema.index({ ruleName: 1, groupKey: 1 }, { unique: true });
+detectionCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const DetectionCounter = mongoose.model('DetectionCounter', detectionCounterSchema);
+
+module.exports = DetectionCounter;
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+// Rule names: built-in names, sigma:<id> for imported Sigma rules, or custom
+const DETECTION_RULE_NAME_PATTERN = /^[a-z0-9][a-z0-9_.:-]{1,99}$/i;
+
+/**
+ * Detection Rule Model Schema
+ * Rules evaluated by ThreatDetectionService. Every change bumps `version` and
+ * stores a snapshot in DetectionRuleVersion, so a rule can be rolled back.
+ * Organizations can override a rule's enabled state, scores and conditions.
+ */
+const detectionRuleSchema = new mongoose.Schema({
+  // Engine key; threats record it with the rule version
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    match: DETECTION_RULE_NAME_PATTERN
+  },
+
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+
+  description: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+
+  enabled: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  builtin: {
+    type: Boolean,
+    default: false
+  },
+
+  // Threat type of the threats the rule raises
+  threatType: {
+    type: String,
+    required: true
+  },
+
+  // Threat score (0-1); sets the threat severity
+  severity: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1
+  },
+
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0.8
+  },
+
+  indicators: [String],
+  tags: [String],
+  attackPhase: String,
+
+  references: [{
+    _id: false,
+    type: { type: String },
+    identifier: String
+  }],
+
+  // eventType, source, detection (compiled expression), timeWindow, threshold, groupBy, ...
+  conditions: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Sigma metadata (id, level, tags, ...) for imported Sigma rules
+  sigma: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Per-organization changes applied on top of the rule
+  overrides: [{
+    _id: false,
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    enabled: Boolean,
+    severity: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    confidence: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    // Merged over the rule's conditions (e.g. threshold, timeWindow)
+    conditions: mongoose.Schema.Types.Mixed
+  }],
+
+  version: {
+    type: Number,
+    default: 1
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Change detection for hot reload
+detectionRuleSchema.index({ updatedAt: -1 });
+
+const DetectionRule = mongoose.model('DetectionRule', detectionRuleSchema);
+
+DetectionRule.NAME_PATTERN = DETECTION_RULE_NAME_PATTERN;
+
+module.exports = DetectionRule;
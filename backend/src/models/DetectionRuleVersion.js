@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * Detection Rule Version Model Schema
+ * Snapshot of a detection rule after each change; the full history of a rule
+ * and the source for rollbacks. Kept after the rule is deleted.
+ */
+const detectionRuleVersionSchema = new mongoose.Schema({
+  ruleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DetectionRule',
+    required: true
+  },
+
+  name: {
+    type: String,
+    required: true
+  },
+
+  version: {
+    type: Number,
+    required: true
+  },
+
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'enabled', 'disabled', 'override_set', 'override_removed', 'rolled_back', 'deleted'],
+    required: true
+  },
+
+  // Rule fields as of this version
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Version restored by a rollback
+  rolledBackFrom: Number,
+
+  comment: {
+    type: String,
+    maxlength: 500
+  },
+
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+detectionRuleVersionSchema.index({ ruleId: 1, version: -1 }, { unique: true });
+detectionRuleVersionSchema.index({ name: 1, version: -1 });
+
+const DetectionRuleVersion = mongoose.model('DetectionRuleVersion', detectionRuleVersionSchema);
+
+module.exports = DetectionRuleVersion;
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { LOG_TYPES, EVENT_TYPE_KEY_PATTERN } = require('../config/eventTypes');
+
+/**
+ * Event Type Model Schema
+ * Registry of log event types. Built-in types are global; organizations can
+ * add their own with a JSON Schema for the log details payload.
+ */
+const eventTypeSchema = new mongoose.Schema({
+  // Value stored in Log.eventType
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    match: EVENT_TYPE_KEY_PATTERN
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  description: {
+    type: String,
+    maxlength: 500
+  },
+
+  // Custom types belong to an organization; built-in types have none
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+
+  builtin: {
+    type: Boolean,
+    default: false
+  },
+
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  // JSON Schema (draft-07) for Log.details
+  detailsSchema: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Used when an ingested log has no severity
+  defaultSeverity: {
+    type: String,
+    enum: ['Low', 'Medium', 'High', 'Critical'],
+    default: 'Medium'
+  },
+
+  // ChainShield LogType category used when anchoring
+  logType: {
+    type: String,
+    enum: LOG_TYPES,
+    default: 'application'
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+eventTypeSchema.index({ organizationId: 1, key: 1 }, { unique: true });
+
+const EventType = mongoose.model('EventType', eventTypeSchema);
+
+module.exports = EventType;
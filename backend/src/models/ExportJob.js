@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+/**
+ * Export Job Model Schema
+ * Tracks background log exports that are too large for a synchronous download
+ */
+const exportJobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  format: {
+    type: String,
+    enum: ['csv', 'json', 'ndjson'],
+    required: true
+  },
+
+  gzip: {
+    type: Boolean,
+    default: false
+  },
+
+  // Log query filter, serialized as extended JSON to keep operators and types
+  filter: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['Queued', 'Running', 'Completed', 'Failed'],
+    default: 'Queued',
+    index: true
+  },
+
+  // Progress
+  total: Number,
+  processed: {
+    type: Number,
+    default: 0
+  },
+
+  // Result file, relative to the export directory
+  fileName: String,
+  sizeBytes: Number,
+  error: String,
+
+  startedAt: Date,
+  completedAt: Date,
+  expiresAt: {
+    type: Date,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+const ExportJob = mongoose.model('ExportJob', exportJobSchema);
+
+module.exports = ExportJob;
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+/**
+ * Legal Hold Model Schema
+ * Preserves logs, threats and reports for litigation or investigation. While
+ * a hold is active the documents it covers are tagged with its ID and cannot
+ * be archived or deleted.
+ */
+const legalHoldSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  reason: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+
+  // External case or matter number
+  caseReference: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'released'],
+    default: 'active',
+    index: true
+  },
+
+  // What the hold covers. Query scopes are re-applied on every retention run
+  // so matching logs ingested after the hold was placed are covered too.
+  scope: {
+    logIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Log'
+    }],
+    threatIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Threat'
+    }],
+    reportIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Report'
+    }],
+    // Log search query language expression
+    logQuery: String,
+    from: Date,
+    to: Date
+  },
+
+  // Documents tagged when the hold was last applied
+  itemCounts: {
+    logs: { type: Number, default: 0 },
+    threats: { type: Number, default: 0 },
+    reports: { type: Number, default: 0 }
+  },
+
+  lastAppliedAt: Date,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  release: {
+    releasedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    releasedAt: Date,
+    reason: {
+      type: String,
+      maxlength: 1000
+    }
+  }
+}, {
+  timestamps: true
+});
+
+const LegalHold = mongoose.model('LegalHold', legalHoldSchema);
+
+module.exports = LegalHold;
@@ -1,26 +1,18 @@
 const mongoose = require('mongoose');
+const legalHoldPlugin = require('./plugins/legalHold');
+const traceContextPlugin = require('./plugins/traceContext');
+const { EVENT_TYPE_KEY_PATTERN } = require('../config/eventTypes');
 
 /**
  * Log Model Schema
  * Stores system and security event logs with blockchain anchoring
  */
 const logSchema = new mongoose.Schema({
-  // Event identification
+  // Event identification: key of a registered event type (see EventType)
   eventType: {
     type: String,
     required: true,
-    enum: [
-      'user_login', 'user_logout', 'user_registration', 'user_update',
-      'api_access', 'api_key_created', 'api_key_revoked',
-      'firewall_alert', 'intrusion_attempt', 'malware_detected',
-      'data_access', 'data_modification', 'data_export',
-      'config_change', 'system_update', 'backup_created',
-      'threat_detected', 'threat_resolved', 'threat_escalated',
-      'report_generated', 'report_downloaded', 'alert_triggered',
-      'audit_trail_access', 'permission_change', 'role_change',
-      'file_upload', 'file_download', 'database_query',
-      'authentication_failure', 'session_expired', 'account_locked'
-    ],
+    match: EVENT_TYPE_KEY_PATTERN,
     index: true
   },
 
@@ -72,6 +64,68 @@ const logSchema = new mongoose.Schema({
     ]
   },
 
+  description: String,
+
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+
+  // Integrity hash computed by LogService.generateLogHash
+  logHash: {
+    type: String,
+    index: true
+  },
+
+  // Local hash chain: each log links to the logHash of the previous log
+  // in its organization, in insertion order
+  previousHash: String,
+  chainIndex: Number,
+
+  // Hashing scheme used for logHash (missing on legacy logs, which are version 1)
+  hashVersion: Number,
+
+  // Hash replaced when the log was re-hashed with a newer scheme
+  hashMigration: {
+    fromVersion: Number,
+    legacyHash: String,
+    legacyHashMatched: Boolean,
+    migratedAt: Date
+  },
+
+  // Repeated events collapsed into this log (see AggregationService)
+  aggregation: {
+    fingerprint: {
+      type: String,
+      index: true,
+      sparse: true
+    },
+    count: Number,
+    firstSeen: Date,
+    lastSeen: Date,
+    windowSeconds: Number,
+    // Merkle root over memberHashes; covered by logHash
+    memberRoot: String,
+    // Content hashes of the collapsed events in arrival order
+    memberHashes: {
+      type: [String],
+      default: undefined
+    }
+  },
+
+  // Redaction rules that changed this log at ingest
+  redaction: {
+    rules: [{
+      _id: false,
+      ruleId: String,
+      name: String,
+      action: String,
+      fields: [String],
+      count: Number
+    }],
+    redactedAt: Date
+  },
+
   // Detailed event information
   details: {
     type: mongoose.Schema.Types.Mixed,
@@ -97,12 +151,15 @@ const logSchema = new mongoose.Schema({
     deviceFingerprint: String,
     geolocation: {
       country: String,
+      countryCode: String,
       region: String,
       city: String,
       coordinates: {
         latitude: Number,
         longitude: Number
-      }
+      },
+      asn: Number,
+      asOrganization: String
     },
     sessionId: String,
     requestId: String
@@ -130,13 +187,32 @@ const logSchema = new mongoose.Schema({
       index: true
     },
     verifiedAt: Date,
-    batchId: String // For batch processing of logs
+    logId: String, // ChainShield log ID when anchored individually
+    transactionHash: String,
+    anchoredAt: Date,
+    batchId: String, // For batch processing of logs
+
+    // Merkle inclusion proof for batch anchoring
+    merkleRoot: {
+      type: String,
+      index: true
+    },
+    merkleRootLogId: String, // ChainShield log ID of the anchored root
+    leafIndex: Number,
+    merkleProof: [{
+      _id: false,
+      hash: String,
+      position: {
+        type: String,
+        enum: ['left', 'right']
+      }
+    }]
   },
 
   // Status and processing
   status: {
     type: String,
-    enum: ['Pending', 'Processed', 'Verified', 'Failed', 'Archived'],
+    enum: ['Pending', 'Processed', 'Anchored', 'Verified', 'Failed', 'Archived'],
     default: 'Pending',
     index: true
   },
@@ -194,7 +270,17 @@ const logSchema = new mongoose.Schema({
       default: false,
       index: true
     },
-    archivedAt: Date
+    archivedAt: Date,
+    segmentId: {
+      type: String,
+      sparse: true,
+      index: true
+    }, // Cold-storage segment holding this log
+    pendingSegmentId: {
+      type: String,
+      sparse: true,
+      index: true
+    } // Segment being written; replaced by segmentId once it is recorded
   }
 }, {
   timestamps: true,
@@ -211,6 +297,10 @@ logSchema.index({ 'blockchain.verified': 1, timestamp: -1 });
 logSchema.index({ status: 1, timestamp: -1 });
 logSchema.index({ 'aiAnalysis.riskLevel': 1, timestamp: -1 });
 logSchema.index({ tags: 1 });
+logSchema.index(
+  { organizationId: 1, chainIndex: 1 },
+  { unique: true, partialFilterExpression: { chainIndex: { $exists: true } } }
+);
 
 // Text search index
 logSchema.index({
@@ -220,8 +310,9 @@ logSchema.index({
   tags: 'text'
 });
 
-// Pre-save middleware to generate blockchain hash
-logSchema.pre('save', function(next) {
+// Pre-validate middleware to generate blockchain hash
+// (runs for both save() and insertMany(), which skips save hooks)
+logSchema.pre('validate', function(next) {
   if (this.isNew || this.isModified('details')) {
     // Generate a hash of the log data for blockchain anchoring
     const crypto = require('crypto');
@@ -286,6 +377,10 @@ logSchema.methods = {
    * @returns {Promise<void>}
    */
   async archive() {
+    if (this.isOnLegalHold()) {
+      throw new Error('Log is under legal hold and cannot be archived');
+    }
+
     this.retention.archived = true;
     this.retention.archivedAt = new Date();
     this.status = 'Archived';
@@ -451,6 +546,9 @@ logSchema.statics = {
   }
 };
 
+logSchema.plugin(legalHoldPlugin);
+logSchema.plugin(traceContextPlugin);
+
 const Log = mongoose.model('Log', logSchema);
 
 module.exports = Log;
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+/**
+ * Redaction Rule Model Schema
+ * Per-field masking, hashing or dropping of log data at ingest, applied
+ * before the log is hashed
+ */
+const redactionRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  description: {
+    type: String,
+    maxlength: 500
+  },
+
+  // Rules without an organization apply to every organization
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+
+  enabled: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  // Lower priorities run first
+  priority: {
+    type: Number,
+    default: 100
+  },
+
+  // Dotted log paths (e.g. details.user.email, details.*.token); * matches one
+  // segment. Empty means description, details and metadata.
+  fields: [{
+    type: String,
+    trim: true
+  }],
+
+  // Built-in detector name, or 'custom' with a pattern. Without a detector the
+  // whole value of each listed field is redacted.
+  detector: String,
+
+  pattern: {
+    type: String,
+    maxlength: 500
+  },
+
+  action: {
+    type: String,
+    enum: ['mask', 'hash', 'drop'],
+    required: true
+  },
+
+  mask: {
+    keepLast: {
+      type: Number,
+      default: 0
+    },
+    char: {
+      type: String,
+      default: '*',
+      maxlength: 1
+    }
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const RedactionRule = mongoose.model('RedactionRule', redactionRuleSchema);
+
+module.exports = RedactionRule;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const legalHoldPlugin = require('./plugins/legalHold');
 
 /**
  * Report Model Schema
@@ -180,6 +181,9 @@ const reportSchema = new mongoose.Schema({
   // Retention and archival
   retention: {
     expiresAt: Date,
+    // expiresAt is moved here while a legal hold covers the report, so the
+    // TTL index cannot remove it
+    heldExpiresAt: Date,
     autoArchive: {
       type: Boolean,
       default: true
@@ -781,6 +785,8 @@ reportSchema.statics = {
   }
 };
 
+reportSchema.plugin(legalHoldPlugin);
+
 const Report = mongoose.model('Report', reportSchema);
 
 module.exports = Report;
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+/**
+ * Retention Policy Model Schema
+ * Archive and delete windows for a category of logs. Each log is governed by
+ * the first enabled policy (lowest priority) that matches it; logs no policy
+ * matches fall back to the configured archive defaults.
+ */
+const retentionPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  description: {
+    type: String,
+    maxlength: 500
+  },
+
+  // Policies without an organization apply to every organization
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+
+  enabled: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+
+  // Lower priorities are matched first
+  priority: {
+    type: Number,
+    default: 100
+  },
+
+  // Log categories covered; an empty list matches any value
+  match: {
+    eventTypes: [String],
+    sources: [String],
+    severities: [{
+      type: String,
+      enum: ['Low', 'Medium', 'High', 'Critical']
+    }]
+  },
+
+  // Days after the log timestamp before the log is archived; null keeps it hot
+  archiveAfterDays: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+
+  // Days after the log timestamp before an archived log that is already in a
+  // cold-storage segment is deleted; null never deletes
+  deleteAfterDays: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+
+  lastAppliedAt: Date,
+
+  lastResult: {
+    archived: Number,
+    deleted: Number
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+retentionPolicySchema.index({ enabled: 1, priority: 1 });
+
+const RetentionPolicy = mongoose.model('RetentionPolicy', retentionPolicySchema);
+
+module.exports = RetentionPolicy;
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+/**
+ * Saved Search Model Schema
+ * Stores reusable log filters, optionally run on a schedule as threshold monitors
+ */
+const savedSearchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  description: {
+    type: String,
+    maxlength: 500
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Results are limited to this organization's logs when set
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+
+  // buildLogQuery filter criteria (eventType, severity, source, ...)
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Query language expression, combined with filters
+  query: {
+    type: String,
+    maxlength: 2000
+  },
+
+  sharing: {
+    visibility: {
+      type: String,
+      enum: ['private', 'organization', 'users'],
+      default: 'private'
+    },
+    users: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  },
+
+  // Threshold monitor
+  monitor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+      index: true
+    },
+    schedule: {
+      type: String,
+      default: '*/5 * * * *' // Cron expression
+    },
+    condition: {
+      operator: {
+        type: String,
+        enum: ['gt', 'gte', 'lt', 'lte', 'eq'],
+        default: 'gt'
+      },
+      threshold: {
+        type: Number,
+        default: 0
+      },
+      windowMinutes: {
+        type: Number,
+        default: 10
+      }
+    },
+    severity: {
+      type: String,
+      enum: ['Low', 'Medium', 'High', 'Critical'],
+      default: 'Medium'
+    },
+    channels: {
+      type: [String],
+      default: ['realtime']
+    },
+    // Minutes to wait after an alert before alerting again
+    cooldownMinutes: {
+      type: Number,
+      default: 0
+    },
+    lastRunAt: Date,
+    lastResultCount: Number,
+    lastTriggeredAt: Date,
+    lastError: String
+  }
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ organizationId: 1, 'sharing.visibility': 1 });
+savedSearchSchema.index({ 'sharing.users': 1 });
+
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+module.exports = SavedSearch;
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const legalHoldPlugin = require('./plugins/legalHold');
+const traceContextPlugin = require('./plugins/traceContext');
 
 /**
  * Threat Model Schema
@@ -43,6 +45,7 @@ const threatSchema = new mongoose.Schema({
       'Privilege Escalation',
       'Command Injection',
       'Directory Traversal',
+      'Vulnerability Scanning',
       'Authentication Bypass',
       'Session Hijacking',
       'Man-in-the-Middle',
@@ -83,12 +86,15 @@ const threatSchema = new mongoose.Schema({
     required: true
   },
 
-  // Related logs and evidence
-  logRefs: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Log',
-    required: true
-  }],
+  // Related logs and evidence (for threshold rules, every contributing log)
+  logRefs: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Log',
+      required: true
+    }],
+    alias: 'relatedLogs'
+  },
 
   // Affected resources
   affectedAssets: [{
@@ -138,7 +144,14 @@ const threatSchema = new mongoose.Schema({
   sourceInfo: {
     ipAddress: String,
     country: String,
+    countryCode: String,
     region: String,
+    city: String,
+    coordinates: {
+      latitude: Number,
+      longitude: Number
+    },
+    asn: Number,
     organization: String,
     isp: String,
     isKnownThreat: Boolean,
@@ -220,6 +233,44 @@ const threatSchema = new mongoose.Schema({
     complianceImpact: Boolean
   },
 
+  // Detection rule and version that raised the threat
+  detectionRule: {
+    name: {
+      type: String,
+      index: true
+    },
+    version: Number
+  },
+
+  // Why an anomaly threat fired: each feature's value against its baseline
+  anomaly: {
+    score: Number,
+    zThreshold: Number,
+    deviations: [{
+      _id: false,
+      scope: {
+        type: String,
+        enum: ['event', 'user']
+      },
+      feature: String,
+      value: Number,
+      expected: Number,
+      stdDev: Number,
+      zScore: Number,
+      samples: Number,
+      explanation: String
+    }],
+    baselines: [{
+      _id: false,
+      scope: String,
+      eventType: String,
+      source: String,
+      userId: mongoose.Schema.Types.ObjectId,
+      hours: Number,
+      refreshedAt: Date
+    }]
+  },
+
   // AI/ML analysis
   aiAnalysis: {
     confidence: {
@@ -318,8 +369,8 @@ threatSchema.index({
   tags: 'text'
 });
 
-// Pre-save middleware to generate threatId
-threatSchema.pre('save', function(next) {
+// Generate threatId before validation, which requires it
+threatSchema.pre('validate', function(next) {
   if (this.isNew && !this.threatId) {
     const date = new Date().toISOString().split('T')[0].replace(/-/g, '');
     const random = Math.random().toString(36).substring(2, 8).toUpperCase();
@@ -617,6 +668,9 @@ threatSchema.statics = {
   }
 };
 
+threatSchema.plugin(legalHoldPlugin);
+threatSchema.plugin(traceContextPlugin);
+
 const Threat = mongoose.model('Threat', threatSchema);
 
 module.exports = Threat;
@@ -59,6 +59,12 @@ const userSchema = new mongoose.Schema({
     required: true
   },
 
+  // Organization the user belongs to; scopes the logs, threats and rules they see
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+
   permissions: [{
     type: String,
     enum: [
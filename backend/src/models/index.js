@@ -5,6 +5,20 @@ const Alert = require('./Alert');
 const Report = require('./Report');
 const APIKey = require('./APIKey');
 const Settings = require('./Settings');
+const ArchiveSegment = require('./ArchiveSegment');
+const ExportJob = require('./ExportJob');
+const SavedSearch = require('./SavedSearch');
+const RedactionRule = require('./RedactionRule');
+const RetentionPolicy = require('./RetentionPolicy');
+const LegalHold = require('./LegalHold');
+const EventType = require('./EventType');
+const AnchorQueueItem = require('./AnchorQueueItem');
+const DetectionCounter = require('./DetectionCounter');
+const DetectionRule = require('./DetectionRule');
+const DetectionRuleVersion = require('./DetectionRuleVersion');
+const AnomalyBaseline = require('./AnomalyBaseline');
+const AggregationBucket = require('./AggregationBucket');
+const ChainHead = require('./ChainHead');
 
 module.exports = {
   User,
@@ -13,5 +27,19 @@ module.exports = {
   Alert,
   Report,
   APIKey,
-  Settings
+  Settings,
+  ArchiveSegment,
+  ExportJob,
+  SavedSearch,
+  RedactionRule,
+  RetentionPolicy,
+  LegalHold,
+  EventType,
+  AnchorQueueItem,
+  DetectionCounter,
+  DetectionRule,
+  DetectionRuleVersion,
+  AnomalyBaseline,
+  AggregationBucket,
+  ChainHead
 };
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Matches documents that no active legal hold covers
+const NOT_HELD = Object.freeze({ 'legalHolds.0': { $exists: false } });
+
+/**
+ * Legal hold schema plugin
+ * Adds the list of active holds covering a document and keeps held documents
+ * out of every query-based delete
+ * @param {mongoose.Schema} schema - Schema to extend
+ */
+function legalHoldPlugin(schema) {
+  schema.add({
+    // Active legal holds covering this document; released holds are removed
+    legalHolds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'LegalHold' }],
+      default: undefined,
+      index: true
+    }
+  });
+
+  schema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'], function() {
+    this.where(NOT_HELD);
+  });
+
+  /**
+   * Whether an active legal hold covers the document
+   * @returns {boolean}
+   */
+  schema.methods.isOnLegalHold = function() {
+    return Array.isArray(this.legalHolds) && this.legalHolds.length > 0;
+  };
+}
+
+legalHoldPlugin.NOT_HELD = NOT_HELD;
+
+module.exports = legalHoldPlugin;
@@ -0,0 +1,37 @@
+const RequestContext = require('../../utils/requestContext');
+
+/**
+ * Trace context schema plugin
+ * Adds correlation and session IDs, filled from the current request when the
+ * document is created without them
+ * @param {mongoose.Schema} schema - Schema to extend
+ */
+function traceContextPlugin(schema) {
+  schema.add({
+    // Groups everything one request or distributed trace caused
+    correlationId: {
+      type: String,
+      maxlength: 128,
+      index: true
+    },
+
+    // Groups everything one user session did
+    sessionId: {
+      type: String,
+      maxlength: 128,
+      index: true
+    }
+  });
+
+  // Runs for save() and insertMany()
+  schema.pre('validate', function(next) {
+    if (this.isNew) {
+      const { correlationId, sessionId } = RequestContext.getTraceIds();
+      if (!this.correlationId && correlationId) this.correlationId = correlationId;
+      if (!this.sessionId && sessionId) this.sessionId = sessionId;
+    }
+    next();
+  });
+}
+
+module.exports = traceContextPlugin;
@@ -0,0 +1,25 @@
+const express = require('express');
+const archiveController = require('../controllers/archiveController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All archive routes require authentication
+router.use(authenticateToken);
+
+// List cold-storage segments
+router.get('/', requireRole(['Admin', 'Auditor']), archiveController.getSegments);
+
+// Run archival now (admin only)
+router.post('/run', requireRole(['Admin']), archiveController.runArchival);
+
+// Get segment by ID
+router.get('/:segmentId', requireRole(['Admin', 'Auditor']), archiveController.getSegmentById);
+
+// Verify segment file and manifest hashes
+router.get('/:segmentId/verify', requireRole(['Admin', 'Auditor']), archiveController.verifySegment);
+
+// Restore segment into a separate collection (admin only)
+router.post('/:segmentId/restore', requireRole(['Admin']), archiveController.restoreSegment);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const eventTypeController = require('../controllers/eventTypeController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All event type routes require authentication
+router.use(authenticateToken);
+
+// List built-in, shared and organization event types
+router.get('/', eventTypeController.getEventTypes);
+
+// Get event type
+router.get('/:id', eventTypeController.getEventTypeById);
+
+// Check sample details against an event type's schema
+router.post('/:id/validate', eventTypeController.validateSample);
+
+// Register custom event type
+router.post('/', requireRole(['Admin']), eventTypeController.createEventType);
+
+// Update event type
+router.put('/:id', requireRole(['Admin']), eventTypeController.updateEventType);
+
+// Delete unused custom event type
+router.delete('/:id', requireRole(['Admin']), eventTypeController.deleteEventType);
+
+module.exports = router;
@@ -8,6 +8,11 @@ const userRoutes = require('./users');
 const logRoutes = require('./logs');
 const threatRoutes = require('./threats');
 const alertRoutes = require('./alerts');
+const archiveRoutes = require('./archives');
+const savedSearchRoutes = require('./savedSearches');
+const redactionRuleRoutes = require('./redactionRules');
+const retentionRoutes = require('./retention');
+const eventTypeRoutes = require('./eventTypes');
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -54,6 +59,11 @@ router.use('/users', userRoutes);
 router.use('/logs', logRoutes);
 router.use('/threats', threatRoutes);
 router.use('/alerts', alertRoutes);
+router.use('/archives', archiveRoutes);
+router.use('/saved-searches', savedSearchRoutes);
+router.use('/redaction-rules', redactionRuleRoutes);
+router.use('/retention', retentionRoutes);
+router.use('/event-types', eventTypeRoutes);
 
 // Catch-all for undefined routes
 router.use('*', (req, res) => {
@@ -1,30 +1,82 @@
 const express = require('express');
 const logController = require('../controllers/logController');
-const { authenticateToken, requireRole, requirePermission } = require('../middleware/auth');
+const {
+  authenticateToken,
+  authenticateApiKey,
+  requireRole,
+  requirePermission,
+  requireApiPermission
+} = require('../middleware/auth');
+const { ingestBackpressure } = require('../middleware/backpressure');
 
 const router = express.Router();
 
+// Streaming NDJSON ingest for API-key clients (one JSON log per line)
+router.post(
+  '/ingest/ndjson',
+  authenticateApiKey,
+  requireApiPermission('write:logs'),
+  ingestBackpressure,
+  logController.ingestNdjson
+);
+
 // All log routes require authentication
 router.use(authenticateToken);
 
 // Get all logs (with pagination and filtering)
 router.get('/', logController.getLogs);
 
+// Validate a search query (?q=) and return parse errors with positions
+router.get('/query/validate', logController.validateQuery);
+
 // Get log statistics
 router.get('/stats', logController.getLogStats);
 
+// Local hash chain health (?verify=true walks the chain now)
+router.get('/chain/health', requireRole(['Admin', 'Auditor']), logController.getChainHealth);
+
+// Anchoring queue depth and backpressure state
+router.get('/anchor-queue', requireRole(['Admin', 'Auditor']), logController.getAnchorQueueStats);
+
 // Export logs
 router.get('/export', requireRole(['admin', 'analyst']), logController.exportLogs);
 
+// Background export job status and download
+router.get('/export/jobs/:jobId', requireRole(['Admin', 'Analyst']), logController.getExportJob);
+router.get('/export/jobs/:jobId/download', requireRole(['Admin', 'Analyst']), logController.downloadExportJob);
+
+// Ordered logs, threats and alerts sharing a correlation ID
+router.get('/timeline/:correlationId', logController.getCorrelationTimeline);
+
 // Get log by ID
 router.get('/:id', logController.getLogById);
 
 // Create new log
-router.post('/', logController.createLog);
+router.post('/', ingestBackpressure, logController.createLog);
+
+// Ingest raw CEF or LEEF lines (text/plain body or JSON { lines: [] })
+router.post(
+  '/ingest/:format(cef|leef)',
+  ingestBackpressure,
+  express.text({ type: ['text/plain', 'application/octet-stream'], limit: '10mb' }),
+  logController.ingestCefLeef
+);
+
+// Ingest nginx/Apache access log lines (text/plain body or JSON { lines: [], format })
+// and record web attacks as threats
+router.post(
+  '/ingest/access',
+  ingestBackpressure,
+  express.text({ type: ['text/plain', 'application/octet-stream'], limit: '10mb' }),
+  logController.ingestAccessLog
+);
 
 // Verify log integrity
 router.post('/:id/verify', logController.verifyLog);
 
+// Verify a log's Merkle inclusion proof against the anchored batch root
+router.get('/:id/proof', logController.verifyLogProof);
+
 // Anchor log to blockchain
 router.post('/:id/anchor', requireRole(['admin']), logController.anchorLog);
 
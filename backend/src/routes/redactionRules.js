@@ -0,0 +1,29 @@
+const express = require('express');
+const redactionController = require('../controllers/redactionController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Redaction rules are managed by admins
+router.use(authenticateToken);
+router.use(requireRole(['Admin']));
+
+// List stored and built-in rules
+router.get('/', redactionController.getRules);
+
+// List built-in PII and secret detectors
+router.get('/detectors', redactionController.getDetectors);
+
+// Preview rules on sample logs
+router.post('/preview', redactionController.previewRules);
+
+// Create rule
+router.post('/', redactionController.createRule);
+
+// Update rule
+router.put('/:id', redactionController.updateRule);
+
+// Delete rule
+router.delete('/:id', redactionController.deleteRule);
+
+module.exports = router;
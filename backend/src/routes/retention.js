@@ -0,0 +1,35 @@
+const express = require('express');
+const retentionController = require('../controllers/retentionController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Retention policies and legal holds are managed by admins
+router.use(authenticateToken);
+router.use(requireRole(['Admin']));
+
+// List policies in match order
+router.get('/policies', retentionController.getPolicies);
+
+// Create policy
+router.post('/policies', retentionController.createPolicy);
+
+// Update policy
+router.put('/policies/:id', retentionController.updatePolicy);
+
+// Delete policy
+router.delete('/policies/:id', retentionController.deletePolicy);
+
+// List legal holds
+router.get('/legal-holds', retentionController.getLegalHolds);
+
+// Get legal hold
+router.get('/legal-holds/:id', retentionController.getLegalHoldById);
+
+// Place legal hold
+router.post('/legal-holds', retentionController.createLegalHold);
+
+// Release legal hold (audited)
+router.post('/legal-holds/:id/release', retentionController.releaseLegalHold);
+
+module.exports = router;
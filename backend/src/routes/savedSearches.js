@@ -0,0 +1,28 @@
+const express = require('express');
+const savedSearchController = require('../controllers/savedSearchController');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All saved search routes require authentication
+router.use(authenticateToken);
+
+// List saved searches owned by or shared with the user
+router.get('/', savedSearchController.getSavedSearches);
+
+// Create saved search
+router.post('/', savedSearchController.createSavedSearch);
+
+// Get saved search by ID
+router.get('/:id', savedSearchController.getSavedSearchById);
+
+// Run saved search (?from=&to= limits the time window)
+router.get('/:id/results', savedSearchController.getSavedSearchResults);
+
+// Update saved search (owner or admin)
+router.put('/:id', savedSearchController.updateSavedSearch);
+
+// Delete saved search (owner or admin)
+router.delete('/:id', savedSearchController.deleteSavedSearch);
+
+module.exports = router;
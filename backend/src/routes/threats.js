@@ -22,6 +22,31 @@ router.get('/patterns', requireRole(['admin', 'analyst']), threatController.anal
 // Run threat scan (admin/analyst only)
 router.post('/scan', requireRole(['admin', 'analyst']), threatController.runThreatScan);
 
+// Import Sigma detection rules (YAML body or JSON { yaml }) (admin only)
+router.post(
+  '/rules/sigma',
+  requireRole(['Admin']),
+  express.text({ type: ['text/plain', 'text/yaml', 'application/yaml', 'application/x-yaml'], limit: '1mb' }),
+  threatController.importSigmaRules
+);
+
+// Detection rule management. Rules are shared by every organization, so
+// changing them is admin only; analysts manage their organization's overrides
+// (enable/disable with an organizationId in the body)
+router.get('/rules', requireRole(['Admin', 'Analyst']), threatController.getDetectionRules);
+router.post('/rules', requireRole(['Admin']), threatController.createDetectionRule);
+router.post('/rules/backtest', requireRole(['Admin', 'Analyst']), threatController.backtestDetectionRule);
+router.get('/rules/:ruleId', requireRole(['Admin', 'Analyst']), threatController.getDetectionRule);
+router.put('/rules/:ruleId', requireRole(['Admin']), threatController.updateDetectionRule);
+router.delete('/rules/:ruleId', requireRole(['Admin']), threatController.deleteDetectionRule);
+router.post('/rules/:ruleId/enable', requireRole(['Admin', 'Analyst']), threatController.enableDetectionRule);
+router.post('/rules/:ruleId/disable', requireRole(['Admin', 'Analyst']), threatController.disableDetectionRule);
+router.put('/rules/:ruleId/overrides/:organizationId', requireRole(['Admin', 'Analyst']), threatController.setDetectionRuleOverride);
+router.delete('/rules/:ruleId/overrides/:organizationId', requireRole(['Admin', 'Analyst']), threatController.removeDetectionRuleOverride);
+router.get('/rules/:ruleId/versions', requireRole(['Admin', 'Analyst']), threatController.getDetectionRuleVersions);
+router.post('/rules/:ruleId/rollback', requireRole(['Admin']), threatController.rollbackDetectionRule);
+router.post('/rules/:ruleId/backtest', requireRole(['Admin', 'Analyst']), threatController.backtestDetectionRule);
+
 // Get threat by ID
 router.get('/:id', threatController.getThreatById);
 
@@ -0,0 +1,346 @@
+const { Log, AggregationBucket } = require('../models');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const CryptoUtils = require('../utils/crypto');
+const CanonicalJson = require('../utils/canonicalJson');
+const MerkleTree = require('../utils/merkleTree');
+
+// Fields compared when a rule does not list its own
+const DEFAULT_FINGERPRINT_FIELDS = ['severity', 'description', 'details', 'metadata.ipAddress'];
+
+/**
+ * Aggregation Service
+ * Collapses repeated events from noisy sources into one aggregate log per
+ * fingerprint and time window. Each member's content hash is kept, and the
+ * aggregate is hashed over the Merkle root of its member hashes. Open
+ * aggregates are mirrored to AggregationBucket so a restart resumes them.
+ */
+class AggregationService {
+  constructor() {
+    this.enabled = config.AGGREGATION.ENABLED;
+    this.rules = config.AGGREGATION.RULES;
+    this.defaultWindowSeconds = config.AGGREGATION.DEFAULT_WINDOW_SECONDS;
+    this.maxMembers = config.AGGREGATION.MAX_MEMBERS;
+    this.buckets = new Map(); // fingerprint -> open aggregate
+    this.flushHandler = null;
+    this.timer = null;
+  }
+
+  /**
+   * Set the function that stores a finished aggregate
+   * @param {Function} handler - async (log) => storedLog
+   */
+  setFlushHandler(handler) {
+    this.flushHandler = handler;
+  }
+
+  /**
+   * Resume aggregates left open by the previous run and start closing
+   * expired windows
+   */
+  start() {
+    if (this.timer) return;
+
+    this.restore().catch(error => {
+      logger.error('Aggregation restore error:', error.message);
+    });
+
+    this.timer = setInterval(() => {
+      this.flushExpired().catch(error => {
+        logger.error('Aggregation flush error:', error.message);
+      });
+    }, 1000);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the flush timer and store every open aggregate
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    await this.flushAll();
+  }
+
+  /**
+   * Find the aggregation rule for a log
+   * @param {Object} log - Log document
+   * @returns {Object|null} Matching rule
+   */
+  findRule(log) {
+    return this.rules.find(rule =>
+      (!rule.source || rule.source === log.source) &&
+      (!rule.eventType || rule.eventType === log.eventType)
+    ) || null;
+  }
+
+  /**
+   * Compute a log's aggregation fingerprint
+   * @param {Object} log - Log document
+   * @param {Object} rule - Aggregation rule
+   * @returns {string} Fingerprint
+   */
+  getFingerprint(log, rule) {
+    const fields = rule.fields && rule.fields.length > 0 ? rule.fields : DEFAULT_FINGERPRINT_FIELDS;
+
+    return CryptoUtils.hash(CanonicalJson.stringify({
+      organizationId: log.organizationId,
+      source: log.source,
+      eventType: log.eventType,
+      values: fields.map(field => log.get(field))
+    }));
+  }
+
+  /**
+   * Add a log to an open aggregate when a rule covers it. Resolves once the
+   * event is recorded in the aggregate's durable bucket.
+   * @param {Object} log - Unsaved log document with its content hash
+   * @returns {Promise<Object|null>} { aggregated, bucketId } of the aggregate the event joined, or null if not aggregated
+   */
+  async absorb(log) {
+    if (!this.enabled || this.rules.length === 0) return null;
+
+    const rule = this.findRule(log);
+    if (!rule) return null;
+
+    const fingerprint = this.getFingerprint(log, rule);
+    let bucket = this.buckets.get(fingerprint);
+
+    if (!bucket) {
+      const windowSeconds = rule.windowSeconds || this.defaultWindowSeconds;
+
+      bucket = {
+        bucketId: CryptoUtils.generateUUID(),
+        log,
+        snapshot: log.toObject({ depopulate: true }),
+        fingerprint,
+        windowSeconds,
+        memberHashes: [],
+        firstSeen: log.timestamp,
+        lastSeen: log.timestamp,
+        closesAt: Date.now() + windowSeconds * 1000,
+        writes: Promise.resolve()
+      };
+      this.buckets.set(fingerprint, bucket);
+    }
+
+    bucket.memberHashes.push(log.logHash);
+    if (log.timestamp < bucket.firstSeen) bucket.firstSeen = log.timestamp;
+    if (log.timestamp > bucket.lastSeen) bucket.lastSeen = log.timestamp;
+
+    this.applySummary(bucket);
+
+    await this.persistMember(bucket, log);
+
+    if (bucket.memberHashes.length >= this.maxMembers) {
+      this.flush(fingerprint).catch(error => {
+        logger.error('Aggregation flush error:', error.message);
+      });
+    }
+
+    return { aggregated: true, bucketId: bucket.bucketId };
+  }
+
+  /**
+   * Record a member in the aggregate's durable bucket. Writes for one bucket
+   * run in order; a member whose write fails is taken out of the aggregate.
+   * @param {Object} bucket - Open aggregate
+   * @param {Object} log - Member log
+   * @returns {Promise<void>}
+   */
+  async persistMember(bucket, log) {
+    const write = bucket.writes
+      .then(() => AggregationBucket.updateOne(
+        { bucketId: bucket.bucketId },
+        {
+          $setOnInsert: {
+            fingerprint: bucket.fingerprint,
+            log: bucket.snapshot,
+            windowSeconds: bucket.windowSeconds,
+            closesAt: new Date(bucket.closesAt)
+          },
+          $push: { memberHashes: log.logHash },
+          $min: { firstSeen: log.timestamp },
+          $max: { lastSeen: log.timestamp }
+        },
+        { upsert: true }
+      ))
+      .catch(error => {
+        const index = bucket.memberHashes.lastIndexOf(log.logHash);
+        if (index !== -1) {
+          bucket.memberHashes.splice(index, 1);
+          this.applySummary(bucket);
+        }
+        throw error;
+      });
+
+    bucket.writes = write.catch(() => {});
+    await write;
+  }
+
+  /**
+   * Load aggregates that were open when the previous run stopped. Windows
+   * that already closed are stored on the next expiry check.
+   * @returns {Promise<number>} Aggregates restored
+   */
+  async restore() {
+    const stored = await AggregationBucket.find().sort({ createdAt: 1 }).lean();
+    let restored = 0;
+
+    for (const record of stored) {
+      // Empty, or already stored before its bucket was dropped
+      if (record.memberHashes.length === 0 || await Log.exists({ _id: record.log._id })) {
+        await AggregationBucket.deleteOne({ bucketId: record.bucketId });
+        continue;
+      }
+
+      const bucket = {
+        bucketId: record.bucketId,
+        log: new Log(record.log),
+        snapshot: record.log,
+        fingerprint: record.fingerprint,
+        windowSeconds: record.windowSeconds,
+        memberHashes: record.memberHashes,
+        firstSeen: record.firstSeen,
+        lastSeen: record.lastSeen,
+        closesAt: new Date(record.closesAt).getTime(),
+        writes: Promise.resolve()
+      };
+      this.applySummary(bucket);
+
+      // A new window for the same fingerprint opened first; close this one now
+      if (this.buckets.has(bucket.fingerprint)) {
+        await this.store(bucket);
+      } else {
+        this.buckets.set(bucket.fingerprint, bucket);
+      }
+      restored++;
+    }
+
+    if (restored > 0) {
+      logger.info('Open aggregates restored', { restored });
+    }
+
+    return restored;
+  }
+
+  /**
+   * Write the current aggregate summary onto the bucket's log. The member
+   * root is only computed when the aggregate is closed.
+   * @param {Object} bucket - Open aggregate
+   * @param {boolean} closing - Whether the aggregate is being stored
+   */
+  applySummary(bucket, closing = false) {
+    bucket.log.timestamp = bucket.firstSeen;
+    bucket.log.aggregation = {
+      fingerprint: bucket.fingerprint,
+      count: bucket.memberHashes.length,
+      firstSeen: bucket.firstSeen,
+      lastSeen: bucket.lastSeen,
+      windowSeconds: bucket.windowSeconds,
+      memberRoot: closing ? MerkleTree.getRoot(MerkleTree.build(bucket.memberHashes)) : undefined,
+      memberHashes: closing ? bucket.memberHashes : []
+    };
+  }
+
+  /**
+   * Store aggregates whose window has closed
+   * @returns {Promise<number>} Aggregates stored
+   */
+  async flushExpired() {
+    const now = Date.now();
+    const expired = [...this.buckets.values()].filter(bucket => bucket.closesAt <= now);
+
+    for (const bucket of expired) {
+      await this.flush(bucket.fingerprint);
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * Store every open aggregate
+   * @returns {Promise<void>}
+   */
+  async flushAll() {
+    for (const fingerprint of [...this.buckets.keys()]) {
+      await this.flush(fingerprint);
+    }
+  }
+
+  /**
+   * Close an aggregate and store it
+   * @param {string} fingerprint - Aggregate fingerprint
+   * @returns {Promise<Object|null>} Stored log
+   */
+  async flush(fingerprint) {
+    const bucket = this.buckets.get(fingerprint);
+    if (!bucket) return null;
+    this.buckets.delete(fingerprint);
+
+    return this.store(bucket);
+  }
+
+  /**
+   * Store a closed aggregate and drop its durable bucket. A window with a
+   * single event is stored as an ordinary log.
+   * @param {Object} bucket - Closed aggregate
+   * @returns {Promise<Object|null>} Stored log, null when every member write failed
+   */
+  async store(bucket) {
+    // Members still being recorded belong to this aggregate
+    await bucket.writes;
+
+    const { log, fingerprint } = bucket;
+    if (bucket.memberHashes.length === 0) {
+      return null;
+    }
+    if (bucket.memberHashes.length === 1) {
+      log.aggregation = undefined;
+    } else {
+      this.applySummary(bucket, true);
+    }
+
+    let stored;
+    try {
+      stored = await this.flushHandler(log);
+    } catch (error) {
+      logger.error('Failed to store aggregated log', {
+        fingerprint,
+        count: bucket.memberHashes.length,
+        error: error.message
+      });
+      throw error;
+    }
+
+    await AggregationBucket.deleteOne({ bucketId: bucket.bucketId });
+
+    return stored;
+  }
+
+  /**
+   * Check an aggregate's member root against its member hashes
+   * @param {Object} log - Aggregate log
+   * @returns {Object} Verification result
+   */
+  verifyMembers(log) {
+    const { memberHashes = [], memberRoot, count } = log.aggregation;
+    const computedRoot = memberHashes.length > 0
+      ? MerkleTree.getRoot(MerkleTree.build(memberHashes))
+      : null;
+
+    return {
+      count,
+      memberCount: memberHashes.length,
+      memberRoot,
+      computedRoot,
+      intact: computedRoot === memberRoot && memberHashes.length === count
+    };
+  }
+}
+
+module.exports = new AggregationService();
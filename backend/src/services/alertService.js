@@ -63,6 +63,7 @@ class AlertService {
     try {
       const {
         type,
+        subType,
         severity = 'Medium',
         title,
         message,
@@ -73,7 +74,9 @@ class AlertService {
         metadata = {},
         channels = ['email'], // Default delivery channels
         priority = 'normal',
-        scheduledFor = null
+        scheduledFor = null,
+        correlationId,
+        sessionId
       } = alertData;
 
       // Validate required fields
@@ -84,6 +87,7 @@ class AlertService {
       // Create alert record
       const alert = new Alert({
         type,
+        subType,
         severity,
         title,
         message,
@@ -93,6 +97,8 @@ class AlertService {
         entityId,
         metadata,
         priority,
+        correlationId,
+        sessionId,
         scheduledFor: scheduledFor ? new Date(scheduledFor) : null,
         status: scheduledFor ? 'Scheduled' : 'Active',
         delivery: {
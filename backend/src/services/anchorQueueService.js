@@ -0,0 +1,351 @@
+const os = require('os');
+const { Log, AnchorQueueItem } = require('../models');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const CryptoUtils = require('../utils/crypto');
+
+/**
+ * Anchor Queue Service
+ * Durable, Mongo-backed queue of stored logs waiting for Merkle batch
+ * anchoring. Batches are claimed under a lease and only removed once
+ * anchored, so a crash leaves them to be picked up again when the lease
+ * expires (at-least-once). Queue depth drives ingest backpressure.
+ */
+class AnchorQueueService {
+  constructor() {
+    const settings = config.ANCHOR_QUEUE;
+
+    this.concurrency = settings.CONCURRENCY;
+    this.batchSize = settings.BATCH_SIZE;
+    this.batchWindow = settings.BATCH_INTERVAL_SECONDS * 1000;
+    this.pollInterval = settings.POLL_INTERVAL_MS;
+    this.leaseDuration = settings.LEASE_SECONDS * 1000;
+    this.retryDelay = settings.RETRY_DELAY_SECONDS * 1000;
+    this.highWaterMark = settings.HIGH_WATER_MARK;
+    this.lowWaterMark = Math.min(settings.LOW_WATER_MARK, settings.HIGH_WATER_MARK);
+    this.retryAfter = settings.RETRY_AFTER_SECONDS; // Retry-After sent to refused ingest requests
+
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.batchHandler = null;
+    this.timer = null;
+    this.polling = false;
+    this.active = 0; // Batches being anchored by this process
+    this.depth = 0; // Queued and leased items, refreshed every poll
+    this.saturated = false;
+  }
+
+  /**
+   * Set the function that anchors a claimed batch
+   * @param {Function} handler - async (logs) => ({ success, error })
+   */
+  setBatchHandler(handler) {
+    this.batchHandler = handler;
+  }
+
+  /**
+   * Queue stored logs for anchoring. Logs already queued are skipped.
+   * @param {Array<Object>} logs - Stored log documents
+   * @returns {Promise<number>} Logs queued
+   */
+  async enqueue(logs) {
+    if (logs.length === 0) return 0;
+
+    let queued = logs.length;
+
+    try {
+      await AnchorQueueItem.insertMany(logs.map(log => ({
+        logId: log._id,
+        organizationId: log.organizationId
+      })), { ordered: false });
+    } catch (error) {
+      if (!error.writeErrors || error.writeErrors.some(writeError => writeError.code !== 11000)) {
+        throw error;
+      }
+      queued -= error.writeErrors.length;
+    }
+
+    this.depth += queued;
+    this.updateSaturation();
+
+    return queued;
+  }
+
+  /**
+   * Re-queue stored logs that are still pending but not in the queue, e.g.
+   * after a crash between storing a log and queueing it
+   * @returns {Promise<number>} Logs queued
+   */
+  async requeueUnanchored() {
+    const cursor = Log.find({ status: 'Pending' })
+      .select('_id organizationId')
+      .lean()
+      .cursor({ batchSize: this.batchSize });
+
+    let requeued = 0;
+    let batch = [];
+
+    const flush = async () => {
+      const queuedIds = new Set((await AnchorQueueItem.find({ logId: { $in: batch.map(log => log._id) } })
+        .distinct('logId')).map(String));
+      requeued += await this.enqueue(batch.filter(log => !queuedIds.has(String(log._id))));
+      batch = [];
+    };
+
+    for await (const log of cursor) {
+      batch.push(log);
+      if (batch.length >= this.batchSize) {
+        await flush();
+      }
+    }
+    if (batch.length > 0) {
+      await flush();
+    }
+
+    if (requeued > 0) {
+      logger.warn(`Re-queued ${requeued} pending logs missing from the anchor queue`);
+    }
+
+    return requeued;
+  }
+
+  /**
+   * Re-queue pending logs left out of the queue, then start claiming and
+   * anchoring batches
+   */
+  start() {
+    if (this.timer) return;
+
+    this.requeueUnanchored().catch(error => {
+      logger.error('Anchor queue sweep error:', error.message);
+    });
+
+    this.timer = setInterval(() => {
+      this.poll().catch(error => {
+        logger.error('Anchor queue poll error:', error.message);
+      });
+    }, this.pollInterval);
+    this.timer.unref();
+
+    logger.info('Anchor queue started', {
+      workerId: this.workerId,
+      concurrency: this.concurrency,
+      batchSize: this.batchSize
+    });
+  }
+
+  /**
+   * Stop claiming new batches. Batches in flight finish on their own, and
+   * any cut short are re-claimed after their lease expires.
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Recover expired leases, refresh the queue depth and start as many
+   * batches as there are free workers
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      await this.recoverExpiredLeases();
+      await this.refreshDepth();
+
+      while (this.active < this.concurrency) {
+        const batch = await this.claimBatch();
+        if (!batch) break;
+
+        this.active++;
+        this.processBatch(batch).finally(() => {
+          this.active--;
+        });
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Return items leased by a worker that stopped before finishing to the queue
+   * @returns {Promise<number>} Items recovered
+   */
+  async recoverExpiredLeases() {
+    const result = await AnchorQueueItem.updateMany(
+      { status: 'Processing', lockedUntil: { $lt: new Date() } },
+      {
+        $set: { status: 'Queued', availableAt: new Date() },
+        $unset: { lockedBy: '', lockedUntil: '' }
+      }
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.warn(`Recovered ${result.modifiedCount} anchor queue items from expired leases`);
+    }
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Count queued and leased items and update the backpressure state
+   * @returns {Promise<number>} Queue depth
+   */
+  async refreshDepth() {
+    this.depth = await AnchorQueueItem.countDocuments({ status: { $in: ['Queued', 'Processing'] } });
+    this.updateSaturation();
+    return this.depth;
+  }
+
+  /**
+   * Switch backpressure on at the high-water mark and off again once the
+   * queue has drained to the low-water mark
+   */
+  updateSaturation() {
+    if (!this.saturated && this.depth >= this.highWaterMark) {
+      this.saturated = true;
+      logger.warn('Anchor queue above high-water mark, rejecting ingest', {
+        depth: this.depth,
+        highWaterMark: this.highWaterMark
+      });
+    } else if (this.saturated && this.depth <= this.lowWaterMark) {
+      this.saturated = false;
+      logger.info('Anchor queue drained below low-water mark, accepting ingest', {
+        depth: this.depth,
+        lowWaterMark: this.lowWaterMark
+      });
+    }
+  }
+
+  /**
+   * Whether ingest should be refused until the queue drains
+   * @returns {boolean}
+   */
+  isSaturated() {
+    return this.saturated;
+  }
+
+  /**
+   * Lease the oldest ready items as a batch. A partial batch is only
+   * claimed once its oldest item has waited a full batch interval.
+   * @returns {Promise<Object|null>} { lockedBy, items }, null when nothing is ready
+   */
+  async claimBatch() {
+    const now = new Date();
+
+    const candidates = await AnchorQueueItem.find({ status: 'Queued', availableAt: { $lte: now } })
+      .sort({ createdAt: 1 })
+      .limit(this.batchSize)
+      .select('_id createdAt')
+      .lean();
+
+    if (candidates.length === 0) return null;
+    if (candidates.length < this.batchSize && now - candidates[0].createdAt < this.batchWindow) {
+      return null;
+    }
+
+    // Items claimed by another worker in the meantime keep their lease
+    const lockedBy = `${this.workerId}:${CryptoUtils.generateUUID()}`;
+    await AnchorQueueItem.updateMany(
+      { _id: { $in: candidates.map(item => item._id) }, status: 'Queued' },
+      {
+        $set: { status: 'Processing', lockedBy, lockedUntil: new Date(now.getTime() + this.leaseDuration) },
+        $inc: { attempts: 1 }
+      }
+    );
+
+    const items = await AnchorQueueItem.find({ lockedBy }).sort({ createdAt: 1 }).lean();
+
+    return items.length > 0 ? { lockedBy, items } : null;
+  }
+
+  /**
+   * Anchor a claimed batch, then remove it from the queue. On failure the
+   * items are released for a retry with exponential backoff.
+   * @param {Object} batch - Claimed batch
+   */
+  async processBatch({ lockedBy, items }) {
+    try {
+      if (!this.batchHandler) {
+        throw new Error('No anchor batch handler registered');
+      }
+
+      const logs = await Log.find({ _id: { $in: items.map(item => item.logId) } })
+        .select('logHash organizationId')
+        .lean();
+
+      // Keep queue order; logs deleted since they were queued are dropped
+      const byId = new Map(logs.map(log => [log._id.toString(), log]));
+      const batchLogs = items.map(item => byId.get(item.logId.toString())).filter(Boolean);
+
+      if (batchLogs.length > 0) {
+        const result = await this.batchHandler(batchLogs);
+        if (!result.success) {
+          throw new Error(result.error || 'Batch anchoring failed');
+        }
+      }
+
+      const { deletedCount } = await AnchorQueueItem.deleteMany({ lockedBy });
+      this.depth = Math.max(0, this.depth - deletedCount);
+      this.updateSaturation();
+    } catch (error) {
+      logger.error('Anchor batch failed, releasing for retry:', error.message);
+
+      await this.releaseBatch(lockedBy, error.message).catch(releaseError => {
+        logger.error('Failed to release anchor batch:', releaseError.message);
+      });
+    }
+  }
+
+  /**
+   * Return a leased batch to the queue, delaying each item by its attempt count
+   * @param {string} lockedBy - Lease ID
+   * @param {string} reason - Failure message
+   */
+  async releaseBatch(lockedBy, reason) {
+    const now = new Date();
+
+    await AnchorQueueItem.updateMany({ lockedBy }, [
+      {
+        $set: {
+          status: 'Queued',
+          lastError: reason,
+          availableAt: {
+            $add: [now, { $multiply: [this.retryDelay, { $pow: [2, { $min: [{ $subtract: ['$attempts', 1] }, 6] }] }] }]
+          }
+        }
+      },
+      { $unset: ['lockedBy', 'lockedUntil'] }
+    ]);
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Promise<Object>} Queue state
+   */
+  async getStats() {
+    const [queued, processing, retrying, oldest] = await Promise.all([
+      AnchorQueueItem.countDocuments({ status: 'Queued' }),
+      AnchorQueueItem.countDocuments({ status: 'Processing' }),
+      AnchorQueueItem.countDocuments({ status: 'Queued', attempts: { $gt: 0 } }),
+      AnchorQueueItem.findOne({}).sort({ createdAt: 1 }).select('createdAt').lean()
+    ]);
+
+    return {
+      queued,
+      processing,
+      retrying,
+      oldestQueuedAt: oldest?.createdAt || null,
+      activeBatches: this.active,
+      concurrency: this.concurrency,
+      highWaterMark: this.highWaterMark,
+      lowWaterMark: this.lowWaterMark,
+      saturated: this.saturated
+    };
+  }
+}
+
+module.exports = new AnchorQueueService();
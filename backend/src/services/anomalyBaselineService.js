@@ -0,0 +1,530 @@
+const { Log, EventType, AnomalyBaseline } = require('../models');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const { BUILTIN_EVENT_TYPES } = require('../config/eventTypes');
+const EventTypeService = require('./eventTypeService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Least history before a feature is scored
+const MIN_SLOT_SAMPLES = 2; // past occurrences of the hour of week
+const MIN_EWMA_HOURS = 24;
+const MIN_VALUE_SAMPLES = 30;
+// Least events in the hour before volume is scored. An empty slot's stdDev
+// floor of 1 would otherwise let one or two events pass a low Z_THRESHOLD.
+const MIN_VOLUME_COUNT = 3;
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const MAX_CACHED_BASELINES = 10000;
+const WRITE_BATCH_SIZE = 500;
+
+/**
+ * Anomaly Baseline Service
+ * Builds expected activity per organization, event type and source (and per
+ * user for authentication events) from stored logs: hourly volume by hour of
+ * week, an EWMA hourly rate and numeric value distributions. Logs are scored
+ * by how many standard deviations they fall from those baselines, and every
+ * score carries the baseline values it was computed from.
+ */
+class AnomalyBaselineService {
+  constructor() {
+    const settings = config.ANOMALY;
+
+    this.enabled = settings.ENABLED;
+    this.lookbackHours = settings.LOOKBACK_DAYS * 24;
+    this.refreshInterval = settings.REFRESH_MINUTES * 60 * 1000;
+    this.alpha = settings.EWMA_ALPHA;
+    this.zThreshold = settings.Z_THRESHOLD;
+    this.features = this.buildFeatures(settings.VALUE_FIELDS);
+    this.cache = new Map(); // baseline key -> { baseline, loadedAt }
+    this.timer = null;
+    this.refreshing = false;
+  }
+
+  /**
+   * Build the baselines now and rebuild them on schedule
+   */
+  start() {
+    if (!this.enabled || this.timer) return;
+
+    const run = () => this.refresh().catch(error => {
+      logger.error('Anomaly baseline refresh error:', error.message);
+    });
+
+    run();
+    this.timer = setInterval(run, this.refreshInterval);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop rebuilding baselines
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Rebuild every baseline from the complete hours of the lookback period
+   * and drop baselines with no events left in it
+   * @returns {Promise<number|null>} Baselines stored, null when a refresh was already running
+   */
+  async refresh() {
+    if (this.refreshing) return null;
+    this.refreshing = true;
+
+    try {
+      const refreshedAt = new Date();
+      const until = Math.floor(refreshedAt.getTime() / HOUR_MS);
+      const match = {
+        timestamp: {
+          $gte: new Date((until - this.lookbackHours) * HOUR_MS),
+          $lt: new Date(until * HOUR_MS)
+        }
+      };
+      const userMatch = {
+        ...match,
+        eventType: { $in: await this.getAuthEventTypes() },
+        userId: { $ne: null }
+      };
+
+      // One aggregation at a time; each scans the whole lookback period
+      const eventHours = await this.aggregateHourlyCounts(match, false);
+      const eventValues = await this.aggregateValues(match, false);
+      const userHours = await this.aggregateHourlyCounts(userMatch, true);
+      const userValues = await this.aggregateValues(userMatch, true);
+
+      const baselines = [
+        ...this.buildBaselines('event', eventHours, eventValues, until, refreshedAt),
+        ...this.buildBaselines('user', userHours, userValues, until, refreshedAt)
+      ];
+
+      for (let start = 0; start < baselines.length; start += WRITE_BATCH_SIZE) {
+        await AnomalyBaseline.bulkWrite(baselines.slice(start, start + WRITE_BATCH_SIZE).map(baseline => ({
+          updateOne: {
+            filter: {
+              organizationId: baseline.organizationId,
+              eventType: baseline.eventType,
+              source: baseline.source,
+              userId: baseline.userId
+            },
+            update: { $set: baseline },
+            upsert: true
+          }
+        })), { ordered: false });
+      }
+
+      const { deletedCount } = await AnomalyBaseline.deleteMany({ refreshedAt: { $lt: refreshedAt } });
+      this.cache.clear();
+
+      logger.info(`Refreshed ${baselines.length} anomaly baselines`, { removed: deletedCount });
+      return baselines.length;
+    } finally {
+      this.refreshing = false;
+    }
+  }
+
+  /**
+   * Score a log against its baselines
+   * @param {Object} log - Log entry
+   * @returns {Promise<Object|null>} { score, fired, zThreshold, deviations, baselines },
+   *   null when disabled or no baseline exists yet
+   */
+  async evaluate(log) {
+    if (!this.enabled) return null;
+
+    const at = new Date(log.timestamp || Date.now());
+    const key = {
+      organizationId: log.organizationId || null,
+      eventType: log.eventType,
+      source: log.source
+    };
+
+    const scopes = [{ scope: 'event', filter: { ...key, userId: null } }];
+    const userId = log.userId?._id || log.userId;
+    if (userId && await EventTypeService.getLogType(log.eventType, log.organizationId) === 'authentication') {
+      scopes.push({ scope: 'user', filter: { ...key, userId } });
+    }
+
+    const deviations = [];
+    const baselines = [];
+
+    for (const { scope, filter } of scopes) {
+      const baseline = await this.getBaseline(filter);
+      if (!baseline) continue;
+
+      baselines.push({
+        scope,
+        eventType: baseline.eventType,
+        source: baseline.source,
+        userId: baseline.userId,
+        hours: baseline.hours,
+        refreshedAt: baseline.refreshedAt
+      });
+
+      const count = await Log.countDocuments({
+        ...key,
+        ...(scope === 'user' && { userId }),
+        timestamp: { $gt: new Date(at.getTime() - HOUR_MS), $lte: at }
+      });
+
+      deviations.push(
+        ...this.getVolumeDeviations(scope, baseline, count, at),
+        ...this.getValueDeviations(scope, baseline, log)
+      );
+    }
+
+    if (baselines.length === 0) return null;
+
+    deviations.sort((a, b) => this.getStrength(b) - this.getStrength(a));
+    const strongest = deviations.length > 0 ? this.getStrength(deviations[0]) : 0;
+
+    return {
+      // The threshold maps to 0.7, the score at which anomaly threats are raised
+      score: this.round(Math.min(strongest * 0.7 / this.zThreshold, 1)),
+      fired: strongest >= this.zThreshold,
+      zThreshold: this.zThreshold,
+      deviations,
+      baselines
+    };
+  }
+
+  /**
+   * Compare the last hour's event count with the hour-of-week baseline and
+   * the EWMA rate. Counts use a Poisson floor on the standard deviation, so
+   * quiet hours with little variance do not turn a few events into a spike.
+   * @param {string} scope - Baseline scope
+   * @param {Object} baseline - Anomaly baseline
+   * @param {number} count - Events in the hour up to the log
+   * @param {Date} at - Log time
+   * @returns {Array<Object>} Deviations
+   */
+  getVolumeDeviations(scope, baseline, count, at) {
+    const deviations = [];
+    if (count < MIN_VOLUME_COUNT) return deviations;
+
+    const subject = this.describeSubject(scope, baseline);
+    const slotIndex = this.getHourOfWeek(at.getTime());
+    const slot = baseline.hourOfWeek?.[slotIndex];
+
+    if (slot && slot.samples >= MIN_SLOT_SAMPLES) {
+      deviations.push(this.buildDeviation(scope, 'hour_of_week_volume', {
+        value: count,
+        expected: slot.mean,
+        stdDev: Math.max(slot.stdDev, Math.sqrt(slot.mean), 1),
+        samples: slot.samples,
+        lead: `${count} ${subject} in the last hour; ${this.describeSlot(slotIndex)} UTC averages`
+      }));
+    }
+
+    if (baseline.ewma && baseline.hours >= MIN_EWMA_HOURS) {
+      deviations.push(this.buildDeviation(scope, 'ewma_rate', {
+        value: count,
+        expected: baseline.ewma.rate,
+        stdDev: Math.max(baseline.ewma.stdDev, Math.sqrt(baseline.ewma.rate), 1),
+        samples: baseline.hours,
+        lead: `${count} ${subject} in the last hour; the recent hourly rate is`
+      }));
+    }
+
+    return deviations;
+  }
+
+  /**
+   * Compare the log's numeric features with their value distributions
+   * @param {string} scope - Baseline scope
+   * @param {Object} baseline - Anomaly baseline
+   * @param {Object} log - Log entry
+   * @returns {Array<Object>} Deviations
+   */
+  getValueDeviations(scope, baseline, log) {
+    const subject = this.describeSubject(scope, baseline);
+
+    return (baseline.values || []).flatMap(distribution => {
+      const feature = this.features.find(item => item.name === distribution.feature);
+      if (!feature || distribution.samples < MIN_VALUE_SAMPLES) return [];
+
+      const value = feature.read(log);
+      if (typeof value !== 'number' || !Number.isFinite(value)) return [];
+
+      return [this.buildDeviation(scope, distribution.feature, {
+        value,
+        expected: distribution.mean,
+        // Near-constant features would make any change look extreme
+        stdDev: Math.max(distribution.stdDev, Math.abs(distribution.mean) * 0.1, 1),
+        samples: distribution.samples,
+        lead: `${distribution.feature} is ${this.round(value)}; ${subject} average`
+      })];
+    });
+  }
+
+  /**
+   * @returns {Object} Deviation with its z-score and a readable explanation
+   */
+  buildDeviation(scope, feature, { value, expected, stdDev, samples, lead }) {
+    const zScore = (value - expected) / stdDev;
+
+    return {
+      scope,
+      feature,
+      value: this.round(value),
+      expected: this.round(expected),
+      stdDev: this.round(stdDev),
+      zScore: this.round(zScore),
+      samples,
+      explanation: `${lead} ${this.round(expected)} ± ${this.round(stdDev)} (z = ${this.round(zScore)})`
+    };
+  }
+
+  /**
+   * How far a deviation counts towards the score: volume only when above
+   * the baseline, values in either direction
+   * @param {Object} deviation - Deviation
+   * @returns {number}
+   */
+  getStrength(deviation) {
+    const isVolume = deviation.feature === 'hour_of_week_volume' || deviation.feature === 'ewma_rate';
+    return isVolume ? Math.max(deviation.zScore, 0) : Math.abs(deviation.zScore);
+  }
+
+  /**
+   * Get a baseline, cached for a few minutes
+   * @param {Object} filter - organizationId, eventType, source and userId
+   * @returns {Promise<Object|null>} Baseline
+   */
+  async getBaseline(filter) {
+    const key = this.getKey(filter);
+    const cached = this.cache.get(key);
+
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+      return cached.baseline;
+    }
+
+    const baseline = await AnomalyBaseline.findOne(filter).lean();
+
+    this.cache.delete(key);
+    if (this.cache.size >= MAX_CACHED_BASELINES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, { baseline, loadedAt: Date.now() });
+
+    return baseline;
+  }
+
+  /**
+   * Count events per baseline key and hour
+   * @param {Object} match - Log filter
+   * @param {boolean} perUser - Group by user as well
+   * @returns {Promise<Array>} [{ _id: { ...key, hour }, count }]
+   */
+  aggregateHourlyCounts(match, perUser) {
+    return Log.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            ...this.getGroupId(perUser),
+            hour: { $floor: { $divide: [{ $toLong: '$timestamp' }, HOUR_MS] } }
+          },
+          count: { $sum: 1 }
+        }
+      }
+    ]).allowDiskUse(true);
+  }
+
+  /**
+   * Summarize each numeric feature per baseline key
+   * @param {Object} match - Log filter
+   * @param {boolean} perUser - Group by user as well
+   * @returns {Promise<Array>} [{ _id: key, f0Mean, f0StdDev, f0Min, f0Max, f0Samples, ... }]
+   */
+  aggregateValues(match, perUser) {
+    const group = { _id: this.getGroupId(perUser) };
+
+    this.features.forEach(({ expression }, index) => {
+      group[`f${index}Mean`] = { $avg: expression };
+      group[`f${index}StdDev`] = { $stdDevPop: expression };
+      group[`f${index}Min`] = { $min: expression };
+      group[`f${index}Max`] = { $max: expression };
+      group[`f${index}Samples`] = { $sum: { $cond: [{ $isNumber: expression }, 1, 0] } };
+    });
+
+    return Log.aggregate([{ $match: match }, { $group: group }]).allowDiskUse(true);
+  }
+
+  /**
+   * Turn aggregated counts and values into baseline documents
+   * @param {string} scope - 'event' or 'user'
+   * @param {Array} hourRows - Hourly counts
+   * @param {Array} valueRows - Value summaries
+   * @param {number} until - First hour (since the epoch) not included
+   * @param {Date} refreshedAt - Refresh time
+   * @returns {Array<Object>} Baselines
+   */
+  buildBaselines(scope, hourRows, valueRows, until, refreshedAt) {
+    const series = new Map(); // key -> { id, counts: hour -> count }
+
+    hourRows.forEach(({ _id, count }) => {
+      const key = this.getKey(_id);
+      if (!series.has(key)) {
+        series.set(key, { id: _id, counts: new Map() });
+      }
+      series.get(key).counts.set(_id.hour, count);
+    });
+
+    const values = new Map(valueRows.map(row => [this.getKey(row._id), row]));
+
+    return [...series].map(([key, { id, counts }]) => ({
+      scope,
+      organizationId: id.organizationId || null,
+      eventType: id.eventType,
+      source: id.source,
+      userId: scope === 'user' ? id.userId : null,
+      ...this.buildVolumeStats(counts, until),
+      values: this.buildValueStats(values.get(key)),
+      refreshedAt
+    }));
+  }
+
+  /**
+   * Hour-of-week means and the EWMA rate over the hours from the first
+   * event, quiet hours counting as zero
+   * @param {Map} counts - Hour -> count
+   * @param {number} until - First hour not included
+   * @returns {Object} { hours, hourOfWeek, ewma }
+   */
+  buildVolumeStats(counts, until) {
+    const first = Math.min(...counts.keys());
+    const slots = Array.from({ length: 168 }, () => ({ sum: 0, sumOfSquares: 0, samples: 0 }));
+    let rate = 0;
+    let variance = 0;
+
+    for (let hour = first; hour < until; hour++) {
+      const count = counts.get(hour) || 0;
+      const slot = slots[this.getHourOfWeek(hour * HOUR_MS)];
+      slot.sum += count;
+      slot.sumOfSquares += count * count;
+      slot.samples++;
+
+      if (hour === first) {
+        rate = count;
+      } else {
+        const difference = count - rate;
+        const increment = this.alpha * difference;
+        rate += increment;
+        variance = (1 - this.alpha) * (variance + difference * increment);
+      }
+    }
+
+    return {
+      hours: until - first,
+      hourOfWeek: slots.map(({ sum, sumOfSquares, samples }) => {
+        const mean = samples > 0 ? sum / samples : 0;
+        return {
+          mean,
+          stdDev: samples > 0 ? Math.sqrt(Math.max(sumOfSquares / samples - mean * mean, 0)) : 0,
+          samples
+        };
+      }),
+      ewma: { rate, stdDev: Math.sqrt(variance), alpha: this.alpha }
+    };
+  }
+
+  /**
+   * @param {Object} row - Aggregated value summary
+   * @returns {Array<Object>} Distributions of features with samples
+   */
+  buildValueStats(row) {
+    if (!row) return [];
+
+    return this.features
+      .map(({ name }, index) => ({
+        feature: name,
+        mean: row[`f${index}Mean`],
+        stdDev: row[`f${index}StdDev`],
+        min: row[`f${index}Min`],
+        max: row[`f${index}Max`],
+        samples: row[`f${index}Samples`]
+      }))
+      .filter(distribution => distribution.samples > 0);
+  }
+
+  /**
+   * Numeric features with value distributions: description length, number of
+   * details fields, and the configured numeric fields
+   * @param {Array<string>} fields - Log field paths
+   * @returns {Array<Object>} [{ name, expression, read }]
+   */
+  buildFeatures(fields) {
+    return [
+      {
+        name: 'description_length',
+        expression: { $strLenCP: { $ifNull: ['$description', ''] } },
+        read: log => [...(log.description || '')].length
+      },
+      {
+        name: 'details_fields',
+        expression: {
+          $cond: [{ $eq: [{ $type: '$details' }, 'object'] }, { $size: { $objectToArray: '$details' } }, 0]
+        },
+        read: log => (log.details && typeof log.details === 'object' ? Object.keys(log.details).length : 0)
+      },
+      ...fields.map(field => ({
+        name: field,
+        expression: `$${field}`,
+        read: log => (typeof log.get === 'function'
+          ? log.get(field)
+          : field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), log))
+      }))
+    ];
+  }
+
+  /**
+   * Event types with the authentication log type get per-user baselines
+   * @returns {Promise<Array<string>>} Event type keys
+   */
+  async getAuthEventTypes() {
+    const keys = new Set(BUILTIN_EVENT_TYPES
+      .filter(type => type.logType === 'authentication')
+      .map(type => type.key));
+
+    (await EventType.distinct('key', { logType: 'authentication' })).forEach(key => keys.add(key));
+
+    return [...keys];
+  }
+
+  getGroupId(perUser) {
+    return {
+      organizationId: '$organizationId',
+      eventType: '$eventType',
+      source: '$source',
+      ...(perUser && { userId: '$userId' })
+    };
+  }
+
+  getKey({ organizationId, eventType, source, userId }) {
+    return [organizationId, eventType, source, userId].map(value => (value ? String(value) : '')).join('|');
+  }
+
+  getHourOfWeek(time) {
+    const date = new Date(time);
+    return date.getUTCDay() * 24 + date.getUTCHours();
+  }
+
+  describeSlot(index) {
+    return `${DAY_NAMES[Math.floor(index / 24)]} ${String(index % 24).padStart(2, '0')}:00`;
+  }
+
+  describeSubject(scope, baseline) {
+    return `${baseline.eventType} events from ${baseline.source}${scope === 'user' ? ' for this user' : ''}`;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new AnomalyBaselineService();
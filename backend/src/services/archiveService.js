@@ -0,0 +1,477 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const readline = require('readline');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+const { CronJob } = require('cron');
+const { Log, ArchiveSegment } = require('../models');
+const config = require('../config');
+const { logger, auditLogger } = require('../utils/logger');
+const CryptoUtils = require('../utils/crypto');
+const CanonicalJson = require('../utils/canonicalJson');
+const LogService = require('./logService');
+const RetentionService = require('./retentionService');
+const BlockchainService = require('./blockchainService');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+/**
+ * Archive Service
+ * Moves archived logs into gzip NDJSON cold-storage segments with anchored
+ * manifests, and restores segments into separate collections for investigation
+ */
+class ArchiveService {
+  constructor() {
+    this.archivePath = path.resolve(config.ARCHIVE.PATH);
+    this.segmentMaxRecords = config.ARCHIVE.SEGMENT_MAX_RECORDS;
+    this.restoreBatchSize = 1000;
+    this.job = null;
+    this.running = false;
+  }
+
+  /**
+   * Start the scheduled archival job
+   */
+  startSchedule() {
+    if (this.job) return;
+
+    this.job = new CronJob(config.ARCHIVE.SCHEDULE, () => {
+      this.runArchival().catch(error => {
+        logger.error('Scheduled archival error:', error.message);
+      });
+    });
+    this.job.start();
+
+    logger.info(`Log archival scheduled (${config.ARCHIVE.SCHEDULE})`);
+  }
+
+  /**
+   * Stop the scheduled archival job
+   */
+  stopSchedule() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+    }
+  }
+
+  /**
+   * Apply retention policies, then export newly archived logs to cold
+   * storage. Logs under legal hold are left alone.
+   * @returns {Promise<Object>} Archival results
+   */
+  async runArchival() {
+    if (this.running) {
+      logger.warn('Log archival already running, skipping');
+      return { skipped: true };
+    }
+
+    this.running = true;
+    try {
+      const retention = await RetentionService.applyPolicies();
+
+      const segments = await this.exportArchivedLogs();
+
+      return {
+        ...retention,
+        segments: segments.map(segment => segment.segmentId)
+      };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Export archived logs that are not in a segment yet. Segments left
+   * unfinished by an interrupted run are completed first.
+   * @returns {Promise<Array>} Created segments
+   */
+  async exportArchivedLogs() {
+    const segments = [];
+
+    const pendingSegmentIds = await Log.distinct('retention.pendingSegmentId', {
+      'retention.pendingSegmentId': { $exists: true }
+    });
+    for (const segmentId of pendingSegmentIds) {
+      const segment = await this.resumeSegment(segmentId);
+      if (segment) segments.push(segment);
+    }
+
+    for (;;) {
+      const candidates = await Log.find({
+        status: 'Archived',
+        'retention.segmentId': { $exists: false },
+        'retention.pendingSegmentId': { $exists: false }
+      })
+        .select('_id timestamp')
+        .sort({ timestamp: 1, _id: 1 })
+        .limit(this.segmentMaxRecords)
+        .lean();
+
+      if (candidates.length === 0) break;
+
+      const segmentId = `${candidates[0].timestamp.toISOString().slice(0, 10)}_${CryptoUtils.generateUUID()}`;
+      const logs = await this.claimLogs(segmentId, candidates.map(log => log._id));
+      if (logs.length === 0) continue;
+
+      segments.push(await this.writeSegment(segmentId, logs));
+    }
+
+    return segments;
+  }
+
+  /**
+   * Claim logs for a segment before it is written, so an interrupted run
+   * can be resumed and no other run exports them twice
+   * @param {string} segmentId - Segment ID
+   * @param {Array} logIds - Candidate log IDs
+   * @returns {Promise<Array>} Claimed lean log documents in timestamp order
+   */
+  async claimLogs(segmentId, logIds) {
+    await Log.updateMany(
+      {
+        _id: { $in: logIds },
+        'retention.segmentId': { $exists: false },
+        'retention.pendingSegmentId': { $exists: false }
+      },
+      { $set: { 'retention.pendingSegmentId': segmentId } }
+    );
+
+    return this.findClaimedLogs(segmentId);
+  }
+
+  /**
+   * Get the logs claimed for a segment
+   * @param {string} segmentId - Segment ID
+   * @returns {Promise<Array>} Lean log documents in timestamp order
+   */
+  async findClaimedLogs(segmentId) {
+    return Log.find({ 'retention.pendingSegmentId': segmentId })
+      .sort({ timestamp: 1, _id: 1 })
+      .lean();
+  }
+
+  /**
+   * Finish a segment whose run was interrupted: rewrite it from its claimed
+   * logs, or only release the logs when the segment was already recorded
+   * @param {string} segmentId - Segment ID
+   * @returns {Promise<Object|null>} Archive segment, or null when no logs are left to write
+   */
+  async resumeSegment(segmentId) {
+    const existing = await ArchiveSegment.findOne({ segmentId });
+    if (existing) {
+      await this.completeClaim(segmentId);
+      return existing;
+    }
+
+    // Claimed logs may have been finished or deleted since the segment was listed
+    const logs = await this.findClaimedLogs(segmentId);
+    if (logs.length === 0) {
+      logger.info('Skipping interrupted archive segment without claimed logs', { segmentId });
+      return null;
+    }
+
+    logger.info('Resuming interrupted archive segment', { segmentId });
+
+    return this.writeSegment(segmentId, logs);
+  }
+
+  /**
+   * Move claimed logs into their recorded segment
+   * @param {string} segmentId - Segment ID
+   * @returns {Promise<void>}
+   */
+  async completeClaim(segmentId) {
+    await Log.updateMany(
+      { 'retention.pendingSegmentId': segmentId },
+      {
+        $set: { 'retention.segmentId': segmentId },
+        $unset: { 'retention.pendingSegmentId': '' }
+      }
+    );
+  }
+
+  /**
+   * Write claimed logs to a gzip NDJSON segment with a manifest, anchor the
+   * manifest hash and record the segment. Rewriting a segment replaces its files.
+   * @param {string} segmentId - Segment ID the logs are claimed for
+   * @param {Array} logs - Lean log documents in timestamp order
+   * @returns {Promise<Object>} Archive segment
+   */
+  async writeSegment(segmentId, logs) {
+    await fs.promises.mkdir(this.archivePath, { recursive: true });
+
+    const from = logs[0].timestamp;
+    const to = logs[logs.length - 1].timestamp;
+    const fileName = `${segmentId}.ndjson.gz`;
+    const manifestFileName = `${segmentId}.manifest.json`;
+    const filePath = path.join(this.archivePath, fileName);
+
+    // Hash the compressed bytes as they are written
+    const hash = crypto.createHash('sha256');
+    let sizeBytes = 0;
+    const hasher = new Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk);
+        sizeBytes += chunk.length;
+        callback(null, chunk);
+      }
+    });
+
+    const lines = Readable.from((function* () {
+      for (const log of logs) {
+        yield EJSON.stringify(log, { relaxed: true }) + '\n';
+      }
+    })());
+
+    await pipeline(lines, zlib.createGzip(), hasher, fs.createWriteStream(`${filePath}.partial`));
+    await fs.promises.rename(`${filePath}.partial`, filePath);
+
+    const manifest = {
+      segmentId,
+      fileName,
+      format: 'ndjson+gzip',
+      encoding: 'extended-json',
+      from,
+      to,
+      recordCount: logs.length,
+      sizeBytes,
+      sha256: hash.digest('hex'),
+      createdAt: new Date()
+    };
+    const manifestHash = CryptoUtils.hash(CanonicalJson.stringify(manifest));
+
+    await fs.promises.writeFile(
+      path.join(this.archivePath, manifestFileName),
+      JSON.stringify({ ...manifest, manifestHash }, null, 2)
+    );
+
+    const anchor = await this.anchorManifest(segmentId, manifestHash);
+
+    const segment = await ArchiveSegment.create({
+      segmentId,
+      fileName,
+      manifestFileName,
+      from,
+      to,
+      recordCount: logs.length,
+      sizeBytes,
+      sha256: manifest.sha256,
+      manifestHash,
+      chains: this.collectChainLinks(logs),
+      anchor
+    });
+
+    await this.completeClaim(segmentId);
+
+    logger.info('Archive segment written', {
+      segmentId,
+      recordCount: logs.length,
+      sizeBytes,
+      manifestHash,
+      anchored: anchor.anchored
+    });
+
+    return segment;
+  }
+
+  /**
+   * Anchor a segment manifest hash
+   * @param {string} segmentId - Segment ID
+   * @param {string} manifestHash - Manifest hash
+   * @returns {Promise<Object>} Anchor details
+   */
+  async anchorManifest(segmentId, manifestHash) {
+    const result = await BlockchainService.anchorLog('system', manifestHash, 'App', `archive:${segmentId}`);
+
+    if (!result.success) {
+      logger.warn('Archive manifest anchoring failed', { segmentId, error: result.error });
+      return { anchored: false, error: result.error };
+    }
+
+    return {
+      anchored: true,
+      logId: result.logId,
+      transactionHash: result.transactionHash,
+      blockNumber: result.blockNumber,
+      anchoredAt: new Date()
+    };
+  }
+
+  /**
+   * Collect hash-chain links of the segment's logs, grouped by organization
+   * @param {Array} logs - Lean log documents
+   * @returns {Array<Object>} Chain links per organization
+   */
+  collectChainLinks(logs) {
+    const chains = new Map();
+
+    logs.forEach(log => {
+      if (log.chainIndex === undefined || log.chainIndex === null) return;
+
+      const key = LogService.getChainKey(log.organizationId);
+      if (!chains.has(key)) {
+        chains.set(key, { organizationId: log.organizationId || null, links: [] });
+      }
+
+      chains.get(key).links.push({
+        chainIndex: log.chainIndex,
+        logHash: log.logHash,
+        previousHash: log.previousHash
+      });
+    });
+
+    return Array.from(chains.values());
+  }
+
+  /**
+   * List archive segments
+   * @param {Object} options - Pagination options
+   * @returns {Promise<Object>} Segments and total count
+   */
+  async listSegments(options = {}) {
+    const { page = 1, limit = 20 } = options;
+
+    const [segments, total] = await Promise.all([
+      ArchiveSegment.find()
+        .select('-chains')
+        .sort({ from: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ArchiveSegment.countDocuments()
+    ]);
+
+    return { segments, total };
+  }
+
+  /**
+   * Get an archive segment by ID
+   * @param {string} segmentId - Segment ID
+   * @returns {Promise<Object>} Archive segment
+   */
+  async getSegment(segmentId) {
+    const segment = await ArchiveSegment.findOne({ segmentId }).select('-chains');
+    if (!segment) {
+      throw new Error('Archive segment not found');
+    }
+    return segment;
+  }
+
+  /**
+   * Check a segment file and manifest against the recorded hashes
+   * @param {string} segmentId - Segment ID
+   * @returns {Promise<Object>} Verification result
+   */
+  async verifySegment(segmentId) {
+    const segment = await this.getSegment(segmentId);
+
+    const [fileHash, manifestFile] = await Promise.all([
+      this.hashFile(this.resolveArchiveFile(segment.fileName)),
+      fs.promises.readFile(this.resolveArchiveFile(segment.manifestFileName), 'utf8')
+    ]);
+
+    const { manifestHash, ...manifest } = JSON.parse(manifestFile);
+    const computedManifestHash = CryptoUtils.hash(CanonicalJson.stringify(manifest));
+
+    const fileIntact = fileHash === segment.sha256 && fileHash === manifest.sha256;
+    const manifestIntact = computedManifestHash === segment.manifestHash && manifestHash === segment.manifestHash;
+
+    return {
+      segmentId,
+      fileIntact,
+      manifestIntact,
+      sha256: fileHash,
+      manifestHash: computedManifestHash,
+      anchor: segment.anchor,
+      verified: fileIntact && manifestIntact
+    };
+  }
+
+  /**
+   * Re-hydrate a segment into a separate collection for investigation
+   * @param {string} segmentId - Segment ID
+   * @param {string} userId - Restoring user
+   * @returns {Promise<Object>} Restore result
+   */
+  async restoreSegment(segmentId, userId) {
+    const verification = await this.verifySegment(segmentId);
+    if (!verification.verified) {
+      throw new Error('Archive segment failed integrity verification');
+    }
+
+    const segment = await ArchiveSegment.findOne({ segmentId });
+    const collectionName = `${config.ARCHIVE.RESTORE_COLLECTION_PREFIX}${segmentId}`;
+    const collection = mongoose.connection.db.collection(collectionName);
+
+    // Start from a clean collection so a repeated restore doesn't duplicate records
+    await collection.deleteMany({});
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.resolveArchiveFile(segment.fileName)).pipe(zlib.createGunzip()),
+      crlfDelay: Infinity
+    });
+
+    let batch = [];
+    let recordCount = 0;
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      batch.push(EJSON.parse(line, { relaxed: true }));
+      if (batch.length >= this.restoreBatchSize) {
+        await collection.insertMany(batch, { ordered: false });
+        recordCount += batch.length;
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      await collection.insertMany(batch, { ordered: false });
+      recordCount += batch.length;
+    }
+
+    segment.restores.push({
+      collectionName,
+      restoredBy: userId,
+      restoredAt: new Date(),
+      recordCount
+    });
+    await segment.save();
+
+    auditLogger.info('Archive segment restored', {
+      segmentId,
+      collectionName,
+      recordCount,
+      restoredBy: userId
+    });
+
+    return { segmentId, collectionName, recordCount };
+  }
+
+  /**
+   * Compute the SHA-256 of a file
+   * @param {string} filePath - File path
+   * @returns {Promise<string>} Hex digest
+   */
+  async hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * Resolve a file name inside the archive directory
+   * @param {string} fileName - Archive file name
+   * @returns {string} Absolute path
+   */
+  resolveArchiveFile(fileName) {
+    return path.join(this.archivePath, path.basename(fileName));
+  }
+}
+
+module.exports = new ArchiveService();
@@ -446,7 +446,10 @@ class AuthService {
           ipAddress: details.ipAddress,
           userAgent: details.userAgent,
           sessionId: details.sessionId
-        }
+        },
+        // Falls back to the request's X-Correlation-ID/X-Session-ID
+        correlationId: details.correlationId,
+        sessionId: details.sessionId
       });
     } catch (error) {
       logger.error('Failed to log auth event:', error.message);
@@ -0,0 +1,116 @@
+const { DetectionCounter } = require('../models');
+
+/**
+ * Detection Counter Service
+ * Sliding-window counters for threshold detection rules. Each rule and group
+ * has one counter document that is updated in a single atomic pipeline
+ * update, so concurrent instances never double count or both fire on the
+ * same events.
+ */
+class DetectionCounterService {
+  /**
+   * Count an event and check it against the rule's threshold. When the
+   * threshold is reached the contributing events are returned and the window
+   * starts over, so each burst of `threshold` events fires once.
+   * @param {Object} event - Counted event
+   * @param {string} event.ruleName - Detection rule name
+   * @param {string} event.groupKey - Organization and grouped field values
+   * @param {string} event.organizationId - Organization of the log
+   * @param {string} event.logId - Log ID
+   * @param {Date} event.at - Log timestamp
+   * @param {number} event.timeWindow - Window length in seconds
+   * @param {number} event.threshold - Events within the window that trigger the rule
+   * @returns {Promise<Object>} { triggered, count, logIds }
+   */
+  async record(event) {
+    const { ruleName, groupKey } = event;
+    const update = this.buildUpdate(event);
+
+    let counter;
+    try {
+      counter = await DetectionCounter.findOneAndUpdate({ ruleName, groupKey }, update, {
+        upsert: true,
+        new: true,
+        lean: true
+      });
+    } catch (error) {
+      // Two instances created the same counter at once; the loser updates the winner's
+      if (error.code !== 11000) throw error;
+      counter = await DetectionCounter.findOneAndUpdate({ ruleName, groupKey }, update, {
+        new: true,
+        lean: true
+      });
+    }
+
+    if (counter.triggered) {
+      return {
+        triggered: true,
+        count: counter.triggeredEvents.length,
+        logIds: counter.triggeredEvents.map(item => item.logId)
+      };
+    }
+
+    return {
+      triggered: false,
+      count: counter.events.length,
+      logIds: counter.events.map(item => item.logId)
+    };
+  }
+
+  /**
+   * Build the pipeline update that adds the event, drops events older than
+   * the window (measured back from the newest event, so late logs count
+   * against their own time) and checks the threshold
+   * @param {Object} event - Counted event
+   * @returns {Array<Object>} Update pipeline
+   */
+  buildUpdate({ organizationId, logId, at, timeWindow, threshold }) {
+    const windowMs = timeWindow * 1000;
+    const item = { logId, at: new Date(at) };
+
+    return [
+      {
+        $set: {
+          organizationId: { $literal: organizationId || null },
+          events: { $ifNull: ['$events', []] },
+          triggeredEvents: { $ifNull: ['$triggeredEvents', []] }
+        }
+      },
+      {
+        $set: {
+          // Re-analyzing a log must not count it twice
+          events: {
+            $cond: [
+              { $in: [logId, { $concatArrays: ['$events.logId', '$triggeredEvents.logId'] }] },
+              '$events',
+              { $concatArrays: ['$events', [{ $literal: item }]] }
+            ]
+          }
+        }
+      },
+      { $set: { newest: { $max: '$events.at' } } },
+      {
+        $set: {
+          events: {
+            $filter: {
+              input: '$events',
+              cond: { $gt: ['$$this.at', { $subtract: ['$newest', windowMs] }] }
+            }
+          }
+        }
+      },
+      { $set: { triggered: { $gte: [{ $size: '$events' }, threshold] } } },
+      {
+        $set: {
+          triggeredEvents: { $cond: ['$triggered', '$events', '$triggeredEvents'] },
+          triggeredAt: { $cond: ['$triggered', '$$NOW', '$triggeredAt'] },
+          events: { $cond: ['$triggered', [], '$events'] },
+          expiresAt: { $add: ['$newest', windowMs] }
+        }
+      },
+      { $unset: 'newest' }
+    ];
+  }
+}
+
+module.exports = new DetectionCounterService();
@@ -0,0 +1,421 @@
+const { DetectionRule, DetectionRuleVersion } = require('../models');
+const config = require('../config');
+const { logger, auditLogger } = require('../utils/logger');
+const ThreatDetectionService = require('./threatDetectionService');
+const SigmaRuleCompiler = require('../utils/sigmaRuleCompiler');
+const CanonicalJson = require('../utils/canonicalJson');
+
+// Rule fields kept in each version snapshot and restored by a rollback
+const VERSIONED_FIELDS = [
+  'title', 'description', 'enabled', 'threatType', 'severity', 'confidence',
+  'indicators', 'tags', 'attackPhase', 'references', 'conditions', 'sigma', 'overrides'
+];
+
+/**
+ * Detection Rule Service
+ * Stores detection rules with a version history and loads them into the
+ * running ThreatDetectionService. Changes apply immediately on the instance
+ * that made them; other instances pick them up on their next refresh.
+ */
+class DetectionRuleService {
+  constructor() {
+    this.refreshInterval = config.THREAT_DETECTION.RULES_REFRESH_SECONDS * 1000;
+    this.timer = null;
+    this.signature = null; // Rule count and latest change of the loaded rules
+  }
+
+  /**
+   * Seed the built-in rules, load stored rules and start watching for changes
+   */
+  async start() {
+    await this.seedBuiltins();
+    await this.reload();
+
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.refresh().catch(error => {
+        logger.error('Detection rule refresh error:', error.message);
+      });
+    }, this.refreshInterval);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop watching for rule changes
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Store the built-in rules that are missing, as version 1
+   * @returns {Promise<number>} Rules seeded
+   */
+  async seedBuiltins() {
+    const builtins = [...ThreatDetectionService.baseRules.values()].filter(rule => rule.builtin);
+
+    const result = await DetectionRule.bulkWrite(builtins.map(rule => ({
+      updateOne: {
+        filter: { name: rule.name },
+        update: {
+          $setOnInsert: { ...this.getSnapshot(rule), overrides: [], builtin: true, version: 1 }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    const upserted = Object.values(result.upsertedIds || {});
+    if (upserted.length > 0) {
+      const rules = await DetectionRule.find({ _id: { $in: upserted } }).lean();
+      await DetectionRuleVersion.insertMany(rules.map(rule => ({
+        ruleId: rule._id,
+        name: rule.name,
+        version: 1,
+        action: 'created',
+        snapshot: this.getSnapshot(rule),
+        comment: 'Built-in rule'
+      })), { ordered: false });
+
+      logger.info(`Seeded ${upserted.length} built-in detection rules`);
+    }
+
+    return upserted.length;
+  }
+
+  /**
+   * Load stored rules into the detection engine
+   */
+  async reload() {
+    const [rules, signature] = await Promise.all([
+      DetectionRule.find({}).lean(),
+      this.getSignature()
+    ]);
+
+    ThreatDetectionService.applyStoredRules(rules);
+    this.signature = signature;
+  }
+
+  /**
+   * Reload when rules were changed, e.g. by another instance
+   * @returns {Promise<boolean>} Whether the rules were reloaded
+   */
+  async refresh() {
+    if (await this.getSignature() === this.signature) return false;
+
+    await this.reload();
+    logger.info('Detection rules reloaded');
+    return true;
+  }
+
+  /**
+   * Summarize the stored rules so a change anywhere can be noticed cheaply
+   * @returns {Promise<string>} Rule count and latest change time
+   */
+  async getSignature() {
+    const [count, latest] = await Promise.all([
+      DetectionRule.countDocuments({}),
+      DetectionRule.findOne({}).sort({ updatedAt: -1 }).select('updatedAt').lean()
+    ]);
+
+    return `${count}:${latest ? new Date(latest.updatedAt).getTime() : 0}`;
+  }
+
+  /**
+   * Create a rule
+   * @param {Object} data - Rule fields
+   * @param {Object} user - Acting user
+   * @param {string} comment - Change note
+   * @returns {Promise<Object>} Rule
+   */
+  async createRule(data, user, comment) {
+    const rule = await DetectionRule.create({
+      ...data,
+      version: 1,
+      createdBy: user._id,
+      updatedBy: user._id
+    });
+
+    await this.recordVersion(rule, 'created', user, { comment });
+    return rule;
+  }
+
+  /**
+   * Update a rule's fields as a new version
+   * @param {Object} rule - Rule document
+   * @param {Object} changes - Changed fields
+   * @param {Object} user - Acting user
+   * @param {string} comment - Change note
+   * @returns {Promise<Object>} Rule
+   */
+  async updateRule(rule, changes, user, comment) {
+    rule.set(changes);
+    return this.saveVersion(rule, 'updated', user, { comment, changes: Object.keys(changes) });
+  }
+
+  /**
+   * Enable or disable a rule, for every organization or one
+   * @param {Object} rule - Rule document
+   * @param {boolean} enabled - New state
+   * @param {Object} user - Acting user
+   * @param {string} organizationId - Organization to change, all when omitted
+   * @returns {Promise<Object>} Rule
+   */
+  async setEnabled(rule, enabled, user, organizationId) {
+    if (organizationId) {
+      return this.setOverride(rule, organizationId, { enabled }, user);
+    }
+
+    rule.enabled = enabled;
+    return this.saveVersion(rule, enabled ? 'enabled' : 'disabled', user);
+  }
+
+  /**
+   * Set an organization's override, merged into any existing one
+   * @param {Object} rule - Rule document
+   * @param {string} organizationId - Organization
+   * @param {Object} override - enabled, severity, confidence and/or conditions
+   * @param {Object} user - Acting user
+   * @returns {Promise<Object>} Rule
+   */
+  async setOverride(rule, organizationId, override, user) {
+    const existing = rule.overrides.find(item => String(item.organizationId) === String(organizationId));
+
+    if (existing) {
+      existing.set({
+        ...override,
+        conditions: override.conditions ? { ...(existing.conditions || {}), ...override.conditions } : existing.conditions
+      });
+      rule.markModified('overrides');
+    } else {
+      rule.overrides.push({ organizationId, ...override });
+    }
+
+    return this.saveVersion(rule, 'override_set', user, { organizationId, changes: Object.keys(override) });
+  }
+
+  /**
+   * Remove an organization's override
+   * @param {Object} rule - Rule document
+   * @param {string} organizationId - Organization
+   * @param {Object} user - Acting user
+   * @returns {Promise<Object>} Rule
+   */
+  async removeOverride(rule, organizationId, user) {
+    rule.overrides = rule.overrides.filter(item => String(item.organizationId) !== String(organizationId));
+    return this.saveVersion(rule, 'override_removed', user, { organizationId });
+  }
+
+  /**
+   * Restore an earlier version's fields as a new version
+   * @param {Object} rule - Rule document
+   * @param {Object} version - DetectionRuleVersion to restore
+   * @param {Object} user - Acting user
+   * @param {string} comment - Change note
+   * @returns {Promise<Object>} Rule
+   */
+  async rollback(rule, version, user, comment) {
+    VERSIONED_FIELDS.forEach(field => {
+      rule.set(field, version.snapshot[field]);
+    });
+    rule.overrides = version.snapshot.overrides || [];
+
+    return this.saveVersion(rule, 'rolled_back', user, { comment, rolledBackFrom: version.version });
+  }
+
+  /**
+   * Delete a rule; its history is kept
+   * @param {Object} rule - Rule document
+   * @param {Object} user - Acting user
+   * @throws {Error} When another change saved a newer version first
+   */
+  async deleteRule(rule, user) {
+    const { deletedCount } = await DetectionRule.deleteOne({ _id: rule._id, version: rule.version });
+    if (deletedCount === 0) {
+      throw new Error('Detection rule was changed by another request');
+    }
+
+    await this.recordVersion({ ...rule.toObject(), version: rule.version + 1 }, 'deleted', user);
+    await this.reload();
+  }
+
+  /**
+   * Import Sigma rules: new rules are created, changed rules with the same
+   * Sigma ID get a new version
+   * @param {string} text - Sigma YAML
+   * @param {Object} user - Acting user
+   * @returns {Promise<Object>} { imported: [{ id, name, title, level, status, version }], errors }
+   * @throws {Error} When the YAML cannot be parsed
+   */
+  async importSigmaRules(text, user) {
+    const { rules, errors } = ThreatDetectionService.compileSigmaRules(text);
+    const imported = [];
+
+    for (const compiled of rules) {
+      const fields = this.getSnapshot(compiled);
+      const existing = await DetectionRule.findOne({ name: compiled.name });
+
+      // Re-imports keep the enabled state and overrides set in the platform
+      delete fields.enabled;
+      delete fields.overrides;
+
+      let rule;
+      let status;
+      if (!existing) {
+        rule = await this.createRule({ ...fields, name: compiled.name, enabled: compiled.enabled }, user, 'Sigma import');
+        status = 'created';
+      } else if (this.isUnchanged(existing, fields)) {
+        rule = existing;
+        status = 'unchanged';
+      } else {
+        rule = await this.updateRule(existing, fields, user, 'Sigma import');
+        status = 'updated';
+      }
+
+      imported.push({
+        id: compiled.sigma.id,
+        name: rule.name,
+        title: rule.title,
+        level: compiled.sigma.level,
+        status,
+        version: rule.version
+      });
+    }
+
+    return { imported, errors };
+  }
+
+  /**
+   * Whether applying fields to a rule would leave it as it is
+   * @param {Object} rule - Rule document
+   * @param {Object} fields - Versioned fields
+   * @returns {boolean}
+   */
+  isUnchanged(rule, fields) {
+    const current = this.getSnapshot(rule);
+    return Object.keys(fields).every(field => CanonicalJson.stringify(current[field]) === CanonicalJson.stringify(fields[field]));
+  }
+
+  /**
+   * Check rule conditions the engine would not be able to evaluate
+   * @param {Object} conditions - Rule conditions
+   * @returns {string|null} Error message, null when valid
+   */
+  checkConditions(conditions) {
+    if (!conditions) return null;
+
+    if (conditions.detection) {
+      try {
+        SigmaRuleCompiler.checkExpression(conditions.detection);
+      } catch (error) {
+        return `Invalid detection: ${error.message}`;
+      }
+    }
+
+    if (Boolean(conditions.timeWindow) !== Boolean(conditions.threshold)) {
+      return 'Threshold rules need both timeWindow and threshold';
+    }
+
+    return null;
+  }
+
+  /**
+   * Get a rule's version history, newest first
+   * @param {string} ruleId - Rule ID
+   * @returns {Promise<Array>} Versions
+   */
+  async getVersions(ruleId) {
+    return DetectionRuleVersion.find({ ruleId })
+      .sort({ version: -1 })
+      .populate('changedBy', 'email firstName lastName')
+      .lean();
+  }
+
+  /**
+   * Save a changed rule as its next version, record it and reload. The save
+   * only applies to the version the change was made on.
+   * @param {Object} rule - Rule document
+   * @param {string} action - Version action
+   * @param {Object} user - Acting user
+   * @param {Object} details - comment, rolledBackFrom and audit details
+   * @returns {Promise<Object>} Rule
+   * @throws {Error} When another change saved a newer version first
+   */
+  async saveVersion(rule, action, user, details = {}) {
+    rule.$where = { version: rule.version };
+    rule.version += 1;
+    rule.updatedBy = user._id;
+
+    try {
+      await rule.save();
+    } catch (error) {
+      // Nothing matched the version filter (VersionError when arrays changed too)
+      if (error.name === 'DocumentNotFoundError' || error.name === 'VersionError') {
+        throw new Error('Detection rule was changed by another request');
+      }
+      throw error;
+    }
+
+    await this.recordVersion(rule, action, user, details);
+    return rule;
+  }
+
+  /**
+   * Store a version snapshot, write the audit log and reload the engine
+   * @param {Object} rule - Rule as of the version
+   * @param {string} action - Version action
+   * @param {Object} user - Acting user
+   * @param {Object} details - comment, rolledBackFrom and audit details
+   */
+  async recordVersion(rule, action, user, details = {}) {
+    const { comment, rolledBackFrom, ...auditDetails } = details;
+
+    await DetectionRuleVersion.create({
+      ruleId: rule._id,
+      name: rule.name,
+      version: rule.version,
+      action,
+      snapshot: this.getSnapshot(rule),
+      rolledBackFrom,
+      comment,
+      changedBy: user._id
+    });
+
+    auditLogger.info(`Detection rule ${action.replace('_', ' ')}`, {
+      ruleId: rule._id,
+      name: rule.name,
+      version: rule.version,
+      rolledBackFrom,
+      comment,
+      ...auditDetails,
+      userId: user._id
+    });
+
+    if (action !== 'deleted') {
+      await this.reload();
+    }
+  }
+
+  /**
+   * Copy a rule's versioned fields
+   * @param {Object} rule - Rule document or plain rule
+   * @returns {Object} Snapshot
+   */
+  getSnapshot(rule) {
+    const source = typeof rule.toObject === 'function' ? rule.toObject() : rule;
+
+    return VERSIONED_FIELDS.reduce((snapshot, field) => {
+      if (source[field] !== undefined) {
+        snapshot[field] = field === 'overrides'
+          ? (source.overrides instanceof Map ? [...source.overrides.values()] : source.overrides)
+          : source[field];
+      }
+      return snapshot;
+    }, {});
+  }
+}
+
+module.exports = new DetectionRuleService();
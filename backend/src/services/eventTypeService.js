@@ -0,0 +1,197 @@
+const Ajv = require('ajv');
+const { EventType } = require('../models');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const { BUILTIN_EVENT_TYPES } = require('../config/eventTypes');
+
+/**
+ * Raised when log data does not fit the event type registry
+ */
+class EventTypeError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'EventTypeError';
+    this.details = details;
+  }
+}
+
+/**
+ * Event Type Service
+ * Looks up built-in and organization-defined event types and validates log
+ * details against their JSON Schema at ingest
+ */
+class EventTypeService {
+  constructor() {
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+    this.cacheTtl = config.EVENT_TYPES.CACHE_TTL_SECONDS * 1000;
+    this.typeCache = new Map(); // organization key -> { types, loadedAt }
+    this.validators = new Map(); // type id and version -> compiled schema
+    this.builtins = new Map(BUILTIN_EVENT_TYPES.map(type => [type.key, { ...type, builtin: true, enabled: true }]));
+  }
+
+  /**
+   * Insert missing built-in types into the registry. Existing entries keep
+   * any changes made through the API.
+   * @returns {Promise<number>} Built-in types inserted
+   */
+  async seedBuiltins() {
+    const result = await EventType.bulkWrite(BUILTIN_EVENT_TYPES.map(type => ({
+      updateOne: {
+        filter: { organizationId: null, key: type.key },
+        update: {
+          $set: { builtin: true },
+          $setOnInsert: {
+            name: type.name,
+            defaultSeverity: type.defaultSeverity,
+            logType: type.logType,
+            detailsSchema: type.detailsSchema,
+            enabled: true
+          }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    this.invalidateTypes();
+
+    if (result.upsertedCount > 0) {
+      logger.info(`Seeded ${result.upsertedCount} built-in event types`);
+    }
+
+    return result.upsertedCount;
+  }
+
+  /**
+   * Get the event types available to an organization: built-in and global
+   * types plus the organization's own
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Map>} Event types by key
+   */
+  async getTypes(organizationId) {
+    const key = organizationId ? organizationId.toString() : 'default';
+    const cached = this.typeCache.get(key);
+
+    if (cached && Date.now() - cached.loadedAt < this.cacheTtl) {
+      return cached.types;
+    }
+
+    const scope = [{ organizationId: null }];
+    if (organizationId) {
+      scope.push({ organizationId });
+    }
+
+    const stored = await EventType.find({ $or: scope }).lean();
+
+    // Unseeded built-ins still resolve; stored entries override them
+    const types = new Map(this.builtins);
+    stored
+      .sort((a, b) => (a.organizationId ? 1 : 0) - (b.organizationId ? 1 : 0))
+      .forEach(type => types.set(type.key, type));
+
+    this.typeCache.set(key, { types, loadedAt: Date.now() });
+
+    return types;
+  }
+
+  /**
+   * Get one event type
+   * @param {string} key - Event type key
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object|null>} Event type
+   */
+  async getEventType(key, organizationId) {
+    const types = await this.getTypes(organizationId);
+    return types.get(key) || null;
+  }
+
+  /**
+   * Drop cached types after a registry change
+   */
+  invalidateTypes() {
+    this.typeCache.clear();
+  }
+
+  /**
+   * Check that a JSON Schema compiles
+   * @param {Object} schema - JSON Schema
+   * @returns {string|null} Error message, null when valid
+   */
+  checkSchema(schema) {
+    try {
+      this.ajv.compile(schema);
+      return null;
+    } catch (error) {
+      return `Invalid details schema: ${error.message}`;
+    }
+  }
+
+  /**
+   * Get the compiled details validator of an event type
+   * @param {Object} type - Event type
+   * @returns {Function|null} Ajv validator, null when the type has no schema
+   */
+  getValidator(type) {
+    if (!type.detailsSchema) return null;
+
+    const cacheKey = `${type._id || type.key}:${type.updatedAt ? new Date(type.updatedAt).getTime() : 0}`;
+    let validate = this.validators.get(cacheKey);
+
+    if (!validate) {
+      validate = this.ajv.compile(type.detailsSchema);
+      this.validators.set(cacheKey, validate);
+    }
+
+    return validate;
+  }
+
+  /**
+   * Validate log data against its registered event type and apply the
+   * type's default severity
+   * @param {Object} logData - Log data
+   * @returns {Promise<Object>} Log data with severity filled in
+   * @throws {EventTypeError} When the type is unknown, disabled or the details do not match
+   */
+  async validateLogData(logData) {
+    const { eventType, organizationId } = logData;
+    const type = await this.getEventType(eventType, organizationId);
+
+    if (!type) {
+      throw new EventTypeError(`Unknown event type '${eventType}'`);
+    }
+    if (type.enabled === false) {
+      throw new EventTypeError(`Event type '${eventType}' is disabled`);
+    }
+
+    const validate = this.getValidator(type);
+    if (validate && !validate(logData.details ?? {})) {
+      const details = validate.errors.map(error => ({
+        path: `details${error.instancePath.replace(/\//g, '.')}`,
+        message: error.message
+      }));
+
+      throw new EventTypeError(
+        `Details do not match the schema for '${eventType}': ${details[0].path} ${details[0].message}`,
+        details
+      );
+    }
+
+    return {
+      ...logData,
+      severity: logData.severity || type.defaultSeverity
+    };
+  }
+
+  /**
+   * Get the ChainShield log type of an event type
+   * @param {string} eventType - Event type key
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<string>} Log type
+   */
+  async getLogType(eventType, organizationId) {
+    const type = await this.getEventType(eventType, organizationId);
+    return type?.logType || 'application';
+  }
+}
+
+module.exports = new EventTypeService();
+module.exports.EventTypeError = EventTypeError;
@@ -0,0 +1,356 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+const { Log, ExportJob } = require('../models');
+const config = require('../config');
+const { logger, auditLogger } = require('../utils/logger');
+const CryptoUtils = require('../utils/crypto');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const FORMATS = {
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  json: { contentType: 'application/json', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' }
+};
+
+const CSV_COLUMNS = [
+  ['Timestamp', log => log.timestamp?.toISOString()],
+  ['Event Type', log => log.eventType],
+  ['Severity', log => log.severity],
+  ['Source', log => log.source],
+  ['Description', log => log.description],
+  ['User Email', log => log.userId?.email],
+  ['Wallet Address', log => log.walletAddress],
+  ['Status', log => log.status],
+  ['Log Hash', log => log.logHash],
+  ['Log ID', log => log._id?.toString()]
+];
+
+/**
+ * Export Service
+ * Streams logs from a Mongo cursor as CSV, JSON or NDJSON, either straight to
+ * an HTTP response or to a file for background export jobs
+ */
+class ExportService {
+  constructor() {
+    this.formats = Object.keys(FORMATS);
+    this.exportPath = path.resolve(config.EXPORT.PATH);
+    this.syncMaxRecords = config.EXPORT.SYNC_MAX_RECORDS;
+    this.progressInterval = 5000; // Records between job progress updates
+    this.queue = [];
+    this.processing = false;
+    this.cleanupInterval = config.EXPORT.CLEANUP_INTERVAL_MINUTES * 60 * 1000;
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * Resume interrupted jobs and start removing expired exports periodically
+   * @returns {Promise<number>} Jobs re-queued
+   */
+  async start() {
+    if (!this.cleanupTimer) {
+      this.cleanupTimer = setInterval(() => {
+        this.cleanupExpiredJobs().catch(error => {
+          logger.error('Export cleanup error:', error.message);
+        });
+      }, this.cleanupInterval);
+    }
+
+    return this.resumeJobs();
+  }
+
+  /**
+   * Stop removing expired exports
+   */
+  stop() {
+    clearInterval(this.cleanupTimer);
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * Generate export chunks from a log cursor
+   * @param {Object} filter - Log query filter
+   * @param {string} format - csv, json or ndjson
+   * @param {Object} metadata - Export metadata (JSON format only)
+   * @param {Object} progress - Progress tracker; processed is incremented per record
+   * @returns {AsyncGenerator<string>} Export chunks
+   */
+  async *generateExport(filter, format, metadata, progress) {
+    const cursor = Log.find(filter)
+      .sort({ timestamp: -1 })
+      .populate('userId', 'email')
+      .lean()
+      .cursor({ batchSize: 1000 });
+
+    try {
+      if (format === 'csv') {
+        yield this.toCSVRow(CSV_COLUMNS.map(([header]) => header));
+      } else if (format === 'json') {
+        yield `{"metadata":${JSON.stringify(metadata)},"logs":[`;
+      }
+
+      for await (const log of cursor) {
+        if (format === 'csv') {
+          yield this.toCSVRow(CSV_COLUMNS.map(([, value]) => value(log)));
+        } else if (format === 'json') {
+          yield (progress.processed > 0 ? ',' : '') + JSON.stringify(log);
+        } else {
+          yield JSON.stringify(log) + '\n';
+        }
+
+        progress.processed++;
+        if (progress.onProgress && progress.processed % this.progressInterval === 0) {
+          await progress.onProgress(progress.processed);
+        }
+      }
+
+      if (format === 'json') {
+        yield ']}\n';
+      }
+    } finally {
+      await cursor.close();
+    }
+  }
+
+  /**
+   * Format one CSV row
+   * @param {Array} fields - Field values
+   * @returns {string} CSV row with trailing newline
+   */
+  toCSVRow(fields) {
+    return fields
+      .map(field => `"${String(field ?? '').replace(/"/g, '""')}"`)
+      .join(',') + '\n';
+  }
+
+  /**
+   * Build the download file name for an export
+   * @param {string} format - Export format
+   * @param {boolean} gzip - Whether the export is gzip-compressed
+   * @returns {string} File name
+   */
+  buildFileName(format, gzip) {
+    return `security_logs_${Date.now()}.${FORMATS[format].extension}${gzip ? '.gz' : ''}`;
+  }
+
+  /**
+   * Stream an export to an HTTP response.
+   * X-Export-Total announces the record count up front; the X-Export-Records
+   * trailer carries the number actually written.
+   * @param {Object} res - Express response
+   * @param {Object} options - Export options
+   * @param {Object} options.filter - Log query filter
+   * @param {string} options.format - csv, json or ndjson
+   * @param {boolean} options.gzip - Compress the download
+   * @param {number} options.total - Matching record count
+   * @param {Object} options.metadata - Export metadata
+   * @returns {Promise<number>} Records written
+   */
+  async streamToResponse(res, options) {
+    const { filter, format, gzip = false, total, metadata = {} } = options;
+    const progress = { processed: 0 };
+
+    res.setHeader('Content-Type', gzip ? 'application/gzip' : FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=${this.buildFileName(format, gzip)}`);
+    res.setHeader('X-Export-Total', total);
+    res.setHeader('Trailer', 'X-Export-Records');
+
+    const streams = [Readable.from(this.generateExport(filter, format, metadata, progress))];
+    if (gzip) {
+      streams.push(zlib.createGzip());
+    }
+
+    await pipeline(...streams, res, { end: false });
+
+    res.addTrailers({ 'X-Export-Records': String(progress.processed) });
+    res.end();
+
+    return progress.processed;
+  }
+
+  /**
+   * Queue a background export job
+   * @param {Object} options - Export options
+   * @param {Object} options.filter - Log query filter
+   * @param {string} options.format - csv, json or ndjson
+   * @param {boolean} options.gzip - Compress the export file
+   * @param {number} options.total - Matching record count
+   * @param {string} options.requestedBy - Requesting user ID
+   * @returns {Promise<Object>} Export job
+   */
+  async createJob(options) {
+    const { filter, format, gzip = false, total, requestedBy } = options;
+
+    const job = await ExportJob.create({
+      jobId: CryptoUtils.generateUUID(),
+      requestedBy,
+      format,
+      gzip,
+      filter: EJSON.stringify(filter, { relaxed: false }),
+      total
+    });
+
+    this.enqueue(job.jobId);
+
+    return job;
+  }
+
+  /**
+   * Add a job to the in-process queue
+   * @param {string} jobId - Job ID
+   */
+  enqueue(jobId) {
+    this.queue.push(jobId);
+
+    if (!this.processing) {
+      this.processQueue();
+    }
+  }
+
+  /**
+   * Run queued jobs one at a time
+   * @returns {Promise<void>}
+   */
+  async processQueue() {
+    this.processing = true;
+
+    try {
+      while (this.queue.length > 0) {
+        await this.runJob(this.queue.shift());
+      }
+    } catch (error) {
+      logger.error('Export queue error:', error.message);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Run an export job, writing the export to a file
+   * @param {string} jobId - Job ID
+   * @returns {Promise<void>}
+   */
+  async runJob(jobId) {
+    const job = await ExportJob.findOne({ jobId });
+    if (!job || job.status === 'Completed') return;
+
+    const fileName = `${jobId}.${FORMATS[job.format].extension}${job.gzip ? '.gz' : ''}`;
+    const filePath = path.join(this.exportPath, fileName);
+
+    try {
+      job.status = 'Running';
+      job.startedAt = new Date();
+      job.processed = 0;
+      await job.save();
+
+      await fs.promises.mkdir(this.exportPath, { recursive: true });
+
+      const progress = {
+        processed: 0,
+        onProgress: processed => ExportJob.updateOne({ jobId }, { $set: { processed } })
+      };
+      const metadata = {
+        exportedAt: new Date().toISOString(),
+        totalLogs: job.total,
+        jobId
+      };
+
+      const streams = [Readable.from(this.generateExport(EJSON.parse(job.filter), job.format, metadata, progress))];
+      if (job.gzip) {
+        streams.push(zlib.createGzip());
+      }
+
+      await pipeline(...streams, fs.createWriteStream(`${filePath}.partial`));
+      await fs.promises.rename(`${filePath}.partial`, filePath);
+
+      const { size } = await fs.promises.stat(filePath);
+
+      job.status = 'Completed';
+      job.processed = progress.processed;
+      job.fileName = fileName;
+      job.sizeBytes = size;
+      job.completedAt = new Date();
+      job.expiresAt = new Date(Date.now() + config.EXPORT.JOB_TTL_HOURS * 60 * 60 * 1000);
+      await job.save();
+
+      auditLogger.info('Log export job completed', {
+        jobId,
+        requestedBy: job.requestedBy,
+        records: progress.processed,
+        sizeBytes: size
+      });
+    } catch (error) {
+      logger.error('Log export job failed:', { jobId, error: error.message });
+
+      await fs.promises.rm(`${filePath}.partial`, { force: true });
+      job.status = 'Failed';
+      job.error = error.message;
+      job.completedAt = new Date();
+      await job.save();
+    }
+  }
+
+  /**
+   * Re-queue jobs interrupted by a restart
+   * @returns {Promise<number>} Jobs re-queued
+   */
+  async resumeJobs() {
+    const jobs = await ExportJob.find({ status: { $in: ['Queued', 'Running'] } })
+      .sort({ createdAt: 1 })
+      .select('jobId');
+
+    jobs.forEach(job => this.enqueue(job.jobId));
+
+    return jobs.length;
+  }
+
+  /**
+   * Delete expired export files and their jobs
+   * @returns {Promise<number>} Jobs removed
+   */
+  async cleanupExpiredJobs() {
+    const expired = await ExportJob.find({ expiresAt: { $lt: new Date() } });
+
+    for (const job of expired) {
+      if (job.fileName) {
+        await fs.promises.rm(this.resolveExportFile(job.fileName), { force: true });
+      }
+      await job.deleteOne();
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * Get an export job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Export job
+   */
+  async getJob(jobId) {
+    return ExportJob.findOne({ jobId }).select('-filter');
+  }
+
+  /**
+   * Resolve a file name inside the export directory
+   * @param {string} fileName - Export file name
+   * @returns {string} Absolute path
+   */
+  resolveExportFile(fileName) {
+    return path.join(this.exportPath, path.basename(fileName));
+  }
+
+  /**
+   * Get the content type of a finished job's file
+   * @param {Object} job - Export job
+   * @returns {string} Content type
+   */
+  getJobContentType(job) {
+    return job.gzip ? 'application/gzip' : FORMATS[job.format].contentType;
+  }
+}
+
+module.exports = new ExportService();
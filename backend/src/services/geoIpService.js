@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const maxmind = require('maxmind');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+
+/**
+ * GeoIP Service
+ * Resolves IP addresses against local MaxMind-format (mmdb) City and ASN
+ * databases. Database files are watched and reloaded without a restart.
+ */
+class GeoIpService {
+  constructor() {
+    this.databases = {
+      city: { path: config.GEOIP.CITY_DB_PATH, reader: null, loadedAt: null },
+      asn: { path: config.GEOIP.ASN_DB_PATH, reader: null, loadedAt: null }
+    };
+    this.cache = new Map(); // ip -> lookup result, oldest first
+    this.cacheSize = config.GEOIP.CACHE_SIZE;
+    this.watchInterval = config.GEOIP.WATCH_INTERVAL_SECONDS * 1000;
+    this.watching = false;
+  }
+
+  /**
+   * Open the configured databases and watch them for updates
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    for (const type of Object.keys(this.databases)) {
+      const database = this.databases[type];
+      if (!database.path) continue;
+
+      database.path = path.resolve(database.path);
+      await this.reload(type);
+    }
+
+    this.watch();
+  }
+
+  /**
+   * (Re)open a database. The previous reader stays in use if the new file
+   * cannot be opened, e.g. while it is still being copied.
+   * @param {string} type - city or asn
+   * @returns {Promise<boolean>} Whether the database was loaded
+   */
+  async reload(type) {
+    const database = this.databases[type];
+
+    try {
+      database.reader = await maxmind.open(database.path, {
+        cache: { max: this.cacheSize }
+      });
+      database.loadedAt = new Date();
+      this.cache.clear();
+
+      const { databaseType, buildEpoch } = database.reader.metadata;
+      logger.info(`GeoIP ${type} database loaded`, {
+        path: database.path,
+        databaseType,
+        buildEpoch
+      });
+
+      return true;
+    } catch (error) {
+      const log = error.code === 'ENOENT' ? logger.warn : logger.error;
+      log.call(logger, `GeoIP ${type} database could not be loaded`, {
+        path: database.path,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Poll database files and reload them when they change
+   */
+  watch() {
+    if (this.watching) return;
+    this.watching = true;
+
+    Object.entries(this.databases).forEach(([type, database]) => {
+      if (!database.path) return;
+
+      fs.watchFile(database.path, { interval: this.watchInterval, persistent: false }, (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs || current.size === 0) return;
+        this.reload(type);
+      });
+    });
+  }
+
+  /**
+   * Stop watching database files
+   */
+  close() {
+    Object.values(this.databases).forEach(database => {
+      if (database.path) {
+        fs.unwatchFile(database.path);
+      }
+    });
+    this.watching = false;
+  }
+
+  /**
+   * Get database status
+   * @returns {Object} Loaded databases
+   */
+  getStatus() {
+    return Object.fromEntries(Object.entries(this.databases).map(([type, database]) => [type, {
+      path: database.path || null,
+      loaded: !!database.reader,
+      loadedAt: database.loadedAt,
+      databaseType: database.reader?.metadata.databaseType || null,
+      buildEpoch: database.reader?.metadata.buildEpoch || null
+    }]));
+  }
+
+  /**
+   * Look up the location and network of an IP address
+   * @param {string} ip - IPv4 or IPv6 address
+   * @returns {Object|null} Location and ASN data, null when unknown
+   */
+  lookup(ip) {
+    if (!ip || !maxmind.validate(ip)) return null;
+
+    if (this.cache.has(ip)) {
+      const cached = this.cache.get(ip);
+      // Move to the newest position
+      this.cache.delete(ip);
+      this.cache.set(ip, cached);
+      return cached;
+    }
+
+    const result = this.resolve(ip);
+
+    this.cache.set(ip, result);
+    if (this.cache.size > this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    return result;
+  }
+
+  /**
+   * Read an IP address from the databases
+   * @param {string} ip - IP address
+   * @returns {Object|null} Location and ASN data
+   */
+  resolve(ip) {
+    const result = {};
+    const city = this.databases.city.reader?.get(ip);
+    const asn = this.databases.asn.reader?.get(ip);
+
+    if (city) {
+      const subdivision = city.subdivisions?.[0];
+
+      result.country = city.country?.names?.en;
+      result.countryCode = city.country?.iso_code;
+      result.region = subdivision?.names?.en;
+      result.city = city.city?.names?.en;
+
+      if (city.location?.latitude !== undefined && city.location?.longitude !== undefined) {
+        result.coordinates = {
+          latitude: city.location.latitude,
+          longitude: city.location.longitude
+        };
+      }
+    }
+
+    // GeoLite2 ASN records; the city database may carry them too
+    const network = asn || city;
+    if (network?.autonomous_system_number !== undefined) {
+      result.asn = network.autonomous_system_number;
+      result.asOrganization = network.autonomous_system_organization;
+    }
+
+    Object.keys(result).forEach(key => result[key] === undefined && delete result[key]);
+
+    return Object.keys(result).length > 0 ? result : null;
+  }
+
+  /**
+   * Fill in log metadata.geolocation from metadata.ipAddress
+   * @param {Object} metadata - Log metadata
+   * @returns {Object} Metadata with geolocation, or the original metadata
+   */
+  enrichMetadata(metadata) {
+    const location = this.lookup(metadata?.ipAddress);
+    if (!location) return metadata;
+
+    return {
+      ...metadata,
+      geolocation: {
+        ...metadata.geolocation,
+        ...location
+      }
+    };
+  }
+
+  /**
+   * Build threat sourceInfo for an IP address
+   * @param {string} ip - Source IP address
+   * @param {Object} sourceInfo - Existing source info
+   * @returns {Object} Source info with location and network data
+   */
+  buildThreatSourceInfo(ip, sourceInfo = {}) {
+    const info = { ...sourceInfo, ipAddress: ip || sourceInfo.ipAddress };
+    const location = this.lookup(info.ipAddress);
+    if (!location) return info;
+
+    const { asOrganization, ...rest } = location;
+
+    return {
+      ...info,
+      ...rest,
+      ...(asOrganization && { organization: asOrganization })
+    };
+  }
+}
+
+module.exports = new GeoIpService();
@@ -10,6 +10,9 @@ const ThreatDetectionService = require('./threatDetectionService');
 const AlertService = require('./alertService');
 const UserService = require('./userService');
 const ReportService = require('./reportService');
+const SyslogService = require('./syslogService');
+const IngestService = require('./ingestService');
+const LedgerService = require('./ledgerService');
 
 module.exports = {
   AuthService,
@@ -18,5 +21,8 @@ module.exports = {
   ThreatDetectionService,
   AlertService,
   UserService,
-  ReportService
+  ReportService,
+  SyslogService,
+  IngestService,
+  LedgerService
 };
@@ -0,0 +1,563 @@
+const net = require('net');
+const readline = require('readline');
+const { Log } = require('../models');
+const { logger } = require('../utils/logger');
+const CefParser = require('../utils/cefParser');
+const AccessLogParser = require('../utils/accessLogParser');
+const LogService = require('./logService');
+const RedactionService = require('./redactionService');
+const AggregationService = require('./aggregationService');
+const LiveTailService = require('./liveTailService');
+const EventTypeService = require('./eventTypeService');
+const WebAttackDetectionService = require('./webAttackDetectionService');
+const { BUILTIN_EVENT_TYPES } = require('../config/eventTypes');
+
+/**
+ * Ingest Service
+ * Converts raw events from external formats into logs and reports per-line results
+ */
+class IngestService {
+  constructor() {
+    this.maxLinesPerRequest = 5000;
+    this.ndjsonBatchSize = 500;
+    this.ndjsonMaxLines = 100000;
+    this.ndjsonMaxLineBytes = 64 * 1024;
+    this.ndjsonMaxReportedErrors = 1000;
+    // CEF/LEEF event names are matched against the built-in types only
+    this.eventTypes = BUILTIN_EVENT_TYPES.map(type => type.key);
+    this.sources = Log.schema.path('source').enumValues;
+  }
+
+  /**
+   * Ingest a batch of CEF or LEEF lines
+   * @param {Array<string>} lines - Raw event lines
+   * @param {Object} options - Ingest options
+   * @param {string} options.format - 'cef' or 'leef'
+   * @param {string} options.defaultEventType - eventType for events that don't map to the enum
+   * @param {string} options.defaultSource - Log source for the batch
+   * @param {string} options.organizationId - Organization whose chain the logs join
+   * @param {string} options.userId - Authenticated user the logs are attributed to
+   * @returns {Promise<Object>} Per-line ingest report
+   */
+  async ingestCefLeef(lines, options = {}) {
+    const {
+      format,
+      defaultEventType = 'intrusion_attempt',
+      defaultSource = 'ids',
+      organizationId,
+      userId
+    } = options;
+
+    if (lines.length > this.maxLinesPerRequest) {
+      throw new Error(`A batch may contain at most ${this.maxLinesPerRequest} lines`);
+    }
+
+    const report = {
+      format,
+      total: 0,
+      accepted: 0,
+      aggregated: 0,
+      rejected: 0,
+      results: []
+    };
+
+    for (let index = 0; index < lines.length; index++) {
+      const line = lines[index].trim();
+      if (!line) continue;
+
+      report.total++;
+
+      try {
+        const parsed = CefParser.parse(line, format);
+        const logData = parsed.format === 'cef'
+          ? this.mapCefEvent(parsed, defaultEventType, defaultSource)
+          : this.mapLeefEvent(parsed, defaultEventType, defaultSource);
+
+        const log = await LogService.createLog({ ...logData, organizationId, userId });
+
+        report.accepted++;
+        if (log.aggregated) {
+          report.aggregated++;
+          report.results.push({ line: index + 1, status: 'aggregated', bucketId: log.bucketId });
+        } else {
+          report.results.push({ line: index + 1, status: 'accepted', logId: log._id });
+        }
+      } catch (error) {
+        report.rejected++;
+        report.results.push({ line: index + 1, status: 'rejected', error: error.message });
+      }
+    }
+
+    logger.info('CEF/LEEF batch ingested', {
+      format,
+      total: report.total,
+      accepted: report.accepted,
+      rejected: report.rejected
+    });
+
+    return report;
+  }
+
+  /**
+   * Ingest a batch of nginx/Apache access log lines as api_access logs and
+   * run web attack detection on each request
+   * @param {Array<string>} lines - Raw access log lines
+   * @param {Object} options - Ingest options
+   * @param {string} options.format - 'combined', 'common' or a custom log format string
+   * @param {string} options.source - Log source for the batch
+   * @param {string} options.organizationId - Organization whose chain the logs join
+   * @param {string} options.userId - Authenticated user the logs are attributed to
+   * @returns {Promise<Object>} Per-line ingest report
+   */
+  async ingestAccessLog(lines, options = {}) {
+    const { format = 'combined', source = 'web_app', organizationId, userId } = options;
+
+    if (lines.length > this.maxLinesPerRequest) {
+      throw new Error(`A batch may contain at most ${this.maxLinesPerRequest} lines`);
+    }
+
+    // Fail the whole batch on a format without fields
+    AccessLogParser.compile(format);
+
+    const report = {
+      format,
+      total: 0,
+      accepted: 0,
+      aggregated: 0,
+      rejected: 0,
+      threats: 0,
+      results: []
+    };
+
+    for (let index = 0; index < lines.length; index++) {
+      const line = lines[index].trim();
+      if (!line) continue;
+
+      report.total++;
+
+      try {
+        const request = AccessLogParser.parse(line, format);
+
+        // Requests matching attack signatures are stored on their own so threats can reference them
+        const findings = WebAttackDetectionService.detect(request);
+        const log = await LogService.createLog(
+          this.mapAccessLogRequest(request, source, { organizationId, userId }),
+          { aggregate: findings.length === 0 }
+        );
+        const threats = await WebAttackDetectionService.recordFindings(findings, request, log);
+
+        report.accepted++;
+        report.threats += threats.length;
+
+        if (log.aggregated) {
+          report.aggregated++;
+          report.results.push({ line: index + 1, status: 'aggregated', bucketId: log.bucketId });
+          continue;
+        }
+
+        const result = { line: index + 1, status: 'accepted', logId: log._id };
+        if (threats.length > 0) {
+          result.threats = threats.map(threat => ({ threatId: threat.threatId, type: threat.type }));
+        }
+        report.results.push(result);
+      } catch (error) {
+        report.rejected++;
+        report.results.push({ line: index + 1, status: 'rejected', error: error.message });
+      }
+    }
+
+    logger.info('Access log batch ingested', {
+      total: report.total,
+      accepted: report.accepted,
+      aggregated: report.aggregated,
+      rejected: report.rejected,
+      threats: report.threats
+    });
+
+    return report;
+  }
+
+  /**
+   * Map a parsed access log request to LogService input
+   * @param {Object} request - Parsed request (see AccessLogParser)
+   * @param {string} source - Log source
+   * @param {Object} attribution - organizationId and userId of the ingesting caller
+   * @returns {Object} Log data
+   */
+  mapAccessLogRequest(request, source, attribution = {}) {
+    const { method, path, query, status, bytes, userAgent, referrer } = request;
+    const validIp = request.remoteAddr && net.isIP(request.remoteAddr) ? request.remoteAddr : undefined;
+
+    const details = {
+      method,
+      path,
+      query,
+      protocol: request.protocol,
+      status,
+      bytes,
+      userAgent,
+      referrer,
+      remoteUser: request.remoteUser,
+      host: request.host,
+      requestTime: request.requestTime,
+      forwardedFor: request.forwardedFor,
+      extra: request.extra
+    };
+
+    if (request.remoteAddr && !validIp) {
+      details.originalIpAddress = request.remoteAddr;
+    }
+
+    return {
+      eventType: 'api_access',
+      severity: status >= 500 ? 'Medium' : 'Low',
+      source,
+      organizationId: attribution.organizationId,
+      userId: attribution.userId,
+      description: `${method || 'Malformed request'} ${path || ''} ${status ?? '-'}`.replace(/\s+/g, ' ').trim(),
+      timestamp: request.timestamp || new Date(),
+      details: JSON.parse(JSON.stringify(details)),
+      metadata: {
+        ipAddress: validIp,
+        userAgent
+      }
+    };
+  }
+
+  /**
+   * Ingest newline-delimited JSON logs from a stream.
+   * Each line is validated against the Log schema; valid logs are inserted in
+   * batches and queued for anchoring, invalid lines are reported individually.
+   * @param {stream.Readable} stream - NDJSON input stream
+   * @param {Object} options - Ingest options
+   * @param {string} options.userId - Authenticated user the logs are attributed to
+   * @param {string} options.organizationId - Organization whose chain the logs join
+   * @returns {Promise<Object>} Ingest report with per-line errors
+   */
+  async ingestNdjsonStream(stream, options = {}) {
+    const report = {
+      total: 0,
+      accepted: 0,
+      aggregated: 0,
+      rejected: 0,
+      truncated: false,
+      errors: []
+    };
+
+    const rejectLine = (line, message) => {
+      report.rejected++;
+      if (report.errors.length < this.ndjsonMaxReportedErrors) {
+        report.errors.push({ line, error: message });
+      } else {
+        report.errorsTruncated = true;
+      }
+    };
+
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let batch = [];
+    let lineNumber = 0;
+
+    for await (const raw of lines) {
+      lineNumber++;
+      if (!raw.trim()) continue;
+
+      if (report.total >= this.ndjsonMaxLines) {
+        report.truncated = true;
+        break;
+      }
+
+      report.total++;
+
+      if (Buffer.byteLength(raw, 'utf8') > this.ndjsonMaxLineBytes) {
+        rejectLine(lineNumber, `Line exceeds ${this.ndjsonMaxLineBytes} bytes`);
+        continue;
+      }
+
+      try {
+        const log = await this.buildNdjsonLog(JSON.parse(raw), options);
+
+        // Repeated events join an open aggregate instead of being inserted
+        if (await AggregationService.absorb(log)) {
+          report.accepted++;
+          report.aggregated++;
+          continue;
+        }
+
+        batch.push({ line: lineNumber, log });
+      } catch (error) {
+        rejectLine(lineNumber, error.message);
+        continue;
+      }
+
+      if (batch.length >= this.ndjsonBatchSize) {
+        await this.insertNdjsonBatch(batch, report, rejectLine);
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      await this.insertNdjsonBatch(batch, report, rejectLine);
+    }
+
+    report.errors.sort((a, b) => a.line - b.line);
+
+    logger.info('NDJSON batch ingested', {
+      total: report.total,
+      accepted: report.accepted,
+      aggregated: report.aggregated,
+      rejected: report.rejected,
+      truncated: report.truncated
+    });
+
+    return report;
+  }
+
+  /**
+   * Build and validate a log document from one NDJSON record
+   * @param {Object} record - Parsed JSON record
+   * @param {Object} options - Ingest options
+   * @returns {Promise<Object>} Validated, unsaved log document
+   */
+  async buildNdjsonLog(record, options) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      throw new Error('Each line must be a JSON object');
+    }
+
+    // Logs are always attributed to the caller; a client-supplied userId is kept as detail only
+    let details = record.details;
+    if (record.userId !== undefined) {
+      details = { ...(details && typeof details === 'object' ? details : {}), clientUserId: record.userId };
+    }
+
+    const validated = await EventTypeService.validateLogData({
+      eventType: record.eventType,
+      severity: record.severity,
+      source: record.source,
+      description: record.description,
+      timestamp: record.timestamp,
+      organizationId: options.organizationId,
+      userId: options.userId,
+      walletAddress: record.walletAddress,
+      details,
+      metadata: record.metadata,
+      correlationId: record.correlationId,
+      sessionId: record.sessionId
+    });
+
+    const { data, applied } = await RedactionService.redactLog(validated);
+
+    const log = LogService.buildLogDocument(data, applied);
+
+    if (record.tags) {
+      log.tags = record.tags;
+    }
+
+    const validationError = log.validateSync();
+    if (validationError) {
+      throw new Error(Object.values(validationError.errors).map(err => err.message).join(', '));
+    }
+
+    return log;
+  }
+
+  /**
+   * Insert a batch of validated logs and queue them for anchoring
+   * @param {Array<Object>} batch - Entries of { line, log }
+   * @param {Object} report - Ingest report to update
+   * @param {Function} rejectLine - Records a rejected line
+   * @returns {Promise<void>}
+   */
+  async insertNdjsonBatch(batch, report, rejectLine) {
+    const failedIndexes = new Map();
+
+    try {
+      await LogService.appendToChain(batch.map(entry => entry.log), async (logs) => {
+        try {
+          await Log.insertMany(logs, { ordered: false });
+        } catch (error) {
+          if (!error.writeErrors) throw error;
+
+          error.writeErrors.forEach(writeError => {
+            failedIndexes.set(writeError.index, writeError.errmsg || writeError.err?.errmsg || 'Failed to store log');
+          });
+        }
+
+        return failedIndexes.keys();
+      });
+    } catch (error) {
+      logger.error('NDJSON batch insert error:', error.message);
+      batch.forEach(entry => rejectLine(entry.line, 'Failed to store log'));
+      return;
+    }
+
+    const stored = [];
+    batch.forEach((entry, index) => {
+      if (failedIndexes.has(index)) {
+        rejectLine(entry.line, failedIndexes.get(index));
+        return;
+      }
+
+      report.accepted++;
+      stored.push(entry.log);
+      LiveTailService.publish(entry.log);
+    });
+
+    await LogService.queueForAnchoring(stored);
+  }
+
+  /**
+   * Map a parsed CEF event to LogService input
+   * @param {Object} event - Parsed CEF event
+   * @param {string} defaultEventType - Fallback eventType
+   * @param {string} defaultSource - Fallback source
+   * @returns {Object} Log data
+   */
+  mapCefEvent(event, defaultEventType, defaultSource) {
+    const { header, extensions } = event;
+    const candidate = extensions.cat || header.signatureId;
+
+    return this.buildLogData({
+      format: 'cef',
+      candidateEventType: candidate,
+      product: header.deviceProduct,
+      severity: this.mapCefSeverity(header.severity),
+      description: header.name,
+      ipAddress: extensions.src,
+      userAgent: extensions.requestClientApplication,
+      timestamp: extensions.rt,
+      header,
+      extensions,
+      prefix: event.prefix
+    }, defaultEventType, defaultSource);
+  }
+
+  /**
+   * Map a parsed LEEF event to LogService input
+   * @param {Object} event - Parsed LEEF event
+   * @param {string} defaultEventType - Fallback eventType
+   * @param {string} defaultSource - Fallback source
+   * @returns {Object} Log data
+   */
+  mapLeefEvent(event, defaultEventType, defaultSource) {
+    const { header, extensions } = event;
+    const candidate = extensions.cat || header.eventId;
+
+    return this.buildLogData({
+      format: 'leef',
+      candidateEventType: candidate,
+      product: header.product,
+      severity: this.mapCefSeverity(extensions.sev),
+      description: extensions.msg || header.eventId,
+      ipAddress: extensions.src,
+      userAgent: extensions.userAgent,
+      timestamp: extensions.devTime,
+      header,
+      extensions,
+      prefix: event.prefix
+    }, defaultEventType, defaultSource);
+  }
+
+  /**
+   * Build LogService input from normalized CEF/LEEF fields.
+   * Values that don't fit the Log schema enums are kept in details.
+   * @param {Object} fields - Normalized event fields
+   * @param {string} defaultEventType - Fallback eventType
+   * @param {string} defaultSource - Fallback source
+   * @returns {Object} Log data
+   */
+  buildLogData(fields, defaultEventType, defaultSource) {
+    const normalizedType = this.normalizeEnumValue(fields.candidateEventType);
+    const normalizedSource = this.normalizeEnumValue(fields.product);
+    const eventTypeMatched = this.eventTypes.includes(normalizedType);
+    const validIp = fields.ipAddress && net.isIP(fields.ipAddress) ? fields.ipAddress : undefined;
+
+    const details = {
+      message: fields.description,
+      [fields.format]: {
+        header: fields.header,
+        extensions: fields.extensions
+      }
+    };
+
+    if (fields.prefix) {
+      details[fields.format].prefix = fields.prefix;
+    }
+
+    if (!eventTypeMatched && fields.candidateEventType) {
+      details.originalEventType = fields.candidateEventType;
+    }
+
+    if (fields.ipAddress && !validIp) {
+      details.originalIpAddress = fields.ipAddress;
+    }
+
+    return {
+      eventType: eventTypeMatched ? normalizedType : defaultEventType,
+      severity: fields.severity,
+      source: this.sources.includes(normalizedSource) ? normalizedSource : defaultSource,
+      description: fields.description,
+      timestamp: this.parseEventTime(fields.timestamp),
+      details,
+      metadata: {
+        ipAddress: validIp,
+        userAgent: fields.userAgent
+      }
+    };
+  }
+
+  /**
+   * Map CEF/LEEF severity to Log severity.
+   * Accepts numeric 0-10 values and the CEF string levels.
+   * @param {string} value - Raw severity
+   * @returns {string} Log severity
+   */
+  mapCefSeverity(value) {
+    if (value === undefined || value === null || value === '') {
+      return 'Medium';
+    }
+
+    const named = {
+      'unknown': 'Medium',
+      'low': 'Low',
+      'medium': 'Medium',
+      'high': 'High',
+      'very-high': 'Critical'
+    };
+
+    const key = String(value).trim().toLowerCase();
+    if (named[key]) {
+      return named[key];
+    }
+
+    const numeric = parseInt(key, 10);
+    if (isNaN(numeric)) return 'Medium';
+    if (numeric >= 9) return 'Critical';
+    if (numeric >= 7) return 'High';
+    if (numeric >= 4) return 'Medium';
+    return 'Low';
+  }
+
+  /**
+   * Parse an event time given as epoch milliseconds or a date string
+   * @param {string} value - Raw event time
+   * @returns {Date} Event time, or now if missing/invalid
+   */
+  parseEventTime(value) {
+    if (!value) return new Date();
+
+    const date = /^\d+$/.test(value) ? new Date(parseInt(value, 10)) : new Date(value);
+    return isNaN(date.getTime()) ? new Date() : date;
+  }
+
+  /**
+   * Normalize a vendor value for comparison against schema enums
+   * @param {string} value - Raw value
+   * @returns {string} snake_case value
+   */
+  normalizeEnumValue(value) {
+    if (!value) return '';
+    return String(value).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  }
+}
+
+module.exports = new IngestService();
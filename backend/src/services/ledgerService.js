@@ -0,0 +1,248 @@
+const { Log, ArchiveSegment, ChainHead } = require('../models');
+const config = require('../config');
+const { logger, securityLogger } = require('../utils/logger');
+const LogService = require('./logService');
+
+/**
+ * Ledger Service
+ * Verifies the per-organization log hash chain and reports chain health.
+ * Works without the blockchain, giving tamper evidence in local deployments.
+ */
+class LedgerService {
+  constructor() {
+    this.lastResults = new Map(); // Latest verification result per chain
+    this.verifyInterval = config.LEDGER.VERIFY_INTERVAL_MINUTES * 60 * 1000;
+    this.timer = null;
+  }
+
+  /**
+   * Start the periodic chain verification job
+   */
+  startVerificationJob() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.verifyAllChains().catch(error => {
+        logger.error('Chain verification job error:', error.message);
+      });
+    }, this.verifyInterval);
+  }
+
+  /**
+   * Stop the periodic chain verification job
+   */
+  stopVerificationJob() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Verify every organization chain
+   * @returns {Promise<Array<Object>>} Verification results
+   */
+  async verifyAllChains() {
+    const organizationIds = await Log.distinct('organizationId', { chainIndex: { $exists: true } });
+    const chains = [null, ...organizationIds.filter(Boolean)];
+
+    const results = [];
+    for (const organizationId of chains) {
+      results.push(await this.verifyChain(organizationId));
+    }
+
+    return results;
+  }
+
+  /**
+   * Walk an organization chain in order and report the first broken link
+   * @param {string} organizationId - Organization ID (null for logs without one)
+   * @returns {Promise<Object>} Verification result
+   */
+  async verifyChain(organizationId = null) {
+    const startedAt = Date.now();
+    const key = LogService.getChainKey(organizationId);
+
+    // Snapshot the recorded head, so logs appended during the walk aren't
+    // counted and logs removed from the end are still noticed
+    const knownHead = await ChainHead.findOne({ chainKey: key }).lean();
+
+    const query = {
+      organizationId: organizationId || null,
+      chainIndex: { $exists: true }
+    };
+    if (knownHead) {
+      query.chainIndex.$lte = knownHead.chainIndex;
+    }
+
+    const cursor = Log.find(query).sort({ chainIndex: 1 }).cursor();
+
+    let expectedIndex = 0;
+    let previousHash = LogService.genesisHash;
+    let brokenLink = null;
+
+    for await (const log of cursor) {
+      // Logs moved to cold storage and deleted leave gaps bridged by archived links
+      if (log.chainIndex > expectedIndex) {
+        const bridge = await this.bridgeArchivedGap(organizationId, expectedIndex, log.chainIndex, previousHash);
+        if (bridge.reason) {
+          brokenLink = {
+            chainIndex: bridge.chainIndex,
+            logId: null,
+            reason: bridge.reason
+          };
+          break;
+        }
+
+        expectedIndex = log.chainIndex;
+        previousHash = bridge.previousHash;
+      }
+
+      const reason = this.checkLink(log, expectedIndex, previousHash);
+      if (reason) {
+        brokenLink = {
+          chainIndex: expectedIndex,
+          logId: log._id,
+          reason
+        };
+        break;
+      }
+
+      expectedIndex++;
+      previousHash = log.logHash;
+    }
+
+    await cursor.close();
+
+    // Logs missing from the end must have been archived
+    if (!brokenLink && knownHead && knownHead.chainIndex >= expectedIndex) {
+      const bridge = await this.bridgeArchivedGap(organizationId, expectedIndex, knownHead.chainIndex + 1, previousHash);
+      if (bridge.reason) {
+        brokenLink = {
+          chainIndex: bridge.chainIndex,
+          logId: null,
+          reason: bridge.reason
+        };
+      } else {
+        expectedIndex = knownHead.chainIndex + 1;
+        previousHash = bridge.previousHash;
+      }
+    }
+
+    const result = {
+      organizationId,
+      status: brokenLink ? 'broken' : (expectedIndex === 0 ? 'empty' : 'intact'),
+      verifiedLength: brokenLink ? brokenLink.chainIndex : expectedIndex,
+      headHash: brokenLink ? null : (expectedIndex > 0 ? previousHash : null),
+      brokenLink,
+      verifiedAt: new Date(),
+      durationMs: Date.now() - startedAt
+    };
+
+    this.lastResults.set(key, result);
+
+    if (brokenLink) {
+      securityLogger.warn('Log hash chain broken', {
+        organizationId,
+        chainIndex: brokenLink.chainIndex,
+        logId: brokenLink.logId,
+        reason: brokenLink.reason
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Check one log against the expected chain position
+   * @param {Object} log - Log document
+   * @param {number} expectedIndex - Expected chain index
+   * @param {string} previousHash - logHash of the preceding log
+   * @returns {string|null} Reason the link is broken, or null if intact
+   */
+  checkLink(log, expectedIndex, previousHash) {
+    if (log.chainIndex !== expectedIndex) {
+      return `Expected chain index ${expectedIndex} but found ${log.chainIndex}; logs are missing`;
+    }
+
+    if (log.previousHash !== previousHash) {
+      return 'previousHash does not match the preceding log';
+    }
+
+    if (LogService.computeLogHash(log) !== log.logHash) {
+      return 'Log contents do not match its logHash';
+    }
+
+    return null;
+  }
+
+  /**
+   * Bridge a gap in the live chain with links recorded in archive segments
+   * @param {string} organizationId - Organization ID
+   * @param {number} fromIndex - First missing chain index
+   * @param {number} toIndex - Chain index of the next live log
+   * @param {string} previousHash - logHash before the gap
+   * @returns {Promise<Object>} logHash after the gap, or the first unbridged index and reason
+   */
+  async bridgeArchivedGap(organizationId, fromIndex, toIndex, previousHash) {
+    const segments = await ArchiveSegment.find({
+      chains: {
+        $elemMatch: {
+          organizationId: organizationId || null,
+          'links.chainIndex': { $gte: fromIndex, $lt: toIndex }
+        }
+      }
+    }).select('chains').lean();
+
+    const chainKey = LogService.getChainKey(organizationId);
+    const links = new Map();
+    segments.forEach(segment => {
+      segment.chains
+        .filter(chain => LogService.getChainKey(chain.organizationId) === chainKey)
+        .forEach(chain => chain.links.forEach(link => links.set(link.chainIndex, link)));
+    });
+
+    let hash = previousHash;
+    for (let index = fromIndex; index < toIndex; index++) {
+      const link = links.get(index);
+      if (!link) {
+        return {
+          chainIndex: index,
+          reason: `Log at chain index ${index} is missing and not in any archive segment`
+        };
+      }
+
+      if (link.previousHash !== hash) {
+        return {
+          chainIndex: index,
+          reason: 'Archived link previousHash does not match the preceding log'
+        };
+      }
+
+      hash = link.logHash;
+    }
+
+    return { previousHash: hash };
+  }
+
+  /**
+   * Get chain health for an organization
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>} Chain health
+   */
+  async getChainHealth(organizationId = null) {
+    const key = LogService.getChainKey(organizationId);
+    const [length, head] = await Promise.all([
+      Log.countDocuments({ organizationId: organizationId || null, chainIndex: { $exists: true } }),
+      LogService.getChainHead(organizationId)
+    ]);
+
+    return {
+      organizationId,
+      length,
+      head,
+      lastVerification: this.lastResults.get(key) || null,
+      verifyIntervalMinutes: config.LEDGER.VERIFY_INTERVAL_MINUTES
+    };
+  }
+}
+
+module.exports = new LedgerService();
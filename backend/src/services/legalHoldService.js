@@ -0,0 +1,196 @@
+const { Log, Threat, Report, LegalHold } = require('../models');
+const { logger, auditLogger } = require('../utils/logger');
+const { LogQueryLanguage } = require('../utils/logQueryLanguage');
+const { NOT_HELD } = require('../models/plugins/legalHold');
+
+/**
+ * Legal Hold Service
+ * Tags the logs, threats and reports covered by active legal holds so
+ * retention cannot archive or delete them, and untags them on release
+ */
+class LegalHoldService {
+  /**
+   * Build the filter for the logs a hold covers
+   * @param {Object} hold - Legal hold
+   * @returns {Object|null} MongoDB query, null when the hold covers no logs
+   */
+  buildLogFilter(hold) {
+    const { logIds = [], logQuery, from, to } = hold.scope || {};
+    const targets = [];
+
+    if (logIds.length > 0) {
+      targets.push({ _id: { $in: logIds } });
+    }
+
+    if (logQuery || from || to) {
+      const conditions = [];
+
+      if (logQuery) {
+        conditions.push(LogQueryLanguage.compile(logQuery));
+      }
+      if (from || to) {
+        conditions.push({
+          timestamp: {
+            ...(from && { $gte: from }),
+            ...(to && { $lte: to })
+          }
+        });
+      }
+      if (hold.organizationId) {
+        conditions.push({ organizationId: hold.organizationId });
+      }
+
+      targets.push({ $and: conditions });
+    }
+
+    if (targets.length === 0) return null;
+
+    return targets.length === 1 ? targets[0] : { $or: targets };
+  }
+
+  /**
+   * Tag everything a hold covers. Query scopes pick up logs stored since the
+   * hold was last applied.
+   * @param {Object} hold - Active legal hold document
+   * @returns {Promise<Object>} Hold with updated item counts
+   */
+  async applyHold(hold) {
+    if (hold.status !== 'active') return hold;
+
+    const tag = { $addToSet: { legalHolds: hold._id } };
+    const { threatIds = [], reportIds = [] } = hold.scope || {};
+
+    const logFilter = this.buildLogFilter(hold);
+    if (logFilter) {
+      await Log.updateMany(logFilter, tag);
+    }
+    if (threatIds.length > 0) {
+      await Threat.updateMany({ _id: { $in: threatIds } }, tag);
+    }
+    if (reportIds.length > 0) {
+      await Report.updateMany({ _id: { $in: reportIds } }, tag);
+
+      // Park report expiry dates so the TTL index cannot remove held reports
+      await Report.updateMany(
+        { legalHolds: hold._id, 'retention.expiresAt': { $exists: true } },
+        [
+          { $set: { 'retention.heldExpiresAt': '$retention.expiresAt' } },
+          { $unset: 'retention.expiresAt' }
+        ]
+      );
+    }
+
+    const [logs, threats, reports] = await Promise.all([
+      Log.countDocuments({ legalHolds: hold._id }),
+      Threat.countDocuments({ legalHolds: hold._id }),
+      Report.countDocuments({ legalHolds: hold._id })
+    ]);
+
+    hold.itemCounts = { logs, threats, reports };
+    hold.lastAppliedAt = new Date();
+
+    return hold.save();
+  }
+
+  /**
+   * Re-apply every active hold before retention runs
+   * @returns {Promise<Array>} Active holds
+   */
+  async refreshHolds() {
+    const holds = await LegalHold.find({ status: 'active' });
+
+    for (const hold of holds) {
+      try {
+        await this.applyHold(hold);
+      } catch (error) {
+        // A hold that cannot be re-applied still protects what it tagged earlier
+        logger.error('Failed to apply legal hold', {
+          holdId: hold._id,
+          error: error.message
+        });
+      }
+    }
+
+    return holds;
+  }
+
+  /**
+   * Place a new legal hold and tag what it covers
+   * @param {Object} data - Hold name, reason, scope and organization
+   * @param {Object} user - User placing the hold
+   * @returns {Promise<Object>} Applied hold
+   */
+  async placeHold(data, user) {
+    const hold = await LegalHold.create({
+      ...data,
+      status: 'active',
+      createdBy: user._id
+    });
+
+    await this.applyHold(hold);
+
+    auditLogger.info('Legal hold placed', {
+      holdId: hold._id,
+      name: hold.name,
+      caseReference: hold.caseReference,
+      reason: hold.reason,
+      itemCounts: hold.itemCounts,
+      userId: user._id
+    });
+
+    return hold;
+  }
+
+  /**
+   * Release a legal hold. Documents no other hold covers become subject to
+   * retention again.
+   * @param {Object} hold - Active legal hold document
+   * @param {Object} user - User releasing the hold
+   * @param {string} reason - Why the hold is released
+   * @returns {Promise<Object>} Released hold
+   */
+  async releaseHold(hold, user, reason) {
+    hold.status = 'released';
+    hold.release = {
+      releasedBy: user._id,
+      releasedAt: new Date(),
+      reason
+    };
+    await hold.save();
+
+    const untag = { $pull: { legalHolds: hold._id } };
+    const [logs, threats, reports] = await Promise.all([
+      Log.updateMany({ legalHolds: hold._id }, untag),
+      Threat.updateMany({ legalHolds: hold._id }, untag),
+      Report.updateMany({ legalHolds: hold._id }, untag)
+    ]);
+
+    // Give reports that are no longer held their expiry dates back
+    await Report.updateMany(
+      { ...NOT_HELD, 'retention.heldExpiresAt': { $exists: true } },
+      [
+        { $set: { 'retention.expiresAt': '$retention.heldExpiresAt' } },
+        { $unset: 'retention.heldExpiresAt' }
+      ]
+    );
+
+    auditLogger.info('Legal hold released', {
+      holdId: hold._id,
+      name: hold.name,
+      caseReference: hold.caseReference,
+      placedBy: hold.createdBy,
+      placedAt: hold.createdAt,
+      reason,
+      released: {
+        logs: logs.modifiedCount,
+        threats: threats.modifiedCount,
+        reports: reports.modifiedCount
+      },
+      userId: user._id
+    });
+
+    return hold;
+  }
+}
+
+module.exports = new LegalHoldService();
@@ -0,0 +1,234 @@
+const sift = require('sift').default;
+const mongoose = require('mongoose');
+const Joi = require('joi');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const { LogQueryLanguage, QueryParseError } = require('../utils/logQueryLanguage');
+
+const listOf = (item) => Joi.alternatives().try(item, Joi.array().items(item).max(50));
+
+const FILTER_SCHEMA = Joi.object({
+  severity: listOf(Joi.string().valid('Low', 'Medium', 'High', 'Critical')),
+  eventType: listOf(Joi.string().max(100)),
+  source: listOf(Joi.string().max(100)),
+  userId: Joi.string().hex().length(24),
+  q: Joi.string().max(2000).allow('')
+});
+
+/**
+ * Live Tail Service
+ * Pushes newly stored logs to Socket.IO subscribers whose filter matches.
+ * Each subscriber has a bounded buffer drained in rate-limited batches, and
+ * the next batch is only sent once the client acknowledges the previous one.
+ *
+ * Client events: subscribe_logs (filters, ack), pause_logs, resume_logs,
+ * unsubscribe_logs. Server events: tail_logs ({ logs, dropped }, ack) and
+ * tail_status ({ state, buffered, dropped }).
+ */
+class LiveTailService {
+  constructor() {
+    this.subscriptions = new Map(); // socket.id -> subscription
+    this.batchInterval = config.LIVE_TAIL.BATCH_INTERVAL_MS;
+    this.batchSize = Math.max(1, Math.floor(config.LIVE_TAIL.MAX_EVENTS_PER_SECOND * this.batchInterval / 1000));
+    this.bufferSize = config.LIVE_TAIL.BUFFER_SIZE;
+    this.ackTimeout = config.LIVE_TAIL.ACK_TIMEOUT_MS;
+    this.timer = null;
+  }
+
+  /**
+   * Register the live tail events on a connected socket
+   * @param {Object} socket - Authenticated Socket.IO socket
+   */
+  register(socket) {
+    socket.on('subscribe_logs', (filters, ack) => {
+      // Filters are optional: subscribe_logs(ack) tails everything
+      if (typeof filters === 'function') {
+        ack = filters;
+        filters = {};
+      }
+
+      const result = this.subscribe(socket, filters || {});
+      if (typeof ack === 'function') ack(result);
+    });
+
+    socket.on('pause_logs', () => this.setPaused(socket.id, true));
+    socket.on('resume_logs', () => this.setPaused(socket.id, false));
+    socket.on('unsubscribe_logs', () => this.unsubscribe(socket.id));
+    socket.on('disconnect', () => this.unsubscribe(socket.id));
+  }
+
+  /**
+   * Start or replace a socket's subscription
+   * @param {Object} socket - Socket.IO socket
+   * @param {Object} filters - severity, eventType, source, userId and/or q
+   * @returns {Object} Acknowledgement for the client
+   */
+  subscribe(socket, filters) {
+    const { error, value } = FILTER_SCHEMA.validate(filters);
+    if (error) {
+      return { success: false, message: 'Invalid filters', details: error.details.map(detail => detail.message) };
+    }
+
+    let matcher;
+    try {
+      matcher = sift(this.buildFilter(value, socket.user));
+    } catch (parseError) {
+      if (parseError instanceof QueryParseError) {
+        return { success: false, message: 'Invalid search query', details: parseError.toJSON() };
+      }
+      throw parseError;
+    }
+
+    this.subscriptions.set(socket.id, {
+      socket,
+      filters: value,
+      matcher,
+      paused: false,
+      awaitingAck: false,
+      buffer: [],
+      dropped: 0
+    });
+    this.start();
+
+    logger.info('Live tail subscribed', {
+      userId: socket.user._id,
+      socketId: socket.id,
+      filters: value
+    });
+
+    return { success: true, filters: value };
+  }
+
+  /**
+   * End a socket's subscription
+   * @param {string} socketId - Socket ID
+   */
+  unsubscribe(socketId) {
+    this.subscriptions.delete(socketId);
+    if (this.subscriptions.size === 0) this.stop();
+  }
+
+  /**
+   * Pause or resume delivery. Paused subscriptions keep buffering matches,
+   * so resuming replays what arrived in between (up to the buffer size).
+   * @param {string} socketId - Socket ID
+   * @param {boolean} paused - Whether to pause
+   */
+  setPaused(socketId, paused) {
+    const subscription = this.subscriptions.get(socketId);
+    if (!subscription) return;
+
+    subscription.paused = paused;
+    this.emitStatus(subscription);
+  }
+
+  /**
+   * Build the MongoDB-style filter a subscription matches logs with
+   * @param {Object} filters - Validated filters
+   * @param {Object} user - Subscribing user
+   * @returns {Object} Filter
+   */
+  buildFilter(filters, user) {
+    const conditions = [];
+    const field = (path, value) => ({ [path]: Array.isArray(value) ? { $in: value } : value });
+
+    if (user.organizationId) {
+      conditions.push({ organizationId: user.organizationId });
+    }
+    if (filters.severity) conditions.push(field('severity', filters.severity));
+    if (filters.eventType) conditions.push(field('eventType', filters.eventType));
+    if (filters.source) conditions.push(field('source', filters.source));
+    if (filters.userId) {
+      conditions.push({ userId: new mongoose.Types.ObjectId(filters.userId) });
+    }
+    if (filters.q) {
+      conditions.push(LogQueryLanguage.compile(filters.q));
+    }
+
+    return conditions.length > 0 ? { $and: conditions } : {};
+  }
+
+  /**
+   * Queue a stored log for every subscription it matches
+   * @param {Object} log - Saved log document
+   */
+  publish(log) {
+    if (this.subscriptions.size === 0) return;
+
+    const doc = typeof log.toObject === 'function' ? log.toObject({ depopulate: true }) : log;
+
+    for (const subscription of this.subscriptions.values()) {
+      try {
+        if (!subscription.matcher(doc)) continue;
+      } catch (error) {
+        logger.warn('Live tail filter error', { socketId: subscription.socket.id, error: error.message });
+        continue;
+      }
+
+      subscription.buffer.push(doc);
+
+      // Drop the oldest entries when a slow or paused client falls behind
+      if (subscription.buffer.length > this.bufferSize) {
+        subscription.buffer.shift();
+        subscription.dropped++;
+      }
+    }
+  }
+
+  /**
+   * Start the delivery timer
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.deliver(), this.batchInterval);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the delivery timer
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Send the next batch to every subscription that is live and has
+   * acknowledged its previous batch
+   */
+  deliver() {
+    for (const subscription of this.subscriptions.values()) {
+      if (subscription.paused || subscription.awaitingAck || subscription.buffer.length === 0) {
+        continue;
+      }
+
+      const logs = subscription.buffer.splice(0, this.batchSize);
+      const { dropped } = subscription;
+      subscription.dropped = 0;
+      subscription.awaitingAck = true;
+
+      subscription.socket.timeout(this.ackTimeout).emit('tail_logs', { logs, dropped }, () => {
+        // Continue on acknowledgement or timeout, so clients that never
+        // acknowledge are only slowed down
+        subscription.awaitingAck = false;
+      });
+    }
+  }
+
+  /**
+   * Tell a client whether its tail is live or paused
+   * @param {Object} subscription - Subscription
+   */
+  emitStatus(subscription) {
+    subscription.socket.emit('tail_status', {
+      state: subscription.paused ? 'paused' : 'live',
+      buffered: subscription.buffer.length,
+      dropped: subscription.dropped
+    });
+  }
+}
+
+module.exports = new LiveTailService();
@@ -1,7 +1,18 @@
-const { Log, User } = require('../models');
+const { Log, User, Threat, Alert, ChainHead } = require('../models');
 const { logger, securityLogger } = require('../utils/logger');
 const BlockchainService = require('./blockchainService');
+const RedactionService = require('./redactionService');
+const GeoIpService = require('./geoIpService');
+const AggregationService = require('./aggregationService');
+const LiveTailService = require('./liveTailService');
+const EventTypeService = require('./eventTypeService');
+const AnchorQueueService = require('./anchorQueueService');
 const CryptoUtils = require('../utils/crypto');
+const MerkleTree = require('../utils/merkleTree');
+const CanonicalJson = require('../utils/canonicalJson');
+const LogPdfReport = require('../utils/logPdfReport');
+const { LogQueryLanguage } = require('../utils/logQueryLanguage');
+const { NOT_HELD } = require('../models/plugins/legalHold');
 const { ethers } = require('ethers');
 
 /**
@@ -11,101 +22,348 @@ const { ethers } = require('ethers');
 class LogService {
   constructor() {
     this.blockchainService = BlockchainService;
-    this.pendingLogs = new Map(); // For batching logs before blockchain anchoring
-    this.batchInterval = 5 * 60 * 1000; // 5 minutes
-    this.maxBatchSize = 100;
-    
-    // Start batch processing
-    this.startBatchProcessing();
+    this.chainHeads = new Map(); // Last linked log per organization chain
+    this.chainLocks = new Map();
+    this.genesisHash = '0'.repeat(64); // previousHash of the first log in every chain
+    this.hashVersion = 2; // Hashing scheme for new logs (see generateLogHash)
+
+    // Batches claimed from the durable anchor queue
+    AnchorQueueService.setBatchHandler(logs => this.anchorBatch(logs));
+
+    // Closed aggregates are stored like any other log
+    AggregationService.setFlushHandler(log => this.storeLog(log));
   }
 
   /**
    * Create a new log entry
    * @param {Object} logData - Log data
    * @param {Object} options - Additional options
-   * @returns {Promise<Object>} Created log
+   * @param {boolean} options.aggregate - Set to false to always store the log on its own
+   * @returns {Promise<Object>} Created log, or { aggregated, bucketId } when the event
+   * joined an open aggregate that is stored when its window closes
    */
   async createLog(logData, options = {}) {
     try {
-      const {
-        eventType,
-        userId,
-        walletAddress,
-        severity = 'Medium',
-        source,
-        description,
-        details = {},
-        metadata = {},
-        threatLevel,
-        detectionMethod,
-        affectedAssets,
-        remediationSteps
-      } = logData;
-
-      // Validate required fields
-      if (!eventType || !source) {
-        throw new Error('Event type and source are required');
-      }
-
-      // Generate log hash for integrity verification
-      const logHash = this.generateLogHash({
-        eventType,
-        userId,
-        walletAddress,
-        severity,
-        source,
-        description,
-        details,
-        timestamp: new Date()
-      });
+      // Check the details against the registered event type's schema
+      const validated = await EventTypeService.validateLogData(logData);
 
-      // Create log entry
-      const log = new Log({
-        eventType,
-        userId,
-        walletAddress,
-        severity,
-        source,
-        description,
-        details,
-        metadata,
-        threatLevel,
-        detectionMethod,
-        affectedAssets,
-        remediationSteps,
-        logHash,
-        status: 'Pending'
-      });
+      // Redact personal data and secrets before the log is hashed
+      const { data, applied } = await RedactionService.redactLog(validated);
 
-      await log.save();
+      const log = this.buildLogDocument(data, applied);
 
-      // Add to pending logs for blockchain anchoring
-      if (options.anchorToBlockchain !== false) {
-        this.addToPendingBatch(log);
-        
-        // For individual high-priority logs, anchor immediately
-        if (severity === 'Critical' || severity === 'High') {
-          await this.anchorLogImmediately(log);
+      // Repeated events from noisy sources join an open aggregate, which is
+      // stored when its window closes
+      if (options.aggregate !== false) {
+        const aggregate = await AggregationService.absorb(log);
+        if (aggregate) {
+          return aggregate;
         }
       }
 
-      // Emit real-time notification for high-severity logs
+      return await this.storeLog(log, options);
+    } catch (error) {
+      logger.error('Log creation error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Link a built log onto its chain, store it and queue it for anchoring
+   * @param {Object} log - Unsaved log document
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} Stored log
+   */
+  async storeLog(log, options = {}) {
+    const { eventType, userId, severity, source } = log;
+
+    await this.appendToChain([log], async ([doc]) => {
+      await doc.save();
+    });
+
+    LiveTailService.publish(log);
+
+    // Queue for batch anchoring
+    if (options.anchorToBlockchain !== false) {
+      await this.queueForAnchoring([log]);
+      
+      // For individual high-priority logs, anchor immediately
       if (severity === 'Critical' || severity === 'High') {
-        this.emitRealTimeAlert(log);
+        await this.anchorLogImmediately(log);
       }
+    }
 
-      securityLogger.info('Log created', {
-        logId: log._id,
-        eventType,
-        severity,
-        source,
-        userId
-      });
+    // Emit real-time notification for high-severity logs
+    if (severity === 'Critical' || severity === 'High') {
+      this.emitRealTimeAlert(log);
+    }
+
+    securityLogger.info('Log created', {
+      logId: log._id,
+      eventType,
+      severity,
+      source,
+      userId,
+      aggregatedCount: log.aggregation?.count
+    });
+
+    return log;
+  }
+
+  /**
+   * Build an unsaved log document with its integrity hash
+   * @param {Object} logData - Log data, already redacted
+   * @param {Array<Object>} redactions - Redaction rules applied to the data
+   * @returns {Object} Log document
+   */
+  buildLogDocument(logData, redactions = []) {
+    const {
+      eventType,
+      organizationId,
+      userId,
+      walletAddress,
+      severity = 'Medium',
+      source,
+      description,
+      details = {},
+      metadata = {},
+      threatLevel,
+      detectionMethod,
+      affectedAssets,
+      remediationSteps,
+      correlationId,
+      sessionId
+    } = logData;
+
+    const timestamp = logData.timestamp ? new Date(logData.timestamp) : new Date();
+
+    // Validate required fields
+    if (!eventType || !source) {
+      throw new Error('Event type and source are required');
+    }
+
+    const log = new Log({
+      eventType,
+      timestamp,
+      organizationId,
+      userId,
+      walletAddress,
+      severity,
+      source,
+      description,
+      details,
+      metadata: GeoIpService.enrichMetadata(metadata),
+      threatLevel,
+      detectionMethod,
+      affectedAssets,
+      remediationSteps,
+      // Taken from the current request when not given
+      correlationId,
+      sessionId,
+      hashVersion: this.hashVersion,
+      status: 'Pending'
+    });
 
-      return log;
+    if (redactions.length > 0) {
+      log.redaction = { rules: redactions, redactedAt: new Date() };
+    }
+
+    // Generate log hash for integrity verification; hash the cast document
+    // values so the hash can be recomputed from the stored log
+    log.logHash = this.computeLogHash(log);
+
+    return log;
+  }
+
+  /**
+   * Get the fields covered by a log's integrity hash
+   * @param {Object} log - Log document
+   * @returns {Object} Hash input
+   */
+  getHashInput(log) {
+    return {
+      eventType: log.eventType,
+      userId: log.userId,
+      walletAddress: log.walletAddress,
+      severity: log.severity,
+      source: log.source,
+      description: log.description,
+      details: log.details,
+      timestamp: log.timestamp,
+      previousHash: log.previousHash,
+      aggregation: this.getAggregationHashInput(log)
+    };
+  }
+
+  /**
+   * Get the aggregate summary covered by a log's hash. Members are covered
+   * through the Merkle root of their hashes.
+   * @param {Object} log - Log document
+   * @returns {Object|undefined} Aggregate summary, undefined for ordinary logs
+   */
+  getAggregationHashInput(log) {
+    if (!log.aggregation || !log.aggregation.memberRoot) {
+      return undefined;
+    }
+
+    const { fingerprint, count, firstSeen, lastSeen, memberRoot } = log.aggregation;
+    return { fingerprint, count, firstSeen, lastSeen, memberRoot };
+  }
+
+  /**
+   * Compute a log's hash with the scheme it was (or will be) hashed with
+   * @param {Object} log - Log document
+   * @param {number} version - Hash version; defaults to the log's hashVersion
+   * @returns {string} Log hash
+   */
+  computeLogHash(log, version = log.hashVersion || 1) {
+    return this.generateLogHash(this.getHashInput(log), version);
+  }
+
+  /**
+   * Link logs onto their organization's hash chain and store them.
+   * Appends are serialized per organization so links follow insertion order.
+   * All logs must belong to the same organization.
+   * @param {Array} logs - Unsaved log documents
+   * @param {Function} insert - Stores the linked logs; may return indexes that failed
+   * @returns {Promise<Array>} Logs that were stored
+   */
+  async appendToChain(logs, insert) {
+    const organizationId = logs[0].organizationId;
+    const key = this.getChainKey(organizationId);
+
+    return this.withChainLock(key, async () => {
+      const head = await this.getChainHead(organizationId);
+      this.linkToChain(logs, head);
+
+      let failed;
+      try {
+        failed = new Set(await insert(logs) || []);
+      } catch (error) {
+        // Head may have moved (e.g. another instance appended); reload next time
+        this.chainHeads.delete(key);
+        throw error;
+      }
+
+      const stored = logs.filter((log, index) => !failed.has(index));
+
+      // Relink around failed inserts so the stored chain has no gaps
+      if (failed.size > 0 && stored.length > 0) {
+        this.linkToChain(stored, head);
+        await Log.bulkWrite(stored.map(log => ({
+          updateOne: {
+            filter: { _id: log._id },
+            update: {
+              $set: {
+                chainIndex: log.chainIndex,
+                previousHash: log.previousHash,
+                logHash: log.logHash
+              }
+            }
+          }
+        })));
+      }
+
+      if (stored.length > 0) {
+        const last = stored[stored.length - 1];
+        this.chainHeads.set(key, { chainIndex: last.chainIndex, logHash: last.logHash });
+        await this.recordChainHead(organizationId, last.chainIndex);
+      }
+
+      return stored;
+    });
+  }
+
+  /**
+   * Persist the last appended chain index, so verification notices logs
+   * removed from the end of a chain after a restart or on other instances
+   * @param {string} organizationId - Organization ID (null for logs without one)
+   * @param {number} chainIndex - Chain index of the last stored log
+   * @returns {Promise<void>}
+   */
+  async recordChainHead(organizationId, chainIndex) {
+    try {
+      await ChainHead.updateOne(
+        { chainKey: this.getChainKey(organizationId), chainIndex: { $lt: chainIndex } },
+        { $set: { organizationId: organizationId || null, chainIndex } },
+        { upsert: true }
+      );
     } catch (error) {
-      logger.error('Log creation error:', error.message);
-      throw error;
+      // A duplicate key means another instance already recorded a later head
+      if (error.code !== 11000) {
+        logger.error('Chain head update error:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Set chain position, previous hash and log hash on consecutive logs
+   * @param {Array} logs - Log documents in chain order
+   * @param {Object|null} head - Current chain head
+   */
+  linkToChain(logs, head) {
+    let previous = head;
+
+    logs.forEach(log => {
+      log.chainIndex = previous ? previous.chainIndex + 1 : 0;
+      log.previousHash = previous ? previous.logHash : this.genesisHash;
+      log.logHash = this.computeLogHash(log);
+      previous = { chainIndex: log.chainIndex, logHash: log.logHash };
+    });
+  }
+
+  /**
+   * Get the last linked log of an organization chain
+   * @param {string} organizationId - Organization ID (null for logs without one)
+   * @returns {Promise<Object|null>} Chain head, or null for an empty chain
+   */
+  async getChainHead(organizationId) {
+    const key = this.getChainKey(organizationId);
+
+    if (!this.chainHeads.has(key)) {
+      const last = await Log.findOne({
+        organizationId: organizationId || null,
+        chainIndex: { $exists: true }
+      })
+        .sort({ chainIndex: -1 })
+        .select('chainIndex logHash');
+
+      this.chainHeads.set(key, last ? { chainIndex: last.chainIndex, logHash: last.logHash } : null);
+    }
+
+    return this.chainHeads.get(key);
+  }
+
+  /**
+   * Get the chain key for an organization
+   * @param {string} organizationId - Organization ID
+   * @returns {string} Chain key
+   */
+  getChainKey(organizationId) {
+    return organizationId ? organizationId.toString() : 'default';
+  }
+
+  /**
+   * Run a function while holding the append lock of a chain
+   * @param {string} key - Chain key
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<*>} Function result
+   */
+  async withChainLock(key, fn) {
+    const previous = this.chainLocks.get(key) || Promise.resolve();
+    let release;
+    const lock = new Promise(resolve => { release = resolve; });
+    const current = previous.then(() => lock);
+    this.chainLocks.set(key, current);
+
+    await previous;
+    try {
+      return await fn();
+    } finally {
+      release();
+      if (this.chainLocks.get(key) === current) {
+        this.chainLocks.delete(key);
+      }
     }
   }
 
@@ -161,6 +419,111 @@ class LogService {
     }
   }
 
+  /**
+   * Get the ordered timeline of logs, threats and alerts sharing a
+   * correlation ID
+   * @param {string} correlationId - Correlation ID
+   * @param {Object} options - Timeline options
+   * @param {string} options.organizationId - Restrict logs, threats and alerts to an organization
+   * @param {number} options.limit - Maximum entries per kind
+   * @returns {Promise<Object>} Timeline entries in time order
+   */
+  async getCorrelationTimeline(correlationId, options = {}) {
+    try {
+      const { organizationId, limit = 1000 } = options;
+
+      const logQuery = { correlationId };
+      if (organizationId) {
+        logQuery.organizationId = organizationId;
+      }
+
+      let [logs, threats, alerts] = await Promise.all([
+        Log.find(logQuery)
+          .sort({ timestamp: 1 })
+          .limit(limit)
+          .populate('userId', 'email role')
+          .lean(),
+        Threat.find({ correlationId })
+          .sort({ detectedAt: 1 })
+          .limit(limit)
+          .select('threatType title severity status detectedAt logRefs sessionId')
+          .lean(),
+        Alert.find({ correlationId })
+          .sort({ triggerTime: 1 })
+          .limit(limit)
+          .select('alertId type subType severity status title triggerTime createdAt relatedEntities sessionId')
+          .lean()
+      ]);
+
+      if (organizationId) {
+        ({ threats, alerts } = await this.scopeToOrganization(threats, alerts, organizationId));
+      }
+
+      const entries = [
+        ...logs.map(log => ({ kind: 'log', id: log._id, timestamp: log.timestamp, data: log })),
+        ...threats.map(threat => ({ kind: 'threat', id: threat._id, timestamp: threat.detectedAt, data: threat })),
+        ...alerts.map(alert => ({ kind: 'alert', id: alert._id, timestamp: alert.triggerTime || alert.createdAt, data: alert }))
+      ].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+      const sessionIds = [...new Set(entries.map(entry => entry.data.sessionId).filter(Boolean))];
+
+      return {
+        correlationId,
+        sessionIds,
+        from: entries.length > 0 ? entries[0].timestamp : null,
+        to: entries.length > 0 ? entries[entries.length - 1].timestamp : null,
+        counts: {
+          logs: logs.length,
+          threats: threats.length,
+          alerts: alerts.length
+        },
+        truncated: [logs, threats, alerts].some(items => items.length >= limit),
+        entries
+      };
+    } catch (error) {
+      logger.error('Get correlation timeline error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Keep the threats and alerts that belong to an organization. Threats carry
+   * no organization, so a threat belongs to its triggering log's; an alert
+   * belongs to the organization of its related log or threat.
+   * @param {Array} threats - Lean threats with logRefs
+   * @param {Array} alerts - Lean alerts with relatedEntities
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>} { threats, alerts } of the organization
+   */
+  async scopeToOrganization(threats, alerts, organizationId) {
+    const alertThreatIds = alerts.map(alert => alert.relatedEntities?.threatId).filter(Boolean);
+    const alertThreats = alertThreatIds.length > 0
+      ? await Threat.find({ _id: { $in: alertThreatIds } }).select('logRefs').lean()
+      : [];
+
+    const triggeringLogId = threat => (threat.logRefs && threat.logRefs[0]) || null;
+    const candidateLogIds = [
+      ...threats.map(triggeringLogId),
+      ...alertThreats.map(triggeringLogId),
+      ...alerts.map(alert => alert.relatedEntities?.logId)
+    ].filter(Boolean);
+
+    const orgLogIds = new Set(candidateLogIds.length > 0
+      ? (await Log.find({ _id: { $in: candidateLogIds }, organizationId }).distinct('_id')).map(String)
+      : []);
+    const inOrganization = threat => orgLogIds.has(String(triggeringLogId(threat)));
+
+    const orgThreatIds = new Set([...threats, ...alertThreats].filter(inOrganization).map(threat => String(threat._id)));
+
+    return {
+      threats: threats.filter(inOrganization),
+      alerts: alerts.filter(alert =>
+        orgLogIds.has(String(alert.relatedEntities?.logId)) ||
+        orgThreatIds.has(String(alert.relatedEntities?.threatId))
+      )
+    };
+  }
+
   /**
    * Get log analytics and statistics
    * @param {Object} filters - Filter criteria
@@ -285,7 +648,7 @@ class LogService {
   async anchorLogImmediately(log) {
     try {
       const userId = log.userId?.toString() || log.walletAddress || 'anonymous';
-      const logType = this.mapEventTypeToLogType(log.eventType);
+      const logType = await this.mapEventTypeToLogType(log.eventType, log.organizationId);
       const refURI = `ipfs://log/${log._id}`; // In production, upload to IPFS/Arweave
 
       const result = await this.blockchainService.anchorLog(
@@ -321,33 +684,11 @@ class LogService {
   /**
    * Map event type to ChainShield log type
    * @param {string} eventType - Event type
-   * @returns {string} Mapped log type
-   */
-  mapEventTypeToLogType(eventType) {
-    const typeMap = {
-      'user_login': 'authentication',
-      'user_logout': 'authentication',
-      'authentication_failure': 'authentication',
-      'user_registration': 'authentication',
-      'user_update': 'authentication',
-      'user_deactivation': 'authentication',
-      'data_access': 'file_access',
-      'data_export': 'file_access',
-      'file_upload': 'file_access',
-      'file_download': 'file_access',
-      'network_event': 'network',
-      'threat_detected': 'network',
-      'firewall_event': 'firewall',
-      'system_event': 'application',
-      'api_request': 'application',
-      'report_generated': 'application',
-      'alert_generated': 'application',
-      'email_sent': 'email',
-      'transaction': 'transaction',
-      'blockchain_transaction': 'transaction'
-    };
-
-    return typeMap[eventType] || 'application';
+   * @param {string} organizationId - Organization whose custom types apply
+   * @returns {Promise<string>} Mapped log type
+   */
+  async mapEventTypeToLogType(eventType, organizationId) {
+    return EventTypeService.getLogType(eventType, organizationId);
   }
 
   /**
@@ -362,20 +703,18 @@ class LogService {
         throw new Error('Log not found');
       }
 
-      // Generate current hash
-      const currentHash = this.generateLogHash({
-        eventType: log.eventType,
-        userId: log.userId,
-        walletAddress: log.walletAddress,
-        severity: log.severity,
-        source: log.source,
-        description: log.description,
-        details: log.details,
-        timestamp: log.timestamp
-      });
+      // Generate current hash with the scheme the log was hashed with
+      const currentHash = this.computeLogHash(log);
 
       // Check if hash matches
-      const hashIntact = currentHash === log.logHash;
+      let hashIntact = currentHash === log.logHash;
+
+      // Aggregates must also match the member hashes they summarize
+      let aggregation = null;
+      if (log.aggregation && log.aggregation.memberRoot) {
+        aggregation = AggregationService.verifyMembers(log);
+        hashIntact = hashIntact && aggregation.intact;
+      }
 
       // Verify blockchain anchoring if available
       let blockchainVerified = false;
@@ -414,6 +753,8 @@ class LogService {
           hashIntact,
           originalHash: log.logHash,
           currentHash,
+          hashVersion: log.hashVersion || 1,
+          aggregation,
           blockchain: {
             anchored: !!(log.blockchain.logId || log.blockchain.transactionHash),
             verified: blockchainVerified,
@@ -432,8 +773,14 @@ class LogService {
   }
 
   /**
-   * Archive old logs based on retention policy
+   * Archive old logs based on retention policy. Logs under legal hold are
+   * never archived or deleted.
    * @param {Object} retentionPolicy - Retention policy settings
+   * @param {number|null} retentionPolicy.days - Days before archiving; null skips archiving
+   * @param {Array<string>} retentionPolicy.severityExceptions - Severities never archived
+   * @param {number|null} retentionPolicy.complianceRetention - Days before deleting; null skips deleting
+   * @param {Object} retentionPolicy.match - Filter selecting the logs the policy covers
+   * @param {Array<Object>} retentionPolicy.exclude - Filters for logs governed by other policies
    * @returns {Promise<Object>} Archive results
    */
   async archiveLogs(retentionPolicy = {}) {
@@ -441,48 +788,78 @@ class LogService {
       const {
         days = 365,
         severityExceptions = ['Critical', 'High'],
-        complianceRetention = 2555 // 7 years for compliance
+        complianceRetention = 2555, // 7 years for compliance
+        match = {},
+        exclude = []
       } = retentionPolicy;
 
-      const archiveDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
-      const complianceDate = new Date(Date.now() - complianceRetention * 24 * 60 * 60 * 1000);
+      const now = Date.now();
+      const archiveDate = days === null ? null : new Date(now - days * 24 * 60 * 60 * 1000);
+      const complianceDate = complianceRetention === null
+        ? null
+        : new Date(now - complianceRetention * 24 * 60 * 60 * 1000);
 
-      // Find logs to archive (excluding high severity logs)
-      const archiveQuery = {
-        timestamp: { $lt: archiveDate },
-        severity: { $nin: severityExceptions },
-        status: { $ne: 'Archived' }
-      };
+      const scope = [match, NOT_HELD];
+      if (exclude.length > 0) {
+        scope.push({ $nor: exclude });
+      }
 
-      // Find logs to delete (very old, even compliance logs)
-      const deleteQuery = {
-        timestamp: { $lt: complianceDate },
-        status: 'Archived'
-      };
+      let archived = 0;
+      let deleted = 0;
+
+      if (archiveDate) {
+        // Find logs to archive (excluding high severity logs)
+        const archiveQuery = {
+          $and: [
+            ...scope,
+            {
+              timestamp: { $lt: archiveDate },
+              severity: { $nin: severityExceptions },
+              status: { $ne: 'Archived' }
+            }
+          ]
+        };
 
-      // Archive logs
-      const archiveResult = await Log.updateMany(
-        archiveQuery,
-        { 
-          $set: { 
-            status: 'Archived',
-            archivedAt: new Date()
+        const archiveResult = await Log.updateMany(
+          archiveQuery,
+          {
+            $set: {
+              status: 'Archived',
+              'retention.archived': true,
+              'retention.archivedAt': new Date()
+            }
           }
-        }
-      );
+        );
+        archived = archiveResult.modifiedCount;
+      }
+
+      if (complianceDate) {
+        // Find logs to delete (very old, even compliance logs); only logs already
+        // exported to a cold-storage segment are removed
+        const deleteQuery = {
+          $and: [
+            ...scope,
+            {
+              timestamp: { $lt: complianceDate },
+              status: 'Archived',
+              'retention.segmentId': { $exists: true }
+            }
+          ]
+        };
 
-      // Delete very old archived logs
-      const deleteResult = await Log.deleteMany(deleteQuery);
+        const deleteResult = await Log.deleteMany(deleteQuery);
+        deleted = deleteResult.deletedCount;
+      }
 
       logger.info('Log archival completed', {
-        archived: archiveResult.modifiedCount,
-        deleted: deleteResult.deletedCount,
+        archived,
+        deleted,
         retentionDays: days
       });
 
       return {
-        archived: archiveResult.modifiedCount,
-        deleted: deleteResult.deletedCount,
+        archived,
+        deleted,
         archiveDate,
         deleteDate: complianceDate
       };
@@ -497,11 +874,14 @@ class LogService {
    * @param {Object} filters - Filter criteria
    * @param {string} format - Export format (csv, json, pdf)
    * @param {Object} options - Export options
+   * @param {Object} options.query - Log query to use instead of one built from filters
+   * @param {string} options.requestedBy - Requester shown on PDF exports
+   * @param {boolean} options.anchor - Anchor the PDF content hash
    * @returns {Promise<Object>} Export result
    */
   async exportLogs(filters = {}, format = 'csv', options = {}) {
     try {
-      const query = this.buildLogQuery(filters);
+      const query = options.query || this.buildLogQuery(filters);
       const logs = await Log.find(query)
         .populate('userId', 'email role')
         .sort({ timestamp: -1 })
@@ -510,6 +890,7 @@ class LogService {
       let exportData;
       let mimeType;
       let filename;
+      let integrity;
 
       switch (format.toLowerCase()) {
         case 'csv':
@@ -522,11 +903,14 @@ class LogService {
           mimeType = 'application/json';
           filename = `security_logs_${Date.now()}.json`;
           break;
-        case 'pdf':
-          exportData = await this.generatePDFReport(logs, options);
+        case 'pdf': {
+          const report = await this.generatePDFReport(logs, { ...options, filters });
+          exportData = report.buffer;
+          integrity = { contentHash: report.contentHash, anchor: report.anchor };
           mimeType = 'application/pdf';
           filename = `security_logs_${Date.now()}.pdf`;
           break;
+        }
         default:
           throw new Error('Unsupported export format');
       }
@@ -535,7 +919,8 @@ class LogService {
         data: exportData,
         mimeType,
         filename,
-        recordCount: logs.length
+        recordCount: logs.length,
+        ...integrity
       };
     } catch (error) {
       logger.error('Log export error:', error.message);
@@ -544,12 +929,128 @@ class LogService {
   }
 
   /**
-   * Generate log hash for integrity verification
+   * Render logs as a PDF with a cover page, per-severity tables and an
+   * integrity appendix. The export manifest (filters, time range and each
+   * log's hash, anchoring and status) is embedded in the PDF, and its SHA-256
+   * is the content hash that can itself be anchored.
+   * @param {Array} logs - Logs, newest first, with userId populated
+   * @param {Object} options - Report options
+   * @param {Object} options.filters - Filters shown on the cover page
+   * @param {string} options.requestedBy - Requester shown on the cover page
+   * @param {boolean} options.anchor - Anchor the content hash
+   * @returns {Promise<Object>} { buffer, contentHash, anchor }
+   */
+  async generatePDFReport(logs, options = {}) {
+    const { filters = {}, requestedBy, anchor = false } = options;
+
+    const groups = LogPdfReport.SEVERITY_ORDER
+      .map(severity => ({
+        severity,
+        entries: logs
+          .filter(log => log.severity === severity)
+          .map(log => ({ log, manifest: this.getExportIntegrity(log) }))
+      }))
+      .filter(group => group.entries.length > 0);
+
+    const timestamps = logs.map(log => new Date(log.timestamp).getTime());
+
+    const manifest = {
+      generatedAt: new Date(),
+      requestedBy,
+      filters,
+      range: {
+        from: logs.length > 0 ? new Date(Math.min(...timestamps)) : null,
+        to: logs.length > 0 ? new Date(Math.max(...timestamps)) : null
+      },
+      recordCount: logs.length,
+      logs: groups.flatMap(group => group.entries.map(entry => entry.manifest))
+    };
+
+    const manifestJson = CanonicalJson.stringify(manifest);
+    const contentHash = CryptoUtils.hash(manifestJson);
+
+    let anchorResult = null;
+    if (anchor) {
+      anchorResult = await this.blockchainService.anchorBatch(contentHash, logs.map(log => log._id));
+      if (!anchorResult.success) {
+        throw new Error(`Failed to anchor export: ${anchorResult.error || 'unknown error'}`);
+      }
+    }
+
+    const buffer = await LogPdfReport.render({
+      groups,
+      manifest,
+      manifestJson,
+      contentHash,
+      anchor: anchorResult
+    });
+
+    return {
+      buffer,
+      contentHash,
+      anchor: anchorResult && {
+        transactionHash: anchorResult.transactionHash,
+        blockNumber: anchorResult.blockNumber
+      }
+    };
+  }
+
+  /**
+   * Check a stored log's hash and anchoring proof without calling the chain
+   * @param {Object} log - Lean log, userId may be populated
+   * @returns {Object} Manifest entry: id, logHash, transactionHash, merkleRoot, status
+   */
+  getExportIntegrity(log) {
+    const hashInput = { ...log, userId: log.userId?._id || log.userId };
+    const currentHash = this.computeLogHash(hashInput);
+    const { transactionHash, merkleRoot, merkleProof = [] } = log.blockchain || {};
+
+    let status;
+    if (currentHash !== log.logHash) {
+      status = 'Hash mismatch';
+    } else if (merkleRoot) {
+      const proof = merkleProof.map(({ hash, position }) => ({ hash, position }));
+      const leafHash = this.getAnchoredLeafHash(log, currentHash);
+      status = MerkleTree.computeRoot(leafHash, proof) === merkleRoot ? 'Proof valid' : 'Proof mismatch';
+    } else if (transactionHash) {
+      status = 'Anchored';
+    } else {
+      status = 'Not anchored';
+    }
+
+    return {
+      id: log._id.toString(),
+      logHash: log.logHash,
+      transactionHash: transactionHash || null,
+      merkleRoot: merkleRoot || null,
+      status
+    };
+  }
+
+  /**
+   * Get the hash a log was anchored under. Logs re-hashed after anchoring
+   * were anchored under their legacy hash.
+   * @param {Object} log - Log
+   * @param {string} currentHash - Hash recomputed from the stored fields
+   * @returns {string} Merkle leaf hash
+   */
+  getAnchoredLeafHash(log, currentHash) {
+    const { hashMigration } = log;
+    const anchoredBeforeMigration = hashMigration?.migratedAt &&
+      log.blockchain.anchoredAt && log.blockchain.anchoredAt <= hashMigration.migratedAt;
+    return anchoredBeforeMigration ? hashMigration.legacyHash : currentHash;
+  }
+
+  /**
+   * Generate log hash for integrity verification.
+   * Version 1 hashes plain JSON.stringify output, which depends on key order;
+   * version 2 hashes canonical JSON (sorted keys, normalized dates and ObjectIds).
    * @param {Object} logData - Log data
+   * @param {number} version - Hash version
    * @returns {string} Generated hash
    */
-  generateLogHash(logData) {
-    const hashInput = JSON.stringify({
+  generateLogHash(logData, version = this.hashVersion) {
+    const fields = {
       eventType: logData.eventType,
       userId: logData.userId,
       walletAddress: logData.walletAddress,
@@ -557,16 +1058,137 @@ class LogService {
       source: logData.source,
       description: logData.description,
       details: logData.details,
-      timestamp: logData.timestamp
+      timestamp: logData.timestamp,
+      previousHash: logData.previousHash,
+      aggregation: logData.aggregation
+    };
+
+    switch (version) {
+      case 1:
+        return CryptoUtils.generateHash(JSON.stringify(fields));
+      case 2:
+        return CryptoUtils.generateHash(CanonicalJson.stringify(fields));
+      default:
+        throw new Error(`Unsupported log hash version: ${version}`);
+    }
+  }
+
+  /**
+   * Re-hash logs created with an older hashing scheme.
+   * Chains are walked in order so previousHash links follow re-hashed
+   * predecessors; the replaced hash is kept in hashMigration. Logs that no
+   * longer match their stored hash are reported and left unchanged. Run while
+   * ingestion is stopped so no appends race the rewrite.
+   * @param {Object} options - Migration options
+   * @param {number} options.batchSize - Updates per bulk write
+   * @param {boolean} options.dryRun - Report without writing
+   * @returns {Promise<Object>} Migration report
+   */
+  async migrateLogHashes(options = {}) {
+    const { batchSize = 500, dryRun = false } = options;
+    const report = {
+      toVersion: this.hashVersion,
+      scanned: 0,
+      migrated: 0,
+      legacyMismatches: [],
+      dryRun
+    };
+
+    let updates = [];
+    const flush = async () => {
+      if (updates.length > 0 && !dryRun) {
+        await Log.bulkWrite(updates, { ordered: true });
+      }
+      updates = [];
+    };
+
+    const migrateLog = async (log, previousHash) => {
+      report.scanned++;
+
+      const outdated = (log.hashVersion || 1) < this.hashVersion;
+      if (!outdated && log.previousHash === previousHash) {
+        return log.logHash;
+      }
+
+      // A log that no longer matches its stored hash was changed after it was
+      // written; keep its old hash so integrity checks still fail on it
+      if (this.computeLogHash(log) !== log.logHash) {
+        report.legacyMismatches.push({ logId: log._id, chainIndex: log.chainIndex });
+        return log.logHash;
+      }
+
+      const hashMigration = {
+        fromVersion: log.hashVersion || 1,
+        legacyHash: log.logHash,
+        legacyHashMatched: true,
+        migratedAt: new Date()
+      };
+
+      log.previousHash = previousHash;
+      log.hashVersion = this.hashVersion;
+      const logHash = this.computeLogHash(log);
+
+      updates.push({
+        updateOne: {
+          filter: { _id: log._id },
+          update: {
+            $set: { logHash, previousHash, hashVersion: this.hashVersion, hashMigration }
+          }
+        }
+      });
+      report.migrated++;
+
+      if (updates.length >= batchSize) {
+        await flush();
+      }
+
+      return logHash;
+    };
+
+    // Chained logs: walk each organization chain in order
+    const organizationIds = await Log.distinct('organizationId', { chainIndex: { $exists: true } });
+    for (const organizationId of [null, ...organizationIds.filter(Boolean)]) {
+      const cursor = Log.find({
+        organizationId: organizationId || null,
+        chainIndex: { $exists: true }
+      }).sort({ chainIndex: 1 }).cursor();
+
+      let previousHash = this.genesisHash;
+      for await (const log of cursor) {
+        previousHash = await migrateLog(log, previousHash);
+      }
+
+      this.chainHeads.delete(this.getChainKey(organizationId));
+    }
+
+    // Logs created before the hash chain
+    const unchained = Log.find({
+      chainIndex: { $exists: false },
+      $or: [{ hashVersion: { $exists: false } }, { hashVersion: { $lt: this.hashVersion } }]
+    }).sort({ _id: 1 }).cursor();
+
+    for await (const log of unchained) {
+      await migrateLog(log, log.previousHash);
+    }
+
+    await flush();
+
+    logger.info('Log hash migration completed', {
+      toVersion: report.toVersion,
+      scanned: report.scanned,
+      migrated: report.migrated,
+      legacyMismatches: report.legacyMismatches.length,
+      dryRun
     });
 
-    return CryptoUtils.generateHash(hashInput);
+    return report;
   }
 
   /**
    * Build MongoDB query from filters
    * @param {Object} filters - Filter criteria
    * @returns {Object} MongoDB query
+   * @throws {QueryParseError} When filters.q is not a valid query
    */
   buildLogQuery(filters) {
     const query = {};
@@ -621,94 +1243,164 @@ class LogService {
       query.status = filters.status;
     }
 
+    // Query language expression, e.g. severity:High AND @timestamp > now-1h
+    if (filters.q) {
+      query.$and = [LogQueryLanguage.compile(filters.q)];
+    }
+
     return query;
   }
 
   /**
-   * Add log to pending batch for blockchain anchoring
-   * @param {Object} log - Log object
+   * Add stored logs to the durable anchor queue. A failure is logged rather
+   * than thrown, since the logs themselves are already stored.
+   * @param {Array<Object>} logs - Stored logs
    */
-  addToPendingBatch(log) {
-    this.pendingLogs.set(log._id.toString(), log);
-
-    // Process batch if it reaches max size
-    if (this.pendingLogs.size >= this.maxBatchSize) {
-      this.processPendingBatch();
+  async queueForAnchoring(logs) {
+    try {
+      await AnchorQueueService.enqueue(logs);
+    } catch (error) {
+      logger.error('Failed to queue logs for anchoring', {
+        logIds: logs.map(log => log._id),
+        error: error.message
+      });
     }
   }
 
   /**
-   * Start batch processing timer
+   * Anchor a batch of logs claimed from the anchor queue.
+   * The batch is anchored as the root of a Merkle tree over the log hashes,
+   * and each log stores its own inclusion proof.
+   * @param {Array<Object>} logs - Logs with their hashes, in batch order
+   * @returns {Promise<Object>} Blockchain result
    */
-  startBatchProcessing() {
-    setInterval(() => {
-      if (this.pendingLogs.size > 0) {
-        this.processPendingBatch();
+  async anchorBatch(logs) {
+    const logIds = logs.map(log => log._id);
+
+    // Build Merkle tree over the batch
+    const tree = this.buildBatchTree(logs);
+    const merkleRoot = MerkleTree.getRoot(tree);
+
+    // Anchor the root to blockchain
+    const blockchainResult = await this.blockchainService.anchorBatch(
+      merkleRoot,
+      logIds
+    );
+
+    if (!blockchainResult.success) {
+      return blockchainResult;
+    }
+
+    const batchId = CryptoUtils.generateUUID();
+    const anchoredAt = new Date();
+
+    // Update each log with its inclusion proof
+    await Log.bulkWrite(logs.map((log, index) => ({
+      updateOne: {
+        filter: { _id: log._id },
+        update: {
+          $set: {
+            'blockchain.transactionHash': blockchainResult.transactionHash,
+            'blockchain.blockNumber': blockchainResult.blockNumber,
+            'blockchain.batchId': batchId,
+            'blockchain.merkleRoot': merkleRoot,
+            'blockchain.merkleRootLogId': blockchainResult.logId,
+            'blockchain.leafIndex': index,
+            'blockchain.merkleProof': MerkleTree.getProof(tree, index),
+            'blockchain.anchoredAt': anchoredAt,
+            status: 'Anchored'
+          }
+        }
       }
-    }, this.batchInterval);
+    })));
+
+    logger.info('Batch anchored to blockchain', {
+      batchId,
+      batchSize: logs.length,
+      merkleRoot,
+      transactionHash: blockchainResult.transactionHash,
+      blockNumber: blockchainResult.blockNumber
+    });
+
+    return { ...blockchainResult, batchId };
+  }
+
+  /**
+   * Build a Merkle tree over a batch of logs, in batch order
+   * @param {Array} logs - Array of log objects
+   * @returns {Array<Array<string>>} Tree levels
+   */
+  buildBatchTree(logs) {
+    return MerkleTree.build(logs.map(log => log.logHash));
   }
 
   /**
-   * Process pending logs batch for blockchain anchoring
+   * Verify a single log by replaying its Merkle proof against the anchored root
+   * @param {string} logId - Log ID
+   * @returns {Promise<Object>} Proof verification result
    */
-  async processPendingBatch() {
+  async verifyLogProof(logId) {
     try {
-      if (this.pendingLogs.size === 0) return;
+      const log = await Log.findById(logId);
+      if (!log) {
+        throw new Error('Log not found');
+      }
 
-      const logs = Array.from(this.pendingLogs.values());
-      const logIds = logs.map(log => log._id);
+      const { merkleRoot, merkleRootLogId, merkleProof, leafIndex } = log.blockchain || {};
+      if (!merkleRoot) {
+        return { logId, anchored: false, verified: false };
+      }
 
-      // Create batch hash
-      const batchHash = this.generateBatchHash(logs);
+      // Recompute the log hash from stored fields so tampering is detected
+      const currentHash = this.computeLogHash(log);
 
-      // Anchor to blockchain
-      const blockchainResult = await this.blockchainService.anchorBatch(
-        batchHash,
-        logIds
-      );
+      const leafHash = this.getAnchoredLeafHash(log, currentHash);
 
-      if (blockchainResult.success) {
-        // Update logs with blockchain information
-        await Log.updateMany(
-          { _id: { $in: logIds } },
-          {
-            $set: {
-              'blockchain.transactionHash': blockchainResult.transactionHash,
-              'blockchain.blockNumber': blockchainResult.blockNumber,
-              'blockchain.batchHash': batchHash,
-              'blockchain.anchoredAt': new Date(),
-              status: 'Anchored'
-            }
-          }
-        );
+      const proof = merkleProof.map(({ hash, position }) => ({ hash, position }));
+      const computedRoot = MerkleTree.computeRoot(leafHash, proof);
+      const proofValid = computedRoot === merkleRoot;
 
-        logger.info('Batch anchored to blockchain', {
-          batchSize: logs.length,
-          transactionHash: blockchainResult.transactionHash,
-          blockNumber: blockchainResult.blockNumber
-        });
+      // Compare against the root recorded on chain when it can be read
+      const onChain = { checked: false, rootMatches: null };
+      if (merkleRootLogId && this.blockchainService.initialized) {
+        try {
+          const entry = await this.blockchainService.getLogFromChain(merkleRootLogId);
+          onChain.checked = true;
+          onChain.rootMatches = this.normalizeHash(entry.logHash) === this.normalizeHash(merkleRoot);
+        } catch (error) {
+          onChain.error = error.message;
+        }
       }
 
-      // Clear pending logs
-      this.pendingLogs.clear();
+      return {
+        logId,
+        anchored: true,
+        hashIntact: currentHash === log.logHash,
+        currentHash,
+        leafHash,
+        leafIndex,
+        proof,
+        merkleRoot,
+        computedRoot,
+        proofValid,
+        onChain,
+        transactionHash: log.blockchain.transactionHash,
+        blockNumber: log.blockchain.blockNumber,
+        verified: proofValid && onChain.rootMatches !== false
+      };
     } catch (error) {
-      logger.error('Batch processing error:', error.message);
-      // Don't clear pending logs on error - they'll be retried
+      logger.error('Log proof verification error:', error.message);
+      throw error;
     }
   }
 
   /**
-   * Generate batch hash for multiple logs
-   * @param {Array} logs - Array of log objects
-   * @returns {string} Batch hash
-   */
-  generateBatchHash(logs) {
-    const sortedHashes = logs
-      .map(log => log.logHash)
-      .sort()
-      .join('');
-    
-    return CryptoUtils.generateHash(sortedHashes);
+   * Normalize a hex hash for comparison
+   * @param {string} hash - Hash with or without 0x prefix
+   * @returns {string} Lowercase hash without prefix
+   */
+  normalizeHash(hash) {
+    return String(hash || '').toLowerCase().replace(/^0x/, '');
   }
 
   /**
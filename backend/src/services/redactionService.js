@@ -0,0 +1,381 @@
+const { RedactionRule } = require('../models');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const CryptoUtils = require('../utils/crypto');
+const PiiDetectors = require('../utils/piiDetectors');
+
+// Log fields that redaction rules may change
+const REDACTABLE_ROOTS = ['description', 'details', 'metadata'];
+
+// Metadata the Log schema validates and detections key on; a redacted value
+// would get the log rejected, so rules never touch these
+const PROTECTED_FIELDS = ['metadata.ipAddress', 'metadata.geolocation'];
+
+const BUILTIN_RULES = [
+  { detector: 'sensitive_key', action: 'drop' },
+  { detector: 'private_key', action: 'mask' },
+  { detector: 'jwt', action: 'mask', mask: { keepLast: 4 } },
+  { detector: 'bearer_token', action: 'mask', mask: { keepLast: 4 } },
+  { detector: 'aws_access_key', action: 'mask', mask: { keepLast: 4 } },
+  { detector: 'secret_assignment', action: 'mask' },
+  { detector: 'credit_card', action: 'mask', mask: { keepLast: 4 } },
+  { detector: 'ssn', action: 'mask' },
+  { detector: 'email', action: 'hash' },
+  { detector: 'phone', action: 'mask', mask: { keepLast: 4 } }
+].map((rule, index) => ({
+  _id: `builtin:${rule.detector}`,
+  name: `Built-in ${rule.detector.replace(/_/g, ' ')}`,
+  builtin: true,
+  enabled: true,
+  priority: 1000 + index,
+  fields: [],
+  mask: { keepLast: 0, char: '*', ...rule.mask },
+  ...rule
+}));
+
+/**
+ * Redaction Service
+ * Masks, hashes or drops personal data and secrets in log data before the log
+ * is hashed and stored
+ */
+class RedactionService {
+  constructor() {
+    this.enabled = config.REDACTION.ENABLED;
+    this.cacheTtl = config.REDACTION.CACHE_TTL_SECONDS * 1000;
+    this.ruleCache = new Map(); // organization key -> { rules, loadedAt }
+  }
+
+  /**
+   * Get the built-in rules
+   * @returns {Array<Object>} Built-in rules (empty when disabled)
+   */
+  getBuiltinRules() {
+    return config.REDACTION.BUILTIN_RULES ? BUILTIN_RULES : [];
+  }
+
+  /**
+   * Get the enabled rules for an organization, including global and built-in rules
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Array<Object>>} Rules in priority order
+   */
+  async getRules(organizationId) {
+    const key = organizationId ? organizationId.toString() : 'default';
+    const cached = this.ruleCache.get(key);
+
+    if (cached && Date.now() - cached.loadedAt < this.cacheTtl) {
+      return cached.rules;
+    }
+
+    const scope = [{ organizationId: null }];
+    if (organizationId) {
+      scope.push({ organizationId });
+    }
+
+    const stored = await RedactionRule.find({ enabled: true, $or: scope })
+      .sort({ priority: 1, createdAt: 1 })
+      .lean();
+
+    const rules = [...stored, ...this.getBuiltinRules()];
+    this.ruleCache.set(key, { rules, loadedAt: Date.now() });
+
+    return rules;
+  }
+
+  /**
+   * Drop cached rules after a rule change
+   */
+  invalidateRules() {
+    this.ruleCache.clear();
+  }
+
+  /**
+   * Redact log data with the organization's rules
+   * @param {Object} logData - Log data
+   * @param {Array<Object>} rules - Rules to apply; defaults to the organization's rules
+   * @returns {Promise<Object>} Redacted data and the rules that changed it
+   */
+  async redactLog(logData, rules = null) {
+    if (!this.enabled && !rules) {
+      return { data: logData, applied: [] };
+    }
+
+    const activeRules = rules || await this.getRules(logData.organizationId);
+
+    const data = { ...logData };
+    REDACTABLE_ROOTS.forEach(root => {
+      if (data[root] !== undefined) {
+        data[root] = this.cloneValue(data[root]);
+      }
+    });
+
+    const salt = this.getOrganizationSalt(logData.organizationId);
+    const applied = [];
+
+    for (const rule of activeRules) {
+      const fields = this.applyRule(data, rule, salt);
+
+      if (fields.length > 0) {
+        applied.push({
+          ruleId: rule._id.toString(),
+          name: rule.name,
+          action: rule.action,
+          fields,
+          count: fields.length
+        });
+      }
+    }
+
+    return { data, applied };
+  }
+
+  /**
+   * Apply one rule to log data in place
+   * @param {Object} data - Log data (cloned)
+   * @param {Object} rule - Redaction rule
+   * @param {string} salt - Organization hash salt
+   * @returns {Array<string>} Paths the rule changed
+   */
+  applyRule(data, rule, salt) {
+    // A field holding protected fields is redacted one child at a time
+    const scopes = (rule.fields && rule.fields.length > 0 ? rule.fields : REDACTABLE_ROOTS)
+      .map(field => this.pathToRegex(this.holdsProtectedField(field) ? `${field}.*` : field));
+    const detector = rule.detector && rule.detector !== 'custom' ? PiiDetectors.get(rule.detector) : null;
+    const pattern = rule.detector === 'custom' ? new RegExp(rule.pattern, 'g') : detector?.pattern;
+    const touched = [];
+
+    if (rule.detector && !detector && !pattern) {
+      logger.warn('Redaction rule has an unknown detector', { ruleId: rule._id, detector: rule.detector });
+      return touched;
+    }
+
+    const inScope = path => scopes.some(scope => scope.test(path));
+    const isField = path => scopes.some(scope => scope.exact.test(path));
+
+    this.walk(data, (container, key, path) => {
+      const value = container[key];
+
+      // Whole-value rules: listed fields, or fields named like secrets
+      if ((!pattern && !detector && isField(path)) ||
+        (detector?.keyPattern && typeof key === 'string' && detector.keyPattern.test(key) && inScope(path))) {
+        this.redactValue(container, key, rule, salt);
+        touched.push(path);
+        return true;
+      }
+
+      if (!pattern || typeof value !== 'string' || !inScope(path)) {
+        return false;
+      }
+
+      const matches = this.findMatches(value, pattern, detector);
+      if (matches.length === 0) {
+        return false;
+      }
+
+      if (rule.action === 'drop') {
+        this.removeValue(container, key);
+      } else {
+        let result = '';
+        let last = 0;
+        matches.forEach(match => {
+          result += value.slice(last, match.index) + this.transform(match.text, rule, salt);
+          last = match.index + match.text.length;
+        });
+        container[key] = result + value.slice(last);
+      }
+
+      touched.push(path);
+      return true;
+    });
+
+    return touched;
+  }
+
+  /**
+   * Check whether a field path is, or is inside, a protected field
+   * @param {string} field - Dotted path
+   * @returns {boolean} Whether rules may not change the field
+   */
+  isProtectedField(field) {
+    return PROTECTED_FIELDS.some(path => field === path || field.startsWith(`${path}.`));
+  }
+
+  /**
+   * Check whether a field path contains a protected field
+   * @param {string} field - Dotted path
+   * @returns {boolean} Whether a protected field is below the path
+   */
+  holdsProtectedField(field) {
+    return PROTECTED_FIELDS.some(path => path.startsWith(`${field}.`));
+  }
+
+  /**
+   * Find detector or pattern matches in a string
+   * @param {string} value - String value
+   * @param {RegExp} pattern - Global pattern
+   * @param {Object} detector - Detector with optional validate()
+   * @returns {Array<Object>} Matches with text and index
+   */
+  findMatches(value, pattern, detector) {
+    const matches = [];
+
+    for (const match of value.matchAll(new RegExp(pattern.source, pattern.flags))) {
+      if (match[0].length === 0) continue;
+      if (detector?.validate && !detector.validate(match[0])) continue;
+      matches.push({ text: match[0], index: match.index });
+    }
+
+    return matches;
+  }
+
+  /**
+   * Redact a whole field value
+   * @param {Object|Array} container - Parent object
+   * @param {string|number} key - Field key
+   * @param {Object} rule - Redaction rule
+   * @param {string} salt - Organization hash salt
+   */
+  redactValue(container, key, rule, salt) {
+    if (rule.action === 'drop') {
+      this.removeValue(container, key);
+      return;
+    }
+
+    const value = container[key];
+    const text = typeof value === 'string' ? value : JSON.stringify(value) ?? '';
+    container[key] = this.transform(text, rule, salt);
+  }
+
+  /**
+   * Remove a field, or blank an array element so indexes stay stable
+   * @param {Object|Array} container - Parent object
+   * @param {string|number} key - Field key
+   */
+  removeValue(container, key) {
+    if (Array.isArray(container)) {
+      container[key] = '[REDACTED]';
+    } else {
+      delete container[key];
+    }
+  }
+
+  /**
+   * Mask or hash a value
+   * @param {string} text - Value to redact
+   * @param {Object} rule - Redaction rule
+   * @param {string} salt - Organization hash salt
+   * @returns {string} Redacted value
+   */
+  transform(text, rule, salt) {
+    if (rule.action === 'hash') {
+      return `hmac:${CryptoUtils.createHMAC(text, salt)}`;
+    }
+
+    const { keepLast = 0, char = '*' } = rule.mask || {};
+    // Never reveal more than half of a short value
+    const keep = text.length > keepLast * 2 ? keepLast : 0;
+
+    return char.repeat(text.length - keep) + text.slice(text.length - keep);
+  }
+
+  /**
+   * Get the hash salt of an organization. Hashes are stable within an
+   * organization so redacted values can still be correlated.
+   * @param {string} organizationId - Organization ID
+   * @returns {string} Salt
+   */
+  getOrganizationSalt(organizationId) {
+    return CryptoUtils.createHMAC(
+      organizationId ? organizationId.toString() : 'default',
+      config.REDACTION.HASH_SECRET
+    );
+  }
+
+  /**
+   * Visit every redactable value depth-first, skipping protected fields.
+   * Returning true from the visitor marks the value as handled and skips
+   * its children.
+   * @param {Object} data - Log data
+   * @param {Function} visit - (container, key, path) => boolean
+   */
+  walk(data, visit) {
+    const visitEntry = (container, key, path) => {
+      if (container[key] === undefined || PROTECTED_FIELDS.includes(path) || visit(container, key, path)) return;
+
+      const value = container[key];
+      if (Array.isArray(value)) {
+        value.forEach((item, index) => visitEntry(value, index, `${path}.${index}`));
+      } else if (this.isPlainObject(value)) {
+        Object.keys(value).forEach(child => visitEntry(value, child, `${path}.${child}`));
+      }
+    };
+
+    REDACTABLE_ROOTS.forEach(root => visitEntry(data, root, root));
+  }
+
+  /**
+   * Convert a field path with * wildcards to a matcher. test() matches the
+   * path or anything below it; exact.test() matches the path only.
+   * @param {string} field - Dotted path
+   * @returns {RegExp} Matcher
+   */
+  pathToRegex(field) {
+    const source = field
+      .split('.')
+      .map(segment => (segment === '*' ? '[^.]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+      .join('\\.');
+
+    const regex = new RegExp(`^${source}(?:\\..+)?$`);
+    regex.exact = new RegExp(`^${source}$`);
+    return regex;
+  }
+
+  /**
+   * Deep-copy plain objects and arrays, keeping other values as they are
+   * @param {*} value - Value to copy
+   * @returns {*} Copy
+   */
+  cloneValue(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.cloneValue(item));
+    }
+
+    if (this.isPlainObject(value)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.cloneValue(item)]));
+    }
+
+    return value;
+  }
+
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' &&
+      (Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null);
+  }
+
+  /**
+   * Preview rules on sample logs without storing anything
+   * @param {Array<Object>} samples - Sample log data
+   * @param {Object} options - Preview options
+   * @param {string} options.organizationId - Organization whose rules and salt to use
+   * @param {Array<Object>} options.rules - Unsaved rules to try instead
+   * @returns {Promise<Array<Object>>} Redacted samples with the rules applied
+   */
+  async previewRules(samples, options = {}) {
+    const { organizationId, rules } = options;
+    const activeRules = rules
+      ? [...rules.map((rule, index) => ({ _id: `preview:${index}`, ...rule })), ...this.getBuiltinRules()]
+      : await this.getRules(organizationId);
+
+    return Promise.all(samples.map(async sample => {
+      const { data, applied } = await this.redactLog({ ...sample, organizationId }, activeRules);
+
+      const redacted = {};
+      REDACTABLE_ROOTS.forEach(root => {
+        if (data[root] !== undefined) redacted[root] = data[root];
+      });
+
+      return { original: sample, redacted, applied };
+    }));
+  }
+}
+
+module.exports = new RedactionService();
@@ -0,0 +1,347 @@
+const { CronJob, CronTime } = require('cron');
+const { Log, SavedSearch, User } = require('../models');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const LogService = require('./logService');
+const AlertService = require('./alertService');
+
+const CONDITION_LABELS = {
+  gt: 'more than',
+  gte: 'at least',
+  lt: 'fewer than',
+  lte: 'at most',
+  eq: 'exactly'
+};
+
+/**
+ * Saved Search Service
+ * Runs saved log searches and evaluates scheduled threshold monitors
+ */
+class SavedSearchService {
+  constructor() {
+    this.monitors = new Map(); // savedSearchId -> CronJob
+    this.running = new Set(); // savedSearchIds being evaluated
+  }
+
+  /**
+   * Build the log filter for a saved search
+   * @param {Object} search - Saved search
+   * @param {Object} window - Optional time window
+   * @param {Date} window.from - Window start
+   * @param {Date} window.to - Window end
+   * @returns {Object} MongoDB query
+   */
+  buildFilter(search, window = {}) {
+    const conditions = [LogService.buildLogQuery({ ...search.filters, q: search.query })];
+
+    if (search.organizationId) {
+      conditions.push({ organizationId: search.organizationId });
+    }
+
+    if (window.from || window.to) {
+      const timestamp = {};
+      if (window.from) timestamp.$gte = window.from;
+      if (window.to) timestamp.$lte = window.to;
+      conditions.push({ timestamp });
+    }
+
+    return { $and: conditions };
+  }
+
+  /**
+   * Check whether a user can see a saved search
+   * @param {Object} search - Saved search
+   * @param {Object} user - User
+   * @returns {boolean} Whether the user has access
+   */
+  canAccess(search, user) {
+    if (this.canModify(search, user)) return true;
+
+    const { visibility, users = [] } = search.sharing || {};
+
+    if (visibility === 'organization') {
+      return !!search.organizationId && search.organizationId.toString() === user.organizationId?.toString();
+    }
+
+    if (visibility === 'users') {
+      return users.some(id => id.toString() === user._id.toString());
+    }
+
+    return false;
+  }
+
+  /**
+   * Check whether a user can change or delete a saved search
+   * @param {Object} search - Saved search
+   * @param {Object} user - User
+   * @returns {boolean} Whether the user is the owner or an admin
+   */
+  canModify(search, user) {
+    return search.owner.toString() === user._id.toString() || user.role === 'Admin';
+  }
+
+  /**
+   * Find users a saved search is shared with who are outside its organization
+   * @param {Object} search - Saved search
+   * @returns {Promise<Array<string>>} IDs of users outside the organization
+   */
+  async findUsersOutsideOrganization(search) {
+    const userIds = (search.sharing?.users || []).map(id => id.toString());
+    if (userIds.length === 0) return [];
+
+    const members = await User.find({
+      _id: { $in: userIds },
+      organizationId: search.organizationId || null
+    }).select('_id').lean();
+
+    const memberIds = new Set(members.map(member => member._id.toString()));
+    return userIds.filter(id => !memberIds.has(id));
+  }
+
+  /**
+   * List saved searches visible to a user
+   * @param {Object} user - User
+   * @param {Object} options - Pagination options
+   * @returns {Promise<Object>} Saved searches and total
+   */
+  async listForUser(user, options = {}) {
+    const { page = 1, limit = 20 } = options;
+
+    const access = [
+      { owner: user._id },
+      { 'sharing.visibility': 'users', 'sharing.users': user._id }
+    ];
+    if (user.organizationId) {
+      access.push({ 'sharing.visibility': 'organization', organizationId: user.organizationId });
+    }
+
+    const filter = { $or: access };
+
+    const [searches, total] = await Promise.all([
+      SavedSearch.find(filter)
+        .populate('owner', 'name email')
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      SavedSearch.countDocuments(filter)
+    ]);
+
+    return { searches, total };
+  }
+
+  /**
+   * Run a saved search
+   * @param {Object} search - Saved search
+   * @param {Object} options - Window and pagination options
+   * @returns {Promise<Object>} Matching logs and total
+   */
+  async runSearch(search, options = {}) {
+    const { from, to, page = 1, limit = 20 } = options;
+    const filter = this.buildFilter(search, { from, to });
+
+    const [logs, total] = await Promise.all([
+      Log.find(filter)
+        .select('-details')
+        .sort({ timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('userId', 'email role')
+        .lean(),
+      Log.countDocuments(filter)
+    ]);
+
+    return { logs, total };
+  }
+
+  /**
+   * Check that a cron expression is valid
+   * @param {string} schedule - Cron expression
+   * @returns {boolean} Whether the expression parses
+   */
+  isValidSchedule(schedule) {
+    try {
+      new CronTime(schedule);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Schedule every enabled monitor
+   * @returns {Promise<number>} Monitors scheduled
+   */
+  async startMonitors() {
+    const searches = await SavedSearch.find({ 'monitor.enabled': true });
+
+    searches.forEach(search => this.scheduleMonitor(search));
+
+    logger.info(`Scheduled ${searches.length} saved search monitors`);
+    return searches.length;
+  }
+
+  /**
+   * Stop every scheduled monitor
+   */
+  stopMonitors() {
+    for (const id of this.monitors.keys()) {
+      this.unscheduleMonitor(id);
+    }
+  }
+
+  /**
+   * Schedule (or reschedule) a saved search monitor
+   * @param {Object} search - Saved search
+   */
+  scheduleMonitor(search) {
+    const id = search._id.toString();
+    this.unscheduleMonitor(id);
+
+    if (!config.SAVED_SEARCH.MONITORS_ENABLED || !search.monitor?.enabled) return;
+
+    if (!this.isValidSchedule(search.monitor.schedule)) {
+      logger.warn('Saved search monitor has an invalid schedule', { savedSearchId: id, schedule: search.monitor.schedule });
+      return;
+    }
+
+    const job = new CronJob(search.monitor.schedule, () => {
+      this.evaluateMonitor(id).catch(error => {
+        logger.error('Saved search monitor error:', { savedSearchId: id, error: error.message });
+      });
+    });
+    job.start();
+
+    this.monitors.set(id, job);
+  }
+
+  /**
+   * Remove a scheduled monitor
+   * @param {string} id - Saved search ID
+   */
+  unscheduleMonitor(id) {
+    const job = this.monitors.get(id.toString());
+
+    if (job) {
+      job.stop();
+      this.monitors.delete(id.toString());
+    }
+  }
+
+  /**
+   * Compare a result count with a monitor condition
+   * @param {number} count - Matching logs
+   * @param {Object} condition - Monitor condition
+   * @returns {boolean} Whether the condition is met
+   */
+  isConditionMet(count, condition) {
+    const { operator, threshold } = condition;
+
+    switch (operator) {
+      case 'gte': return count >= threshold;
+      case 'lt': return count < threshold;
+      case 'lte': return count <= threshold;
+      case 'eq': return count === threshold;
+      default: return count > threshold;
+    }
+  }
+
+  /**
+   * Run a monitor's search over its window and alert when the condition is met
+   * @param {string} id - Saved search ID
+   * @param {Date} now - Evaluation time
+   * @returns {Promise<Object|null>} Evaluation result, null if skipped
+   */
+  async evaluateMonitor(id, now = new Date()) {
+    if (this.running.has(id)) return null;
+    this.running.add(id);
+
+    try {
+      const search = await SavedSearch.findById(id);
+      if (!search || !search.monitor?.enabled) {
+        this.unscheduleMonitor(id);
+        return null;
+      }
+
+      const { condition, cooldownMinutes, lastTriggeredAt } = search.monitor;
+      const from = new Date(now.getTime() - condition.windowMinutes * 60 * 1000);
+
+      let count;
+      try {
+        count = await Log.countDocuments(this.buildFilter(search, { from, to: now }));
+      } catch (error) {
+        // Saved queries are validated on save, so this is a storage or query error
+        search.monitor.lastRunAt = now;
+        search.monitor.lastError = error.message;
+        await search.save();
+        throw error;
+      }
+
+      const met = this.isConditionMet(count, condition);
+      const coolingDown = !!lastTriggeredAt && cooldownMinutes > 0 &&
+        now.getTime() - lastTriggeredAt.getTime() < cooldownMinutes * 60 * 1000;
+
+      let alert = null;
+      if (met && !coolingDown) {
+        alert = await this.createMonitorAlert(search, count, { from, to: now });
+        search.monitor.lastTriggeredAt = now;
+      }
+
+      search.monitor.lastRunAt = now;
+      search.monitor.lastResultCount = count;
+      search.monitor.lastError = undefined;
+      await search.save();
+
+      return { count, triggered: !!alert, suppressed: met && coolingDown, alert };
+    } finally {
+      this.running.delete(id);
+    }
+  }
+
+  /**
+   * Create the alert for a triggered monitor
+   * @param {Object} search - Saved search
+   * @param {number} count - Matching logs
+   * @param {Object} window - Evaluated window
+   * @returns {Promise<Object>} Created alert
+   */
+  async createMonitorAlert(search, count, window) {
+    const { condition, severity, channels } = search.monitor;
+    const from = window.from.toISOString();
+    const to = window.to.toISOString();
+    const conditionText = `${CONDITION_LABELS[condition.operator]} ${condition.threshold} results in ${condition.windowMinutes} minutes`;
+
+    const { alert } = await AlertService.createAlert({
+      type: 'Security',
+      subType: 'Suspicious Activity',
+      severity,
+      title: `Saved search "${search.name}" threshold met`,
+      message: `${count} logs matched "${search.name}" between ${from} and ${to} (condition: ${conditionText}).`,
+      source: { system: 'saved_search_monitor' },
+      userId: search.owner,
+      relatedEntity: 'saved_search',
+      entityId: search._id,
+      channels,
+      metadata: {
+        category: 'saved_search',
+        details: {
+          savedSearchId: search._id,
+          count,
+          condition: conditionText,
+          windowStart: from,
+          windowEnd: to,
+          logsUrl: `${config.API_BASE_URL}/saved-searches/${search._id}/results?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`
+        }
+      }
+    });
+
+    logger.info('Saved search monitor triggered', {
+      savedSearchId: search._id,
+      count,
+      alertId: alert._id
+    });
+
+    return alert;
+  }
+}
+
+module.exports = new SavedSearchService();
@@ -0,0 +1,444 @@
+const dgram = require('dgram');
+const net = require('net');
+const config = require('../config');
+const { logger, securityLogger } = require('../utils/logger');
+const SyslogParser = require('../utils/syslogParser');
+const LogService = require('./logService');
+const AnchorQueueService = require('./anchorQueueService');
+
+// How often paused TCP connections check whether the anchor queue has drained
+const RESUME_CHECK_INTERVAL_MS = 1000;
+
+/**
+ * Syslog Service
+ * Receives RFC 5424 / RFC 3164 messages over UDP and TCP and stores them as logs.
+ * While the anchor queue is saturated, TCP connections are paused and UDP
+ * datagrams are dropped.
+ */
+class SyslogService {
+  constructor() {
+    this.listeners = [];
+    this.pausedSockets = new Set();
+    this.resumeTimer = null;
+    this.stats = {
+      received: 0,
+      accepted: 0,
+      rejected: 0,
+      denied: 0,
+      dropped: 0
+    };
+
+    // Map syslog facilities to Log sources; local0-7 use the listener default
+    this.facilitySourceMap = {
+      kern: 'system',
+      user: 'system',
+      mail: 'system',
+      daemon: 'system',
+      auth: 'authentication_service',
+      syslog: 'system',
+      cron: 'system',
+      authpriv: 'authentication_service',
+      ftp: 'file_system',
+      security: 'ids',
+      console: 'ids'
+    };
+  }
+
+  /**
+   * Start all configured syslog listeners
+   * @returns {Promise<void>}
+   */
+  async start() {
+    const { HOST, UDP, TCP } = config.SYSLOG;
+
+    if (UDP.ENABLED) {
+      const listener = this.buildListenerConfig('udp', UDP);
+      await this.startUdpListener(HOST, listener);
+    }
+
+    if (TCP.ENABLED) {
+      const listener = this.buildListenerConfig('tcp', TCP);
+      await this.startTcpListener(HOST, listener);
+    }
+  }
+
+  /**
+   * Stop all running listeners
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.resumeTimer) {
+      clearInterval(this.resumeTimer);
+      this.resumeTimer = null;
+    }
+    this.pausedSockets.forEach(socket => socket.destroy());
+    this.pausedSockets.clear();
+
+    await Promise.all(this.listeners.map(({ server }) => new Promise(resolve => {
+      server.close(() => resolve());
+    })));
+
+    this.listeners = [];
+    logger.info('Syslog listeners stopped');
+  }
+
+  /**
+   * Build runtime settings for a listener from its config block
+   * @param {string} protocol - 'udp' or 'tcp'
+   * @param {Object} listenerConfig - Listener config block
+   * @returns {Object} Listener settings
+   */
+  buildListenerConfig(protocol, listenerConfig) {
+    if (listenerConfig.ALLOWED_SENDERS.length === 0) {
+      logger.warn(`Syslog ${protocol.toUpperCase()} listener has no sender allowlist - accepting all senders`);
+    }
+
+    return {
+      protocol,
+      port: listenerConfig.PORT,
+      allowlist: this.buildAllowlist(listenerConfig.ALLOWED_SENDERS),
+      defaultEventType: listenerConfig.DEFAULT_EVENT_TYPE,
+      defaultSource: listenerConfig.DEFAULT_SOURCE
+    };
+  }
+
+  /**
+   * Build a sender allowlist from addresses and CIDR ranges
+   * @param {Array<string>} entries - Allowed addresses or ranges
+   * @returns {net.BlockList|null} Allowlist, or null to accept any sender
+   */
+  buildAllowlist(entries) {
+    if (entries.length === 0) {
+      return null;
+    }
+
+    const allowlist = new net.BlockList();
+
+    for (const entry of entries) {
+      const [address, prefix] = entry.split('/');
+      const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+      if (prefix !== undefined) {
+        allowlist.addSubnet(address, parseInt(prefix, 10), type);
+      } else {
+        allowlist.addAddress(address, type);
+      }
+    }
+
+    return allowlist;
+  }
+
+  /**
+   * Check whether a sender may submit logs to a listener
+   * @param {Object} listener - Listener settings
+   * @param {string} address - Normalized sender address
+   * @returns {boolean} Whether the sender is allowed
+   */
+  isSenderAllowed(listener, address) {
+    if (!listener.allowlist) {
+      return true;
+    }
+
+    return listener.allowlist.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * Start the UDP listener
+   * @param {string} host - Bind address
+   * @param {Object} listener - Listener settings
+   * @returns {Promise<void>}
+   */
+  startUdpListener(host, listener) {
+    return new Promise((resolve, reject) => {
+      const server = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+
+      server.on('message', (message, remote) => {
+        // UDP senders cannot be slowed down; drop while the anchor queue drains
+        if (AnchorQueueService.isSaturated()) {
+          this.stats.dropped++;
+          return;
+        }
+
+        this.handleMessage(message.toString('utf8'), remote.address, listener);
+      });
+
+      server.on('error', (error) => {
+        logger.error('Syslog UDP listener error:', error.message);
+        reject(error);
+      });
+
+      server.bind(listener.port, host, () => {
+        this.listeners.push({ protocol: 'udp', server });
+        logger.info(`Syslog UDP listener started on ${host}:${listener.port}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Start the TCP listener
+   * @param {string} host - Bind address
+   * @param {Object} listener - Listener settings
+   * @returns {Promise<void>}
+   */
+  startTcpListener(host, listener) {
+    return new Promise((resolve, reject) => {
+      const server = net.createServer((socket) => {
+        const address = this.normalizeAddress(socket.remoteAddress);
+
+        if (!this.isSenderAllowed(listener, address)) {
+          this.recordDenied(listener, address);
+          socket.destroy();
+          return;
+        }
+
+        // Raw bytes: octet counts are byte lengths, and a chunk may end mid-character
+        let buffer = Buffer.alloc(0);
+
+        socket.on('data', (chunk) => {
+          buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+
+          const { messages, remainder } = this.extractFrames(buffer);
+          buffer = remainder;
+          messages.forEach(message => this.handleMessage(message, address, listener));
+
+          if (buffer.length > config.SYSLOG.MAX_MESSAGE_SIZE) {
+            logger.warn('Syslog TCP frame exceeds maximum size, closing connection', { address });
+            socket.destroy();
+            return;
+          }
+
+          if (AnchorQueueService.isSaturated()) {
+            this.pauseSocket(socket);
+          }
+        });
+
+        socket.on('close', () => {
+          this.pausedSockets.delete(socket);
+        });
+
+        socket.on('end', () => {
+          const message = buffer.toString('utf8');
+          if (message.trim()) {
+            this.handleMessage(message, address, listener);
+          }
+        });
+
+        socket.on('error', (error) => {
+          logger.warn('Syslog TCP connection error:', error.message);
+        });
+      });
+
+      server.on('error', (error) => {
+        logger.error('Syslog TCP listener error:', error.message);
+        reject(error);
+      });
+
+      server.listen(listener.port, host, () => {
+        this.listeners.push({ protocol: 'tcp', server });
+        logger.info(`Syslog TCP listener started on ${host}:${listener.port}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop reading from a TCP connection until the anchor queue drains, so the
+   * sender is held back by TCP flow control
+   * @param {net.Socket} socket - Sender connection
+   */
+  pauseSocket(socket) {
+    socket.pause();
+    this.pausedSockets.add(socket);
+
+    if (this.resumeTimer) return;
+
+    this.resumeTimer = setInterval(() => {
+      if (AnchorQueueService.isSaturated()) return;
+
+      this.pausedSockets.forEach(paused => paused.resume());
+      this.pausedSockets.clear();
+      clearInterval(this.resumeTimer);
+      this.resumeTimer = null;
+    }, RESUME_CHECK_INTERVAL_MS);
+    this.resumeTimer.unref();
+  }
+
+  /**
+   * Split a TCP stream buffer into syslog frames.
+   * Supports octet counting and newline-delimited framing (RFC 6587).
+   * Octet counts are byte lengths, so frames are sliced from the raw bytes.
+   * @param {Buffer} buffer - Buffered stream data
+   * @returns {Object} Complete messages and the unconsumed remainder (Buffer)
+   */
+  extractFrames(buffer) {
+    const messages = [];
+    let offset = 0;
+
+    while (offset < buffer.length) {
+      const prefixLength = this.getOctetPrefixLength(buffer, offset);
+
+      if (prefixLength > 0) {
+        const length = parseInt(buffer.toString('latin1', offset, offset + prefixLength - 1), 10);
+        const start = offset + prefixLength;
+
+        if (buffer.length - start < length) break;
+
+        messages.push(buffer.toString('utf8', start, start + length));
+        offset = start + length;
+        continue;
+      }
+
+      const newline = buffer.indexOf(0x0a, offset);
+      if (newline === -1) break;
+
+      const message = buffer.toString('utf8', offset, newline);
+      if (message.trim()) {
+        messages.push(message);
+      }
+      offset = newline + 1;
+    }
+
+    return { messages, remainder: buffer.subarray(offset) };
+  }
+
+  /**
+   * Length of an octet-count prefix ("123 ") at an offset
+   * @param {Buffer} buffer - Buffered stream data
+   * @param {number} offset - Frame start
+   * @returns {number} Prefix length including the space, 0 when there is none
+   */
+  getOctetPrefixLength(buffer, offset) {
+    let index = offset;
+    while (index < buffer.length && index - offset < 10 && buffer[index] >= 0x30 && buffer[index] <= 0x39) {
+      index++;
+    }
+
+    return index > offset && buffer[index] === 0x20 ? index - offset + 1 : 0;
+  }
+
+  /**
+   * Parse a syslog message and store it as a log
+   * @param {string} raw - Raw syslog message
+   * @param {string} remoteAddress - Sender address
+   * @param {Object} listener - Listener settings
+   * @returns {Promise<Object|null>} Created log, or null if rejected
+   */
+  async handleMessage(raw, remoteAddress, listener) {
+    const address = this.normalizeAddress(remoteAddress);
+    this.stats.received++;
+
+    if (!this.isSenderAllowed(listener, address)) {
+      this.recordDenied(listener, address);
+      return null;
+    }
+
+    if (Buffer.byteLength(raw, 'utf8') > config.SYSLOG.MAX_MESSAGE_SIZE) {
+      this.stats.rejected++;
+      logger.warn('Syslog message exceeds maximum size', { address, protocol: listener.protocol });
+      return null;
+    }
+
+    try {
+      const parsed = SyslogParser.parse(raw);
+      const log = await LogService.createLog(this.toLogData(parsed, address, listener));
+      this.stats.accepted++;
+      return log;
+    } catch (error) {
+      this.stats.rejected++;
+      logger.warn('Syslog message rejected', {
+        address,
+        protocol: listener.protocol,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Convert a parsed syslog message into LogService input
+   * @param {Object} parsed - Parsed syslog message
+   * @param {string} address - Sender address
+   * @param {Object} listener - Listener settings
+   * @returns {Object} Log data
+   */
+  toLogData(parsed, address, listener) {
+    return {
+      eventType: listener.defaultEventType,
+      severity: this.mapSeverity(parsed.severity),
+      source: this.facilitySourceMap[parsed.facilityName] || listener.defaultSource,
+      description: parsed.message,
+      timestamp: parsed.timestamp || new Date(),
+      details: {
+        message: parsed.message,
+        syslog: {
+          format: parsed.format,
+          facility: parsed.facilityName,
+          severity: parsed.severityName,
+          hostname: parsed.hostname,
+          appName: parsed.appName,
+          procId: parsed.procId,
+          msgId: parsed.msgId,
+          structuredData: parsed.structuredData,
+          transport: listener.protocol
+        }
+      },
+      metadata: {
+        ipAddress: address
+      }
+    };
+  }
+
+  /**
+   * Map syslog severity (0-7) to Log severity
+   * @param {number} severity - Syslog severity code
+   * @returns {string} Log severity
+   */
+  mapSeverity(severity) {
+    if (severity <= 2) return 'Critical'; // emerg, alert, crit
+    if (severity === 3) return 'High';     // err
+    if (severity === 4) return 'Medium';   // warning
+    return 'Low';                          // notice, info, debug
+  }
+
+  /**
+   * Strip the IPv4-mapped IPv6 prefix from socket addresses
+   * @param {string} address - Socket address
+   * @returns {string} Normalized address
+   */
+  normalizeAddress(address = '') {
+    return address.startsWith('::ffff:') ? address.slice(7) : address;
+  }
+
+  /**
+   * Record a message or connection from a sender outside the allowlist
+   * @param {Object} listener - Listener settings
+   * @param {string} address - Sender address
+   */
+  recordDenied(listener, address) {
+    this.stats.denied++;
+    securityLogger.warn('Syslog sender not in allowlist', {
+      address,
+      protocol: listener.protocol,
+      port: listener.port
+    });
+  }
+
+  /**
+   * Get listener status and counters
+   * @returns {Object} Status
+   */
+  getStatus() {
+    return {
+      enabled: config.SYSLOG.ENABLED,
+      listeners: this.listeners.map(({ protocol, server }) => ({
+        protocol,
+        address: server.address()
+      })),
+      pausedConnections: this.pausedSockets.size,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+module.exports = new SyslogService();
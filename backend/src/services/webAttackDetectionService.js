@@ -0,0 +1,294 @@
+const { Threat } = require('../models');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const LogService = require('./logService');
+const GeoIpService = require('./geoIpService');
+
+// Longest request text inspected; payload patterns stay cheap on hostile input
+const MAX_INSPECT_LENGTH = 4096;
+
+// Payload signatures matched against the decoded request
+const PAYLOAD_SIGNATURES = [
+  {
+    id: 'path_traversal',
+    type: 'Directory Traversal',
+    severity: 'High',
+    phase: 'Initial Access',
+    target: 'url',
+    description: 'Path traversal sequence or sensitive file path in request',
+    pattern: /(?:^|[/\\=])\.\.(?:[/\\]|$)|\/etc\/(?:passwd|shadow|hosts)\b|\b(?:boot|win)\.ini\b|\/proc\/self\//i
+  },
+  {
+    id: 'sql_injection',
+    type: 'SQL Injection',
+    severity: 'High',
+    phase: 'Initial Access',
+    target: 'query',
+    description: 'SQL injection payload in query string',
+    pattern: /\bunion\b[\s\S]{0,40}?\bselect\b|\b(?:or|and)\s+['"]?\d+['"]?\s*=\s*['"]?\d+|'\s*(?:or|and)\s+'[^']*'\s*=\s*'|;\s*(?:drop|delete|insert|update|truncate|exec)\s|\b(?:sleep|benchmark|pg_sleep)\s*\(|\bwaitfor\s+delay\b|\binformation_schema\b|\bxp_cmdshell\b|['"]\s*(?:--|#)/i
+  },
+  {
+    id: 'xss',
+    type: 'XSS Attack',
+    severity: 'Medium',
+    phase: 'Initial Access',
+    target: 'query',
+    description: 'Cross-site scripting payload in query string',
+    pattern: /<\s*\/?\s*script\b|javascript\s*:|<[^>]{0,200}\bon[a-z]+\s*=|<\s*(?:svg|iframe|img|body)\b|document\.(?:cookie|location)|\balert\s*\(/i
+  }
+];
+
+const SCANNER_SIGNATURE = {
+  id: 'scanner_user_agent',
+  type: 'Vulnerability Scanning',
+  severity: 'Medium',
+  phase: 'Reconnaissance',
+  description: 'Request from a known vulnerability scanner',
+  pattern: /\b(?:sqlmap|nikto|nmap|masscan|zgrab|dirbuster|gobuster|dirb|wpscan|acunetix|nessus|openvas|w3af|nuclei|ffuf|wfuzz|havij|netsparker|appscan|arachni|skipfish|whatweb|feroxbuster)\b/i
+};
+
+const ERROR_STORM_SIGNATURE = {
+  id: 'error_storm',
+  type: 'Vulnerability Scanning',
+  severity: 'Medium',
+  phase: 'Reconnaissance',
+  description: 'Burst of 4xx responses from one client'
+};
+
+/**
+ * Web Attack Detection Service
+ * Inspects parsed web server requests for path traversal, SQL injection and
+ * XSS payloads, scanner user agents and 4xx storms, and records matches as
+ * threats. Repeated matches from one client are added to the same open threat.
+ */
+class WebAttackDetectionService {
+  constructor() {
+    const settings = config.WEB_ATTACK;
+
+    this.enabled = settings.ENABLED;
+    this.errorStormThreshold = settings.ERROR_STORM_THRESHOLD;
+    this.errorStormWindow = settings.ERROR_STORM_WINDOW_SECONDS * 1000;
+    this.threatWindow = settings.THREAT_WINDOW_SECONDS * 1000;
+    this.maxTrackedClients = 10000;
+    this.clientErrors = new Map(); // client IP -> 4xx response times
+  }
+
+  /**
+   * Record a request's findings as threats
+   * @param {Array<Object>} findings - Findings from detect()
+   * @param {Object} request - Parsed request (see AccessLogParser)
+   * @param {Object} log - Stored api_access log for the request
+   * @returns {Promise<Array>} Threats created or updated
+   */
+  async recordFindings(findings, request, log) {
+    const threats = [];
+
+    for (const finding of findings) {
+      try {
+        threats.push(await this.recordThreat(finding, request, log));
+      } catch (error) {
+        logger.error('Web attack threat recording error:', error.message);
+      }
+    }
+
+    return threats;
+  }
+
+  /**
+   * Match a request against the payload, scanner and 4xx storm signatures
+   * @param {Object} request - Parsed request
+   * @returns {Array<Object>} Findings: signature plus matched evidence (none when disabled)
+   */
+  detect(request) {
+    if (!this.enabled) return [];
+
+    const findings = [];
+    const query = this.decode(request.query || '');
+    const url = this.decode(request.path || '') + (query ? `?${query}` : '');
+
+    PAYLOAD_SIGNATURES.forEach(signature => {
+      const text = (signature.target === 'query' ? query : url).slice(0, MAX_INSPECT_LENGTH);
+      const match = text && signature.pattern.exec(text);
+      if (match) {
+        findings.push({ signature, evidence: match[0] });
+      }
+    });
+
+    const scanner = request.userAgent && SCANNER_SIGNATURE.pattern.exec(request.userAgent);
+    if (scanner) {
+      findings.push({ signature: SCANNER_SIGNATURE, evidence: scanner[0] });
+    }
+
+    const storm = this.trackClientError(request);
+    if (storm) {
+      findings.push({ signature: ERROR_STORM_SIGNATURE, evidence: storm });
+    }
+
+    return findings;
+  }
+
+  /**
+   * Count 4xx responses per client over a sliding window
+   * @param {Object} request - Parsed request
+   * @returns {string|null} Evidence when the client crosses the threshold
+   */
+  trackClientError(request) {
+    const { remoteAddr, status } = request;
+    if (!remoteAddr || !(status >= 400 && status < 500)) return null;
+
+    const at = (request.timestamp || new Date()).getTime();
+    const times = (this.clientErrors.get(remoteAddr) || []).filter(time => at - time < this.errorStormWindow);
+    times.push(at);
+
+    // Re-insert so the least recently seen client is evicted first
+    this.clientErrors.delete(remoteAddr);
+    if (this.clientErrors.size >= this.maxTrackedClients) {
+      this.clientErrors.delete(this.clientErrors.keys().next().value);
+    }
+
+    if (times.length >= this.errorStormThreshold) {
+      this.clientErrors.set(remoteAddr, []);
+      return `${times.length} 4xx responses in ${this.errorStormWindow / 1000}s`;
+    }
+
+    this.clientErrors.set(remoteAddr, times);
+    return null;
+  }
+
+  /**
+   * Add a finding to the client's open threat of the same type, or open one
+   * @param {Object} finding - Signature and evidence
+   * @param {Object} request - Parsed request
+   * @param {Object} log - Stored request log
+   * @returns {Promise<Object>} Threat
+   */
+  async recordThreat({ signature, evidence: matched }, request, log) {
+    const ip = request.remoteAddr;
+    const evidence = matched.slice(0, 200);
+    // Report the stored (redacted) URL rather than the raw request
+    const url = [log.details?.path, log.details?.query].filter(Boolean).join('?');
+    const severity = this.getSeverity(signature, request);
+
+    const existing = ip && await Threat.findOne({
+      type: signature.type,
+      status: 'Active',
+      tags: 'web_attack',
+      'sourceInfo.ipAddress': ip,
+      updatedAt: { $gte: new Date(Date.now() - this.threatWindow) }
+    }).select('_id');
+
+    if (existing) {
+      return Threat.findByIdAndUpdate(existing._id, {
+        $push: {
+          logRefs: { $each: [log._id], $slice: 1000 },
+          ...(url && { 'indicators.urls': { $each: [url], $slice: -100 } })
+        },
+        $addToSet: {
+          tags: signature.id,
+          'indicators.attackSignatures': signature.id,
+          ...(request.userAgent && { 'indicators.userAgents': request.userAgent })
+        }
+      }, { new: true });
+    }
+
+    const threat = await Threat.create({
+      threatId: this.generateThreatId(),
+      type: signature.type,
+      severity,
+      status: 'Active',
+      title: `${signature.type} from ${ip || 'unknown client'}`,
+      description: `${signature.description}: ${evidence} (${request.method || 'request'} ${url || request.path || ''})`,
+      logRefs: [log._id],
+      affectedAssets: [{
+        assetType: 'Application',
+        assetId: request.path,
+        assetName: request.host || 'web server',
+        impact: severity
+      }],
+      indicators: {
+        ipAddresses: ip ? [ip] : [],
+        urls: url ? [url] : [],
+        userAgents: request.userAgent ? [request.userAgent] : [],
+        attackSignatures: [signature.id]
+      },
+      attackVector: 'Web Application',
+      attackPhase: signature.phase,
+      sourceInfo: GeoIpService.buildThreatSourceInfo(ip),
+      correlationId: log.correlationId,
+      sessionId: log.sessionId,
+      tags: ['web_attack', signature.id],
+      timeline: [{ action: 'Detected', notes: `${signature.description}: ${evidence}` }]
+    });
+
+    await LogService.createLog({
+      eventType: 'threat_detected',
+      severity: threat.severity,
+      source: 'ids',
+      organizationId: log.organizationId,
+      description: `Threat detected: ${threat.type}`,
+      correlationId: threat.correlationId,
+      sessionId: threat.sessionId,
+      details: {
+        threatId: threat._id,
+        detectionMethod: 'Web access log signatures',
+        signature: signature.id,
+        logId: log._id
+      },
+      metadata: { ipAddress: ip }
+    });
+
+    logger.warn('Web attack detected', {
+      threatId: threat.threatId,
+      type: threat.type,
+      signature: signature.id,
+      ipAddress: ip
+    });
+
+    return threat;
+  }
+
+  /**
+   * Injection and traversal requests the server answered successfully are
+   * raised to Critical
+   * @param {Object} signature - Matched signature
+   * @param {Object} request - Parsed request
+   * @returns {string} Threat severity
+   */
+  getSeverity(signature, request) {
+    if (signature.severity === 'High' && request.status >= 200 && request.status < 300) {
+      return 'Critical';
+    }
+    return signature.severity;
+  }
+
+  /**
+   * URL-decode a request component, twice to catch double encoding
+   * @param {string} value - Raw path or query
+   * @returns {string} Decoded value
+   */
+  decode(value) {
+    let decoded = value.replace(/\+/g, ' ');
+
+    for (let pass = 0; pass < 2 && decoded.includes('%'); pass++) {
+      try {
+        decoded = decodeURIComponent(decoded);
+      } catch (error) {
+        decoded = decoded.replace(/%([0-9a-fA-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+      }
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Generate a threat ID in the THR-YYYYMMDD-XXXXXX form
+   * @returns {string} Threat ID
+   */
+  generateThreatId() {
+    const date = new Date().toISOString().split('T')[0].replace(/-/g, '');
+    const random = Math.random().toString(36).substring(2, 8).toUpperCase().padEnd(6, '0');
+    return `THR-${date}-${random}`;
+  }
+}
+
+module.exports = new WebAttackDetectionService();
@@ -0,0 +1,319 @@
+/**
+ * Web server access log parser
+ * Parses nginx and Apache access log lines in the common and combined formats
+ * or in a custom nginx `log_format` / Apache `LogFormat` string.
+ */
+
+const PRESET_FORMATS = {
+  common: '$remote_addr - $remote_user [$time_local] "$request" $status $body_bytes_sent',
+  combined: '$remote_addr - $remote_user [$time_local] "$request" $status $body_bytes_sent "$http_referer" "$http_user_agent"'
+};
+
+// nginx variables and the parsed field they fill
+const NGINX_VARIABLES = {
+  remote_addr: 'remoteAddr',
+  remote_user: 'remoteUser',
+  time_local: 'timeLocal',
+  time_iso8601: 'timeIso',
+  msec: 'msec',
+  request: 'request',
+  request_method: 'method',
+  request_uri: 'uri',
+  uri: 'uri',
+  args: 'args',
+  server_protocol: 'protocol',
+  status: 'status',
+  body_bytes_sent: 'bytes',
+  bytes_sent: 'bytes',
+  http_referer: 'referrer',
+  http_user_agent: 'userAgent',
+  http_x_forwarded_for: 'forwardedFor',
+  host: 'host',
+  server_name: 'host',
+  request_time: 'requestTime'
+};
+
+// Apache format directives and the parsed field they fill
+const APACHE_DIRECTIVES = {
+  h: 'remoteAddr',
+  a: 'remoteAddr',
+  l: 'ident',
+  u: 'remoteUser',
+  t: 'timeLocal',
+  r: 'request',
+  m: 'method',
+  U: 'uri',
+  q: 'args',
+  H: 'protocol',
+  s: 'status',
+  '>s': 'status',
+  b: 'bytes',
+  B: 'bytes',
+  O: 'bytes',
+  v: 'host',
+  V: 'host',
+  D: 'requestTimeMicros',
+  T: 'requestTime',
+  'i:referer': 'referrer',
+  'i:user-agent': 'userAgent',
+  'i:x-forwarded-for': 'forwardedFor',
+  'i:host': 'host'
+};
+
+const MONTHS = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+
+const MAX_FORMAT_CACHE = 100;
+
+class AccessLogParser {
+  /**
+   * Parse an access log line
+   * @param {string} line - Raw access log line
+   * @param {string} format - 'combined', 'common' or a custom nginx/Apache format string
+   * @returns {Object} Parsed request
+   */
+  static parse(line, format = 'combined') {
+    const compiled = this.compile(format);
+    const match = compiled.regex.exec(line);
+
+    if (!match) {
+      throw new Error('Line does not match the access log format');
+    }
+
+    const raw = {};
+    const extra = {};
+    compiled.fields.forEach((field, index) => {
+      const value = this.unescape(match[index + 1]);
+      if (field.name) {
+        raw[field.name] = value;
+      } else {
+        extra[field.variable] = value;
+      }
+    });
+
+    return this.normalize(raw, extra);
+  }
+
+  /**
+   * Compile a format string into a line pattern. Compiled formats are cached.
+   * @param {string} format - Preset name or format string
+   * @returns {Object} { regex, fields }
+   */
+  static compile(format) {
+    this.cache = this.cache || new Map();
+
+    const key = PRESET_FORMATS[format] || format;
+    let compiled = this.cache.get(key);
+
+    if (!compiled) {
+      const tokens = this.tokenize(key);
+      if (!tokens.some(token => token.field)) {
+        throw new Error('Access log format has no fields');
+      }
+
+      compiled = this.buildPattern(tokens);
+
+      if (this.cache.size >= MAX_FORMAT_CACHE) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+      this.cache.set(key, compiled);
+    }
+
+    return compiled;
+  }
+
+  /**
+   * Split a format string into literal text and fields
+   * @param {string} format - nginx or Apache format string
+   * @returns {Array<Object>} Tokens: { literal } or { field: { name, variable, bracketed } }
+   */
+  static tokenize(format) {
+    const tokens = [];
+    // nginx: $var or ${var}; Apache: %h, %>s, %{Header}i, %{format}t
+    const pattern = /\$\{?([a-z0-9_]+)\}?|%(?:\{([^}]*)\})?([<>]?[a-zA-Z%])/g;
+    let last = 0;
+    let match;
+
+    while ((match = pattern.exec(format)) !== null) {
+      if (match.index > last) {
+        tokens.push({ literal: format.slice(last, match.index) });
+      }
+
+      if (match[1] !== undefined) {
+        const variable = match[1];
+        tokens.push({ field: { name: NGINX_VARIABLES[variable], variable } });
+      } else if (match[3] === '%') {
+        tokens.push({ literal: '%' });
+      } else {
+        const directive = match[3].replace('<', '');
+        const argument = match[2];
+        const key = argument !== undefined && directive === 'i' ? `i:${argument.toLowerCase()}` : directive;
+        const variable = argument !== undefined ? `${argument}${directive}` : directive;
+        // Apache's %t prints its own brackets
+        tokens.push({ field: { name: APACHE_DIRECTIVES[key], variable, bracketed: directive === 't' && argument === undefined } });
+      }
+
+      last = pattern.lastIndex;
+    }
+
+    if (last < format.length) {
+      tokens.push({ literal: format.slice(last) });
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Build the line regex. Each field matches up to the first character of the
+   * literal that follows it, so matching stays linear on hostile input.
+   * @param {Array<Object>} tokens - Format tokens
+   * @returns {Object} { regex, fields }
+   */
+  static buildPattern(tokens) {
+    const fields = [];
+    let source = '^';
+
+    tokens.forEach((token, index) => {
+      if (token.literal !== undefined) {
+        source += this.escapeRegex(token.literal);
+        return;
+      }
+
+      const next = tokens[index + 1];
+      const stop = next && next.literal ? next.literal[0] : null;
+
+      let group;
+      if (token.field.bracketed) {
+        group = '\\[([^\\]]*)\\]';
+      } else if (stop === '"') {
+        group = '((?:[^"\\\\]|\\\\.)*)';
+      } else if (stop && stop !== ' ') {
+        group = `([^${this.escapeRegex(stop)}]*)`;
+      } else {
+        group = '(\\S*)';
+      }
+
+      source += group;
+      fields.push(token.field);
+    });
+
+    return { regex: new RegExp(`${source}$`), fields };
+  }
+
+  /**
+   * Convert raw field values into a parsed request
+   * @param {Object} raw - Values by field name
+   * @param {Object} extra - Values of fields without a mapping, by variable
+   * @returns {Object} Parsed request
+   */
+  static normalize(raw, extra) {
+    const empty = value => value === undefined || value === '' || value === '-';
+    const value = name => empty(raw[name]) ? undefined : raw[name];
+
+    let { method, protocol } = raw;
+    let target = value('uri');
+
+    if (!empty(raw.request)) {
+      const request = /^(\S+)\s+(\S+)(?:\s+(\S+))?$/.exec(raw.request);
+      if (request) {
+        [, method, target, protocol] = request;
+      } else {
+        // Malformed request lines are themselves a signal; keep them whole
+        target = raw.request;
+      }
+    }
+
+    if (target && !empty(raw.args) && !target.includes('?')) {
+      target = `${target}?${raw.args}`;
+    }
+
+    const queryStart = target ? target.indexOf('?') : -1;
+    const path = queryStart === -1 ? target : target.slice(0, queryStart);
+    const query = queryStart === -1 ? undefined : target.slice(queryStart + 1);
+
+    const number = name => {
+      const parsed = Number(value(name));
+      return Number.isFinite(parsed) ? parsed : undefined;
+    };
+
+    let requestTime = number('requestTime');
+    if (requestTime === undefined && number('requestTimeMicros') !== undefined) {
+      requestTime = number('requestTimeMicros') / 1e6;
+    }
+
+    return {
+      remoteAddr: value('remoteAddr'),
+      remoteUser: value('remoteUser'),
+      timestamp: this.parseTime(raw),
+      method: empty(method) ? undefined : method,
+      path,
+      query,
+      protocol: empty(protocol) ? undefined : protocol,
+      status: number('status'),
+      bytes: number('bytes') ?? 0,
+      referrer: value('referrer'),
+      userAgent: value('userAgent'),
+      forwardedFor: value('forwardedFor'),
+      host: value('host'),
+      requestTime,
+      request: value('request'),
+      extra: Object.keys(extra).length > 0 ? extra : undefined
+    };
+  }
+
+  /**
+   * Parse the request time from $time_local, $time_iso8601 or $msec
+   * @param {Object} raw - Raw field values
+   * @returns {Date|undefined} Request time
+   */
+  static parseTime(raw) {
+    if (raw.timeLocal) {
+      // 10/Oct/2000:13:55:36 -0700
+      const match = /^(\d{1,2})\/(\w{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2})(?:\s+([+-])(\d{2})(\d{2}))?$/.exec(raw.timeLocal);
+      const month = match && MONTHS[match[2].toLowerCase()];
+
+      if (match && month !== undefined) {
+        const [, day, , year, hours, minutes, seconds, sign, offsetHours, offsetMinutes] = match;
+        const utc = Date.UTC(+year, month, +day, +hours, +minutes, +seconds);
+        const offset = sign ? (sign === '-' ? -1 : 1) * (+offsetHours * 60 + +offsetMinutes) : 0;
+        return new Date(utc - offset * 60 * 1000);
+      }
+    }
+
+    if (raw.timeIso) {
+      const date = new Date(raw.timeIso);
+      if (!isNaN(date.getTime())) return date;
+    }
+
+    if (raw.msec && Number.isFinite(Number(raw.msec))) {
+      return new Date(Number(raw.msec) * 1000);
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Undo the \xHH and \" escaping nginx and Apache apply to logged values
+   * @param {string} value - Logged value
+   * @returns {string} Unescaped value
+   */
+  static unescape(value) {
+    if (!value || !value.includes('\\')) return value;
+
+    return value.replace(/\\x([0-9a-fA-F]{2})|\\(.)/g, (match, hex, char) =>
+      hex ? String.fromCharCode(parseInt(hex, 16)) : char
+    );
+  }
+
+  /**
+   * Escape text for use in a regular expression
+   * @param {string} text - Literal text
+   * @returns {string} Escaped text
+   */
+  static escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&');
+  }
+}
+
+AccessLogParser.PRESET_FORMATS = PRESET_FORMATS;
+
+module.exports = AccessLogParser;
@@ -0,0 +1,84 @@
+/**
+ * Canonical JSON serialization
+ * Produces the same string for the same data regardless of key order or
+ * whether values went through a MongoDB round trip (Dates, ObjectIds, Mixed).
+ */
+
+class CanonicalJson {
+  /**
+   * Serialize a value canonically
+   * @param {*} value - Value to serialize
+   * @returns {string} Canonical JSON string
+   */
+  static stringify(value) {
+    const normalized = this.normalize(value);
+    return normalized === undefined ? '' : JSON.stringify(normalized);
+  }
+
+  /**
+   * Convert a value into plain JSON data with sorted object keys.
+   * Dates become ISO strings, ObjectIds hex strings and Buffers hex strings;
+   * undefined values and functions are dropped as JSON.stringify does.
+   * @param {*} value - Value to normalize
+   * @returns {*} Normalized value
+   */
+  static normalize(value) {
+    if (value === null) return null;
+
+    if (value === undefined || typeof value === 'function' || typeof value === 'symbol') {
+      return undefined;
+    }
+
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? value : null;
+    }
+
+    if (typeof value === 'bigint') {
+      return value.toString();
+    }
+
+    if (typeof value !== 'object') {
+      return value;
+    }
+
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? null : value.toISOString();
+    }
+
+    if (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID') {
+      return value.toHexString();
+    }
+
+    if (value._bsontype === 'Decimal128') {
+      return value.toString();
+    }
+
+    if (Buffer.isBuffer(value)) {
+      return value.toString('hex');
+    }
+
+    // Mongoose documents and subdocuments
+    if (typeof value.toObject === 'function') {
+      return this.normalize(value.toObject({ depopulate: true, getters: false, virtuals: false }));
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => {
+        const normalized = this.normalize(item);
+        return normalized === undefined ? null : normalized;
+      });
+    }
+
+    const result = {};
+    Object.keys(value).sort().forEach(key => {
+      const normalized = this.normalize(value[key]);
+      if (normalized !== undefined) {
+        result[key] = normalized;
+      }
+    });
+
+    return result;
+  }
+}
+
+module.exports = CanonicalJson;
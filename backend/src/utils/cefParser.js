@@ -0,0 +1,217 @@
+/**
+ * ArcSight CEF and IBM QRadar LEEF parser
+ * Splits header fields and extension key/value pairs out of raw event lines
+ */
+
+const CEF_HEADER_FIELDS = [
+  'version', 'deviceVendor', 'deviceProduct', 'deviceVersion',
+  'signatureId', 'name', 'severity'
+];
+
+const LEEF_HEADER_FIELDS = [
+  'version', 'vendor', 'product', 'productVersion', 'eventId'
+];
+
+class CefParser {
+  /**
+   * Detect the format of a raw line
+   * @param {string} line - Raw event line
+   * @returns {string|null} 'cef', 'leef' or null
+   */
+  static detectFormat(line) {
+    if (line.includes('CEF:')) return 'cef';
+    if (line.includes('LEEF:')) return 'leef';
+    return null;
+  }
+
+  /**
+   * Parse a line in the given (or detected) format
+   * @param {string} line - Raw event line
+   * @param {string} format - 'cef' or 'leef'; detected when omitted
+   * @returns {Object} Parsed event
+   */
+  static parse(line, format = this.detectFormat(line)) {
+    switch (format) {
+      case 'cef':
+        return this.parseCEF(line);
+      case 'leef':
+        return this.parseLEEF(line);
+      default:
+        throw new Error('Line is not in CEF or LEEF format');
+    }
+  }
+
+  /**
+   * Parse a CEF line. A leading syslog header, if present, is kept as prefix.
+   * @param {string} line - Raw CEF line
+   * @returns {Object} Parsed event
+   */
+  static parseCEF(line) {
+    const start = line.indexOf('CEF:');
+    if (start === -1) {
+      throw new Error('Missing CEF header');
+    }
+
+    const { fields, rest } = this.splitHeader(line.slice(start + 4), CEF_HEADER_FIELDS.length);
+    if (fields.length < CEF_HEADER_FIELDS.length) {
+      throw new Error(`CEF header has ${fields.length} of ${CEF_HEADER_FIELDS.length} fields`);
+    }
+
+    const header = {};
+    CEF_HEADER_FIELDS.forEach((field, index) => {
+      header[field] = fields[index];
+    });
+
+    return {
+      format: 'cef',
+      prefix: line.slice(0, start).trim() || null,
+      header,
+      extensions: this.parseCEFExtensions(rest)
+    };
+  }
+
+  /**
+   * Parse a LEEF 1.0 or 2.0 line
+   * @param {string} line - Raw LEEF line
+   * @returns {Object} Parsed event
+   */
+  static parseLEEF(line) {
+    const start = line.indexOf('LEEF:');
+    if (start === -1) {
+      throw new Error('Missing LEEF header');
+    }
+
+    const body = line.slice(start + 5);
+    const isV2 = body.startsWith('2.0|');
+    const headerCount = LEEF_HEADER_FIELDS.length + (isV2 ? 1 : 0);
+
+    const { fields, rest } = this.splitHeader(body, headerCount);
+    if (fields.length < headerCount) {
+      throw new Error(`LEEF header has ${fields.length} of ${headerCount} fields`);
+    }
+
+    const header = {};
+    LEEF_HEADER_FIELDS.forEach((field, index) => {
+      header[field] = fields[index];
+    });
+
+    const delimiter = isV2 ? this.resolveLEEFDelimiter(fields[LEEF_HEADER_FIELDS.length]) : '\t';
+
+    return {
+      format: 'leef',
+      prefix: line.slice(0, start).trim() || null,
+      header,
+      extensions: this.parseLEEFExtensions(rest, delimiter)
+    };
+  }
+
+  /**
+   * Split pipe-delimited header fields, honouring \| and \\ escapes
+   * @param {string} input - Text after the format marker
+   * @param {number} count - Number of header fields
+   * @returns {Object} Header fields and the extension remainder
+   */
+  static splitHeader(input, count) {
+    const fields = [];
+    let current = '';
+    let pos = 0;
+
+    while (pos < input.length && fields.length < count) {
+      const char = input[pos];
+
+      if (char === '\\' && (input[pos + 1] === '|' || input[pos + 1] === '\\')) {
+        current += input[pos + 1];
+        pos += 2;
+        continue;
+      }
+
+      if (char === '|') {
+        fields.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+      pos++;
+    }
+
+    return { fields, rest: input.slice(pos) };
+  }
+
+  /**
+   * Parse CEF extension key=value pairs. Values may contain spaces;
+   * a value ends where the next unescaped " key=" begins.
+   * @param {string} input - Extension text
+   * @returns {Object} Extension map
+   */
+  static parseCEFExtensions(input) {
+    const extensions = {};
+    const keyPattern = /(?:^|\s)([\w.[\]-]+)=/g;
+    const keys = [];
+    let match;
+
+    while ((match = keyPattern.exec(input)) !== null) {
+      keys.push({
+        key: match[1],
+        valueStart: match.index + match[0].length,
+        keyStart: match.index
+      });
+    }
+
+    keys.forEach((entry, index) => {
+      const end = index + 1 < keys.length ? keys[index + 1].keyStart : input.length;
+      extensions[entry.key] = this.unescapeCEFValue(input.slice(entry.valueStart, end).trim());
+    });
+
+    return extensions;
+  }
+
+  /**
+   * Parse LEEF extension pairs separated by a delimiter
+   * @param {string} input - Extension text
+   * @param {string} delimiter - Attribute delimiter
+   * @returns {Object} Extension map
+   */
+  static parseLEEFExtensions(input, delimiter) {
+    const extensions = {};
+
+    input.split(delimiter).forEach(pair => {
+      const eq = pair.indexOf('=');
+      if (eq > 0) {
+        extensions[pair.slice(0, eq).trim()] = pair.slice(eq + 1);
+      }
+    });
+
+    return extensions;
+  }
+
+  /**
+   * Resolve the LEEF 2.0 delimiter field (a literal character or a hex code such as x09)
+   * @param {string} value - Delimiter header field
+   * @returns {string} Delimiter character
+   */
+  static resolveLEEFDelimiter(value) {
+    if (!value) return '\t';
+
+    const hex = value.match(/^(?:0?x)([0-9a-fA-F]{1,4})$/);
+    if (hex) {
+      return String.fromCharCode(parseInt(hex[1], 16));
+    }
+
+    return value;
+  }
+
+  /**
+   * Unescape a CEF extension value
+   * @param {string} value - Escaped value
+   * @returns {string} Unescaped value
+   */
+  static unescapeCEFValue(value) {
+    return value.replace(/\\([=\\nr])/g, (match, char) => {
+      if (char === 'n') return '\n';
+      if (char === 'r') return '\r';
+      return char;
+    });
+  }
+}
+
+module.exports = CefParser;
@@ -49,6 +49,15 @@ class CryptoUtils {
     return crypto.createHash('sha256').update(data).digest('hex');
   }
 
+  /**
+   * Generate a SHA-256 hash (alias used by log and blockchain services)
+   * @param {string} data - Data to hash
+   * @returns {string} Hash
+   */
+  static generateHash(data) {
+    return this.hash(data);
+  }
+
   /**
    * Hash data using SHA-512
    * @param {string} data - Data to hash
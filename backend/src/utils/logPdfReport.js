@@ -0,0 +1,234 @@
+const PDFDocument = require('pdfkit');
+
+const SEVERITY_ORDER = ['Critical', 'High', 'Medium', 'Low'];
+
+const MAX_DESCRIPTION_LENGTH = 300;
+
+const LOG_COLUMNS = [
+  { header: 'Timestamp', width: 105, value: ({ log }) => log.timestamp ? new Date(log.timestamp).toISOString() : '' },
+  { header: 'Event Type', width: 85, value: ({ log }) => log.eventType },
+  { header: 'Source', width: 60, value: ({ log }) => log.source },
+  { header: 'User', width: 82, value: ({ log }) => log.userId?.email || '' },
+  {
+    header: 'Description',
+    width: 180,
+    value: ({ log }) => {
+      const description = log.description || '';
+      return description.length > MAX_DESCRIPTION_LENGTH
+        ? `${description.slice(0, MAX_DESCRIPTION_LENGTH)}…`
+        : description;
+    }
+  }
+];
+
+const APPENDIX_COLUMNS = [
+  { header: 'Log ID', width: 100, font: 'Courier', value: ({ manifest }) => manifest.id },
+  {
+    header: 'Log Hash / Anchor Transaction',
+    width: 322,
+    font: 'Courier',
+    value: ({ manifest }) => `${manifest.logHash || '-'}\n${manifest.transactionHash || '-'}`
+  },
+  { header: 'Status', width: 90, value: ({ manifest }) => manifest.status }
+];
+
+/**
+ * Log PDF Report
+ * Renders a log export as a PDF: a cover page, per-severity log tables and an
+ * integrity appendix. The export manifest is embedded as manifest.json; its
+ * SHA-256 is the content hash printed on every page.
+ */
+class LogPdfReport {
+  /**
+   * Render a log export
+   * @param {Object} report - Report contents
+   * @param {Array<Object>} report.groups - [{ severity, entries: [{ log, manifest }] }] in document order
+   * @param {Object} report.manifest - Export manifest covered by the content hash
+   * @param {string} report.manifestJson - Canonical JSON of the manifest
+   * @param {string} report.contentHash - SHA-256 of manifestJson
+   * @param {Object} report.anchor - Anchoring result for the content hash, if anchored
+   * @returns {Promise<Buffer>} PDF buffer
+   */
+  static render(report) {
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({ margin: 50, size: 'LETTER', bufferPages: true });
+        const buffers = [];
+
+        doc.on('data', buffers.push.bind(buffers));
+        doc.on('end', () => resolve(Buffer.concat(buffers)));
+        doc.on('error', reject);
+
+        doc.info.Title = 'Security Log Export';
+        doc.info.Subject = `Content SHA-256 ${report.contentHash}`;
+
+        doc.file(Buffer.from(report.manifestJson), {
+          name: 'manifest.json',
+          type: 'application/json',
+          description: 'Export manifest; its SHA-256 is the content hash'
+        });
+
+        this.renderCover(doc, report);
+
+        report.groups.forEach(({ severity, entries }) => {
+          doc.addPage();
+          doc.font('Helvetica-Bold').fontSize(14).text(`${severity} Severity (${entries.length})`);
+          doc.moveDown(0.5);
+          this.renderTable(doc, LOG_COLUMNS, entries);
+        });
+
+        doc.addPage();
+        doc.font('Helvetica-Bold').fontSize(14).text('Integrity Appendix');
+        doc.moveDown(0.3);
+        doc.font('Helvetica').fontSize(8).text(
+          'Each log\'s stored hash and anchoring transaction. Status is checked when the export is generated: ' +
+          '"Proof valid" means the log hash still matches its content and its Merkle proof leads to the anchored batch root; ' +
+          '"Anchored" means it was anchored on its own; "Hash mismatch" means the log changed after it was stored.'
+        );
+        doc.moveDown(0.5);
+        this.renderTable(doc, APPENDIX_COLUMNS, report.groups.flatMap(group => group.entries), { fontSize: 6.5 });
+
+        this.renderFooters(doc, report.contentHash);
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Render the cover page
+   * @param {Object} doc - PDF document
+   * @param {Object} report - Report contents
+   */
+  static renderCover(doc, report) {
+    const { manifest, contentHash, anchor } = report;
+    const formatDate = date => date ? new Date(date).toISOString() : 'n/a';
+
+    doc.font('Helvetica-Bold').fontSize(20).text('Security Log Export', { align: 'center' });
+    doc.moveDown(1.5);
+
+    const field = (label, value) => {
+      doc.font('Helvetica-Bold').fontSize(11).text(`${label}: `, { continued: true });
+      doc.font('Helvetica').text(String(value));
+      doc.moveDown(0.3);
+    };
+
+    field('Generated', formatDate(manifest.generatedAt));
+    field('Requested by', manifest.requestedBy || 'n/a');
+    field('Time range', `${formatDate(manifest.range.from)} - ${formatDate(manifest.range.to)}`);
+    field('Records', manifest.recordCount);
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').fontSize(14).text('Filters');
+    doc.moveDown(0.3);
+    const filters = Object.entries(manifest.filters);
+    if (filters.length === 0) {
+      doc.font('Helvetica').fontSize(11).text('None (all accessible logs)');
+    }
+    filters.forEach(([key, value]) => field(key, Array.isArray(value) ? value.join(', ') : value));
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').fontSize(14).text('Severity');
+    doc.moveDown(0.3);
+    report.groups.forEach(({ severity, entries }) => field(severity, entries.length));
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').fontSize(14).text('Document Integrity');
+    doc.moveDown(0.3);
+    doc.font('Helvetica-Bold').fontSize(11).text('Content SHA-256:');
+    doc.font('Courier').fontSize(9).text(contentHash);
+    doc.moveDown(0.3);
+
+    if (anchor) {
+      field('Anchor transaction', anchor.transactionHash || 'n/a');
+      if (anchor.blockNumber != null) {
+        field('Block', anchor.blockNumber);
+      }
+    }
+
+    doc.font('Helvetica').fontSize(8).text(
+      'The content hash is the SHA-256 of the embedded manifest.json attachment, which lists the filters, ' +
+      'time range and the ID, hash, anchoring transaction and status of every log in this document.'
+    );
+  }
+
+  /**
+   * Render rows as a table, repeating the header on each new page
+   * @param {Object} doc - PDF document
+   * @param {Array<Object>} columns - Column definitions
+   * @param {Array<Object>} rows - Row data passed to each column's value()
+   * @param {Object} options - Table options
+   */
+  static renderTable(doc, columns, rows, { fontSize = 7 } = {}) {
+    const left = doc.page.margins.left;
+    const right = left + columns.reduce((sum, column) => sum + column.width, 0);
+    const padding = 3;
+
+    const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+    const drawRow = (cells, font) => {
+      const heights = cells.map((text, index) => {
+        doc.font(font || columns[index].font || 'Helvetica').fontSize(fontSize);
+        return doc.heightOfString(text, { width: columns[index].width - padding * 2 });
+      });
+      const height = Math.max(...heights) + padding * 2;
+
+      if (doc.y + height > bottom()) {
+        doc.addPage();
+        if (!font) {
+          drawRow(columns.map(column => column.header), 'Helvetica-Bold');
+        }
+      }
+
+      const top = doc.y;
+      let x = left;
+      cells.forEach((text, index) => {
+        doc.font(font || columns[index].font || 'Helvetica').fontSize(fontSize);
+        doc.text(text, x + padding, top + padding, { width: columns[index].width - padding * 2 });
+        x += columns[index].width;
+      });
+
+      doc.moveTo(left, top + height).lineTo(right, top + height).lineWidth(0.5).strokeColor('#cccccc').stroke();
+      doc.x = left;
+      doc.y = top + height;
+    };
+
+    drawRow(columns.map(column => column.header), 'Helvetica-Bold');
+    rows.forEach(row => drawRow(columns.map(column => String(column.value(row) ?? ''))));
+
+    doc.moveDown();
+  }
+
+  /**
+   * Write page numbers and the content hash at the foot of every page
+   * @param {Object} doc - PDF document
+   * @param {string} contentHash - Content hash
+   */
+  static renderFooters(doc, contentHash) {
+    const { start, count } = doc.bufferedPageRange();
+
+    for (let index = start; index < start + count; index++) {
+      doc.switchToPage(index);
+
+      // Writing inside the bottom margin would otherwise start a new page
+      const { bottom } = doc.page.margins;
+      doc.page.margins.bottom = 0;
+
+      doc.font('Helvetica').fontSize(7).fillColor('#666666').text(
+        `Page ${index + 1} of ${count} · Content SHA-256 ${contentHash}`,
+        doc.page.margins.left,
+        doc.page.height - bottom / 2,
+        { width: doc.page.width - doc.page.margins.left - doc.page.margins.right, align: 'center', lineBreak: false }
+      );
+
+      doc.page.margins.bottom = bottom;
+      doc.fillColor('black');
+    }
+  }
+}
+
+LogPdfReport.SEVERITY_ORDER = SEVERITY_ORDER;
+
+module.exports = LogPdfReport;
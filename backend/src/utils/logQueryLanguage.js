@@ -0,0 +1,696 @@
+const mongoose = require('mongoose');
+
+/**
+ * Log query language
+ * Parses analyst queries such as
+ *   severity:High AND source:api AND NOT eventType:user_login AND metadata.ipAddress:10.0.*
+ *   @timestamp > now-1h AND (severity:Critical OR chainIndex:[100 TO 200])
+ * and compiles them into MongoDB filters for the Log collection.
+ *
+ * Syntax:
+ *   field:value            equality; * and ? are wildcards in unquoted values
+ *   field:"exact value"    quoted values are matched literally
+ *   field:*                field exists
+ *   field > value          also >=, <, <=, = and != (or field:>value)
+ *   field:[a TO b]         inclusive range; {a TO b} is exclusive, * leaves a side open
+ *   AND, OR, NOT, ( )      boolean operators; adjacent terms are ANDed
+ *   word or "phrase"       free text over description, message, event type and source
+ * Dates accept ISO strings (quote them if they contain ':'), now and now-1h style
+ * offsets with units s, m, h, d and w.
+ */
+
+const MAX_QUERY_LENGTH = 2000;
+const MAX_DEPTH = 20;
+
+const FIELD_ALIASES = {
+  '@timestamp': 'timestamp',
+  message: 'details.message',
+  ip: 'metadata.ipAddress'
+};
+
+// Field value types; unknown fields under a prefix use the prefix type
+const FIELD_TYPES = {
+  _id: 'objectId',
+  timestamp: 'date',
+  createdAt: 'date',
+  updatedAt: 'date',
+  eventType: 'string',
+  severity: 'severity',
+  source: 'string',
+  status: 'string',
+  description: 'string',
+  tags: 'string',
+  userId: 'objectId',
+  organizationId: 'objectId',
+  walletAddress: 'wallet',
+  logHash: 'string',
+  previousHash: 'string',
+  correlationId: 'string',
+  sessionId: 'string',
+  chainIndex: 'number',
+  hashVersion: 'number',
+  'blockchain.verified': 'boolean',
+  'blockchain.blockNumber': 'number',
+  'blockchain.anchoredAt': 'date',
+  'blockchain.verifiedAt': 'date',
+  'aiAnalysis.anomalyScore': 'number',
+  'aiAnalysis.confidence': 'number',
+  'aiAnalysis.riskLevel': 'severity',
+  'retention.archived': 'boolean'
+};
+
+const PREFIX_TYPES = {
+  'details.': 'mixed',
+  'metadata.': 'mixed',
+  'blockchain.': 'string',
+  'aiAnalysis.': 'mixed'
+};
+
+const SEVERITIES = ['Low', 'Medium', 'High', 'Critical'];
+
+const TEXT_FIELDS = ['description', 'details.message', 'eventType', 'source'];
+
+const OPERATORS = {
+  '=': 'eq',
+  '!=': 'ne',
+  '>': 'gt',
+  '>=': 'gte',
+  '<': 'lt',
+  '<=': 'lte'
+};
+
+const KEYWORDS = {
+  AND: 'AND',
+  '&&': 'AND',
+  OR: 'OR',
+  '||': 'OR',
+  NOT: 'NOT',
+  TO: 'TO'
+};
+
+const TIME_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Error raised for invalid queries, with the offending character range
+ */
+class QueryParseError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} position - Zero-based start offset in the query
+   * @param {number} end - Zero-based end offset (exclusive)
+   */
+  constructor(message, position, end = position + 1) {
+    super(message);
+    this.name = 'QueryParseError';
+    this.position = position;
+    this.end = end;
+  }
+
+  /**
+   * Serialize for API responses
+   * @returns {Object} Error details
+   */
+  toJSON() {
+    return {
+      message: this.message,
+      position: this.position,
+      end: this.end
+    };
+  }
+}
+
+class LogQueryLanguage {
+  /**
+   * Parse and compile a query into a MongoDB filter
+   * @param {string} input - Query text
+   * @param {Object} options - Compile options
+   * @param {Date} options.now - Reference time for relative dates
+   * @returns {Object} MongoDB filter
+   */
+  static compile(input, options = {}) {
+    return this.compileNode(this.parse(input), { now: options.now || new Date() });
+  }
+
+  /**
+   * Parse a query into an AST
+   * @param {string} input - Query text
+   * @returns {Object} AST root node
+   */
+  static parse(input) {
+    if (typeof input !== 'string' || !input.trim()) {
+      throw new QueryParseError('Query is empty', 0, 0);
+    }
+
+    if (input.length > MAX_QUERY_LENGTH) {
+      throw new QueryParseError(`Query is longer than ${MAX_QUERY_LENGTH} characters`, MAX_QUERY_LENGTH, input.length);
+    }
+
+    const state = {
+      tokens: this.tokenize(input),
+      index: 0,
+      depth: 0,
+      length: input.length
+    };
+
+    const ast = this.parseOr(state);
+
+    const extra = this.peek(state);
+    if (extra) {
+      throw new QueryParseError(
+        extra.type === 'rparen'
+          ? `Unmatched ')' at position ${extra.start}`
+          : `Unexpected '${extra.text}' at position ${extra.start}`,
+        extra.start,
+        extra.end
+      );
+    }
+
+    return ast;
+  }
+
+  /**
+   * Split a query into tokens with their positions
+   * @param {string} input - Query text
+   * @returns {Array<Object>} Tokens
+   */
+  static tokenize(input) {
+    const tokens = [];
+    const single = {
+      '(': 'lparen',
+      ')': 'rparen',
+      '[': 'lbracket',
+      ']': 'rbracket',
+      '{': 'lbrace',
+      '}': 'rbrace',
+      ':': 'colon'
+    };
+    let pos = 0;
+
+    while (pos < input.length) {
+      const char = input[pos];
+
+      if (/\s/.test(char)) {
+        pos++;
+        continue;
+      }
+
+      if (single[char]) {
+        tokens.push({ type: single[char], text: char, start: pos, end: pos + 1 });
+        pos++;
+        continue;
+      }
+
+      const operator = ['>=', '<=', '!=', '>', '<', '='].find(op => input.startsWith(op, pos));
+      if (operator) {
+        tokens.push({ type: 'operator', text: operator, value: operator, start: pos, end: pos + operator.length });
+        pos += operator.length;
+        continue;
+      }
+
+      if (char === '"') {
+        const start = pos;
+        let value = '';
+        pos++;
+
+        while (pos < input.length && input[pos] !== '"') {
+          if (input[pos] === '\\' && pos + 1 < input.length) {
+            pos++;
+          }
+          value += input[pos];
+          pos++;
+        }
+
+        if (pos >= input.length) {
+          throw new QueryParseError(`Unterminated quoted string starting at position ${start}`, start, input.length);
+        }
+
+        pos++;
+        tokens.push({ type: 'string', text: input.slice(start, pos), value, start, end: pos });
+        continue;
+      }
+
+      const start = pos;
+      while (
+        pos < input.length &&
+        !/[\s()[\]{}:"<>=]/.test(input[pos]) &&
+        !input.startsWith('!=', pos)
+      ) {
+        pos++;
+      }
+
+      const text = input.slice(start, pos);
+      const keyword = KEYWORDS[text];
+      tokens.push({
+        type: keyword ? 'keyword' : 'word',
+        text,
+        value: keyword || text,
+        start,
+        end: pos
+      });
+    }
+
+    return tokens;
+  }
+
+  static peek(state, offset = 0) {
+    return state.tokens[state.index + offset] || null;
+  }
+
+  static next(state) {
+    return state.tokens[state.index++] || null;
+  }
+
+  static isKeyword(token, keyword) {
+    return token && token.type === 'keyword' && token.value === keyword;
+  }
+
+  /**
+   * Throw for a missing or unexpected token
+   * @param {Object} state - Parser state
+   * @param {string} expected - Description of what was expected
+   */
+  static fail(state, expected) {
+    const token = this.peek(state);
+
+    if (!token) {
+      throw new QueryParseError(`Expected ${expected} at end of query`, state.length, state.length);
+    }
+
+    throw new QueryParseError(
+      `Expected ${expected} but found '${token.text}' at position ${token.start}`,
+      token.start,
+      token.end
+    );
+  }
+
+  static parseOr(state) {
+    const children = [this.parseAnd(state)];
+
+    while (this.isKeyword(this.peek(state), 'OR')) {
+      this.next(state);
+      children.push(this.parseAnd(state));
+    }
+
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  static parseAnd(state) {
+    const children = [this.parseNot(state)];
+
+    for (;;) {
+      const token = this.peek(state);
+
+      if (this.isKeyword(token, 'AND')) {
+        this.next(state);
+        children.push(this.parseNot(state));
+      } else if (token && (token.type === 'word' || token.type === 'string' ||
+        token.type === 'lparen' || this.isKeyword(token, 'NOT'))) {
+        // Adjacent terms are ANDed
+        children.push(this.parseNot(state));
+      } else {
+        break;
+      }
+    }
+
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  static parseNot(state) {
+    if (this.isKeyword(this.peek(state), 'NOT')) {
+      this.next(state);
+      return { type: 'not', child: this.parseNot(state) };
+    }
+
+    return this.parsePrimary(state);
+  }
+
+  static parsePrimary(state) {
+    const token = this.peek(state);
+
+    if (!token) {
+      this.fail(state, 'a search term');
+    }
+
+    if (token.type === 'lparen') {
+      if (++state.depth > MAX_DEPTH) {
+        throw new QueryParseError(`Query is nested more than ${MAX_DEPTH} levels deep`, token.start, token.end);
+      }
+
+      this.next(state);
+      const node = this.parseOr(state);
+
+      if (!this.peek(state) || this.peek(state).type !== 'rparen') {
+        if (!this.peek(state)) {
+          throw new QueryParseError(`Unmatched '(' at position ${token.start}`, token.start, token.end);
+        }
+        this.fail(state, "')'");
+      }
+
+      this.next(state);
+      state.depth--;
+      return node;
+    }
+
+    if (token.type === 'string') {
+      this.next(state);
+      return { type: 'text', value: token.value, quoted: true, start: token.start, end: token.end };
+    }
+
+    if (token.type !== 'word') {
+      this.fail(state, 'a search term');
+    }
+
+    const following = this.peek(state, 1);
+    if (following && (following.type === 'colon' || following.type === 'operator')) {
+      return this.parseComparison(state);
+    }
+
+    this.next(state);
+    return { type: 'text', value: token.value, quoted: false, start: token.start, end: token.end };
+  }
+
+  static parseComparison(state) {
+    const fieldToken = this.next(state);
+    const field = this.resolveField(fieldToken);
+    let op = 'eq';
+
+    if (this.peek(state).type === 'colon') {
+      this.next(state);
+
+      const after = this.peek(state);
+      if (after && (after.type === 'lbracket' || after.type === 'lbrace')) {
+        return this.parseRange(state, field, fieldToken);
+      }
+
+      if (after && after.type === 'word' && after.value === '*') {
+        this.next(state);
+        return { type: 'exists', field, start: fieldToken.start, end: after.end };
+      }
+
+      if (after && after.type === 'operator') {
+        op = OPERATORS[this.next(state).value];
+      }
+    } else {
+      op = OPERATORS[this.next(state).value];
+    }
+
+    const value = this.parseValue(state);
+    return { type: 'compare', field, op, value, start: fieldToken.start, end: value.end };
+  }
+
+  static parseRange(state, field, fieldToken) {
+    const open = this.next(state);
+    const from = this.parseValue(state);
+
+    if (!this.isKeyword(this.peek(state), 'TO')) {
+      this.fail(state, "'TO'");
+    }
+    this.next(state);
+
+    const to = this.parseValue(state);
+    const close = this.peek(state);
+
+    if (!close || (close.type !== 'rbracket' && close.type !== 'rbrace')) {
+      this.fail(state, "']' or '}'");
+    }
+    this.next(state);
+
+    return {
+      type: 'range',
+      field,
+      from,
+      to,
+      includeFrom: open.type === 'lbracket',
+      includeTo: close.type === 'rbracket',
+      start: fieldToken.start,
+      end: close.end
+    };
+  }
+
+  static parseValue(state) {
+    const token = this.peek(state);
+
+    if (!token || (token.type !== 'word' && token.type !== 'string')) {
+      this.fail(state, 'a value');
+    }
+
+    this.next(state);
+    return {
+      raw: token.value,
+      quoted: token.type === 'string',
+      start: token.start,
+      end: token.end
+    };
+  }
+
+  /**
+   * Resolve a field token to a schema path and value type
+   * @param {Object} token - Field token
+   * @returns {Object} Field path and type
+   */
+  static resolveField(token) {
+    const path = FIELD_ALIASES[token.value] || token.value;
+
+    if (FIELD_TYPES[path]) {
+      return { path, type: FIELD_TYPES[path] };
+    }
+
+    const prefix = Object.keys(PREFIX_TYPES).find(candidate => path.startsWith(candidate));
+    if (prefix && path.length > prefix.length && /^[\w.]+$/.test(path)) {
+      return { path, type: PREFIX_TYPES[prefix] };
+    }
+
+    throw new QueryParseError(`Unknown field '${token.value}' at position ${token.start}`, token.start, token.end);
+  }
+
+  /**
+   * Compile an AST node into a MongoDB filter
+   * @param {Object} node - AST node
+   * @param {Object} context - Compile context
+   * @returns {Object} MongoDB filter
+   */
+  static compileNode(node, context) {
+    switch (node.type) {
+      case 'and':
+        return { $and: node.children.map(child => this.compileNode(child, context)) };
+      case 'or':
+        return { $or: node.children.map(child => this.compileNode(child, context)) };
+      case 'not':
+        return { $nor: [this.compileNode(node.child, context)] };
+      case 'exists':
+        return { [node.field.path]: { $exists: true, $ne: null } };
+      case 'text':
+        return this.compileText(node);
+      case 'range':
+        return this.compileRange(node, context);
+      default:
+        return this.compileComparison(node, context);
+    }
+  }
+
+  static compileText(node) {
+    const pattern = node.quoted
+      ? this.escapeRegex(node.value)
+      : this.wildcardToRegex(node.value, false);
+    const regex = new RegExp(pattern, 'i');
+
+    return { $or: TEXT_FIELDS.map(field => ({ [field]: regex })) };
+  }
+
+  static compileComparison(node, context) {
+    const { field, op, value } = node;
+    const hasWildcard = !value.quoted && /[*?]/.test(value.raw);
+
+    if ((op === 'eq' || op === 'ne') && hasWildcard) {
+      if (!['string', 'mixed', 'wallet'].includes(field.type)) {
+        throw new QueryParseError(
+          `Wildcards are not supported for '${field.path}' at position ${value.start}`,
+          value.start,
+          value.end
+        );
+      }
+
+      const regex = new RegExp(`^${this.wildcardToRegex(value.raw, true)}$`, 'i');
+      return { [field.path]: op === 'eq' ? regex : { $not: regex } };
+    }
+
+    const converted = this.convertValue(field, value, context);
+
+    // Severities are strings, so order comparisons become the matching levels
+    if (field.type === 'severity' && op !== 'eq' && op !== 'ne') {
+      return this.compileSeverityRange(field, {
+        from: op.startsWith('gt') ? converted : null,
+        includeFrom: op === 'gte',
+        to: op.startsWith('lt') ? converted : null,
+        includeTo: op === 'lte'
+      });
+    }
+
+    // Mixed fields match both the string and the typed form of a value
+    if (Array.isArray(converted)) {
+      if (op === 'eq') return { [field.path]: { $in: converted } };
+      if (op === 'ne') return { [field.path]: { $nin: converted } };
+      return { [field.path]: { [`$${op}`]: converted[converted.length - 1] } };
+    }
+
+    if (op === 'eq') {
+      return { [field.path]: converted };
+    }
+
+    return { [field.path]: { [`$${op}`]: converted } };
+  }
+
+  static compileRange(node, context) {
+    const { field, from, to } = node;
+    const condition = {};
+
+    const bound = (value) => {
+      const converted = this.convertValue(field, value, context);
+      return Array.isArray(converted) ? converted[converted.length - 1] : converted;
+    };
+
+    if (field.type === 'severity') {
+      return this.compileSeverityRange(field, {
+        from: from.raw === '*' && !from.quoted ? null : bound(from),
+        includeFrom: node.includeFrom,
+        to: to.raw === '*' && !to.quoted ? null : bound(to),
+        includeTo: node.includeTo
+      });
+    }
+
+    if (!(from.raw === '*' && !from.quoted)) {
+      condition[node.includeFrom ? '$gte' : '$gt'] = bound(from);
+    }
+
+    if (!(to.raw === '*' && !to.quoted)) {
+      condition[node.includeTo ? '$lte' : '$lt'] = bound(to);
+    }
+
+    if (Object.keys(condition).length === 0) {
+      return { [field.path]: { $exists: true, $ne: null } };
+    }
+
+    return { [field.path]: condition };
+  }
+
+  /**
+   * Compile a severity range into the severities it covers, in SEVERITIES order
+   * @param {Object} field - Resolved field
+   * @param {Object} range - from/to severities (null for open) and inclusiveness
+   * @returns {Object} MongoDB filter
+   */
+  static compileSeverityRange(field, { from, includeFrom, to, includeTo }) {
+    const fromIndex = from === null ? 0 : SEVERITIES.indexOf(from) + (includeFrom ? 0 : 1);
+    const toIndex = to === null ? SEVERITIES.length - 1 : SEVERITIES.indexOf(to) - (includeTo ? 0 : 1);
+
+    return { [field.path]: { $in: SEVERITIES.slice(fromIndex, toIndex + 1) } };
+  }
+
+  /**
+   * Convert a raw value to the field's type
+   * @param {Object} field - Resolved field
+   * @param {Object} value - Value node
+   * @param {Object} context - Compile context
+   * @returns {*} Converted value, or [string, typed] alternatives for mixed fields
+   */
+  static convertValue(field, value, context) {
+    const { raw } = value;
+    const invalid = (expected) => new QueryParseError(
+      `Invalid value '${raw}' for '${field.path}' at position ${value.start}: expected ${expected}`,
+      value.start,
+      value.end
+    );
+
+    switch (field.type) {
+      case 'number': {
+        const number = Number(raw);
+        if (raw === '' || !Number.isFinite(number)) throw invalid('a number');
+        return number;
+      }
+      case 'boolean':
+        if (raw !== 'true' && raw !== 'false') throw invalid('true or false');
+        return raw === 'true';
+      case 'date': {
+        const date = this.parseDate(raw, context.now);
+        if (!date) throw invalid('a date such as 2024-01-31, "2024-01-31T10:00:00Z" or now-1h');
+        return date;
+      }
+      case 'objectId':
+        if (!mongoose.Types.ObjectId.isValid(raw) || !/^[a-f0-9]{24}$/i.test(raw)) {
+          throw invalid('a 24-character hex ID');
+        }
+        return new mongoose.Types.ObjectId(raw);
+      case 'severity': {
+        const severity = SEVERITIES.find(candidate => candidate.toLowerCase() === raw.toLowerCase());
+        if (!severity) throw invalid(SEVERITIES.join(', '));
+        return severity;
+      }
+      case 'wallet':
+        return raw.toUpperCase();
+      case 'mixed':
+        if (!value.quoted && raw !== '' && Number.isFinite(Number(raw))) return [raw, Number(raw)];
+        if (!value.quoted && (raw === 'true' || raw === 'false')) return [raw, raw === 'true'];
+        return raw;
+      default:
+        return raw;
+    }
+  }
+
+  /**
+   * Parse an absolute or relative (now-1h) date
+   * @param {string} raw - Raw value
+   * @param {Date} now - Reference time
+   * @returns {Date|null} Parsed date
+   */
+  static parseDate(raw, now) {
+    const relative = raw.match(/^now(?:([+-])(\d+)([smhdw]))?$/);
+    if (relative) {
+      if (!relative[1]) return new Date(now.getTime());
+
+      const offset = parseInt(relative[2], 10) * TIME_UNITS[relative[3]];
+      return new Date(now.getTime() + (relative[1] === '-' ? -offset : offset));
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}/.test(raw) && !/^\d+$/.test(raw)) {
+      return null;
+    }
+
+    const date = /^\d+$/.test(raw) ? new Date(parseInt(raw, 10)) : new Date(raw);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  static escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  }
+
+  /**
+   * Convert a wildcard pattern to a regex source
+   * @param {string} value - Pattern with * and ? wildcards
+   * @param {boolean} anchored - Whether the pattern must match the whole value
+   * @returns {string} Regex source
+   */
+  static wildcardToRegex(value, anchored) {
+    const source = value
+      .replace(/\*+/g, '*')
+      .split(/([*?])/)
+      .map(part => {
+        if (part === '*') return '.*';
+        if (part === '?') return '.';
+        return this.escapeRegex(part);
+      })
+      .join('');
+
+    return anchored ? source : source.replace(/^\.\*|\.\*$/g, '');
+  }
+}
+
+module.exports = {
+  LogQueryLanguage,
+  QueryParseError
+};
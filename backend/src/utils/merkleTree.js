@@ -0,0 +1,125 @@
+const CryptoUtils = require('./crypto');
+
+/**
+ * Merkle tree over log hashes
+ * Leaves and inner nodes are hashed with distinct prefixes so a leaf can never
+ * be passed off as an inner node. An unpaired node is promoted to the next
+ * level unchanged rather than duplicated.
+ */
+
+const LEAF_PREFIX = '00';
+const NODE_PREFIX = '01';
+
+class MerkleTree {
+  /**
+   * Hash a leaf value
+   * @param {string} value - Leaf value (a log hash)
+   * @returns {string} Leaf hash
+   */
+  static hashLeaf(value) {
+    return CryptoUtils.hash(LEAF_PREFIX + value);
+  }
+
+  /**
+   * Hash two child nodes
+   * @param {string} left - Left child hash
+   * @param {string} right - Right child hash
+   * @returns {string} Parent hash
+   */
+  static hashNode(left, right) {
+    return CryptoUtils.hash(NODE_PREFIX + left + right);
+  }
+
+  /**
+   * Build all tree levels from leaf values
+   * @param {Array<string>} values - Leaf values in batch order
+   * @returns {Array<Array<string>>} Levels from leaves (index 0) to root
+   */
+  static build(values) {
+    if (!values || values.length === 0) {
+      throw new Error('Cannot build a Merkle tree without leaves');
+    }
+
+    const levels = [values.map(value => this.hashLeaf(value))];
+
+    while (levels[levels.length - 1].length > 1) {
+      const current = levels[levels.length - 1];
+      const next = [];
+
+      for (let i = 0; i < current.length; i += 2) {
+        next.push(i + 1 < current.length ? this.hashNode(current[i], current[i + 1]) : current[i]);
+      }
+
+      levels.push(next);
+    }
+
+    return levels;
+  }
+
+  /**
+   * Get the root of a built tree
+   * @param {Array<Array<string>>} levels - Tree levels
+   * @returns {string} Merkle root
+   */
+  static getRoot(levels) {
+    return levels[levels.length - 1][0];
+  }
+
+  /**
+   * Get the inclusion proof for a leaf
+   * @param {Array<Array<string>>} levels - Tree levels
+   * @param {number} index - Leaf index
+   * @returns {Array<Object>} Sibling hashes from leaf to root, with their side
+   */
+  static getProof(levels, index) {
+    if (index < 0 || index >= levels[0].length) {
+      throw new Error(`Leaf index ${index} is out of range`);
+    }
+
+    const proof = [];
+    let position = index;
+
+    for (let depth = 0; depth < levels.length - 1; depth++) {
+      const level = levels[depth];
+      const siblingIndex = position % 2 === 0 ? position + 1 : position - 1;
+
+      if (siblingIndex < level.length) {
+        proof.push({
+          hash: level[siblingIndex],
+          position: siblingIndex < position ? 'left' : 'right'
+        });
+      }
+
+      position = Math.floor(position / 2);
+    }
+
+    return proof;
+  }
+
+  /**
+   * Compute the root implied by a leaf value and its proof
+   * @param {string} value - Leaf value (a log hash)
+   * @param {Array<Object>} proof - Inclusion proof
+   * @returns {string} Computed root
+   */
+  static computeRoot(value, proof) {
+    return proof.reduce((hash, step) => (
+      step.position === 'left'
+        ? this.hashNode(step.hash, hash)
+        : this.hashNode(hash, step.hash)
+    ), this.hashLeaf(value));
+  }
+
+  /**
+   * Verify that a leaf value is included under a root
+   * @param {string} value - Leaf value (a log hash)
+   * @param {Array<Object>} proof - Inclusion proof
+   * @param {string} root - Expected Merkle root
+   * @returns {boolean} Whether the proof is valid
+   */
+  static verify(value, proof, root) {
+    return this.computeRoot(value, proof) === root;
+  }
+}
+
+module.exports = MerkleTree;
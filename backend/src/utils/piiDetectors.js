@@ -0,0 +1,114 @@
+/**
+ * Built-in detectors for personal data and secrets in log values.
+ * Value detectors match substrings of string values; key detectors match
+ * field names, so the whole value of e.g. details.password is redacted.
+ */
+
+const SENSITIVE_KEY_PATTERN = /^(?:password|passwd|pwd|secret|client[_-]?secret|api[_-]?key|apikey|access[_-]?token|refresh[_-]?token|auth[_-]?token|token|authorization|cookie|set-cookie|private[_-]?key|ssn)$/i;
+
+const DETECTORS = {
+  email: {
+    description: 'Email addresses',
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+  },
+  phone: {
+    description: 'Phone numbers in international or separated formats',
+    pattern: /(?:\+\d{1,3}[\s-]?)?(?:\(\d{1,4}\)[\s-]?)?\d{2,4}[\s-]?\d{3,4}[\s-]?\d{3,4}\b/g,
+    // Require a + prefix or separators so plain timestamps and IDs are not matched
+    validate: match => {
+      const digits = match.replace(/\D/g, '').length;
+      return digits >= 10 && digits <= 15 && /^\+|[\s()-]/.test(match);
+    }
+  },
+  credit_card: {
+    description: 'Payment card numbers (Luhn-checked)',
+    pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+    validate: match => PiiDetectors.isLuhnValid(match.replace(/\D/g, ''))
+  },
+  ssn: {
+    description: 'US Social Security numbers',
+    pattern: /\b\d{3}-\d{2}-\d{4}\b/g
+  },
+  ipv4: {
+    description: 'IPv4 addresses',
+    pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g
+  },
+  jwt: {
+    description: 'JSON Web Tokens',
+    pattern: /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g
+  },
+  bearer_token: {
+    description: 'Bearer tokens in authorization headers',
+    pattern: /(?<=\bBearer\s+)[A-Za-z0-9\-._~+/]+=*/gi
+  },
+  aws_access_key: {
+    description: 'AWS access key IDs',
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g
+  },
+  private_key: {
+    description: 'PEM private key blocks',
+    pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g
+  },
+  secret_assignment: {
+    description: 'Values of password=, token:, api_key= style assignments in text',
+    pattern: /(?<=\b(?:api[_-]?key|secret|token|password|passwd|pwd)\s*[:=]\s*["']?)[^\s"',;&]+/gi
+  },
+  sensitive_key: {
+    description: 'Fields named like passwords, tokens, secrets or cookies',
+    keyPattern: SENSITIVE_KEY_PATTERN
+  }
+};
+
+class PiiDetectors {
+  /**
+   * Get detector names
+   * @returns {Array<string>} Detector names
+   */
+  static names() {
+    return Object.keys(DETECTORS);
+  }
+
+  /**
+   * Describe available detectors
+   * @returns {Array<Object>} Detector names, descriptions and kinds
+   */
+  static list() {
+    return Object.entries(DETECTORS).map(([name, detector]) => ({
+      name,
+      description: detector.description,
+      matches: detector.keyPattern ? 'key' : 'value'
+    }));
+  }
+
+  /**
+   * Get a detector by name
+   * @param {string} name - Detector name
+   * @returns {Object|undefined} Detector
+   */
+  static get(name) {
+    return DETECTORS[name];
+  }
+
+  /**
+   * Check a digit string with the Luhn checksum
+   * @param {string} digits - Digits only
+   * @returns {boolean} Whether the checksum is valid
+   */
+  static isLuhnValid(digits) {
+    if (digits.length < 13 || digits.length > 19) return false;
+
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = parseInt(digits[digits.length - 1 - i], 10);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+
+    return sum % 10 === 0;
+  }
+}
+
+module.exports = PiiDetectors;
@@ -0,0 +1,39 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Request Context
+ * Carries trace identifiers of the current request through async calls, so
+ * logs, threats and alerts written while handling it can be correlated
+ */
+class RequestContext {
+  /**
+   * Run a function with a context
+   * @param {Object} context - Context values (correlationId, sessionId)
+   * @param {Function} fn - Function to run
+   * @returns {*} Function result
+   */
+  static run(context, fn) {
+    return storage.run(context, fn);
+  }
+
+  /**
+   * Get the current context
+   * @returns {Object} Context, empty outside a request
+   */
+  static get() {
+    return storage.getStore() || {};
+  }
+
+  /**
+   * Get the current trace identifiers
+   * @returns {Object} correlationId and sessionId, undefined when unknown
+   */
+  static getTraceIds() {
+    const { correlationId, sessionId } = this.get();
+    return { correlationId, sessionId };
+  }
+}
+
+module.exports = RequestContext;
@@ -0,0 +1,723 @@
+const net = require('net');
+const yaml = require('js-yaml');
+
+// Sigma level -> detection rule severity score (see calculateRiskLevel)
+const LEVEL_SCORES = {
+  informational: 0.2,
+  low: 0.4,
+  medium: 0.6,
+  high: 0.8,
+  critical: 0.95
+};
+
+// Sigma status -> detection confidence
+const STATUS_CONFIDENCE = {
+  stable: 0.9,
+  test: 0.8,
+  experimental: 0.6
+};
+
+// ATT&CK tactic tags -> Threat attackPhase
+const ATTACK_TACTICS = {
+  reconnaissance: 'Reconnaissance',
+  initial_access: 'Initial Access',
+  execution: 'Execution',
+  persistence: 'Persistence',
+  privilege_escalation: 'Privilege Escalation',
+  defense_evasion: 'Defense Evasion',
+  credential_access: 'Credential Access',
+  discovery: 'Discovery',
+  lateral_movement: 'Lateral Movement',
+  collection: 'Collection',
+  exfiltration: 'Exfiltration',
+  command_and_control: 'Command and Control',
+  impact: 'Impact'
+};
+
+// ATT&CK techniques -> Threat type; other rules are 'Anomalous Behavior'
+const TECHNIQUE_THREAT_TYPES = {
+  T1110: 'Brute Force Attack',
+  T1078: 'Unauthorized Access',
+  T1068: 'Privilege Escalation',
+  T1548: 'Privilege Escalation',
+  T1059: 'Command Injection',
+  T1190: 'Vulnerability Scanning',
+  T1595: 'Vulnerability Scanning',
+  T1041: 'Data Exfiltration',
+  T1048: 'Data Exfiltration',
+  T1567: 'Data Exfiltration',
+  T1566: 'Phishing Attempt',
+  T1486: 'Ransomware',
+  T1496: 'Cryptocurrency Mining',
+  T1498: 'DDoS Attack',
+  T1499: 'DDoS Attack',
+  T1539: 'Session Hijacking',
+  T1550: 'Session Hijacking',
+  T1557: 'Man-in-the-Middle',
+  T1204: 'Malware Detection'
+};
+
+const STRING_MODIFIERS = ['contains', 'startswith', 'endswith', 're'];
+const COMPARE_MODIFIERS = ['gt', 'gte', 'lt', 'lte'];
+const SUPPORTED_MODIFIERS = [...STRING_MODIFIERS, ...COMPARE_MODIFIERS, 'all', 'cidr', 'exists'];
+
+const TIMEFRAME_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+const MAX_REGEX_CACHE = 1000;
+const regexCache = new Map();
+
+// Compiled RegExps are cached and shared between logs, so the stateful g and y
+// flags (which keep lastIndex between calls) are not allowed
+const REGEX_FLAGS = /^(?!.*(.).*\1)[imsu]*$/;
+
+/**
+ * Sigma Rule Compiler
+ * Compiles Sigma YAML rules into detection rules for ThreatDetectionService.
+ * Detections compile to a plain JSON expression tree (selections, field
+ * matchers and and/or/not), so compiled rules can be stored and evaluated
+ * against Log fields without the original YAML. `timeframe` with a
+ * `| count() [by field] > N` condition becomes a threshold rule.
+ */
+class SigmaRuleCompiler {
+  /**
+   * Parse one or more Sigma rules from YAML (multi-document streams allowed)
+   * @param {string} text - Sigma YAML
+   * @returns {Array<Object>} Rule documents
+   */
+  static parse(text) {
+    return yaml.loadAll(text).filter(document => document && typeof document === 'object');
+  }
+
+  /**
+   * Compile a Sigma rule document into a detection rule
+   * @param {Object} document - Parsed Sigma rule
+   * @param {Object} options - Compile options
+   * @param {Object} options.fieldMapping - Sigma field -> Log field path
+   * @param {Object} options.logsourceMapping - logsource category/product/service -> Log conditions
+   * @param {Array<string>} options.keywordFields - Log fields searched by keyword selections
+   * @returns {Object} Detection rule
+   */
+  static compile(document, options = {}) {
+    if (document.correlation) {
+      throw new Error('Sigma correlation rules are not supported');
+    }
+    if (!document.id) {
+      throw new Error('Sigma rule has no id');
+    }
+    if (!document.title) {
+      throw new Error('Sigma rule has no title');
+    }
+    if (!document.detection || typeof document.detection !== 'object') {
+      throw new Error('Sigma rule has no detection');
+    }
+
+    const { condition, timeframe, ...searches } = document.detection;
+    if (!condition) {
+      throw new Error('Sigma detection has no condition');
+    }
+
+    const compiledSearches = {};
+    Object.entries(searches).forEach(([name, search]) => {
+      compiledSearches[name] = this.compileSearch(name, search, options);
+    });
+
+    const conditions = Array.isArray(condition) ? condition : [condition];
+    const parsed = conditions.map(text => this.compileCondition(String(text), compiledSearches));
+
+    const aggregations = parsed.filter(item => item.aggregation);
+    if (aggregations.length > 0 && parsed.length > 1) {
+      throw new Error('Count aggregations are only supported with a single condition');
+    }
+
+    const level = String(document.level || 'medium').toLowerCase();
+    const tags = (document.tags || []).map(String);
+    const attack = this.parseAttackTags(tags);
+
+    const ruleConditions = {
+      ...this.getLogsourceConditions(document.logsource, options.logsourceMapping),
+      detection: parsed.length === 1 ? parsed[0].expression : { op: 'or', args: parsed.map(item => item.expression) }
+    };
+
+    if (aggregations.length > 0) {
+      const { groupBy, threshold } = aggregations[0].aggregation;
+      if (!timeframe) {
+        throw new Error('Count aggregations need a timeframe');
+      }
+      ruleConditions.timeWindow = this.parseTimeframe(timeframe);
+      ruleConditions.threshold = threshold;
+      ruleConditions.groupBy = groupBy.map(field => this.mapField(field, options.fieldMapping));
+    }
+
+    return {
+      name: `sigma:${document.id}`,
+      enabled: !['deprecated', 'unsupported'].includes(document.status),
+      threatType: attack.threatType,
+      severity: LEVEL_SCORES[level] ?? LEVEL_SCORES.medium,
+      confidence: STATUS_CONFIDENCE[document.status] ?? 0.7,
+      title: document.title,
+      description: document.description || document.title,
+      indicators: ['sigma', ...attack.techniques.map(technique => technique.toLowerCase())],
+      attackPhase: attack.phase,
+      references: attack.techniques.map(technique => ({ type: 'MITRE ATT&CK', identifier: technique })),
+      tags: [`sigma:${document.id}`, ...tags],
+      conditions: ruleConditions,
+      sigma: {
+        id: document.id,
+        title: document.title,
+        level,
+        status: document.status,
+        author: document.author,
+        tags,
+        references: document.references || [],
+        falsepositives: document.falsepositives || [],
+        logsource: document.logsource || {}
+      }
+    };
+  }
+
+  /**
+   * Compile a named search: a field map, a list of maps (any) or a keyword list
+   * @param {string} name - Search identifier
+   * @param {Object|Array} search - Sigma search
+   * @param {Object} options - Compile options
+   * @returns {Object} Expression node
+   */
+  static compileSearch(name, search, options) {
+    if (Array.isArray(search)) {
+      if (search.every(item => item && typeof item === 'object' && !Array.isArray(item))) {
+        return { op: 'or', args: search.map(item => this.compileFieldMap(item, options)) };
+      }
+      if (search.every(item => item === null || typeof item !== 'object')) {
+        return this.compileKeywords(search, options.keywordFields || ['description']);
+      }
+      throw new Error(`Search '${name}' mixes keywords and field maps`);
+    }
+
+    if (search && typeof search === 'object') {
+      return this.compileFieldMap(search, options);
+    }
+
+    throw new Error(`Search '${name}' must be a map or a list`);
+  }
+
+  /**
+   * Compile a field map; every field must match
+   * @param {Object} map - { 'Field|modifier': value(s) }
+   * @param {Object} options - Compile options
+   * @returns {Object} Expression node
+   */
+  static compileFieldMap(map, options) {
+    return {
+      op: 'and',
+      args: Object.entries(map).map(([key, value]) => this.compileField(key, value, options))
+    };
+  }
+
+  /**
+   * Compile keyword values, matched anywhere in the keyword fields
+   * @param {Array} keywords - Keyword values
+   * @param {Array<string>} fields - Log fields to search
+   * @returns {Object} Expression node
+   */
+  static compileKeywords(keywords, fields) {
+    const patterns = keywords.map(keyword => this.compileString(String(keyword ?? ''), ['contains']));
+    return {
+      op: 'or',
+      args: fields.map(field => ({ field, match: 'regex', patterns, all: false }))
+    };
+  }
+
+  /**
+   * Compile one field condition
+   * @param {string} key - Sigma field with modifiers, e.g. 'CommandLine|contains|all'
+   * @param {*} value - Value or list of values
+   * @param {Object} options - Compile options
+   * @returns {Object} Field matcher
+   */
+  static compileField(key, value, options) {
+    const [sigmaField, ...modifiers] = key.split('|');
+    const unsupported = modifiers.filter(modifier => !SUPPORTED_MODIFIERS.includes(modifier));
+    if (unsupported.length > 0) {
+      throw new Error(`Unsupported modifier '${unsupported[0]}' on field '${sigmaField}'`);
+    }
+
+    const field = this.mapField(sigmaField, options.fieldMapping);
+    const values = Array.isArray(value) ? value : [value];
+    const all = modifiers.includes('all');
+
+    if (modifiers.includes('exists')) {
+      return { field, match: 'exists', value: values[0] === true || values[0] === 'true' };
+    }
+
+    if (modifiers.includes('cidr')) {
+      values.forEach(range => this.parseCidr(String(range)));
+      return { field, match: 'cidr', ranges: values.map(String), all };
+    }
+
+    const compare = modifiers.find(modifier => COMPARE_MODIFIERS.includes(modifier));
+    if (compare) {
+      const number = Number(values[0]);
+      if (!Number.isFinite(number)) {
+        throw new Error(`Modifier '${compare}' on field '${sigmaField}' needs a number`);
+      }
+      return { field, match: compare, value: number };
+    }
+
+    // A null value matches a missing or empty field
+    if (values.length === 1 && values[0] === null) {
+      return { field, match: 'null' };
+    }
+
+    return {
+      field,
+      match: 'regex',
+      patterns: values.map(item => this.compileString(String(item ?? ''), modifiers)),
+      all
+    };
+  }
+
+  /**
+   * Compile a Sigma string value into a regex source. Plain values support
+   * the * and ? wildcards and match case-insensitively; `re` values are used
+   * as written.
+   * @param {string} value - Sigma value
+   * @param {Array<string>} modifiers - Field modifiers
+   * @returns {Object} { source, flags }
+   */
+  static compileString(value, modifiers) {
+    if (modifiers.includes('re')) {
+      let source = value;
+      let flags = '';
+      // JavaScript has no inline flags; honor the common (?i) prefix
+      if (source.startsWith('(?i)')) {
+        source = source.slice(4);
+        flags = 'i';
+      }
+      try {
+        new RegExp(source, flags);
+      } catch (error) {
+        throw new Error(`Invalid regular expression '${value}': ${error.message}`);
+      }
+      return { source, flags };
+    }
+
+    let source = '';
+    for (let index = 0; index < value.length; index++) {
+      const char = value[index];
+      if (char === '\\' && index + 1 < value.length && '*?\\'.includes(value[index + 1])) {
+        source += this.escapeRegex(value[++index]);
+      } else if (char === '*') {
+        source += '[\\s\\S]*';
+      } else if (char === '?') {
+        source += '[\\s\\S]';
+      } else {
+        source += this.escapeRegex(char);
+      }
+    }
+
+    const anchoredStart = !modifiers.includes('contains') && !modifiers.includes('endswith');
+    const anchoredEnd = !modifiers.includes('contains') && !modifiers.includes('startswith');
+
+    return {
+      source: `${anchoredStart ? '^' : ''}${source}${anchoredEnd ? '$' : ''}`,
+      flags: 'i'
+    };
+  }
+
+  /**
+   * Compile a condition string, with an optional count aggregation
+   * @param {string} text - Sigma condition
+   * @param {Object} searches - Compiled searches by identifier
+   * @returns {Object} { expression, aggregation }
+   */
+  static compileCondition(text, searches) {
+    const [expressionText, aggregationText, ...rest] = text.split('|');
+    if (rest.length > 0) {
+      throw new Error('A condition may have one aggregation');
+    }
+
+    const tokens = this.tokenizeCondition(expressionText);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const expect = token => {
+      if (next() !== token) {
+        throw new Error(`Expected '${token}' in condition '${text.trim()}'`);
+      }
+    };
+
+    const resolve = pattern => {
+      const names = pattern === 'them'
+        ? Object.keys(searches).filter(name => !name.startsWith('_'))
+        : Object.keys(searches).filter(name => this.wildcardMatches(pattern, name));
+      if (names.length === 0) {
+        throw new Error(`No search matches '${pattern}'`);
+      }
+      return names.map(name => searches[name]);
+    };
+
+    const parseOr = () => {
+      const args = [parseAnd()];
+      while (peek() === 'or') {
+        next();
+        args.push(parseAnd());
+      }
+      return args.length === 1 ? args[0] : { op: 'or', args };
+    };
+
+    const parseAnd = () => {
+      const args = [parseNot()];
+      while (peek() === 'and') {
+        next();
+        args.push(parseNot());
+      }
+      return args.length === 1 ? args[0] : { op: 'and', args };
+    };
+
+    const parseNot = () => {
+      if (peek() === 'not') {
+        next();
+        return { op: 'not', arg: parseNot() };
+      }
+      return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+      const token = next();
+
+      if (token === '(') {
+        const expression = parseOr();
+        expect(')');
+        return expression;
+      }
+
+      if (token === '1' || token === 'any' || token === 'all') {
+        expect('of');
+        const pattern = next();
+        if (!pattern) {
+          throw new Error(`Missing search after '${token} of'`);
+        }
+        const args = resolve(pattern);
+        return args.length === 1 ? args[0] : { op: token === 'all' ? 'and' : 'or', args };
+      }
+
+      if (!token || ['and', 'or', 'not', ')', 'of'].includes(token)) {
+        throw new Error(`Unexpected ${token ? `'${token}'` : 'end'} in condition '${text.trim()}'`);
+      }
+
+      if (!searches[token]) {
+        throw new Error(`Unknown search '${token}' in condition`);
+      }
+      return searches[token];
+    };
+
+    const expression = parseOr();
+    if (position < tokens.length) {
+      throw new Error(`Unexpected '${peek()}' in condition '${text.trim()}'`);
+    }
+
+    return {
+      expression,
+      aggregation: aggregationText !== undefined ? this.parseAggregation(aggregationText) : null
+    };
+  }
+
+  /**
+   * Split a condition expression into tokens
+   * @param {string} text - Condition expression
+   * @returns {Array<string>} Tokens; keywords are lowercased
+   */
+  static tokenizeCondition(text) {
+    const tokens = text.match(/\(|\)|[^\s()]+/g) || [];
+    return tokens.map(token => (/^(and|or|not|of|all|any|them)$/i.test(token) ? token.toLowerCase() : token));
+  }
+
+  /**
+   * Parse `count() [by field] > N`
+   * @param {string} text - Aggregation expression
+   * @returns {Object} { groupBy, threshold }
+   */
+  static parseAggregation(text) {
+    const match = /^\s*count\(\s*([^)]*)\)\s*(?:by\s+([\w.,\s-]+?))?\s*(>=|>)\s*(\d+)\s*$/i.exec(text);
+    if (!match) {
+      throw new Error(`Unsupported aggregation '${text.trim()}'; use count() [by field] > N`);
+    }
+
+    const [, distinctField, groupBy, operator, value] = match;
+    if (distinctField) {
+      throw new Error('Distinct-value count(field) aggregations are not supported');
+    }
+
+    return {
+      groupBy: groupBy ? groupBy.split(',').map(field => field.trim()).filter(Boolean) : [],
+      threshold: operator === '>' ? Number(value) + 1 : Math.max(Number(value), 1)
+    };
+  }
+
+  /**
+   * Convert a Sigma timeframe (30s, 5m, 1h, 1d) to seconds
+   * @param {string} timeframe - Sigma timeframe
+   * @returns {number} Seconds
+   */
+  static parseTimeframe(timeframe) {
+    const match = /^(\d+)([smhd])$/i.exec(String(timeframe).trim());
+    if (!match || Number(match[1]) === 0) {
+      throw new Error(`Invalid timeframe '${timeframe}'`);
+    }
+    return Number(match[1]) * TIMEFRAME_UNITS[match[2].toLowerCase()];
+  }
+
+  /**
+   * Map logsource category/product/service to Log conditions
+   * @param {Object} logsource - Sigma logsource
+   * @param {Object} mapping - Logsource mapping
+   * @returns {Object} Conditions (source, eventType)
+   */
+  static getLogsourceConditions(logsource = {}, mapping = {}) {
+    return ['category', 'product', 'service'].reduce((conditions, key) => ({
+      ...conditions,
+      ...(logsource[key] && mapping[key] ? mapping[key][logsource[key]] : {})
+    }), {});
+  }
+
+  /**
+   * Map a Sigma field to a Log field path
+   * @param {string} field - Sigma field
+   * @param {Object} mapping - Field mapping
+   * @returns {string} Log field path
+   */
+  static mapField(field, mapping = {}) {
+    if (mapping[field]) return mapping[field];
+    return field.includes('.') ? field : `details.${field}`;
+  }
+
+  /**
+   * Extract ATT&CK techniques, the first tactic and the threat type from tags
+   * @param {Array<string>} tags - Sigma tags
+   * @returns {Object} { techniques, phase, threatType }
+   */
+  static parseAttackTags(tags) {
+    const techniques = [];
+    let phase;
+
+    tags.forEach(tag => {
+      const technique = /^attack\.(t\d{4}(?:\.\d{3})?)$/i.exec(tag);
+      if (technique) {
+        techniques.push(technique[1].toUpperCase());
+        return;
+      }
+      const tactic = /^attack\.([a-z_-]+)$/i.exec(tag);
+      const mapped = tactic && ATTACK_TACTICS[tactic[1].toLowerCase().replace(/-/g, '_')];
+      if (mapped && !phase) {
+        phase = mapped;
+      }
+    });
+
+    const known = techniques.map(technique => TECHNIQUE_THREAT_TYPES[technique.split('.')[0]]).find(Boolean);
+
+    return {
+      techniques,
+      phase,
+      threatType: known || 'Anomalous Behavior'
+    };
+  }
+
+  /**
+   * Evaluate a compiled detection against a log
+   * @param {Object} node - Expression node or field matcher
+   * @param {Function} getValue - (fieldPath) => value
+   * @returns {boolean} Whether the log matches
+   */
+  static evaluate(node, getValue) {
+    if (node.op === 'and') return node.args.every(arg => this.evaluate(arg, getValue));
+    if (node.op === 'or') return node.args.some(arg => this.evaluate(arg, getValue));
+    if (node.op === 'not') return !this.evaluate(node.arg, getValue);
+
+    const value = getValue(node.field);
+    const values = (Array.isArray(value) ? value : [value]).filter(item => item !== undefined && item !== null && item !== '');
+
+    switch (node.match) {
+      case 'exists':
+        return (values.length > 0) === node.value;
+      case 'null':
+        return values.length === 0;
+      case 'gt':
+      case 'gte':
+      case 'lt':
+      case 'lte':
+        return values.some(item => this.compare(Number(item), node.match, node.value));
+      case 'cidr': {
+        const test = range => values.some(item => this.inCidr(String(item), range));
+        return node.all ? node.ranges.every(test) : node.ranges.some(test);
+      }
+      case 'regex': {
+        const strings = values.map(item => (typeof item === 'object' ? JSON.stringify(item) : String(item)));
+        const test = pattern => {
+          const regex = this.getRegex(pattern);
+          return strings.some(item => regex.test(item));
+        };
+        return node.all ? node.patterns.every(test) : node.patterns.some(test);
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Check that a stored or hand-written expression is well formed
+   * @param {Object} node - Expression node or field matcher
+   * @throws {Error} Describing the first problem found
+   */
+  static checkExpression(node) {
+    if (!node || typeof node !== 'object') {
+      throw new Error('Detection nodes must be objects');
+    }
+
+    if (node.op === 'and' || node.op === 'or') {
+      if (!Array.isArray(node.args) || node.args.length === 0) {
+        throw new Error(`'${node.op}' needs a non-empty args list`);
+      }
+      node.args.forEach(arg => this.checkExpression(arg));
+      return;
+    }
+    if (node.op === 'not') {
+      this.checkExpression(node.arg);
+      return;
+    }
+    if (node.op !== undefined) {
+      throw new Error(`Unknown operator '${node.op}'`);
+    }
+
+    if (typeof node.field !== 'string' || !node.field) {
+      throw new Error('Field matchers need a field');
+    }
+
+    switch (node.match) {
+      case 'exists':
+        if (typeof node.value !== 'boolean') throw new Error(`'exists' on ${node.field} needs a boolean value`);
+        return;
+      case 'null':
+        return;
+      case 'gt':
+      case 'gte':
+      case 'lt':
+      case 'lte':
+        if (!Number.isFinite(node.value)) throw new Error(`'${node.match}' on ${node.field} needs a number`);
+        return;
+      case 'cidr':
+        if (!Array.isArray(node.ranges) || node.ranges.length === 0) throw new Error(`'cidr' on ${node.field} needs ranges`);
+        node.ranges.forEach(range => this.parseCidr(String(range)));
+        return;
+      case 'regex':
+        if (!Array.isArray(node.patterns) || node.patterns.length === 0) {
+          throw new Error(`'regex' on ${node.field} needs patterns`);
+        }
+        node.patterns.forEach(({ source, flags = '' } = {}) => {
+          if (typeof flags !== 'string' || !REGEX_FLAGS.test(flags)) {
+            throw new Error(`Invalid pattern flags '${flags}' on ${node.field}; use i, m, s or u`);
+          }
+          try {
+            new RegExp(source, flags);
+          } catch (error) {
+            throw new Error(`Invalid pattern on ${node.field}: ${error.message}`);
+          }
+        });
+        return;
+      default:
+        throw new Error(`Unknown match '${node.match}' on ${node.field}`);
+    }
+  }
+
+  /**
+   * Compare two numbers with a Sigma comparison modifier
+   * @param {number} value - Field value
+   * @param {string} operator - gt, gte, lt or lte
+   * @param {number} limit - Rule value
+   * @returns {boolean}
+   */
+  static compare(value, operator, limit) {
+    if (!Number.isFinite(value)) return false;
+    if (operator === 'gt') return value > limit;
+    if (operator === 'gte') return value >= limit;
+    if (operator === 'lt') return value < limit;
+    return value <= limit;
+  }
+
+  /**
+   * Get a cached RegExp for a compiled pattern
+   * @param {Object} pattern - { source, flags }
+   * @returns {RegExp}
+   */
+  static getRegex({ source, flags }) {
+    const key = `${flags}/${source}`;
+    let regex = regexCache.get(key);
+
+    if (!regex) {
+      regex = new RegExp(source, flags);
+      if (regexCache.size >= MAX_REGEX_CACHE) {
+        regexCache.delete(regexCache.keys().next().value);
+      }
+      regexCache.set(key, regex);
+    }
+
+    return regex;
+  }
+
+  /**
+   * Parse an IPv4 or IPv6 CIDR range
+   * @param {string} range - CIDR range, e.g. 10.0.0.0/8
+   * @returns {Object} { address, prefix, family }
+   */
+  static parseCidr(range) {
+    const [address, prefixText] = range.split('/');
+    const family = net.isIP(address);
+    const bits = family === 6 ? 128 : 32;
+    const prefix = prefixText === undefined ? bits : Number(prefixText);
+
+    if (!family || !Number.isInteger(prefix) || prefix < 0 || prefix > bits) {
+      throw new Error(`Invalid CIDR range '${range}'`);
+    }
+
+    return { address, prefix, family };
+  }
+
+  /**
+   * Check whether an address falls within a CIDR range
+   * @param {string} address - IP address
+   * @param {string} range - CIDR range
+   * @returns {boolean}
+   */
+  static inCidr(address, range) {
+    const { address: network, prefix, family } = this.parseCidr(range);
+    if (net.isIP(address) !== family) return false;
+
+    const blockList = new net.BlockList();
+    blockList.addSubnet(network, prefix, family === 6 ? 'ipv6' : 'ipv4');
+    return blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * Match a search identifier against a pattern with * wildcards
+   * @param {string} pattern - Identifier pattern, e.g. selection*
+   * @param {string} name - Search identifier
+   * @returns {boolean}
+   */
+  static wildcardMatches(pattern, name) {
+    const source = pattern.split('*').map(part => this.escapeRegex(part)).join('.*');
+    return new RegExp(`^${source}$`).test(name);
+  }
+
+  /**
+   * Escape text for use in a regular expression
+   * @param {string} text - Literal text
+   * @returns {string} Escaped text
+   */
+  static escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&');
+  }
+}
+
+SigmaRuleCompiler.LEVEL_SCORES = LEVEL_SCORES;
+
+module.exports = SigmaRuleCompiler;
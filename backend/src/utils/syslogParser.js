@@ -0,0 +1,236 @@
+/**
+ * Syslog message parser
+ * Supports RFC 5424 and the legacy BSD format described in RFC 3164
+ */
+
+const FACILITIES = [
+  'kern', 'user', 'mail', 'daemon', 'auth', 'syslog', 'lpr', 'news',
+  'uucp', 'cron', 'authpriv', 'ftp', 'ntp', 'security', 'console', 'solaris-cron',
+  'local0', 'local1', 'local2', 'local3', 'local4', 'local5', 'local6', 'local7'
+];
+
+const SEVERITIES = [
+  'emerg', 'alert', 'crit', 'err', 'warning', 'notice', 'info', 'debug'
+];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const RFC5424_HEADER = /^<(\d{1,3})>(\d{1,2}) (\S+) (\S+) (\S+) (\S+) (\S+) /;
+const RFC3164_HEADER = /^<(\d{1,3})>([A-Z][a-z]{2}) ([ \d]\d) (\d{2}):(\d{2}):(\d{2}) (?:(\S+(?<!:)) )?/;
+const RFC3164_TAG = /^([^\s:[\]]{1,48})(?:\[([^\]]*)\])?: ?/;
+
+class SyslogParser {
+  /**
+   * Parse a raw syslog message in either RFC format
+   * @param {string} raw - Raw syslog message
+   * @returns {Object} Parsed message
+   */
+  static parse(raw) {
+    const message = raw.replace(/[\r\n\0]+$/, '');
+
+    if (RFC5424_HEADER.test(message)) {
+      return this.parseRFC5424(message);
+    }
+
+    if (RFC3164_HEADER.test(message)) {
+      return this.parseRFC3164(message);
+    }
+
+    throw new Error('Unrecognized syslog message format');
+  }
+
+  /**
+   * Parse an RFC 5424 message
+   * @param {string} message - Raw message
+   * @returns {Object} Parsed message
+   */
+  static parseRFC5424(message) {
+    const match = message.match(RFC5424_HEADER);
+    const [header, pri, version, timestamp, hostname, appName, procId, msgId] = match;
+
+    const { structuredData, rest } = this.parseStructuredData(message.slice(header.length));
+
+    let msg = rest.startsWith(' ') ? rest.slice(1) : rest;
+    // Strip the UTF-8 byte order mark permitted by the RFC
+    if (msg.charCodeAt(0) === 0xfeff) {
+      msg = msg.slice(1);
+    }
+
+    return {
+      format: 'rfc5424',
+      ...this.decodePriority(pri),
+      version: parseInt(version, 10),
+      timestamp: timestamp === '-' ? null : this.parseDate(timestamp),
+      hostname: this.nilValue(hostname),
+      appName: this.nilValue(appName),
+      procId: this.nilValue(procId),
+      msgId: this.nilValue(msgId),
+      structuredData,
+      message: msg
+    };
+  }
+
+  /**
+   * Parse an RFC 3164 (BSD) message
+   * @param {string} message - Raw message
+   * @returns {Object} Parsed message
+   */
+  static parseRFC3164(message) {
+    const match = message.match(RFC3164_HEADER);
+    const [header, pri, month, day, hours, minutes, seconds, hostname] = match;
+
+    let rest = message.slice(header.length);
+    let appName = null;
+    let procId = null;
+
+    const tagMatch = rest.match(RFC3164_TAG);
+    if (tagMatch) {
+      appName = tagMatch[1];
+      procId = tagMatch[2] || null;
+      rest = rest.slice(tagMatch[0].length);
+    }
+
+    return {
+      format: 'rfc3164',
+      ...this.decodePriority(pri),
+      version: null,
+      timestamp: this.resolveBSDDate(month, parseInt(day, 10), hours, minutes, seconds),
+      hostname: hostname || null,
+      appName,
+      procId,
+      msgId: null,
+      structuredData: {},
+      message: rest
+    };
+  }
+
+  /**
+   * Parse RFC 5424 structured data elements
+   * @param {string} input - Message remainder starting at STRUCTURED-DATA
+   * @returns {Object} Structured data and the unparsed remainder
+   */
+  static parseStructuredData(input) {
+    const structuredData = {};
+
+    if (input.startsWith('-')) {
+      return { structuredData, rest: input.slice(1) };
+    }
+
+    let pos = 0;
+    while (input[pos] === '[') {
+      const idEnd = input.slice(pos + 1).search(/[ \]]/);
+      if (idEnd === -1) {
+        throw new Error('Malformed structured data element');
+      }
+
+      const sdId = input.substr(pos + 1, idEnd);
+      const params = {};
+      pos += idEnd + 1;
+
+      while (input[pos] === ' ') {
+        const eq = input.indexOf('="', pos);
+        if (eq === -1) {
+          throw new Error('Malformed structured data parameter');
+        }
+
+        const name = input.slice(pos + 1, eq);
+        let value = '';
+        pos = eq + 2;
+
+        while (pos < input.length && input[pos] !== '"') {
+          if (input[pos] === '\\' && ['"', '\\', ']'].includes(input[pos + 1])) {
+            pos++;
+          }
+          value += input[pos];
+          pos++;
+        }
+
+        if (input[pos] !== '"') {
+          throw new Error('Unterminated structured data parameter');
+        }
+
+        params[name] = value;
+        pos++;
+      }
+
+      if (input[pos] !== ']') {
+        throw new Error('Unterminated structured data element');
+      }
+
+      structuredData[sdId] = params;
+      pos++;
+    }
+
+    return { structuredData, rest: input.slice(pos) };
+  }
+
+  /**
+   * Split PRI into facility and severity
+   * @param {string} pri - PRI value
+   * @returns {Object} Facility and severity codes and names
+   */
+  static decodePriority(pri) {
+    const value = parseInt(pri, 10);
+    if (value > 191) {
+      throw new Error(`Invalid syslog priority: ${pri}`);
+    }
+
+    const facility = Math.floor(value / 8);
+    const severity = value % 8;
+
+    return {
+      facility,
+      facilityName: FACILITIES[facility],
+      severity,
+      severityName: SEVERITIES[severity]
+    };
+  }
+
+  /**
+   * Parse an RFC 3339 timestamp
+   * @param {string} value - Timestamp string
+   * @returns {Date|null} Parsed date
+   */
+  static parseDate(value) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Resolve a BSD timestamp, which carries no year or timezone.
+   * The current year is assumed unless that would put the event
+   * more than a day in the future (messages sent around New Year).
+   * @returns {Date} Resolved date
+   */
+  static resolveBSDDate(month, day, hours, minutes, seconds) {
+    const now = new Date();
+    const date = new Date(
+      now.getFullYear(),
+      MONTHS.indexOf(month),
+      day,
+      parseInt(hours, 10),
+      parseInt(minutes, 10),
+      parseInt(seconds, 10)
+    );
+
+    if (date.getTime() - now.getTime() > 24 * 60 * 60 * 1000) {
+      date.setFullYear(date.getFullYear() - 1);
+    }
+
+    return date;
+  }
+
+  /**
+   * Convert the RFC 5424 NILVALUE to null
+   * @param {string} value - Header field
+   * @returns {string|null} Field value
+   */
+  static nilValue(value) {
+    return value === '-' ? null : value;
+  }
+}
+
+SyslogParser.FACILITIES = FACILITIES;
+SyslogParser.SEVERITIES = SEVERITIES;
+
+module.exports = SyslogParser;
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { AggregationBucket, Threat } = require('../src/models');
+const logController = require('../src/controllers/logController');
+const AggregationService = require('../src/services/aggregationService');
+const EventTypeService = require('../src/services/eventTypeService');
+const IngestService = require('../src/services/ingestService');
+const LogService = require('../src/services/logService');
+const RedactionService = require('../src/services/redactionService');
+const WebAttackDetectionService = require('../src/services/webAttackDetectionService');
+
+describe('Aggregated log creation', () => {
+  const { enabled: aggregationEnabled, rules } = AggregationService;
+  const webAttackEnabled = WebAttackDetectionService.enabled;
+  let stored;
+
+  beforeEach(() => {
+    stored = [];
+    AggregationService.enabled = true;
+    AggregationService.rules = [{ source: 'web_app', eventType: 'api_access', windowSeconds: 60 }];
+    WebAttackDetectionService.enabled = true;
+
+    jest.spyOn(EventTypeService, 'getEventType').mockImplementation(async key => ({ key, enabled: true, defaultSeverity: 'Low' }));
+    jest.spyOn(RedactionService, 'getRules').mockResolvedValue([]);
+    jest.spyOn(AggregationBucket, 'updateOne').mockResolvedValue({});
+    jest.spyOn(LogService, 'storeLog').mockImplementation(async log => {
+      stored.push(log);
+      return log;
+    });
+    jest.spyOn(Threat, 'findOne').mockReturnValue({ select: async () => null });
+    jest.spyOn(Threat, 'create').mockImplementation(async data => ({ _id: 'threat', ...data }));
+  });
+
+  afterEach(() => {
+    AggregationService.buckets.clear();
+    AggregationService.enabled = aggregationEnabled;
+    AggregationService.rules = rules;
+    WebAttackDetectionService.enabled = webAttackEnabled;
+    jest.restoreAllMocks();
+  });
+
+  test('answers 202 with the aggregate instead of an unsaved log', async () => {
+    const anchor = jest.spyOn(LogService, 'anchorLogImmediately');
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+    await logController.createLog({
+      body: { eventType: 'api_access', source: 'web_app', message: 'GET /health', details: { path: '/health' } },
+      user: { id: 'user', organizationId: undefined },
+      ip: '127.0.0.1',
+      get: () => 'test'
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(202);
+    const { data } = res.json.mock.calls[0][0];
+    expect(data).toEqual({ aggregated: true, bucketId: expect.any(String) });
+    expect(stored).toHaveLength(0);
+    expect(anchor).not.toHaveBeenCalled();
+  });
+
+  test('stores attack requests on their own so threats reference them', async () => {
+    const lines = [
+      '203.0.113.9 - - [31/Jan/2024:12:00:00 +0000] "GET /health HTTP/1.1" 200 2 "-" "curl/8.0"',
+      '203.0.113.9 - - [31/Jan/2024:12:00:01 +0000] "GET /health HTTP/1.1" 200 2 "-" "curl/8.0"',
+      '203.0.113.9 - - [31/Jan/2024:12:00:02 +0000] "GET /../../etc/passwd HTTP/1.1" 404 0 "-" "curl/8.0"'
+    ];
+
+    const organizationId = new mongoose.Types.ObjectId();
+
+    const report = await IngestService.ingestAccessLog(lines, { source: 'web_app', organizationId });
+
+    expect(report).toMatchObject({ accepted: 3, aggregated: 2, threats: 1 });
+    expect(report.results[0]).toEqual({ line: 1, status: 'aggregated', bucketId: expect.any(String) });
+    expect(stored).toHaveLength(2);
+    expect(stored[0].eventType).toBe('api_access');
+    expect(report.results[2]).toMatchObject({ status: 'accepted', logId: stored[0]._id });
+    expect(Threat.create.mock.calls[0][0].logRefs).toEqual([stored[0]._id]);
+    expect(stored[1]).toMatchObject({ eventType: 'threat_detected', organizationId });
+  });
+});
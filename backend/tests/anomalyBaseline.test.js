@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const { AnomalyBaseline, Log } = require('../src/models');
+const AnomalyBaselineService = require('../src/services/anomalyBaselineService');
+const EventTypeService = require('../src/services/eventTypeService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('AnomalyBaselineService', () => {
+  const at = new Date('2024-01-31T12:30:00Z'); // Wed 12:00 UTC, hour of week 84
+  const userId = new mongoose.Types.ObjectId();
+
+  const log = {
+    eventType: 'login_failed',
+    source: 'auth',
+    organizationId: null,
+    userId,
+    timestamp: at,
+    description: 'Login failed',
+    details: {}
+  };
+
+  const baseline = (scope, overrides = {}) => ({
+    scope,
+    eventType: 'login_failed',
+    source: 'auth',
+    userId: scope === 'user' ? userId : null,
+    hours: 24 * 28,
+    refreshedAt: new Date('2024-01-31T12:00:00Z'),
+    hourOfWeek: Array.from({ length: 168 }, (_, index) => (
+      index === 84 ? { mean: 2, stdDev: 0.5, samples: 4 } : { mean: 0, stdDev: 0, samples: 4 }
+    )),
+    ewma: { rate: 1, stdDev: 0.5, alpha: 0.1 },
+    values: [],
+    ...overrides
+  });
+
+  let counts;
+
+  beforeEach(() => {
+    counts = { event: 0, user: 0 };
+    AnomalyBaselineService.cache.clear();
+    jest.replaceProperty(AnomalyBaselineService, 'enabled', true);
+    jest.replaceProperty(AnomalyBaselineService, 'zThreshold', 3);
+    jest.spyOn(EventTypeService, 'getLogType').mockResolvedValue('authentication');
+    jest.spyOn(AnomalyBaseline, 'findOne').mockImplementation(filter => ({
+      lean: async () => baseline(filter.userId ? 'user' : 'event')
+    }));
+    jest.spyOn(Log, 'countDocuments').mockImplementation(async filter => (filter.userId ? counts.user : counts.event));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('explains a volume spike against the hour of week and EWMA baselines', async () => {
+    counts = { event: 12, user: 1 };
+
+    const result = await AnomalyBaselineService.evaluate(log);
+
+    expect(result.fired).toBe(true);
+    expect(result.score).toBe(1);
+    expect(result.baselines.map(item => item.scope)).toEqual(['event', 'user']);
+    expect(result.deviations[0]).toMatchObject({
+      scope: 'event',
+      feature: 'ewma_rate',
+      value: 12,
+      expected: 1,
+      stdDev: 1,
+      zScore: 11
+    });
+    expect(result.deviations[1]).toMatchObject({ feature: 'hour_of_week_volume', expected: 2, stdDev: 1.41, zScore: 7.07 });
+    expect(result.deviations[1].explanation)
+      .toBe('12 login_failed events from auth in the last hour; Wed 12:00 UTC averages 2 ± 1.41 (z = 7.07)');
+
+    expect(Log.countDocuments).toHaveBeenCalledWith(expect.objectContaining({
+      timestamp: { $gt: new Date(at.getTime() - HOUR_MS), $lte: at }
+    }));
+  });
+
+  test('does not score volume for a few events in the hour', async () => {
+    const quiet = baseline('event', {
+      hourOfWeek: Array.from({ length: 168 }, () => ({ mean: 0, stdDev: 0, samples: 4 })),
+      ewma: { rate: 0, stdDev: 0, alpha: 0.1 }
+    });
+    AnomalyBaseline.findOne.mockReturnValue({ lean: async () => quiet });
+    counts = { event: 2, user: 2 };
+
+    const result = await AnomalyBaselineService.evaluate(log);
+
+    expect(result.deviations).toEqual([]);
+    expect(result).toMatchObject({ score: 0, fired: false });
+
+    // Three events reach z = 3 against the stdDev floor of 1
+    counts = { event: 3, user: 3 };
+    AnomalyBaselineService.cache.clear();
+
+    expect((await AnomalyBaselineService.evaluate(log)).fired).toBe(true);
+  });
+
+  test('scores per-user baselines only for authentication events', async () => {
+    EventTypeService.getLogType.mockResolvedValue('application');
+    counts = { event: 2, user: 50 };
+
+    const result = await AnomalyBaselineService.evaluate(log);
+
+    expect(result.baselines.map(item => item.scope)).toEqual(['event']);
+
+    AnomalyBaseline.findOne.mockReturnValue({ lean: async () => null });
+    AnomalyBaselineService.cache.clear();
+
+    expect(await AnomalyBaselineService.evaluate(log)).toBeNull();
+  });
+
+  test('builds hour of week means and an EWMA rate with quiet hours as zero', () => {
+    const first = Math.floor(at.getTime() / HOUR_MS) - 24 * 7;
+    const hourly = new Map([[first, 4], [first + 24 * 7 - 1, 2]]);
+
+    const stats = AnomalyBaselineService.buildVolumeStats(hourly, first + 24 * 7);
+
+    expect(stats.hours).toBe(168);
+    expect(stats.hourOfWeek[84]).toEqual({ mean: 4, stdDev: 0, samples: 1 });
+    expect(stats.hourOfWeek[83]).toEqual({ mean: 2, stdDev: 0, samples: 1 });
+    expect(stats.hourOfWeek[85]).toEqual({ mean: 0, stdDev: 0, samples: 1 });
+    expect(stats.ewma.rate).toBeGreaterThan(0);
+    expect(stats.ewma.rate).toBeLessThan(1);
+  });
+});
@@ -0,0 +1,89 @@
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const { APIKey, ChainHead, Log, User } = require('../src/models');
+const { authenticateApiKey } = require('../src/middleware/auth');
+const logController = require('../src/controllers/logController');
+const EventTypeService = require('../src/services/eventTypeService');
+const RedactionService = require('../src/services/redactionService');
+const LiveTailService = require('../src/services/liveTailService');
+const LogService = require('../src/services/logService');
+
+describe('NDJSON ingest with an API key', () => {
+  const organizationId = new mongoose.Types.ObjectId();
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    email: 'collector@example.com',
+    role: 'Analyst',
+    status: 'Active',
+    organizationId
+  };
+
+  let inserted;
+
+  beforeEach(() => {
+    inserted = [];
+    LogService.chainHeads.clear();
+
+    // Populate only the selected user fields, like the real query would
+    jest.spyOn(APIKey, 'findOne').mockReturnValue({
+      populate: jest.fn(async (path, select) => {
+        const fields = { _id: user._id };
+        select.split(' ').forEach(field => { fields[field] = user[field]; });
+        return {
+          userId: User.hydrate(fields),
+          isExpired: () => false,
+          isIPAllowed: () => true,
+          checkRateLimits: () => ({}),
+          canAccess: () => true,
+          recordUsage: jest.fn().mockResolvedValue()
+        };
+      })
+    });
+
+    jest.spyOn(EventTypeService, 'getEventType').mockResolvedValue({ key: 'user_login', enabled: true, defaultSeverity: 'Low' });
+    jest.spyOn(RedactionService, 'getRules').mockResolvedValue([]);
+    jest.spyOn(Log, 'findOne').mockReturnValue({
+      sort: () => ({ select: async () => null })
+    });
+    jest.spyOn(Log, 'insertMany').mockImplementation(async (logs) => {
+      inserted.push(...logs);
+      return logs;
+    });
+    jest.spyOn(ChainHead, 'updateOne').mockResolvedValue({});
+    jest.spyOn(LogService, 'queueForAnchoring').mockResolvedValue();
+    jest.spyOn(LiveTailService, 'publish').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('stores logs under the key owner\'s organization and chain', async () => {
+    const req = Readable.from([
+      JSON.stringify({ eventType: 'user_login', source: 'api', description: 'Login' }) + '\n'
+    ]);
+    Object.assign(req, {
+      headers: { 'x-api-key': 'test-key' },
+      path: '/logs/ndjson',
+      method: 'POST',
+      ip: '127.0.0.1',
+      get: () => undefined,
+      is: type => type === 'application/x-ndjson'
+    });
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+    const next = jest.fn();
+    await authenticateApiKey(req, res, next);
+    expect(next).toHaveBeenCalled();
+
+    await logController.ingestNdjson(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(inserted).toHaveLength(1);
+    expect(inserted[0].organizationId).toEqual(organizationId);
+    expect(inserted[0].userId).toEqual(user._id);
+    expect(inserted[0].chainIndex).toBe(0);
+    expect(LogService.chainHeads.has(organizationId.toString())).toBe(true);
+    expect(LogService.chainHeads.has('default')).toBe(false);
+  });
+});
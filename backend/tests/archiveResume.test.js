@@ -0,0 +1,21 @@
+const { Log, ArchiveSegment } = require('../src/models');
+const ArchiveService = require('../src/services/archiveService');
+
+describe('ArchiveService.exportArchivedLogs', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('skips an interrupted segment whose claimed logs are gone', async () => {
+    jest.spyOn(Log, 'distinct').mockResolvedValue(['2024-01-01_gone']);
+    jest.spyOn(ArchiveSegment, 'findOne').mockResolvedValue(null);
+    jest.spyOn(ArchiveService, 'findClaimedLogs').mockResolvedValue([]);
+    jest.spyOn(Log, 'find').mockReturnValue({
+      select: () => ({ sort: () => ({ limit: () => ({ lean: async () => [] }) }) })
+    });
+    const write = jest.spyOn(ArchiveService, 'writeSegment');
+
+    await expect(ArchiveService.exportArchivedLogs()).resolves.toEqual([]);
+    expect(write).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,126 @@
+const { DetectionCounter } = require('../src/models');
+const DetectionCounterService = require('../src/services/detectionCounterService');
+
+const NOW = new Date('2024-01-31T12:00:00Z');
+
+// Evaluates the aggregation operators the counter pipeline uses, so the
+// update can be checked without a database
+const resolvePath = (value, path) => path.reduce((current, key) => (
+  Array.isArray(current) ? current.map(item => item?.[key]) : current?.[key]
+), value);
+
+const evaluate = (expr, doc, vars = {}) => {
+  if (typeof expr === 'string') {
+    if (expr === '$$NOW') return NOW;
+    if (expr.startsWith('$$')) {
+      const [name, ...path] = expr.slice(2).split('.');
+      return resolvePath(vars[name], path);
+    }
+    return expr.startsWith('$') ? resolvePath(doc, expr.slice(1).split('.')) : expr;
+  }
+  if (Array.isArray(expr)) return expr.map(item => evaluate(item, doc, vars));
+  if (expr === null || typeof expr !== 'object' || expr instanceof Date) return expr;
+
+  const [op] = Object.keys(expr);
+  const arg = expr[op];
+  const args = () => arg.map(item => evaluate(item, doc, vars));
+  const dateMath = (a, b, fn) => (a instanceof Date ? new Date(fn(a.getTime(), b)) : fn(a, b));
+
+  switch (op) {
+    case '$literal': return arg;
+    case '$ifNull': { const [value, fallback] = args(); return value ?? fallback; }
+    case '$cond': return evaluate(arg[0], doc, vars) ? evaluate(arg[1], doc, vars) : evaluate(arg[2], doc, vars);
+    case '$in': { const [value, list] = args(); return list.some(item => String(item) === String(value)); }
+    case '$concatArrays': return args().flat(1);
+    case '$max': {
+      const values = evaluate(arg, doc, vars);
+      return values.length > 0 ? new Date(Math.max(...values)) : null;
+    }
+    case '$filter': return evaluate(arg.input, doc, vars).filter(item => evaluate(arg.cond, doc, { ...vars, this: item }));
+    case '$size': return evaluate(arg, doc, vars).length;
+    case '$gt': { const [a, b] = args(); return a > b; }
+    case '$gte': { const [a, b] = args(); return a >= b; }
+    case '$add': { const [a, b] = args(); return dateMath(a, b, (x, y) => x + y); }
+    case '$subtract': { const [a, b] = args(); return dateMath(a, b, (x, y) => x - y); }
+    default:
+      return Object.fromEntries(Object.entries(expr).map(([key, value]) => [key, evaluate(value, doc, vars)]));
+  }
+};
+
+const applyPipeline = (doc, pipeline) => pipeline.reduce((current, stage) => {
+  if (stage.$unset) {
+    const { [stage.$unset]: removed, ...rest } = current;
+    return rest;
+  }
+  const changes = Object.fromEntries(Object.entries(stage.$set).map(([key, expr]) => [key, evaluate(expr, current)]));
+  return { ...current, ...changes };
+}, doc);
+
+describe('DetectionCounterService', () => {
+  const at = seconds => new Date(NOW.getTime() + seconds * 1000);
+  const event = (logId, seconds) => ({
+    ruleName: 'Brute Force',
+    groupKey: 'default|10.0.0.1',
+    organizationId: null,
+    logId,
+    at: at(seconds),
+    timeWindow: 60,
+    threshold: 3
+  });
+
+  let counters;
+
+  beforeEach(() => {
+    counters = new Map();
+    jest.spyOn(DetectionCounter, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const key = `${filter.ruleName}|${filter.groupKey}`;
+      const counter = applyPipeline(counters.get(key) || { ...filter }, update);
+      counters.set(key, counter);
+      return counter;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('fires once the threshold is reached and starts a new window', async () => {
+    expect(await DetectionCounterService.record(event('a', 0))).toEqual({ triggered: false, count: 1, logIds: ['a'] });
+    expect((await DetectionCounterService.record(event('b', 10))).triggered).toBe(false);
+    expect(await DetectionCounterService.record(event('c', 20))).toEqual({ triggered: true, count: 3, logIds: ['a', 'b', 'c'] });
+
+    const counter = counters.get('Brute Force|default|10.0.0.1');
+    expect(counter.events).toEqual([]);
+    expect(counter.triggeredAt).toEqual(NOW);
+    expect(counter.expiresAt).toEqual(at(80));
+
+    expect(await DetectionCounterService.record(event('d', 30))).toEqual({ triggered: false, count: 1, logIds: ['d'] });
+  });
+
+  test('does not count a log twice', async () => {
+    await DetectionCounterService.record(event('a', 0));
+    expect((await DetectionCounterService.record(event('a', 0))).count).toBe(1);
+
+    await DetectionCounterService.record(event('b', 1));
+    await DetectionCounterService.record(event('c', 2));
+
+    // Logs that already fired the rule are not counted again either
+    expect(await DetectionCounterService.record(event('c', 2))).toEqual({ triggered: false, count: 0, logIds: [] });
+  });
+
+  test('drops events that fall out of the window of the newest event', async () => {
+    await DetectionCounterService.record(event('a', 0));
+    await DetectionCounterService.record(event('b', 50));
+
+    expect(await DetectionCounterService.record(event('c', 70))).toEqual({ triggered: false, count: 2, logIds: ['b', 'c'] });
+
+    // A late log older than the window is pruned right away
+    expect((await DetectionCounterService.record(event('late', -30))).logIds).toEqual(['b', 'c']);
+  });
+
+  test('stores the organization with the counter', () => {
+    const [first] = DetectionCounterService.buildUpdate({ ...event('a', 0), organizationId: 'org' });
+
+    expect(first.$set.organizationId).toEqual({ $literal: 'org' });
+  });
+});
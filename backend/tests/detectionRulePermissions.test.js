@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { DetectionRule } = require('../src/models');
+const threatController = require('../src/controllers/threatController');
+const detectionRuleService = require('../src/services/detectionRuleService');
+const threatRoutes = require('../src/routes/threats');
+
+describe('Detection rule permissions', () => {
+  const organizationId = new mongoose.Types.ObjectId();
+  const analyst = { email: 'analyst@example.com', role: 'Analyst', organizationId };
+  const admin = { email: 'admin@example.com', role: 'Admin' };
+  const rule = { _id: new mongoose.Types.ObjectId(), name: 'Brute Force' };
+
+  const request = (user, body = {}) => ({ user, body, params: { ruleId: String(rule._id) } });
+  const response = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn() });
+
+  // Role check that guards a rule route, e.g. 'put /rules/:ruleId'
+  const roleCheck = (method, path) => {
+    const layer = threatRoutes.stack.find(item => item.route?.path === path && item.route.methods[method]);
+    return layer.route.stack[0].handle;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(DetectionRule, 'findById').mockResolvedValue(rule);
+    jest.spyOn(detectionRuleService, 'setEnabled').mockResolvedValue(rule);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps analysts from disabling a rule for every organization', async () => {
+    const res = response();
+    await threatController.disableDetectionRule(request(analyst), res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(detectionRuleService.setEnabled).not.toHaveBeenCalled();
+  });
+
+  test('lets analysts disable a rule for their own organization only', async () => {
+    const own = response();
+    await threatController.disableDetectionRule(request(analyst, { organizationId: String(organizationId) }), own);
+
+    expect(own.status).toHaveBeenCalledWith(200);
+    expect(detectionRuleService.setEnabled).toHaveBeenCalledWith(rule, false, analyst, String(organizationId));
+
+    const other = response();
+    await threatController.disableDetectionRule(request(analyst, { organizationId: String(new mongoose.Types.ObjectId()) }), other);
+
+    expect(other.status).toHaveBeenCalledWith(403);
+  });
+
+  test('lets admins disable a rule for every organization', async () => {
+    const res = response();
+    await threatController.disableDetectionRule(request(admin), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(detectionRuleService.setEnabled).toHaveBeenCalledWith(rule, false, admin, undefined);
+  });
+
+  test.each([
+    ['post', '/rules'],
+    ['post', '/rules/sigma'],
+    ['put', '/rules/:ruleId'],
+    ['delete', '/rules/:ruleId'],
+    ['post', '/rules/:ruleId/rollback']
+  ])('limits %s %s to admins', (method, path) => {
+    const check = roleCheck(method, path);
+
+    const denied = response();
+    const next = jest.fn();
+    check(request(analyst), denied, next);
+    expect(denied.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+
+    check(request(admin), response(), next);
+    expect(next).toHaveBeenCalled();
+  });
+});
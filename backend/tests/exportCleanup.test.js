@@ -0,0 +1,27 @@
+const ExportService = require('../src/services/exportService');
+
+describe('ExportService cleanup timer', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(ExportService, 'resumeJobs').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    ExportService.stop();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('removes expired jobs periodically until stopped', async () => {
+    const cleanup = jest.spyOn(ExportService, 'cleanupExpiredJobs').mockResolvedValue(0);
+
+    await ExportService.start();
+    await ExportService.start();
+    jest.advanceTimersByTime(ExportService.cleanupInterval * 2);
+    expect(cleanup).toHaveBeenCalledTimes(2);
+
+    ExportService.stop();
+    jest.advanceTimersByTime(ExportService.cleanupInterval);
+    expect(cleanup).toHaveBeenCalledTimes(2);
+  });
+});
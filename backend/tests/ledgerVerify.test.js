@@ -0,0 +1,86 @@
+const { Log, ArchiveSegment, ChainHead } = require('../src/models');
+const LedgerService = require('../src/services/ledgerService');
+const LogService = require('../src/services/logService');
+
+describe('LedgerService.verifyChain', () => {
+  let logs;
+  let head;
+  let segments;
+
+  beforeEach(() => {
+    logs = [0, 1, 2, 3].map(index => LogService.buildLogDocument({
+      eventType: 'user_login',
+      source: 'api',
+      description: `Login ${index}`,
+      timestamp: new Date('2024-01-31T12:00:00Z')
+    }));
+    LogService.linkToChain(logs, null);
+    head = { chainKey: 'default', chainIndex: 3 };
+    segments = [];
+
+    jest.spyOn(ChainHead, 'findOne').mockReturnValue({ lean: async () => head });
+    jest.spyOn(Log, 'find').mockImplementation(query => ({
+      sort: () => ({
+        cursor: () => {
+          const found = logs.filter(log => !query.chainIndex.$lte || log.chainIndex <= query.chainIndex.$lte);
+          return Object.assign(found, { close: async () => {} });
+        }
+      })
+    }));
+    jest.spyOn(ArchiveSegment, 'find').mockReturnValue({
+      select: () => ({ lean: async () => segments })
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reports an intact chain up to the recorded head', async () => {
+    const result = await LedgerService.verifyChain(null);
+
+    expect(result).toMatchObject({ status: 'intact', verifiedLength: 4, headHash: logs[3].logHash });
+  });
+
+  test('reports logs deleted from the end of the chain', async () => {
+    logs = logs.slice(0, 2);
+
+    const result = await LedgerService.verifyChain(null);
+
+    expect(result.status).toBe('broken');
+    expect(result.brokenLink).toMatchObject({
+      chainIndex: 2,
+      reason: 'Log at chain index 2 is missing and not in any archive segment'
+    });
+  });
+
+  test('accepts a chain end moved to an archive segment', async () => {
+    const archived = logs.slice(2);
+    logs = logs.slice(0, 2);
+    segments = [{
+      chains: [{
+        organizationId: null,
+        links: archived.map(({ chainIndex, previousHash, logHash }) => ({ chainIndex, previousHash, logHash }))
+      }]
+    }];
+
+    const result = await LedgerService.verifyChain(null);
+
+    expect(result).toMatchObject({ status: 'intact', verifiedLength: 4, headHash: archived[1].logHash });
+  });
+
+  test('records the head durably when logs are appended', async () => {
+    LogService.chainHeads.set('default', null);
+    const update = jest.spyOn(ChainHead, 'updateOne').mockResolvedValue({});
+    const appended = [LogService.buildLogDocument({ eventType: 'user_login', source: 'api', description: 'Login' })];
+
+    await LogService.appendToChain(appended, async () => []);
+
+    expect(update).toHaveBeenCalledWith(
+      { chainKey: 'default', chainIndex: { $lt: 0 } },
+      { $set: { organizationId: null, chainIndex: 0 } },
+      { upsert: true }
+    );
+    LogService.chainHeads.clear();
+  });
+});
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { Log } = require('../src/models');
+const logController = require('../src/controllers/logController');
+const LogService = require('../src/services/logService');
+const MerkleTree = require('../src/utils/merkleTree');
+
+describe('Log inclusion proofs', () => {
+  const organizationId = new mongoose.Types.ObjectId();
+  let logs;
+
+  const respond = async (user, log) => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    await logController.verifyLogProof({ params: { id: log._id.toString() }, user }, res);
+    return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+  };
+
+  beforeEach(() => {
+    logs = [0, 1, 2].map(index => LogService.buildLogDocument({
+      eventType: 'user_login',
+      source: 'api',
+      severity: 'Low',
+      description: `Login ${index}`,
+      timestamp: new Date('2024-01-31T12:00:00Z'),
+      organizationId
+    }));
+    LogService.linkToChain(logs, null);
+
+    // Anchor the batch the way anchorBatch stores it
+    const tree = LogService.buildBatchTree(logs);
+    logs.forEach((log, index) => {
+      log.blockchain = {
+        transactionHash: '0xabc',
+        merkleRoot: MerkleTree.getRoot(tree),
+        leafIndex: index,
+        merkleProof: MerkleTree.getProof(tree, index),
+        anchoredAt: new Date()
+      };
+    });
+
+    jest.spyOn(Log, 'findById').mockImplementation(id => {
+      const found = Promise.resolve(logs.find(log => log._id.toString() === String(id)) || null);
+      return Object.assign(found, { select: () => found });
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('verifies an untouched log against the batch root', async () => {
+    const { status, body } = await respond({ role: 'Analyst', organizationId }, logs[1]);
+
+    expect(status).toBe(200);
+    expect(body.message).toBe('Log inclusion proof verified');
+    expect(body.data).toMatchObject({ anchored: true, hashIntact: true, proofValid: true, verified: true, leafIndex: 1 });
+  });
+
+  test('reports a failed verification for a tampered log', async () => {
+    logs[2].description = 'Edited';
+
+    const { status, body } = await respond({ role: 'Analyst', organizationId }, logs[2]);
+
+    expect(status).toBe(200);
+    expect(body.message).toBe('Log inclusion proof verification failed');
+    expect(body.data).toMatchObject({ hashIntact: false, proofValid: false, verified: false });
+  });
+
+  test('rejects logs that are not anchored yet', async () => {
+    logs[0].blockchain = undefined;
+
+    const { status } = await respond({ role: 'Analyst', organizationId }, logs[0]);
+
+    expect(status).toBe(400);
+  });
+
+  test('denies access to another organization\'s log', async () => {
+    const verify = jest.spyOn(LogService, 'verifyLogProof');
+
+    const { status } = await respond({ role: 'Analyst', organizationId: new mongoose.Types.ObjectId() }, logs[0]);
+
+    expect(status).toBe(403);
+    expect(verify).not.toHaveBeenCalled();
+    expect((await respond({ role: 'Admin' }, logs[0])).status).toBe(200);
+  });
+});
@@ -0,0 +1,95 @@
+const { LogQueryLanguage, QueryParseError } = require('../src/utils/logQueryLanguage');
+
+const now = new Date('2024-01-31T12:00:00Z');
+const compile = (query) => LogQueryLanguage.compile(query, { now });
+
+const parseError = (query) => {
+  try {
+    compile(query);
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`Expected '${query}' to fail`);
+};
+
+describe('LogQueryLanguage.parse', () => {
+  test('builds an OR node of comparisons with positions', () => {
+    const ast = LogQueryLanguage.parse('source:a OR eventType:b');
+
+    expect(ast.type).toBe('or');
+    expect(ast.children).toHaveLength(2);
+    expect(ast.children[0]).toMatchObject({
+      type: 'compare',
+      field: { path: 'source', type: 'string' },
+      op: 'eq',
+      value: { raw: 'a', start: 7, end: 8 }
+    });
+    expect(ast.children[1].field.path).toBe('eventType');
+  });
+
+  test('reports the character range of errors', () => {
+    expect(parseError('')).toMatchObject({ message: 'Query is empty', position: 0, end: 0 });
+    expect(parseError('(severity:High')).toMatchObject({ position: 0, end: 1 });
+    expect(parseError('source:a)')).toMatchObject({ position: 8, end: 9 });
+    expect(parseError('foo:bar').toJSON()).toEqual({
+      message: "Unknown field 'foo' at position 0",
+      position: 0,
+      end: 3
+    });
+  });
+
+  test('rejects values of the wrong type', () => {
+    const error = parseError('chainIndex:abc');
+
+    expect(error).toBeInstanceOf(QueryParseError);
+    expect(error).toMatchObject({ position: 11, end: 14 });
+    expect(parseError('severity:Urgent').message).toMatch(/expected Low, Medium, High, Critical/);
+  });
+});
+
+describe('LogQueryLanguage.compile', () => {
+  test('combines terms with AND and NOT', () => {
+    expect(compile('severity:High AND source:api_gateway AND NOT eventType:user_login')).toEqual({
+      $and: [
+        { severity: 'High' },
+        { source: 'api_gateway' },
+        { $nor: [{ eventType: 'user_login' }] }
+      ]
+    });
+  });
+
+  test('resolves aliases, relative dates and numeric ranges', () => {
+    expect(compile('@timestamp > now-1h AND (severity:Critical OR chainIndex:[100 TO 200])')).toEqual({
+      $and: [
+        { timestamp: { $gt: new Date('2024-01-31T11:00:00Z') } },
+        { $or: [{ severity: 'Critical' }, { chainIndex: { $gte: 100, $lte: 200 } }] }
+      ]
+    });
+  });
+
+  test('compiles wildcards, existence and mixed values', () => {
+    expect(compile('source:api*').source).toEqual(/^api.*$/i);
+    expect(compile('source:*')).toEqual({ source: { $exists: true, $ne: null } });
+    expect(compile('metadata.code:42')).toEqual({ 'metadata.code': { $in: ['42', 42] } });
+  });
+
+  test('matches severities case-insensitively', () => {
+    expect(compile('severity:high')).toEqual({ severity: 'High' });
+    expect(compile('severity:!=low')).toEqual({ severity: { $ne: 'Low' } });
+  });
+
+  test('compares severities by level', () => {
+    expect(compile('severity:>=High')).toEqual({ severity: { $in: ['High', 'Critical'] } });
+    expect(compile('severity:>Medium')).toEqual({ severity: { $in: ['High', 'Critical'] } });
+    expect(compile('severity < Medium')).toEqual({ severity: { $in: ['Low'] } });
+    expect(compile('severity:<=Medium')).toEqual({ severity: { $in: ['Low', 'Medium'] } });
+    expect(compile('severity:>Critical')).toEqual({ severity: { $in: [] } });
+  });
+
+  test('expands severity ranges to levels', () => {
+    expect(compile('severity:[Medium TO Critical]')).toEqual({ severity: { $in: ['Medium', 'High', 'Critical'] } });
+    expect(compile('severity:{Low TO Critical}')).toEqual({ severity: { $in: ['Medium', 'High'] } });
+    expect(compile('severity:[* TO Medium]')).toEqual({ severity: { $in: ['Low', 'Medium'] } });
+    expect(compile('aiAnalysis.riskLevel:[High TO *]')).toEqual({ 'aiAnalysis.riskLevel': { $in: ['High', 'Critical'] } });
+  });
+});
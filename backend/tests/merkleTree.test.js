@@ -0,0 +1,50 @@
+const MerkleTree = require('../src/utils/merkleTree');
+
+const values = ['a', 'b', 'c', 'd', 'e'].map(value => value.repeat(64));
+
+describe('MerkleTree', () => {
+  test('hashes leaves and inner nodes with distinct prefixes', () => {
+    expect(MerkleTree.hashLeaf('x')).not.toBe(MerkleTree.hashNode('', 'x'));
+    expect(MerkleTree.hashNode('l', 'r')).not.toBe(MerkleTree.hashNode('r', 'l'));
+  });
+
+  test('promotes an unpaired node instead of duplicating it', () => {
+    const levels = MerkleTree.build(values.slice(0, 3));
+    const [a, b, c] = levels[0];
+
+    expect(levels[1]).toEqual([MerkleTree.hashNode(a, b), c]);
+    expect(MerkleTree.getRoot(levels)).toBe(MerkleTree.hashNode(MerkleTree.hashNode(a, b), c));
+  });
+
+  test('uses the leaf hash as the root of a single-leaf tree', () => {
+    const levels = MerkleTree.build([values[0]]);
+
+    expect(MerkleTree.getRoot(levels)).toBe(MerkleTree.hashLeaf(values[0]));
+    expect(MerkleTree.getProof(levels, 0)).toEqual([]);
+  });
+
+  test('verifies the proof of every leaf', () => {
+    const levels = MerkleTree.build(values);
+    const root = MerkleTree.getRoot(levels);
+
+    values.forEach((value, index) => {
+      const proof = MerkleTree.getProof(levels, index);
+      expect(MerkleTree.verify(value, proof, root)).toBe(true);
+    });
+  });
+
+  test('rejects a proof for another leaf, a reordered proof or a wrong root', () => {
+    const levels = MerkleTree.build(values);
+    const root = MerkleTree.getRoot(levels);
+    const proof = MerkleTree.getProof(levels, 1);
+
+    expect(MerkleTree.verify(values[2], proof, root)).toBe(false);
+    expect(MerkleTree.verify(values[1], [...proof].reverse(), root)).toBe(false);
+    expect(MerkleTree.verify(values[1], proof, MerkleTree.hashLeaf(values[1]))).toBe(false);
+  });
+
+  test('rejects empty trees and out-of-range leaves', () => {
+    expect(() => MerkleTree.build([])).toThrow('Cannot build a Merkle tree without leaves');
+    expect(() => MerkleTree.getProof(MerkleTree.build(values), 5)).toThrow('Leaf index 5 is out of range');
+  });
+});
@@ -0,0 +1,80 @@
+const RedactionService = require('../src/services/redactionService');
+const LogService = require('../src/services/logService');
+const redactionController = require('../src/controllers/redactionController');
+
+const rule = (overrides) => ({
+  _id: 'rule',
+  name: 'Rule',
+  fields: [],
+  mask: { keepLast: 0, char: '*' },
+  action: 'mask',
+  ...overrides
+});
+
+const logData = () => ({
+  eventType: 'user_login',
+  source: 'api',
+  description: 'Login from 10.0.0.7 by alice@example.com',
+  details: { password: 'hunter2', note: 'client 10.0.0.7' },
+  metadata: {
+    ipAddress: '10.0.0.7',
+    userAgent: 'curl/8.0 (10.0.0.7)',
+    geolocation: { city: 'Lyon', coordinates: { latitude: 45.7, longitude: 4.8 } }
+  }
+});
+
+describe('RedactionService.redactLog', () => {
+  test('masks detector matches in every redactable field', async () => {
+    const { data, applied } = await RedactionService.redactLog(logData(), [rule({ detector: 'ipv4' })]);
+
+    expect(data.description).toBe('Login from ******** by alice@example.com');
+    expect(data.details.note).toBe('client ********');
+    expect(data.metadata.userAgent).toBe('curl/8.0 (********)');
+    expect(applied[0]).toMatchObject({ ruleId: 'rule', fields: ['description', 'details.note', 'metadata.userAgent'] });
+  });
+
+  test('never changes schema-validated metadata', async () => {
+    const rules = [
+      rule({ detector: 'ipv4' }),
+      rule({ detector: 'custom', pattern: '\\d+', action: 'hash' }),
+      rule({ fields: ['metadata'], action: 'drop' })
+    ];
+
+    const { data } = await RedactionService.redactLog(logData(), rules);
+
+    expect(data.metadata).toEqual({
+      ipAddress: '10.0.0.7',
+      geolocation: { city: 'Lyon', coordinates: { latitude: 45.7, longitude: 4.8 } }
+    });
+    expect(LogService.buildLogDocument(data).validateSync()).toBeUndefined();
+  });
+
+  test('applies whole-field rules and the built-in detectors', async () => {
+    const rules = [rule({ fields: ['details.note'], action: 'mask', mask: { keepLast: 3, char: '#' } }), ...RedactionService.getBuiltinRules()];
+
+    const { data } = await RedactionService.redactLog(logData(), rules);
+
+    expect(data.details.note).toBe('############0.7');
+    expect(data.details).not.toHaveProperty('password');
+    expect(data.description).toMatch(/^Login from 10\.0\.0\.7 by hmac:[0-9a-f]{64}$/);
+  });
+
+  test('does not change the caller\'s data', async () => {
+    const original = logData();
+
+    await RedactionService.redactLog(original, [rule({ detector: 'ipv4' })]);
+
+    expect(original).toEqual(logData());
+  });
+});
+
+describe('RedactionController rule validation', () => {
+  test('rejects rules listing protected metadata fields', () => {
+    expect(redactionController.validateRule({ name: 'IP', fields: ['metadata.ipAddress'], action: 'mask' }).error.details[0].message)
+      .toBe("Field 'metadata.ipAddress' is validated by the log schema and cannot be redacted");
+    expect(redactionController.validateRule({ name: 'City', fields: ['metadata.geolocation.city'], action: 'drop' }).error)
+      .toBeDefined();
+    expect(redactionController.validateRule({ name: 'Agent', fields: ['metadata.userAgent'], action: 'mask' }).error)
+      .toBeUndefined();
+  });
+});
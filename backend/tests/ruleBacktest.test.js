@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const { Log, Threat } = require('../src/models');
+const RuleBacktestService = require('../src/services/ruleBacktestService');
+
+describe('RuleBacktestService', () => {
+  const from = new Date('2024-01-31T00:00:00Z');
+  const to = new Date('2024-01-31T23:59:59Z');
+  const organizationId = new mongoose.Types.ObjectId();
+
+  const log = (id, ip, seconds) => ({
+    _id: id,
+    eventType: 'login_failed',
+    source: 'auth',
+    organizationId,
+    userId: 'user-1',
+    timestamp: new Date(from.getTime() + 3600 * 1000 + seconds * 1000),
+    metadata: { ipAddress: ip }
+  });
+
+  const definition = {
+    name: 'Failed Login Burst',
+    threatType: 'Brute Force Attack',
+    severity: 0.8,
+    confidence: 0.9,
+    description: 'Repeated failed logins',
+    conditions: { eventType: 'login_failed', timeWindow: 60, threshold: 3, groupBy: ['metadata.ipAddress'] }
+  };
+
+  // Async iterable like a query cursor
+  const cursorOf = items => ({
+    async *[Symbol.asyncIterator]() {
+      yield* items;
+    }
+  });
+
+  let logs;
+  let findFilter;
+
+  beforeEach(() => {
+    logs = [];
+    jest.spyOn(Log, 'find').mockImplementation((filter) => {
+      findFilter = filter;
+      const chain = {
+        sort: () => chain,
+        limit: () => chain,
+        lean: () => chain,
+        cursor: () => cursorOf(logs)
+      };
+      return chain;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('counts threshold windows per group in memory', async () => {
+    logs = [
+      log('a1', '10.0.0.1', 0),
+      log('b1', '10.0.0.2', 5),
+      log('a2', '10.0.0.1', 10),
+      log('a3', '10.0.0.1', 20),
+      log('b2', '10.0.0.2', 200),
+      log('a4', '10.0.0.1', 30),
+      log('a5', '10.0.0.1', 40),
+      log('a6', '10.0.0.1', 50)
+    ];
+    const rule = RuleBacktestService.buildRule(definition);
+
+    const report = await RuleBacktestService.backtest(rule, { from, to, organizationId });
+
+    expect(findFilter).toEqual({
+      timestamp: { $gte: from, $lte: to },
+      organizationId,
+      eventType: 'login_failed'
+    });
+    expect(report.logsScanned).toBe(8);
+    expect(report.truncated).toBe(false);
+    expect(report.threats.total).toBe(2);
+    expect(report.threats.samples.map(sample => sample.relatedLogs)).toEqual([
+      ['a1', 'a2', 'a3'],
+      ['a4', 'a5', 'a6']
+    ]);
+    expect(report.threats.byDay).toEqual([{ key: '2024-01-31', count: 2 }]);
+    expect(report.comparison).toBeNull();
+  });
+
+  test('counts threats below the minimum score separately and stops at the log limit', async () => {
+    jest.replaceProperty(RuleBacktestService, 'maxLogs', 3);
+    logs = [log('a1', '10.0.0.1', 0), log('a2', '10.0.0.1', 1), log('a3', '10.0.0.1', 2), log('a4', '10.0.0.1', 3)];
+    const rule = RuleBacktestService.buildRule(definition);
+
+    const report = await RuleBacktestService.backtest(rule, { from, to, minThreatScore: 0.9 });
+
+    expect(report.logsScanned).toBe(3);
+    expect(report.truncated).toBe(true);
+    expect(report.threats.total).toBe(0);
+    expect(report.threats.belowMinScore).toBe(1);
+  });
+
+  test('compares edits with the threats the stored rule raised', async () => {
+    const current = {
+      name: definition.name,
+      version: 4,
+      toObject: () => ({ ...definition, enabled: false, overrides: [], version: 4 })
+    };
+    jest.spyOn(Threat, 'find').mockReturnValue({
+      select: () => ({
+        lean: async () => [
+          { threatId: 'T-1', detectedAt: new Date('2024-01-30T10:00:00Z'), logRefs: ['a2'] },
+          { threatId: 'T-2', detectedAt: new Date('2024-01-31T10:00:00Z'), logRefs: ['z9'] }
+        ]
+      })
+    });
+    logs = [
+      log('a1', '10.0.0.1', 0),
+      log('a2', '10.0.0.1', 10),
+      log('b1', '10.0.0.2', 20),
+      log('b2', '10.0.0.2', 30)
+    ];
+
+    // The edit lowers the threshold, so both addresses fire
+    const rule = RuleBacktestService.buildRule({ conditions: { ...definition.conditions, threshold: 2 } }, current);
+    const report = await RuleBacktestService.backtest(rule, { from, to, current });
+
+    expect(rule.enabled).toBe(true);
+    expect(report.rule).toEqual({ name: definition.name, version: 4, edited: true });
+    expect(Threat.find).toHaveBeenCalledWith(expect.objectContaining({
+      'detectionRule.name': definition.name,
+      'detectionRule.version': 4
+    }));
+    expect(report.comparison).toEqual({
+      ruleVersion: 4,
+      actual: 2,
+      wouldBe: 2,
+      difference: 0,
+      matched: 1,
+      onlyActual: 1,
+      onlyBacktest: 1,
+      actualByDay: [{ key: '2024-01-30', count: 1 }, { key: '2024-01-31', count: 1 }]
+    });
+  });
+
+  test('checks the backtest range', () => {
+    expect(RuleBacktestService.checkRange(to, from)).toBe('"from" must be before "to"');
+    expect(RuleBacktestService.checkRange(new Date('2023-01-01T00:00:00Z'), to))
+      .toBe(`Backtests cover at most ${RuleBacktestService.maxDays} days`);
+    expect(RuleBacktestService.checkRange(from, to)).toBeNull();
+  });
+});
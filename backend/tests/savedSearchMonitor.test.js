@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { Alert } = require('../src/models');
+const AlertService = require('../src/services/alertService');
+const SavedSearchService = require('../src/services/savedSearchService');
+
+describe('SavedSearchService monitors', () => {
+  const search = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Failed logins',
+    owner: new mongoose.Types.ObjectId(),
+    monitor: {
+      condition: { operator: 'gt', threshold: 20, windowMinutes: 10 },
+      severity: 'High',
+      channels: ['realtime']
+    }
+  };
+  const window = {
+    from: new Date('2024-01-31T11:50:00Z'),
+    to: new Date('2024-01-31T12:00:00Z')
+  };
+
+  let saved;
+
+  beforeEach(() => {
+    saved = [];
+    // Validate like a real save, without a database
+    jest.spyOn(Alert.prototype, 'save').mockImplementation(async function() {
+      await this.validate();
+      saved.push(this);
+      return this;
+    });
+    jest.spyOn(AlertService, 'deliverAlert').mockResolvedValue({ success: true, attempts: [] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('saves a valid security alert when the threshold is met', async () => {
+    const alert = await SavedSearchService.createMonitorAlert(search, 25, window);
+
+    expect(saved).toContain(alert);
+    expect(alert.alertId).toMatch(/^ALT-\d{8}-/);
+    expect(alert.type).toBe('Security');
+    expect(alert.subType).toBe('Suspicious Activity');
+    expect(alert.severity).toBe('High');
+    expect(alert.source.system).toBe('saved_search_monitor');
+    expect(alert.metadata.details).toMatchObject({
+      savedSearchId: search._id,
+      count: 25,
+      condition: 'more than 20 results in 10 minutes',
+      windowStart: '2024-01-31T11:50:00.000Z',
+      windowEnd: '2024-01-31T12:00:00.000Z'
+    });
+    expect(alert.metadata.details.logsUrl).toContain(`/saved-searches/${search._id}/results?from=`);
+  });
+
+  test('lets the owner and admins modify a saved search', () => {
+    expect(SavedSearchService.canModify(search, { _id: search.owner, role: 'Analyst' })).toBe(true);
+    expect(SavedSearchService.canModify(search, { _id: new mongoose.Types.ObjectId(), role: 'Admin' })).toBe(true);
+    expect(SavedSearchService.canModify(search, { _id: new mongoose.Types.ObjectId(), role: 'Analyst' })).toBe(false);
+  });
+});
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { SavedSearch, User } = require('../src/models');
+const savedSearchController = require('../src/controllers/savedSearchController');
+const SavedSearchService = require('../src/services/savedSearchService');
+
+describe('SavedSearchController.updateSavedSearch', () => {
+  const organizationId = new mongoose.Types.ObjectId();
+  const otherOrganizationId = new mongoose.Types.ObjectId();
+  const colleague = new mongoose.Types.ObjectId();
+  const outsider = new mongoose.Types.ObjectId();
+  const owner = { _id: new mongoose.Types.ObjectId(), role: 'Analyst', organizationId };
+
+  let search;
+
+  const update = async (user, body) => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    await savedSearchController.updateSavedSearch({ params: { id: search._id.toString() }, user, body }, res);
+    return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+  };
+
+  beforeEach(() => {
+    search = new SavedSearch({ name: 'Failed logins', owner: owner._id, organizationId });
+
+    jest.spyOn(SavedSearch, 'findById').mockResolvedValue(search);
+    jest.spyOn(search, 'save').mockResolvedValue(search);
+    jest.spyOn(SavedSearchService, 'scheduleMonitor').mockImplementation(() => {});
+    jest.spyOn(User, 'find').mockImplementation(query => ({
+      select: () => ({
+        lean: async () => query._id.$in
+          .filter(id => id === colleague.toString() && String(query.organizationId) === organizationId.toString())
+          .map(id => ({ _id: id }))
+      })
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps the organization when a non-admin owner changes it', async () => {
+    const { status } = await update(owner, { name: 'Renamed', organizationId: otherOrganizationId.toString() });
+
+    expect(status).toBe(200);
+    expect(search.name).toBe('Renamed');
+    expect(search.organizationId).toEqual(organizationId);
+  });
+
+  test('lets admins move a saved search to another organization', async () => {
+    const admin = { _id: new mongoose.Types.ObjectId(), role: 'Admin' };
+
+    const { status } = await update(admin, { organizationId: otherOrganizationId.toString() });
+
+    expect(status).toBe(200);
+    expect(search.organizationId).toEqual(otherOrganizationId);
+  });
+
+  test('only shares with users in the organization', async () => {
+    const rejected = await update(owner, { sharing: { visibility: 'users', users: [colleague.toString(), outsider.toString()] } });
+
+    expect(rejected.status).toBe(400);
+    expect(rejected.body.details).toEqual({ users: [outsider.toString()] });
+    expect(search.save).not.toHaveBeenCalled();
+
+    const accepted = await update(owner, { sharing: { visibility: 'users', users: [colleague.toString()] } });
+
+    expect(accepted.status).toBe(200);
+    expect(search.sharing.users).toEqual([colleague]);
+  });
+});
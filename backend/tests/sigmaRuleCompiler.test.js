@@ -0,0 +1,199 @@
+const SigmaRuleCompiler = require('../src/utils/sigmaRuleCompiler');
+
+const rule = (detection, extra = {}) => ({
+  id: 'rule-1',
+  title: 'Test rule',
+  detection,
+  ...extra
+});
+
+const matcher = (detection, options) => {
+  const compiled = SigmaRuleCompiler.compile(rule(detection), options);
+  return log => SigmaRuleCompiler.evaluate(compiled.conditions.detection, field => field.split('.').reduce((value, key) => value?.[key], log));
+};
+
+const compileError = (detection, extra) => {
+  try {
+    SigmaRuleCompiler.compile(rule(detection, extra));
+  } catch (error) {
+    return error.message;
+  }
+  throw new Error('Expected the rule to fail');
+};
+
+describe('SigmaRuleCompiler conditions', () => {
+  const searches = {
+    selection_user: { User: 'admin' },
+    selection_host: { Host: 'db*' },
+    filter: { Action: 'logout' }
+  };
+  const log = (user, host, action) => ({ details: { User: user, Host: host, Action: action } });
+
+  test('gives not precedence over and, and and over or', () => {
+    const matches = matcher({ ...searches, condition: 'selection_user or selection_host and not filter' });
+
+    expect(matches(log('admin', 'web', 'logout'))).toBe(true);
+    expect(matches(log('guest', 'db1', 'login'))).toBe(true);
+    expect(matches(log('guest', 'db1', 'logout'))).toBe(false);
+  });
+
+  test('groups with parentheses and resolves "of" patterns', () => {
+    const grouped = matcher({ ...searches, condition: '(selection_user or selection_host) and not filter' });
+    expect(grouped(log('admin', 'web', 'logout'))).toBe(false);
+
+    const allOf = matcher({ ...searches, condition: 'all of selection_* and not filter' });
+    expect(allOf(log('admin', 'db1', 'login'))).toBe(true);
+    expect(allOf(log('admin', 'web', 'login'))).toBe(false);
+
+    const oneOf = matcher({ ...searches, condition: '1 of them' });
+    expect(oneOf(log('x', 'y', 'logout'))).toBe(true);
+  });
+
+  test('reports malformed conditions', () => {
+    expect(compileError({ ...searches, condition: 'selection_user and' })).toMatch(/Unexpected end/);
+    expect(compileError({ ...searches, condition: '(selection_user' })).toMatch(/Expected '\)'/);
+    expect(compileError({ ...searches, condition: 'missing' })).toBe("Unknown search 'missing' in condition");
+    expect(compileError({ ...searches, condition: '1 of nothing*' })).toBe("No search matches 'nothing*'");
+    expect(compileError({ ...searches, condition: 'selection_user | near filter' })).toMatch(/Unsupported aggregation/);
+  });
+});
+
+describe('SigmaRuleCompiler modifiers', () => {
+  test('anchors plain values and honors wildcards case-insensitively', () => {
+    // Sigma writes a backslash before a wildcard as \\ and a literal star as \*
+    const matches = matcher({ selection: { Image: 'C:\\Windows\\\\*\\cmd.exe', Title: 'Report\\*?' }, condition: 'selection' });
+    const log = { details: { Image: 'c:\\windows\\system32\\CMD.EXE', Title: 'report*1' } };
+
+    expect(matches(log)).toBe(true);
+    expect(matches({ details: { ...log.details, Image: 'C:\\Windows\\system32\\cmd.exe.bak' } })).toBe(false);
+    expect(matches({ details: { ...log.details, Title: 'report11' } })).toBe(false);
+  });
+
+  test('supports contains, startswith, endswith and all', () => {
+    const matches = matcher({
+      selection: {
+        'CommandLine|contains|all': ['-enc', 'hidden'],
+        'Image|endswith': '\\powershell.exe',
+        'ParentImage|startswith': 'C:\\Program'
+      },
+      condition: 'selection'
+    });
+    const log = {
+      details: {
+        CommandLine: 'powershell -WindowStyle Hidden -enc AAAA',
+        Image: 'C:\\Windows\\powershell.exe',
+        ParentImage: 'C:\\Program Files\\app.exe'
+      }
+    };
+
+    expect(matches(log)).toBe(true);
+    expect(matches({ details: { ...log.details, CommandLine: 'powershell -enc AAAA' } })).toBe(false);
+  });
+
+  test('supports re, numeric comparisons, exists and null', () => {
+    const matches = matcher({
+      selection: {
+        'Query|re': '(?i)^select .* from users',
+        'Rows|gte': 1000,
+        'Session|exists': true,
+        Referrer: null
+      },
+      condition: 'selection'
+    });
+    const log = { details: { Query: 'SELECT * FROM users', Rows: '5000', Session: 'abc' } };
+
+    expect(matches(log)).toBe(true);
+    expect(matches({ details: { ...log.details, Rows: 10 } })).toBe(false);
+    expect(matches({ details: { ...log.details, Referrer: 'https://example.com' } })).toBe(false);
+    expect(matches({ details: { Query: log.details.Query, Rows: 5000 } })).toBe(false);
+  });
+
+  test('maps fields and rejects unsupported modifiers', () => {
+    const compiled = SigmaRuleCompiler.compile(
+      rule({ selection: { SourceIp: '1.2.3.4', 'details.raw': 'x' }, condition: 'selection' }),
+      { fieldMapping: { SourceIp: 'metadata.ipAddress' } }
+    );
+
+    expect(compiled.conditions.detection.args.map(arg => arg.field)).toEqual(['metadata.ipAddress', 'details.raw']);
+    expect(compileError({ selection: { 'Field|base64': 'x' }, condition: 'selection' }))
+      .toBe("Unsupported modifier 'base64' on field 'Field'");
+  });
+
+  test('only accepts stateless regex flags in stored expressions', () => {
+    const node = flags => ({ field: 'details.User', match: 'regex', patterns: [{ source: '^admin$', flags }] });
+
+    expect(() => SigmaRuleCompiler.checkExpression(node('ims'))).not.toThrow();
+    expect(() => SigmaRuleCompiler.checkExpression(node('g'))).toThrow("Invalid pattern flags 'g' on details.User");
+    expect(() => SigmaRuleCompiler.checkExpression(node('iy'))).toThrow(/Invalid pattern flags/);
+    expect(() => SigmaRuleCompiler.checkExpression(node('ii'))).toThrow(/Invalid pattern flags/);
+  });
+
+  test('matches IPv4 and IPv6 CIDR ranges', () => {
+    const matches = matcher(
+      { selection: { 'SourceIp|cidr': ['10.0.0.0/8', '2001:db8::/32'] }, condition: 'selection' },
+      { fieldMapping: { SourceIp: 'metadata.ipAddress' } }
+    );
+
+    expect(matches({ metadata: { ipAddress: '10.20.30.40' } })).toBe(true);
+    expect(matches({ metadata: { ipAddress: '2001:db8::1' } })).toBe(true);
+    expect(matches({ metadata: { ipAddress: '11.0.0.1' } })).toBe(false);
+    expect(matches({ metadata: { ipAddress: 'not-an-ip' } })).toBe(false);
+    expect(compileError({ selection: { 'SourceIp|cidr': '10.0.0.0/33' }, condition: 'selection' }))
+      .toBe("Invalid CIDR range '10.0.0.0/33'");
+  });
+});
+
+describe('SigmaRuleCompiler aggregations and metadata', () => {
+  test('compiles count() by into a grouped threshold rule', () => {
+    const compiled = SigmaRuleCompiler.compile(rule(
+      { selection: { EventID: 4625 }, timeframe: '5m', condition: 'selection | count() by SourceIp, User > 10' },
+      { level: 'high', status: 'stable', tags: ['attack.credential_access', 'attack.t1110.001'] }
+    ), { fieldMapping: { SourceIp: 'metadata.ipAddress' } });
+
+    expect(compiled.conditions).toMatchObject({
+      timeWindow: 300,
+      threshold: 11,
+      groupBy: ['metadata.ipAddress', 'details.User']
+    });
+    expect(compiled).toMatchObject({
+      name: 'sigma:rule-1',
+      severity: 0.8,
+      confidence: 0.9,
+      threatType: 'Brute Force Attack',
+      attackPhase: 'Credential Access',
+      references: [{ type: 'MITRE ATT&CK', identifier: 'T1110.001' }]
+    });
+  });
+
+  test('counts without grouping and with >=', () => {
+    expect(SigmaRuleCompiler.parseAggregation(' count() >= 5')).toEqual({ groupBy: [], threshold: 5 });
+    expect(compileError({ selection: { a: 1 }, condition: 'selection | count() > 5' })).toBe('Count aggregations need a timeframe');
+    expect(compileError({ selection: { a: 1 }, timeframe: '1h', condition: 'selection | count(User) > 5' }))
+      .toBe('Distinct-value count(field) aggregations are not supported');
+  });
+
+  test('parses multi-document YAML and keyword searches', () => {
+    const [first, second] = SigmaRuleCompiler.parse([
+      'id: a',
+      'title: Keywords',
+      'detection:',
+      '  keywords:',
+      "    - 'mimikatz'",
+      "    - 'sekurlsa::*'",
+      '  condition: keywords',
+      '---',
+      'id: b',
+      'title: Second',
+      'status: deprecated',
+      'detection: { sel: { a: 1 }, condition: sel }'
+    ].join('\n'));
+
+    const compiled = SigmaRuleCompiler.compile(first);
+    const matches = log => SigmaRuleCompiler.evaluate(compiled.conditions.detection, field => log[field]);
+
+    expect(matches({ description: 'ran Mimikatz.exe' })).toBe(true);
+    expect(matches({ description: 'sekurlsa::logonpasswords' })).toBe(true);
+    expect(matches({ description: 'benign' })).toBe(false);
+    expect(SigmaRuleCompiler.compile(second).enabled).toBe(false);
+  });
+});
@@ -0,0 +1,70 @@
+const net = require('net');
+const SyslogService = require('../src/services/syslogService');
+const AnchorQueueService = require('../src/services/anchorQueueService');
+
+const listener = {
+  port: 0,
+  allowlist: null,
+  defaultEventType: 'firewall_alert',
+  defaultSource: 'firewall'
+};
+
+const waitFor = async (check, timeout = 3000) => {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeout) throw new Error('Timed out');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+describe('SyslogService backpressure', () => {
+  let saturated;
+
+  beforeEach(() => {
+    saturated = false;
+    jest.spyOn(AnchorQueueService, 'isSaturated').mockImplementation(() => saturated);
+    jest.spyOn(SyslogService, 'handleMessage').mockResolvedValue(null);
+  });
+
+  afterEach(async () => {
+    await SyslogService.stop();
+    jest.restoreAllMocks();
+  });
+
+  test('drops UDP datagrams while the anchor queue is saturated', async () => {
+    await SyslogService.startUdpListener('127.0.0.1', { ...listener, protocol: 'udp' });
+    const { server } = SyslogService.listeners[0];
+    const dropped = SyslogService.stats.dropped;
+
+    saturated = true;
+    server.emit('message', Buffer.from('<13>dropped'), { address: '127.0.0.1' });
+    saturated = false;
+    server.emit('message', Buffer.from('<13>kept'), { address: '127.0.0.1' });
+
+    expect(SyslogService.stats.dropped).toBe(dropped + 1);
+    expect(SyslogService.handleMessage).toHaveBeenCalledTimes(1);
+    expect(SyslogService.handleMessage.mock.calls[0][0]).toBe('<13>kept');
+  });
+
+  test('pauses TCP connections until the anchor queue drains', async () => {
+    await SyslogService.startTcpListener('127.0.0.1', { ...listener, protocol: 'tcp' });
+    const { port } = SyslogService.listeners[0].server.address();
+
+    saturated = true;
+    const client = net.connect(port, '127.0.0.1');
+    client.write('<13>first\n');
+
+    await waitFor(() => SyslogService.pausedSockets.size === 1);
+    expect(SyslogService.handleMessage).toHaveBeenCalledTimes(1);
+    expect(SyslogService.getStatus().pausedConnections).toBe(1);
+
+    saturated = false;
+    await waitFor(() => SyslogService.pausedSockets.size === 0);
+
+    client.write('<13>second\n');
+    await waitFor(() => SyslogService.handleMessage.mock.calls.length === 2);
+    expect(SyslogService.handleMessage.mock.calls[1][0]).toBe('<13>second');
+
+    client.destroy();
+  });
+});
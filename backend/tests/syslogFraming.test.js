@@ -0,0 +1,56 @@
+const SyslogService = require('../src/services/syslogService');
+
+const frame = (message) => `${Buffer.byteLength(message, 'utf8')} ${message}`;
+
+describe('SyslogService.extractFrames', () => {
+  test('splits octet-counted frames', () => {
+    const buffer = Buffer.from(frame('<34>1 first') + frame('<34>1 second'));
+
+    const { messages, remainder } = SyslogService.extractFrames(buffer);
+
+    expect(messages).toEqual(['<34>1 first', '<34>1 second']);
+    expect(remainder.length).toBe(0);
+  });
+
+  test('counts multibyte characters by bytes', () => {
+    const buffer = Buffer.from(frame('<34>1 héllo wörld') + frame('<34>1 ✓ done'));
+
+    const { messages } = SyslogService.extractFrames(buffer);
+
+    expect(messages).toEqual(['<34>1 héllo wörld', '<34>1 ✓ done']);
+  });
+
+  test('keeps a frame split inside a multibyte character for the next chunk', () => {
+    const bytes = Buffer.from(frame('<34>1 ✓ split') + frame('<34>1 next'));
+    const cut = bytes.indexOf(Buffer.from('✓')) + 1;
+
+    const first = SyslogService.extractFrames(bytes.subarray(0, cut));
+    expect(first.messages).toEqual([]);
+
+    const second = SyslogService.extractFrames(Buffer.concat([first.remainder, bytes.subarray(cut)]));
+    expect(second.messages).toEqual(['<34>1 ✓ split', '<34>1 next']);
+    expect(second.remainder.length).toBe(0);
+  });
+
+  test('waits for an incomplete octet count', () => {
+    const { messages, remainder } = SyslogService.extractFrames(Buffer.from('12'));
+
+    expect(messages).toEqual([]);
+    expect(remainder.toString()).toBe('12');
+  });
+
+  test('splits newline-delimited frames and skips blank lines', () => {
+    const buffer = Buffer.from('<13>Oct 11 22:14:15 host app: one\n\n<13>Oct 11 22:14:16 host app: two\npartial');
+
+    const { messages, remainder } = SyslogService.extractFrames(buffer);
+
+    expect(messages).toEqual(['<13>Oct 11 22:14:15 host app: one', '<13>Oct 11 22:14:16 host app: two']);
+    expect(remainder.toString()).toBe('partial');
+  });
+
+  test('handles mixed framing in one chunk', () => {
+    const buffer = Buffer.from(`${frame('<34>1 counted')}<13>plain line\n`);
+
+    expect(SyslogService.extractFrames(buffer).messages).toEqual(['<34>1 counted', '<13>plain line']);
+  });
+});